@@ -0,0 +1,399 @@
+/**
+ * Entity Identity API - Attester Key Custody
+ *
+ * Attester EdDSA (BabyJubJub) keys live in a KeyStore backend and are only
+ * used through a Signer. The server stores an opaque `key_ref` per attester
+ * and never handles raw private keys.
+ *
+ *   signer.publicKey          -> { x, y }        (BigInt)
+ *   await signer.sign(message) -> { R8x, R8y, S } (BigInt), message = Poseidon hash
+ *
+ * Backends:
+ * - LocalKeyStore: envelope encryption in a local JSON file. Each key is
+ *   encrypted with its own data key (AES-256-GCM); data keys are wrapped
+ *   under the master key. Rotating the master key only rewraps data keys.
+ * - Pkcs11KeyStore: delegates key generation and signing to an HSM session
+ *   with a PKCS#11-shaped API.
+ */
+
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'crypto';
+import { existsSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+
+// ============================================================================
+// MASTER KEYS
+// ============================================================================
+
+const DEV_MASTER_KEY = 'dev-master-key-change-me';
+
+/**
+ * Parse a 32-byte master key given as hex or base64
+ */
+function parseMasterKey(value) {
+    const text = value.trim();
+    const key = /^(0x)?[0-9a-fA-F]{64}$/.test(text)
+        ? Buffer.from(text.replace(/^0x/, ''), 'hex')
+        : Buffer.from(text, 'base64');
+    if (key.length !== 32) {
+        throw new Error('Master key must be 32 bytes (64 hex characters or base64)');
+    }
+    return key;
+}
+
+/**
+ * Load the current and previous master keys
+ *
+ * @param options.masterKey - Key as hex/base64 (e.g. ATTESTER_MASTER_KEY)
+ * @param options.masterKeyFile - File containing the key (takes precedence)
+ * @param options.previousMasterKeys - Comma-separated keys still accepted for unwrapping
+ * @param options.allowDevKey - Fall back to a fixed development key
+ * @returns { current, previous }
+ */
+function loadMasterKeys({ masterKey, masterKeyFile, previousMasterKeys, allowDevKey = false } = {}) {
+    let current;
+    if (masterKeyFile) {
+        current = parseMasterKey(readFileSync(masterKeyFile, 'utf-8'));
+    } else if (masterKey) {
+        current = parseMasterKey(masterKey);
+    } else if (allowDevKey) {
+        console.warn('No attester master key configured; using the development key');
+        current = createHash('sha256').update(DEV_MASTER_KEY).digest();
+    } else {
+        throw new Error('ATTESTER_MASTER_KEY or ATTESTER_MASTER_KEY_FILE is required');
+    }
+
+    const previous = (previousMasterKeys || '')
+        .split(',')
+        .filter(k => k.trim())
+        .map(parseMasterKey);
+
+    return { current, previous };
+}
+
+/**
+ * Short public identifier for a master key, stored with each wrapped data key
+ */
+function masterKeyId(key) {
+    return createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+// ============================================================================
+// SIGNER
+// ============================================================================
+
+/**
+ * Signing handle for one attester key
+ */
+class Signer {
+    constructor(publicKey, sign) {
+        this.publicKey = publicKey;
+        this._sign = sign;
+    }
+
+    /**
+     * Sign a Poseidon message
+     * @returns { R8x, R8y, S } as BigInts
+     */
+    async sign(message) {
+        return this._sign(BigInt(message));
+    }
+}
+
+// ============================================================================
+// LOCAL KEYSTORE
+// ============================================================================
+
+/**
+ * AES-256-GCM with the key reference as associated data
+ * Output: iv (12) | tag (16) | ciphertext, base64
+ */
+function seal(key, plaintext, aad) {
+    const iv = randomBytes(12);
+    const cipher = createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(Buffer.from(aad));
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+function open(key, sealed, aad) {
+    const data = Buffer.from(sealed, 'base64');
+    const decipher = createDecipheriv('aes-256-gcm', key, data.subarray(0, 12));
+    decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(data.subarray(12, 28));
+    return Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]);
+}
+
+/**
+ * Envelope-encrypted keys in a local file
+ *
+ * @param options.path - Keystore file (created on first write, mode 0600)
+ * @param options.masterKey - Current 32-byte master key
+ * @param options.previousMasterKeys - Older master keys, accepted until rotated away
+ * @param options.eddsa - circomlibjs EdDSA instance
+ */
+class LocalKeyStore {
+    constructor({ path, masterKey, previousMasterKeys = [], eddsa }) {
+        this.backend = 'local';
+        this.path = path;
+        this.eddsa = eddsa;
+        this.masterKeys = new Map();
+        for (const key of [masterKey, ...previousMasterKeys]) {
+            this.masterKeys.set(masterKeyId(key), key);
+        }
+        this.currentKeyId = masterKeyId(masterKey);
+        this.data = existsSync(path)
+            ? JSON.parse(readFileSync(path, 'utf-8'))
+            : { version: 1, keys: {} };
+    }
+
+    _save() {
+        // Write-then-rename so a crash never leaves a half-written keystore
+        const tmp = `${this.path}.tmp`;
+        writeFileSync(tmp, JSON.stringify(this.data, null, 2), { mode: 0o600 });
+        renameSync(tmp, this.path);
+    }
+
+    _entry(keyRef) {
+        const [backend, id] = keyRef.split(':');
+        const entry = backend === this.backend ? this.data.keys[id] : null;
+        if (!entry) {
+            throw new Error(`Unknown key: ${keyRef}`);
+        }
+        return entry;
+    }
+
+    _unwrapDataKey(keyRef, entry) {
+        const masterKey = this.masterKeys.get(entry.masterKeyId);
+        if (!masterKey) {
+            throw new Error(`Key ${keyRef} is wrapped under an unavailable master key (${entry.masterKeyId})`);
+        }
+        return open(masterKey, entry.wrappedDataKey, keyRef);
+    }
+
+    _publicKey(privateKey) {
+        const pub = this.eddsa.prv2pub(privateKey);
+        return { x: this.eddsa.F.toObject(pub[0]), y: this.eddsa.F.toObject(pub[1]) };
+    }
+
+    /**
+     * Store an existing private key
+     * @returns { keyRef, publicKey }
+     */
+    async importKey(privateKey) {
+        const keyRef = `${this.backend}:${randomBytes(16).toString('hex')}`;
+        const dataKey = randomBytes(32);
+        const publicKey = this._publicKey(privateKey);
+
+        this.data.keys[keyRef.split(':')[1]] = {
+            publicKey: { x: publicKey.x.toString(), y: publicKey.y.toString() },
+            masterKeyId: this.currentKeyId,
+            wrappedDataKey: seal(this.masterKeys.get(this.currentKeyId), dataKey, keyRef),
+            encryptedKey: seal(dataKey, privateKey, keyRef),
+            createdAt: new Date().toISOString(),
+        };
+        dataKey.fill(0);
+        this._save();
+
+        return { keyRef, publicKey };
+    }
+
+    /**
+     * Generate and store a new private key
+     * @returns { keyRef, publicKey }
+     */
+    async createKey() {
+        const privateKey = randomBytes(32);
+        try {
+            return await this.importKey(privateKey);
+        } finally {
+            privateKey.fill(0);
+        }
+    }
+
+    async getSigner(keyRef) {
+        const entry = this._entry(keyRef);
+        const publicKey = { x: BigInt(entry.publicKey.x), y: BigInt(entry.publicKey.y) };
+
+        return new Signer(publicKey, async (message) => {
+            // Decrypt per signature so the key is only in memory while signing
+            const dataKey = this._unwrapDataKey(keyRef, entry);
+            const privateKey = open(dataKey, entry.encryptedKey, keyRef);
+            try {
+                const sig = this.eddsa.signPoseidon(privateKey, this.eddsa.F.e(message));
+                return {
+                    R8x: this.eddsa.F.toObject(sig.R8[0]),
+                    R8y: this.eddsa.F.toObject(sig.R8[1]),
+                    S: sig.S,
+                };
+            } finally {
+                dataKey.fill(0);
+                privateKey.fill(0);
+            }
+        });
+    }
+
+    async deleteKey(keyRef) {
+        this._entry(keyRef);
+        delete this.data.keys[keyRef.split(':')[1]];
+        this._save();
+    }
+
+    /**
+     * Rewrap every data key under a master key
+     *
+     * @param newMasterKey - Becomes the current key; omit to rewrap keys still
+     *   under a previous master key onto the current one
+     * @returns { rotated, masterKeyId }
+     */
+    async rotateMasterKey(newMasterKey = null) {
+        if (newMasterKey) {
+            this.masterKeys.set(masterKeyId(newMasterKey), newMasterKey);
+        }
+        const targetId = newMasterKey ? masterKeyId(newMasterKey) : this.currentKeyId;
+        const target = this.masterKeys.get(targetId);
+
+        // Unwrap everything first so a missing master key aborts before any write
+        const rewrapped = {};
+        for (const [id, entry] of Object.entries(this.data.keys)) {
+            if (entry.masterKeyId === targetId) continue;
+            const keyRef = `${this.backend}:${id}`;
+            const dataKey = this._unwrapDataKey(keyRef, entry);
+            rewrapped[id] = { ...entry, masterKeyId: targetId, wrappedDataKey: seal(target, dataKey, keyRef) };
+            dataKey.fill(0);
+        }
+
+        Object.assign(this.data.keys, rewrapped);
+        this._save();
+        this.currentKeyId = targetId;
+
+        return { rotated: Object.keys(rewrapped).length, masterKeyId: targetId };
+    }
+}
+
+// ============================================================================
+// PKCS#11 / HSM ADAPTER
+// ============================================================================
+
+// BabyJubJub EdDSA over Poseidon is not a standard PKCS#11 mechanism
+const EDDSA_POSEIDON_MECHANISM = 'CKM_VENDOR_BABYJUB_EDDSA_POSEIDON';
+
+/**
+ * Keys held by an HSM
+ *
+ * `session` mirrors the PKCS#11 calls this adapter needs:
+ *   generateKeyPair({ mechanism, label })            -> { handle, publicKey: { x, y } }  (C_GenerateKeyPair)
+ *   importKey({ mechanism, label, privateKey })      -> { handle, publicKey: { x, y } }  (C_UnwrapKey)
+ *   getPublicKey(handle)                             -> { x, y }                         (C_GetAttributeValue)
+ *   sign({ mechanism, handle, data })                -> { R8x, R8y, S }                  (C_SignInit + C_Sign)
+ *   destroyObject(handle)                                                                (C_DestroyObject)
+ *
+ * The master key never leaves the HSM, so rotation is managed there.
+ */
+class Pkcs11KeyStore {
+    constructor({ session, labelPrefix = 'eid-attester' }) {
+        this.backend = 'pkcs11';
+        this.session = session;
+        this.labelPrefix = labelPrefix;
+    }
+
+    _handle(keyRef) {
+        const [backend, handle] = keyRef.split(':');
+        if (backend !== this.backend || !handle) {
+            throw new Error(`Unknown key: ${keyRef}`);
+        }
+        return handle;
+    }
+
+    _result({ handle, publicKey }) {
+        return {
+            keyRef: `${this.backend}:${handle}`,
+            publicKey: { x: BigInt(publicKey.x), y: BigInt(publicKey.y) },
+        };
+    }
+
+    _label() {
+        return `${this.labelPrefix}-${randomBytes(8).toString('hex')}`;
+    }
+
+    async createKey() {
+        return this._result(await this.session.generateKeyPair({
+            mechanism: EDDSA_POSEIDON_MECHANISM,
+            label: this._label(),
+        }));
+    }
+
+    async importKey(privateKey) {
+        return this._result(await this.session.importKey({
+            mechanism: EDDSA_POSEIDON_MECHANISM,
+            label: this._label(),
+            privateKey,
+        }));
+    }
+
+    async getSigner(keyRef) {
+        const handle = this._handle(keyRef);
+        const pub = await this.session.getPublicKey(handle);
+
+        return new Signer({ x: BigInt(pub.x), y: BigInt(pub.y) }, async (message) => {
+            const sig = await this.session.sign({
+                mechanism: EDDSA_POSEIDON_MECHANISM,
+                handle,
+                data: message.toString(),
+            });
+            return { R8x: BigInt(sig.R8x), R8y: BigInt(sig.R8y), S: BigInt(sig.S) };
+        });
+    }
+
+    async deleteKey(keyRef) {
+        await this.session.destroyObject(this._handle(keyRef));
+    }
+
+    async rotateMasterKey() {
+        throw new Error('Master key rotation for the pkcs11 backend is managed by the HSM');
+    }
+}
+
+// ============================================================================
+// FACTORY
+// ============================================================================
+
+/**
+ * Create the configured keystore backend
+ *
+ * @param config.backend - 'local' (default) or 'pkcs11'
+ * @param config.path - LocalKeyStore file
+ * @param config.pkcs11Module - Module whose default export `openSession(config)` returns a session
+ * @param deps.eddsa - circomlibjs EdDSA instance
+ * @param deps.session - PKCS#11 session (skips loading pkcs11Module)
+ */
+async function createKeyStore(config, { eddsa, session } = {}) {
+    if (config.backend === 'pkcs11') {
+        if (!session) {
+            if (!config.pkcs11Module) {
+                throw new Error('KEYSTORE_PKCS11_MODULE is required for the pkcs11 backend');
+            }
+            const { default: openSession } = await import(pathToFileURL(resolve(config.pkcs11Module)).href);
+            session = await openSession(config);
+        }
+        return new Pkcs11KeyStore({ session });
+    }
+
+    if (config.backend && config.backend !== 'local') {
+        throw new Error(`Unknown keystore backend: ${config.backend}`);
+    }
+
+    const { current, previous } = loadMasterKeys(config);
+    return new LocalKeyStore({ path: config.path, masterKey: current, previousMasterKeys: previous, eddsa });
+}
+
+export {
+    EDDSA_POSEIDON_MECHANISM,
+    parseMasterKey,
+    loadMasterKeys,
+    masterKeyId,
+    Signer,
+    LocalKeyStore,
+    Pkcs11KeyStore,
+    createKeyStore,
+};
@@ -11,10 +11,55 @@ import { buildPoseidon } from 'circomlibjs';
 import { buildEddsa } from 'circomlibjs';
 import * as snarkjs from 'snarkjs';
 import { readFileSync, existsSync, mkdirSync } from 'fs';
-import { dirname } from 'path';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
 import { randomBytes, createHash } from 'crypto';
 import https from 'https';
 import http from 'http';
+import {
+    MerkleTree,
+    Entity,
+    AttesterLeafFormat,
+    RevocationRegistry,
+    attestationHash,
+    attestationMessage,
+    challengeMessageHash,
+    checkProofTime,
+    circuitVersion as signalsVersion,
+    createChallenge,
+    deriveContextId,
+    disclosedTypes,
+    parsePublicSignals,
+    rateLimitEpoch,
+} from '../src/entity-identity.js';
+import { createKeyStore, loadMasterKeys } from './keystore.js';
+import {
+    POLICY_DOCUMENT_VERSION,
+    compilePolicyDocument,
+    parsePolicyDocument,
+    policySubset,
+    validatePolicyDocument,
+} from '../src/policies.js';
+import {
+    DUAL_PUBLIC_SIGNALS,
+    PUBLIC_TRUST_DEPTH,
+    PublicAttestation,
+    PublicTrustRegistry,
+    verifyDualProof,
+} from '../src/dual-system.js';
+import {
+    Categories,
+    EntityTypeList,
+    TypeStatus,
+    typeByCode,
+    typeByPhonetic,
+    typeByName,
+    matchesTypePattern,
+    isValidTypePattern,
+    typeScopeCode,
+    defineEntityType,
+    registerEntityType,
+} from '../src/entity-types.js';
 
 // ============================================================================
 // HELPERS
@@ -27,6 +72,14 @@ function findFile(paths) {
     return null;
 }
 
+/**
+ * A request's context as an object; a bare string is the verifier domain,
+ * as with `eid prove --context`
+ */
+function requestContext(context) {
+    return typeof context === 'string' ? { domain: context } : context;
+}
+
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
@@ -36,9 +89,90 @@ const config = {
     httpsPort: process.env.HTTPS_PORT || 3443,
     adminApiKey: process.env.ADMIN_API_KEY || 'dev-admin-key-change-me',
     dbPath: process.env.DB_PATH || './data/ei.db',
+    setupDir: process.env.SETUP_DIR || null, // Searched for verification keys before ./setup
     assetsBaseUrl: process.env.ASSETS_URL || null, // Auto-detect if not set
     merkleDepth: 20,
 
+    // POST /prove receives the entity secret, so it is deprecated in favour
+    // of /attest + client-side proving. Set SERVER_PROVING=false to disable it.
+    serverProving: process.env.SERVER_PROVING !== 'false',
+
+    // dual_identity_proof proves a version 1 attestation: no expiry and no
+    // revocation proof. Dual proofs (POST /verify/dual, level 2 policy
+    // packages) are only accepted with LEGACY_DUAL_PROOFS=true.
+    legacyDualProofs: process.env.LEGACY_DUAL_PROOFS === 'true',
+
+    // Which historical registry roots POST /verify still accepts.
+    // A superseded root is accepted while it is among the last `maxVersions`
+    // versions AND was superseded less than `maxAgeSeconds` ago. Revoking an
+    // attester invalidates every root recorded since it joined, whatever
+    // their age.
+    rootHistory: {
+        maxVersions: parseInt(process.env.ROOT_HISTORY_VERSIONS || '10', 10),
+        maxAgeSeconds: parseInt(process.env.ROOT_HISTORY_MAX_AGE || '86400', 10),
+    },
+
+    // Which revocation registry roots POST /verify accepts from version 3
+    // proofs. Every revocation supersedes the root, and an older root hides
+    // that revocation, so the window is short: it only lets proofs that were
+    // in flight during a revocation through.
+    revocationRootHistory: {
+        maxVersions: parseInt(process.env.REVOCATION_ROOT_VERSIONS || '2', 10),
+        maxAgeSeconds: parseInt(process.env.REVOCATION_ROOT_MAX_AGE || '300', 10),
+    },
+
+    // Which public trust roots POST /policies/:name/evaluate accepts. An
+    // older root mostly just misses newer attestations, but it still holds
+    // those of attesters revoked since, which dual proofs against it count
+    // until it ages out. Every public attestation supersedes the root, hence
+    // the long version window.
+    publicRootHistory: {
+        maxVersions: parseInt(process.env.PUBLIC_ROOT_VERSIONS || '1000', 10),
+        maxAgeSeconds: parseInt(process.env.PUBLIC_ROOT_MAX_AGE || '86400', 10),
+    },
+
+    // Attestation validity windows (Unix seconds). /attest signs
+    // Poseidon(commitment, type, issuedAt, expiresAt) for circuit version 2;
+    // unbounded version 1 attestations are only issued while allowLegacy is on.
+    // /verify rejects attestations issued more than maxAgeSeconds before the
+    // proof (0 = no default policy) and proofs whose currentTime is more than
+    // maxClockSkewSeconds off the server clock.
+    attestation: {
+        ttlSeconds: parseInt(process.env.ATTESTATION_TTL || '31536000', 10),
+        allowLegacy: process.env.ATTESTATION_ALLOW_LEGACY !== 'false',
+        maxAgeSeconds: parseInt(process.env.ATTESTATION_MAX_AGE || '0', 10),
+        maxClockSkewSeconds: parseInt(process.env.PROOF_CLOCK_SKEW || '300', 10),
+        // Key-only attester roots let any approved key sign any type. Once
+        // clients prove with circuit version 5, set REQUIRE_TYPE_SCOPED=true
+        // to accept only proofs against type-scoped roots.
+        requireTypeScoped: process.env.REQUIRE_TYPE_SCOPED === 'true',
+    },
+
+    // Verifier nonces for challenge-bound (version 7) proofs. POST /challenges
+    // issues them for ttlSeconds by default, at most maxTtlSeconds.
+    challenges: {
+        ttlSeconds: parseInt(process.env.CHALLENGE_TTL || '300', 10),
+        maxTtlSeconds: parseInt(process.env.CHALLENGE_MAX_TTL || '3600', 10),
+    },
+
+    // JSON or YAML policy document; its policies are stored (and replace
+    // stored ones of the same name) at startup. Others are managed through
+    // PUT /api/v1/admin/policies/:name.
+    policyFile: process.env.POLICY_FILE || null,
+
+    // Attester key custody. The local backend keeps envelope-encrypted keys
+    // next to the database; ATTESTER_MASTER_KEY_PREVIOUS lists old master keys
+    // that are still accepted until POST /admin/keystore/rotate rewraps them.
+    keystore: {
+        backend: process.env.KEYSTORE_BACKEND || 'local',
+        path: process.env.KEYSTORE_PATH || join(dirname(process.env.DB_PATH || './data/ei.db'), 'attester-keys.json'),
+        masterKey: process.env.ATTESTER_MASTER_KEY || null,
+        masterKeyFile: process.env.ATTESTER_MASTER_KEY_FILE || null,
+        previousMasterKeys: process.env.ATTESTER_MASTER_KEY_PREVIOUS || null,
+        pkcs11Module: process.env.KEYSTORE_PKCS11_MODULE || null,
+        allowDevKey: !(process.env.NODE_ENV === 'production' || process.env.RAILWAY_ENVIRONMENT),
+    },
+
     // HTTPS configuration
     https: {
         enabled: process.env.HTTPS_ENABLED === 'true',
@@ -70,7 +204,7 @@ function initDatabase(dbPath) {
             name TEXT NOT NULL,
             public_key_x TEXT NOT NULL,
             public_key_y TEXT NOT NULL,
-            private_key_encrypted TEXT,
+            private_key_encrypted TEXT,  -- legacy raw key, moved to the keystore at startup
             merkle_index INTEGER,
             allowed_types TEXT NOT NULL,
             api_key_hash TEXT NOT NULL,
@@ -78,11 +212,33 @@ function initDatabase(dbPath) {
             revoked_at TEXT
         );
 
+        CREATE TABLE IF NOT EXISTS verifiers (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            domain TEXT NOT NULL,
+            api_key_hash TEXT NOT NULL,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            revoked_at TEXT
+        );
+
         CREATE TABLE IF NOT EXISTS nullifiers (
-            nullifier TEXT PRIMARY KEY,
+            nullifier TEXT NOT NULL,
             context_id TEXT NOT NULL,
-            domain TEXT,
-            recorded_at TEXT DEFAULT CURRENT_TIMESTAMP
+            domain TEXT NOT NULL DEFAULT '',
+            verifier_id TEXT,
+            recorded_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            epoch INTEGER,
+            prune_after INTEGER,
+            PRIMARY KEY (domain, nullifier)
+        );
+
+        CREATE TABLE IF NOT EXISTS challenges (
+            nonce TEXT PRIMARY KEY,
+            verifier_id TEXT NOT NULL,
+            domain TEXT NOT NULL,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            expires_at INTEGER NOT NULL,
+            consumed_at INTEGER
         );
 
         CREATE TABLE IF NOT EXISTS registry_state (
@@ -91,6 +247,34 @@ function initDatabase(dbPath) {
             updated_at TEXT DEFAULT CURRENT_TIMESTAMP
         );
 
+        CREATE TABLE IF NOT EXISTS registry_roots (
+            version INTEGER PRIMARY KEY AUTOINCREMENT,
+            root TEXT NOT NULL,
+            reason TEXT NOT NULL,
+            attester_id TEXT,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            invalidated_at TEXT
+        );
+
+        -- Type-scoped attester tree (leaf format 2): one leaf per allowed-type
+        -- pattern, Poseidon(pubKeyX, pubKeyY, type_scope)
+        CREATE TABLE IF NOT EXISTS attester_scopes (
+            merkle_index INTEGER PRIMARY KEY,
+            attester_id TEXT NOT NULL,
+            pattern TEXT NOT NULL,
+            type_scope INTEGER NOT NULL,
+            FOREIGN KEY (attester_id) REFERENCES attesters(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS scoped_registry_roots (
+            version INTEGER PRIMARY KEY AUTOINCREMENT,
+            root TEXT NOT NULL,
+            reason TEXT NOT NULL,
+            attester_id TEXT,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            invalidated_at TEXT
+        );
+
         CREATE TABLE IF NOT EXISTS attestations (
             id INTEGER PRIMARY KEY AUTOINCREMENT,
             entity_commitment TEXT NOT NULL,
@@ -104,6 +288,71 @@ function initDatabase(dbPath) {
             FOREIGN KEY (attester_id) REFERENCES attesters(id)
         );
 
+        CREATE TABLE IF NOT EXISTS revocation_roots (
+            version INTEGER PRIMARY KEY AUTOINCREMENT,
+            root TEXT NOT NULL,
+            reason TEXT NOT NULL,
+            attestation_id INTEGER,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS public_attestations (
+            id INTEGER PRIMARY KEY,
+            entity_commitment TEXT NOT NULL,
+            entity_type TEXT NOT NULL,
+            type_code INTEGER NOT NULL,
+            attester_id TEXT NOT NULL,
+            attester_pub_key_hash TEXT NOT NULL,
+            timestamp INTEGER NOT NULL,  -- milliseconds, signed by the attester
+            signature_r8_x TEXT NOT NULL,
+            signature_r8_y TEXT NOT NULL,
+            signature_s TEXT NOT NULL,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (attester_id) REFERENCES attesters(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS public_roots (
+            version INTEGER PRIMARY KEY AUTOINCREMENT,
+            root TEXT NOT NULL,
+            reason TEXT NOT NULL,
+            attestation_id INTEGER,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS policies (
+            name TEXT PRIMARY KEY,
+            rule TEXT NOT NULL,
+            source TEXT NOT NULL DEFAULT 'api',
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- A policy document's actions section: action -> rule or policy name
+        CREATE TABLE IF NOT EXISTS policy_actions (
+            action TEXT PRIMARY KEY,
+            rule TEXT NOT NULL,
+            source TEXT NOT NULL DEFAULT 'file',
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS entity_types (
+            name TEXT PRIMARY KEY,
+            code INTEGER NOT NULL UNIQUE,
+            phonetic TEXT NOT NULL UNIQUE,
+            description TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'proposed',
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS entity_type_versions (
+            version INTEGER PRIMARY KEY AUTOINCREMENT,
+            type_name TEXT NOT NULL,
+            action TEXT NOT NULL,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+
         CREATE TABLE IF NOT EXISTS audit_log (
             id INTEGER PRIMARY KEY AUTOINCREMENT,
             action TEXT NOT NULL,
@@ -113,96 +362,119 @@ function initDatabase(dbPath) {
         );
     `);
 
-    return db;
-}
-
-// ============================================================================
-// ENTITY TYPES
-// ============================================================================
-
-const EntityTypes = {
-    'AI.CA': { code: 0x0101, name: 'Conversational Agent', phonetic: 'Kah' },
-    'AI.PO': { code: 0x0102, name: 'Program Orchestrator', phonetic: 'Poe' },
-    'AI.WS': { code: 0x0103, name: 'Web Site', phonetic: 'Wiz' },
-    'AI.OS': { code: 0x0104, name: 'Operating System', phonetic: 'Aus' },
-    'AI.GN': { code: 0x0105, name: 'Generative Model', phonetic: 'Jen' },
-    'AI.AA': { code: 0x0106, name: 'Autonomous Agent', phonetic: 'Ahh' },
-    'AI.LM': { code: 0x0107, name: 'Language Model', phonetic: 'Elm' },
-    'AI.DB': { code: 0x0108, name: 'Data Broker', phonetic: 'Deb' },
-    'AI.JG': { code: 0x0109, name: 'Judge/Evaluator', phonetic: 'Jig' },
-    'AI.SY': { code: 0x010A, name: 'Synthetic Media Generator', phonetic: 'Sigh' },
-    'AR.RB': { code: 0x0201, name: 'Robot Bot', phonetic: 'Rob' },
-    'AR.DR': { code: 0x0202, name: 'Drone', phonetic: 'Dar' },
-    'AR.VH': { code: 0x0203, name: 'Vehicle', phonetic: 'Vee' },
-    'HU.US': { code: 0x0301, name: 'Human User', phonetic: 'Who' },
-    'HY.CP': { code: 0x0401, name: 'Copilot', phonetic: 'Kip' },
-    'HY.HS': { code: 0x0402, name: 'Hive Swarm', phonetic: 'His' },
-};
+    // Attester keys live in the keystore; rows only keep a reference
+    const attesterColumns = db.prepare('PRAGMA table_info(attesters)').all().map(c => c.name);
+    if (!attesterColumns.includes('key_ref')) {
+        db.exec('ALTER TABLE attesters ADD COLUMN key_ref TEXT');
+    }
 
-// ============================================================================
-// MERKLE TREE
-// ============================================================================
+    // Root history rows can be invalidated; older databases predate the column
+    const rootColumns = db.prepare('PRAGMA table_info(registry_roots)').all().map(c => c.name);
+    if (!rootColumns.includes('invalidated_at')) {
+        db.exec('ALTER TABLE registry_roots ADD COLUMN invalidated_at TEXT');
+    }
 
-class MerkleTree {
-    constructor(depth, hash) {
-        this.depth = depth;
-        this.hash = hash;
-        this.leaves = [];
-        this.layers = [];
-        this.zeros = [BigInt(0)];
-        for (let i = 1; i <= depth; i++) {
-            this.zeros[i] = this.hash([this.zeros[i-1], this.zeros[i-1]]);
-        }
+    // Nullifiers used to be unique across all verifiers; they are now scoped
+    // by verifier domain, which needs a new primary key
+    const nullifierKey = db.prepare('PRAGMA table_info(nullifiers)').all().filter(c => c.pk > 0);
+    if (nullifierKey.length === 1) {
+        db.transaction(() => {
+            db.exec(`
+                ALTER TABLE nullifiers RENAME TO nullifiers_unscoped;
+                CREATE TABLE nullifiers (
+                    nullifier TEXT NOT NULL,
+                    context_id TEXT NOT NULL,
+                    domain TEXT NOT NULL DEFAULT '',
+                    verifier_id TEXT,
+                    recorded_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (domain, nullifier)
+                );
+                INSERT OR IGNORE INTO nullifiers (nullifier, context_id, domain, recorded_at)
+                    SELECT nullifier, context_id, COALESCE(domain, ''), recorded_at FROM nullifiers_unscoped;
+                DROP TABLE nullifiers_unscoped;
+            `);
+        })();
     }
 
-    addLeaf(leaf) {
-        const index = this.leaves.length;
-        this.leaves.push(BigInt(leaf));
-        this._rebuild();
-        return index;
+    // Rate-limited (version 4) nullifiers belong to an epoch and can be
+    // dropped once no proof for that epoch passes the clock check
+    const nullifierColumns = db.prepare('PRAGMA table_info(nullifiers)').all().map(c => c.name);
+    if (!nullifierColumns.includes('epoch')) {
+        db.exec('ALTER TABLE nullifiers ADD COLUMN epoch INTEGER');
+        db.exec('ALTER TABLE nullifiers ADD COLUMN prune_after INTEGER');
+    }
+    db.exec('CREATE INDEX IF NOT EXISTS nullifiers_prune_after ON nullifiers (prune_after)');
+    db.exec('CREATE INDEX IF NOT EXISTS challenges_expires_at ON challenges (expires_at)');
+
+    // Validity window of expiring (version 2) attestations
+    const attestationColumns = db.prepare('PRAGMA table_info(attestations)').all().map(c => c.name);
+    if (!attestationColumns.includes('issued_at')) {
+        db.exec('ALTER TABLE attestations ADD COLUMN issued_at INTEGER');
+        db.exec('ALTER TABLE attestations ADD COLUMN expires_at INTEGER');
     }
 
-    getRoot() {
-        if (this.layers.length === 0) return this.zeros[this.depth];
-        return this.layers[this.layers.length - 1][0];
+    // Per-attestation revocation
+    if (!attestationColumns.includes('attestation_hash')) {
+        db.exec('ALTER TABLE attestations ADD COLUMN attestation_hash TEXT');
+        db.exec('ALTER TABLE attestations ADD COLUMN revoked_at TEXT');
+        db.exec('ALTER TABLE attestations ADD COLUMN revoked_by TEXT');
+        db.exec('ALTER TABLE attestations ADD COLUMN revocation_reason TEXT');
     }
+    db.exec('CREATE INDEX IF NOT EXISTS attestations_commitment ON attestations (entity_commitment, entity_type)');
+    db.exec('CREATE INDEX IF NOT EXISTS public_attestations_commitment ON public_attestations (entity_commitment)');
 
-    getProof(index) {
-        const pathElements = [];
-        const pathIndices = [];
-        let currentIndex = index;
+    return db;
+}
 
-        for (let level = 0; level < this.depth; level++) {
-            const isRight = currentIndex % 2 === 1;
-            const siblingIndex = isRight ? currentIndex - 1 : currentIndex + 1;
-            pathIndices.push(isRight ? 1 : 0);
+// ============================================================================
+// ROOT HISTORY
+// ============================================================================
 
-            if (level < this.layers.length && siblingIndex < this.layers[level].length) {
-                pathElements.push(this.layers[level][siblingIndex]);
-            } else {
-                pathElements.push(this.zeros[level]);
-            }
-            currentIndex = Math.floor(currentIndex / 2);
-        }
-        return { pathElements, pathIndices };
+/**
+ * SQLite CURRENT_TIMESTAMP is UTC without a zone marker
+ */
+function parseDbTimestamp(ts) {
+    return ts ? new Date(ts.replace(' ', 'T') + 'Z') : null;
+}
+
+/**
+ * Decide whether a recorded registry root is still acceptable
+ *
+ * @param row - registry_roots row, plus `superseded_at` (null if current)
+ * @param latestVersion - Highest recorded version
+ * @param policy - { maxVersions, maxAgeSeconds }
+ * @param now - Date to evaluate against
+ */
+function evaluateRoot(row, latestVersion, policy, now = new Date()) {
+    if (!row) {
+        return { status: 'unknown' };
     }
 
-    _rebuild() {
-        this.layers = [this.leaves.slice()];
-        let currentLayer = this.layers[0];
+    const current = row.version === latestVersion;
+    const supersededAt = parseDbTimestamp(row.superseded_at);
+    const expiresAt = supersededAt
+        ? new Date(supersededAt.getTime() + policy.maxAgeSeconds * 1000)
+        : null;
 
-        for (let level = 0; level < this.depth; level++) {
-            const nextLayer = [];
-            for (let i = 0; i < currentLayer.length; i += 2) {
-                const left = currentLayer[i];
-                const right = i + 1 < currentLayer.length ? currentLayer[i + 1] : this.zeros[level];
-                nextLayer.push(this.hash([left, right]));
-            }
-            if (nextLayer.length === 0) nextLayer.push(this.zeros[level + 1]);
-            this.layers.push(nextLayer);
-            currentLayer = nextLayer;
+    const result = {
+        version: row.version,
+        current,
+        expiresAt: expiresAt ? expiresAt.toISOString() : null,
+    };
+
+    // Invalidated roots are never accepted
+    if (row.invalidated_at) {
+        return { ...result, status: 'revoked' };
+    }
+
+    if (!current) {
+        const versionsBehind = latestVersion - row.version;
+        if (versionsBehind >= policy.maxVersions || now > expiresAt) {
+            return { ...result, status: 'expired' };
         }
     }
+
+    return { ...result, status: 'accepted' };
 }
 
 // ============================================================================
@@ -222,44 +494,479 @@ async function createServer() {
     // Initialize database
     const db = initDatabase(config.dbPath);
 
+    // Initialize attester keystore
+    const keystore = await createKeyStore(config.keystore, { eddsa });
+
+    // Move any raw keys left by older versions into the keystore
+    const legacyKeys = db.prepare(
+        'SELECT id, private_key_encrypted, revoked_at FROM attesters WHERE key_ref IS NULL AND private_key_encrypted IS NOT NULL'
+    ).all();
+    for (const a of legacyKeys) {
+        const keyRef = a.revoked_at
+            ? null
+            : (await keystore.importKey(Buffer.from(a.private_key_encrypted.padStart(64, '0'), 'hex'))).keyRef;
+        db.prepare('UPDATE attesters SET key_ref = ?, private_key_encrypted = NULL WHERE id = ?').run(keyRef, a.id);
+    }
+    if (legacyKeys.length > 0) {
+        console.log(`Moved ${legacyKeys.length} attester keys into the ${keystore.backend} keystore`);
+    }
+
+    // Register custom entity types (proposed types stay out of the SDK
+    // registry until an admin activates them). Scoped attester leaves below
+    // may name them.
+    const customTypes = db.prepare("SELECT * FROM entity_types WHERE status != 'proposed' ORDER BY code").all();
+    for (const t of customTypes) {
+        registerEntityType({
+            name: t.name,
+            code: t.code,
+            phonetic: t.phonetic,
+            description: t.description,
+            status: t.status,
+        });
+    }
+
     // Initialize merkle tree from database
+    // Revoked attesters keep their slot as a zero leaf, so every active
+    // attester's index (and Merkle path) survives a restart unchanged.
+    // Revoked slots are replayed first so an active attester always wins a
+    // slot that was shared under the old re-indexing scheme.
     const attesterTree = new MerkleTree(config.merkleDepth, hash);
-    const attesters = db.prepare('SELECT * FROM attesters WHERE revoked_at IS NULL ORDER BY merkle_index').all();
-    for (const a of attesters) {
-        const leaf = hash([BigInt(a.public_key_x), BigInt(a.public_key_y)]);
-        attesterTree.addLeaf(leaf);
-    }
-
-    // Update registry root
-    const currentRoot = attesterTree.getRoot().toString();
-    db.prepare('INSERT OR REPLACE INTO registry_state (id, root, updated_at) VALUES (1, ?, CURRENT_TIMESTAMP)')
-      .run(currentRoot);
-
-    // Load verification key
-    let verificationKey;
-    const vkeyPaths = [
-        './setup/verification_key.json',      // From project root (production)
-        '../setup/verification_key.json',     // From api/ directory (development)
-        '/app/setup/verification_key.json',   // Absolute path in Docker
-    ];
-
-    for (const vkeyPath of vkeyPaths) {
+    const allAttesters = db.prepare('SELECT * FROM attesters ORDER BY revoked_at IS NULL, merkle_index').all();
+    for (const a of allAttesters) {
+        if (a.revoked_at) {
+            attesterTree.removeLeaf(a.merkle_index);
+        } else {
+            attesterTree.updateLeaf(a.merkle_index, hash([BigInt(a.public_key_x), BigInt(a.public_key_y)]));
+        }
+    }
+
+    // The type-scoped tree (leaf format 2) is kept side by side with the
+    // key-only tree while clients move to circuit version 5. Each attester
+    // has a leaf per allowed-type pattern; revoked attesters' leaves are zero.
+    const scopedAttesterTree = new MerkleTree(config.merkleDepth, hash);
+    const attesterTrees = {
+        [AttesterLeafFormat.KEY_ONLY]: attesterTree,
+        [AttesterLeafFormat.TYPE_SCOPED]: scopedAttesterTree,
+    };
+    const rootTables = {
+        [AttesterLeafFormat.KEY_ONLY]: 'registry_roots',
+        [AttesterLeafFormat.TYPE_SCOPED]: 'scoped_registry_roots',
+    };
+
+    /**
+     * Leaf for one attester_scopes row
+     */
+    function scopedLeaf(attester, typeScope) {
+        return hash([BigInt(attester.public_key_x), BigInt(attester.public_key_y), BigInt(typeScope)]);
+    }
+
+    /**
+     * Run fn as a database transaction that changes in-memory trees
+     * fn sets leaves through setLeaf(tree, index, value) and registers other
+     * in-memory changes' undo functions with onUndo(restore); if the
+     * transaction throws, all of them are undone, newest first, so memory
+     * matches the database again.
+     */
+    function registryTransaction(fn) {
+        const undo = [];
+        const onUndo = (restore) => undo.push(restore);
+        const setLeaf = (tree, index, value) => {
+            const previous = tree.getLeaf(index);
+            const { nextIndex } = tree;
+            onUndo(() => {
+                tree.updateLeaf(index, previous);
+                tree.nextIndex = nextIndex;
+            });
+            return tree.updateLeaf(index, value);
+        };
         try {
-            if (existsSync(vkeyPath)) {
-                verificationKey = JSON.parse(readFileSync(vkeyPath, 'utf-8'));
-                console.log(`Loaded verification key from: ${vkeyPath}`);
-                break;
-            }
+            return db.transaction(() => fn(setLeaf, onUndo))();
         } catch (e) {
-            // Try next path
+            for (const restore of undo.reverse()) {
+                restore();
+            }
+            throw e;
+        }
+    }
+
+    /**
+     * Append an attester's type-scoped leaves and store their indices
+     * Call inside the registryTransaction that stores or migrates the attester.
+     */
+    function addScopedLeaves(attester, allowedTypes, setLeaf) {
+        for (const pattern of new Set(allowedTypes)) {
+            const typeScope = typeScopeCode(pattern);
+            const index = setLeaf(scopedAttesterTree, scopedAttesterTree.nextIndex, scopedLeaf(attester, typeScope));
+            db.prepare('INSERT INTO attester_scopes (merkle_index, attester_id, pattern, type_scope) VALUES (?, ?, ?, ?)')
+              .run(index, attester.id, pattern, typeScope);
+        }
+    }
+
+    const scopeRows = db.prepare(`
+        SELECT s.*, a.public_key_x, a.public_key_y, a.revoked_at FROM attester_scopes s
+        JOIN attesters a ON a.id = s.attester_id ORDER BY s.merkle_index
+    `).all();
+    for (const row of scopeRows) {
+        if (row.revoked_at) {
+            scopedAttesterTree.removeLeaf(row.merkle_index);
+        } else {
+            scopedAttesterTree.updateLeaf(row.merkle_index, scopedLeaf(row, row.type_scope));
+        }
+    }
+
+    // Attesters registered before type-scoped leaves existed
+    const unscoped = allAttesters.filter(a => !a.revoked_at && !scopeRows.some(r => r.attester_id === a.id));
+    registryTransaction((setLeaf) => {
+        for (const a of unscoped) {
+            addScopedLeaves(a, JSON.parse(a.allowed_types), setLeaf);
+        }
+    });
+    if (unscoped.length > 0) {
+        console.log(`Added type-scoped registry leaves for ${unscoped.length} attesters`);
+    }
+
+    /**
+     * Record the current tree root as a new registry version
+     * Must be called for both leaf formats whenever the attesters change.
+     *
+     * @param format - AttesterLeafFormat of the tree (default KEY_ONLY)
+     */
+    function recordRoot(reason, attesterId = null, format = AttesterLeafFormat.KEY_ONLY) {
+        const root = attesterTrees[format].getRoot().toString();
+        const { lastInsertRowid } = db.prepare(`INSERT INTO ${rootTables[format]} (root, reason, attester_id) VALUES (?, ?, ?)`)
+          .run(root, reason, attesterId);
+        if (format === AttesterLeafFormat.KEY_ONLY) {
+            db.prepare('INSERT OR REPLACE INTO registry_state (id, root, updated_at) VALUES (1, ?, CURRENT_TIMESTAMP)')
+              .run(root);
+        }
+        return { root, version: Number(lastInsertRowid) };
+    }
+
+    /**
+     * Record new roots for both leaf formats
+     * @returns The key-only { root, version } plus `scoped` for format 2
+     */
+    function recordRoots(reason, attesterId = null) {
+        return {
+            ...recordRoot(reason, attesterId),
+            scoped: recordRoot(reason, attesterId, AttesterLeafFormat.TYPE_SCOPED),
+        };
+    }
+
+    /**
+     * Look up a root in the history and apply the acceptance policy
+     *
+     * @param format - AttesterLeafFormat the proof was made against
+     */
+    function checkRoot(root, format = AttesterLeafFormat.KEY_ONLY) {
+        const table = rootTables[format];
+        const latest = db.prepare(`SELECT MAX(version) AS version FROM ${table}`).get();
+        const row = db.prepare(`
+            SELECT r.*, (
+                SELECT n.created_at FROM ${table} n
+                WHERE n.version > r.version ORDER BY n.version LIMIT 1
+            ) AS superseded_at
+            FROM ${table} r WHERE r.root = ? ORDER BY r.version DESC LIMIT 1
+        `).get(root);
+        return evaluateRoot(row, latest.version, config.rootHistory);
+    }
+
+    // Record a version if the rebuilt root differs from the last one stored
+    for (const format of Object.values(AttesterLeafFormat)) {
+        const currentRoot = attesterTrees[format].getRoot().toString();
+        const latestRoot = db.prepare(`SELECT root FROM ${rootTables[format]} ORDER BY version DESC LIMIT 1`).get();
+        if (latestRoot?.root !== currentRoot) {
+            recordRoot('rebuild', null, format);
+        }
+    }
+
+    /**
+     * Stored policies and actions as one policy document
+     *
+     * @param changes - { name: rule } to add or replace, { name: null } to drop
+     * @param actionChanges - The same for actions
+     */
+    function storedPolicyDocument(changes = {}, actionChanges = {}) {
+        const apply = (entries, edits) => {
+            for (const [name, rule] of Object.entries(edits)) {
+                if (rule === null) {
+                    delete entries[name];
+                } else {
+                    entries[name] = rule;
+                }
+            }
+            return entries;
+        };
+        const policies = Object.fromEntries(
+            db.prepare('SELECT name, rule FROM policies').all().map(r => [r.name, JSON.parse(r.rule)])
+        );
+        const actions = Object.fromEntries(
+            db.prepare('SELECT action, rule FROM policy_actions').all().map(r => [r.action, JSON.parse(r.rule)])
+        );
+        return {
+            version: POLICY_DOCUMENT_VERSION,
+            policies: apply(policies, changes),
+            actions: apply(actions, actionChanges),
+        };
+    }
+
+    // Seed policies from the config file; custom types are registered above,
+    // so their names are valid in allowedTypes
+    if (config.policyFile) {
+        const text = readFileSync(config.policyFile, 'utf-8');
+        const fileDoc = parsePolicyDocument(text, config.policyFile.toLowerCase().endsWith('.json') ? 'json' : 'yaml');
+        const problems = validatePolicyDocument(fileDoc);
+        if (problems.length === 0) {
+            problems.push(...validatePolicyDocument(storedPolicyDocument(fileDoc.policies, fileDoc.actions)));
+        }
+        if (problems.length > 0) {
+            throw new Error(`Invalid POLICY_FILE ${config.policyFile}: ${problems.join('; ')}`);
+        }
+        const upsert = db.prepare(`
+            INSERT INTO policies (name, rule, source) VALUES (?, ?, 'file')
+            ON CONFLICT (name) DO UPDATE SET rule = excluded.rule, source = 'file', updated_at = CURRENT_TIMESTAMP
+        `);
+        const upsertAction = db.prepare(`
+            INSERT INTO policy_actions (action, rule, source) VALUES (?, ?, 'file')
+            ON CONFLICT (action) DO UPDATE SET rule = excluded.rule, source = 'file', updated_at = CURRENT_TIMESTAMP
+        `);
+        db.transaction(() => {
+            for (const [name, rule] of Object.entries(fileDoc.policies)) {
+                upsert.run(name, JSON.stringify(rule));
+            }
+            for (const [action, rule] of Object.entries(fileDoc.actions ?? {})) {
+                upsertAction.run(action, JSON.stringify(rule));
+            }
+        })();
+    }
+
+    /**
+     * Identifier of an attestations row in the revocation registry
+     * Returns null for rows whose type is no longer registered.
+     */
+    function attestationRowHash(row, attester) {
+        const type = typeByName(row.entity_type);
+        if (!type) return null;
+        const validity = row.expires_at !== null
+            ? { issuedAt: row.issued_at, expiresAt: row.expires_at }
+            : null;
+        const message = attestationMessage(hash, BigInt(row.entity_commitment), type.code, validity);
+        return attestationHash(hash, { x: attester.public_key_x, y: attester.public_key_y }, message).toString();
+    }
+
+    // Rows recorded before revocation existed have no hash yet
+    const unhashed = db.prepare(`
+        SELECT a.*, t.public_key_x, t.public_key_y FROM attestations a
+        JOIN attesters t ON t.id = a.attester_id WHERE a.attestation_hash IS NULL
+    `).all();
+    for (const row of unhashed) {
+        db.prepare('UPDATE attestations SET attestation_hash = ? WHERE id = ?').run(attestationRowHash(row, row), row.id);
+    }
+
+    // Rebuild the revocation registry from revoked rows
+    const revokedHashes = db.prepare(
+        'SELECT DISTINCT attestation_hash FROM attestations WHERE revoked_at IS NOT NULL AND attestation_hash IS NOT NULL'
+    ).all().map(r => r.attestation_hash);
+    const revocations = await RevocationRegistry.create(revokedHashes);
+
+    /**
+     * Record the current revocation root as a new version
+     * Must be called whenever the revocation registry changes.
+     */
+    function recordRevocationRoot(reason, attestationId = null) {
+        const root = revocations.getRoot().toString();
+        const { lastInsertRowid } = db.prepare('INSERT INTO revocation_roots (root, reason, attestation_id) VALUES (?, ?, ?)')
+          .run(root, reason, attestationId);
+        return { root, version: Number(lastInsertRowid) };
+    }
+
+    /**
+     * Look up a revocation root and apply config.revocationRootHistory
+     */
+    function checkRevocationRoot(root) {
+        const latest = db.prepare('SELECT MAX(version) AS version FROM revocation_roots').get();
+        const row = db.prepare(`
+            SELECT r.*, (
+                SELECT n.created_at FROM revocation_roots n
+                WHERE n.version > r.version ORDER BY n.version LIMIT 1
+            ) AS superseded_at
+            FROM revocation_roots r WHERE r.root = ? ORDER BY r.version DESC LIMIT 1
+        `).get(root);
+        return evaluateRoot(row, latest.version, config.revocationRootHistory);
+    }
+
+    const latestRevocationRoot = db.prepare('SELECT root FROM revocation_roots ORDER BY version DESC LIMIT 1').get();
+    if (latestRevocationRoot?.root !== revocations.getRoot().toString()) {
+        recordRevocationRoot('rebuild');
+    }
+
+    /**
+     * PublicAttestation for a public_attestations row
+     */
+    function publicAttestationOf(row) {
+        return new PublicAttestation({
+            entityCommitment: row.entity_commitment,
+            entityType: row.type_code,
+            attesterPubKeyHash: row.attester_pub_key_hash,
+            timestamp: row.timestamp,
+            attestationId: row.id,
+        });
+    }
+
+    // Rebuild the public trust tree. Rows replay in ID order, so every
+    // attestation keeps its leaf index (and Merkle path) across restarts.
+    // Attestations of revoked attesters keep their slot with a zero leaf.
+    const publicRegistry = new PublicTrustRegistry(hash);
+    const publicRows = db.prepare(`
+        SELECT p.*, a.revoked_at FROM public_attestations p
+        JOIN attesters a ON a.id = p.attester_id ORDER BY p.id
+    `).all();
+    for (const row of publicRows) {
+        publicRegistry.addAttestation(publicAttestationOf(row));
+        if (row.revoked_at) {
+            publicRegistry.merkleTree.removeLeaf(publicRegistry.leafIndices.get(row.id));
+        }
+    }
+
+    /**
+     * Record the current public trust root as a new version
+     * Must be called whenever the public registry changes.
+     */
+    function recordPublicRoot(reason, attestationId = null) {
+        const root = publicRegistry.getRoot().toString();
+        const { lastInsertRowid } = db.prepare('INSERT INTO public_roots (root, reason, attestation_id) VALUES (?, ?, ?)')
+          .run(root, reason, attestationId);
+        return { root, version: Number(lastInsertRowid) };
+    }
+
+    /**
+     * Look up a public trust root and apply config.publicRootHistory
+     */
+    function checkPublicRoot(root) {
+        const latest = db.prepare('SELECT MAX(version) AS version FROM public_roots').get();
+        const row = db.prepare(`
+            SELECT r.*, (
+                SELECT n.created_at FROM public_roots n
+                WHERE n.version > r.version ORDER BY n.version LIMIT 1
+            ) AS superseded_at
+            FROM public_roots r WHERE r.root = ? ORDER BY r.version DESC LIMIT 1
+        `).get(root);
+        return evaluateRoot(row, latest.version, config.publicRootHistory);
+    }
+
+    const latestPublicRoot = db.prepare('SELECT root FROM public_roots ORDER BY version DESC LIMIT 1').get();
+    if (latestPublicRoot?.root !== publicRegistry.getRoot().toString()) {
+        recordPublicRoot('rebuild');
+    }
+
+    // Registry updates are async; run revocations one at a time
+    let revocationQueue = Promise.resolve();
+
+    /**
+     * Revoke a single attestation
+     * @returns { root, version } of the new revocation root
+     */
+    function revokeAttestation(row, revokedBy, reason) {
+        const run = revocationQueue.then(async () => {
+            const added = await revocations.revoke(row.attestation_hash);
+
+            try {
+                return db.transaction(() => {
+                    db.prepare(`
+                        UPDATE attestations SET revoked_at = CURRENT_TIMESTAMP, revoked_by = ?, revocation_reason = ?
+                        WHERE id = ?
+                    `).run(revokedBy, reason, row.id);
+
+                    const version = recordRevocationRoot('attestation_revoked', row.id);
+
+                    // Audit log
+                    db.prepare('INSERT INTO audit_log (action, attester_id, details) VALUES (?, ?, ?)')
+                      .run('attestation_revoked', row.attester_id, JSON.stringify({
+                          attestationId: row.id,
+                          attestationHash: row.attestation_hash,
+                          revokedBy,
+                          reason
+                      }));
+
+                    return version;
+                })();
+            } catch (e) {
+                // The registry must only hold hashes of revoked rows
+                if (added) {
+                    await revocations.unrevoke(row.attestation_hash);
+                }
+                throw e;
+            }
+        });
+        revocationQueue = run.catch(() => {});
+        return run;
+    }
+
+    function typesVersion() {
+        return db.prepare('SELECT MAX(version) AS version FROM entity_type_versions').get().version ?? 0;
+    }
+
+    // Load verification keys, one per circuit version
+    function loadVerificationKeyFile(fileName) {
+        const vkeyPaths = [
+            ...(config.setupDir ? [join(config.setupDir, fileName)] : []),
+            `./setup/${fileName}`,      // From project root (production)
+            `../setup/${fileName}`,     // From api/ directory (development)
+            `/app/setup/${fileName}`,   // Absolute path in Docker
+        ];
+
+        for (const vkeyPath of vkeyPaths) {
+            try {
+                if (existsSync(vkeyPath)) {
+                    const raw = readFileSync(vkeyPath, 'utf-8');
+                    console.log(`Loaded verification key from: ${vkeyPath}`);
+                    return {
+                        key: JSON.parse(raw),
+                        // Changes with every trusted setup; clients key their asset cache on it
+                        hash: createHash('sha256').update(raw).digest('hex').slice(0, 32),
+                    };
+                }
+            } catch (e) {
+                // Try next path
+            }
         }
+
+        console.warn(`Warning: ${fileName} not found. Searched paths:`, vkeyPaths.join(', '));
+        return null;
     }
 
+    const verificationKey = loadVerificationKeyFile('verification_key.json')?.key;
     if (!verificationKey) {
-        console.warn('Warning: verification_key.json not found. Verification disabled.');
-        console.warn('Searched paths:', vkeyPaths.join(', '));
+        console.warn('Warning: version 1 verification disabled.');
     }
 
+    // Expiring (version 2), revocable (version 3), rate-limited (version 4),
+    // type-scoped (version 5), type-set disclosure (version 6) and
+    // challenge-bound (version 7) attestation circuits have their own trusted
+    // setups
+    const verificationKeyV2 = loadVerificationKeyFile('verification_key_v2.json');
+    const verificationKeyV3 = loadVerificationKeyFile('verification_key_v3.json');
+    const verificationKeyV4 = loadVerificationKeyFile('verification_key_v4.json');
+    const verificationKeyV5 = loadVerificationKeyFile('verification_key_v5.json');
+    const verificationKeyV6 = loadVerificationKeyFile('verification_key_v6.json');
+    const verificationKeyV7 = loadVerificationKeyFile('verification_key_v7.json');
+
+    // dual_identity_proof (POST /verify/dual, level 2 policy packages), a
+    // legacy circuit loaded only when config.legacyDualProofs is on
+    const verificationKeyDual = config.legacyDualProofs ? loadVerificationKeyFile('verification_key_dual.json') : null;
+
+    // Keys by circuit version, for versions that are set up
+    const verificationKeys = Object.fromEntries(Object.entries({
+        1: verificationKey,
+        2: verificationKeyV2?.key,
+        3: verificationKeyV3?.key,
+        4: verificationKeyV4?.key,
+        5: verificationKeyV5?.key,
+        6: verificationKeyV6?.key,
+        7: verificationKeyV7?.key,
+        dual: verificationKeyDual?.key,
+    }).filter(([, key]) => key));
+
     // Express app
     const app = express();
 
@@ -303,21 +1010,73 @@ async function createServer() {
         next();
     }
 
+    // Relying parties that consume nullifiers; each key acts for one domain
+    function verifierAuth(req, res, next) {
+        const auth = req.headers.authorization;
+        if (!auth || !auth.startsWith('Bearer ')) {
+            return res.status(401).json({ error: 'unauthorized', message: 'Missing verifier API key' });
+        }
+
+        const keyHash = createHash('sha256').update(auth.slice(7)).digest('hex');
+        const verifier = db.prepare('SELECT * FROM verifiers WHERE api_key_hash = ? AND revoked_at IS NULL').get(keyHash);
+        if (!verifier) {
+            return res.status(401).json({ error: 'unauthorized', message: 'Invalid verifier API key' });
+        }
+
+        req.verifier = verifier;
+        next();
+    }
+
     // ========================================================================
     // ROUTES: Registry
     // ========================================================================
 
     app.get('/api/v1/registry', registryLimiter, (req, res) => {
         const state = db.prepare('SELECT * FROM registry_state WHERE id = 1').get();
+        const latest = db.prepare('SELECT version FROM registry_roots ORDER BY version DESC LIMIT 1').get();
+        const scoped = db.prepare('SELECT root, version FROM scoped_registry_roots ORDER BY version DESC LIMIT 1').get();
         const count = db.prepare('SELECT COUNT(*) as count FROM attesters WHERE revoked_at IS NULL').get();
 
         res.json({
             root: state?.root || '0',
+            version: latest?.version ?? 0,
+            leafFormat: AttesterLeafFormat.KEY_ONLY,
+            // Type-scoped tree for circuit version 5, versioned separately
+            scoped: {
+                root: scoped?.root || '0',
+                version: scoped?.version ?? 0,
+                leafFormat: AttesterLeafFormat.TYPE_SCOPED
+            },
             attestersCount: count.count,
             updatedAt: state?.updated_at
         });
     });
 
+    app.get('/api/v1/registry/roots', registryLimiter, (req, res) => {
+        const leafFormat = req.query.leafFormat ? Number(req.query.leafFormat) : AttesterLeafFormat.KEY_ONLY;
+        const table = rootTables[leafFormat];
+        if (!table) {
+            return res.status(400).json({ error: 'invalid_request', message: 'leafFormat must be 1 or 2' });
+        }
+        const rows = db.prepare(`
+            SELECT r.*, (
+                SELECT n.created_at FROM ${table} n
+                WHERE n.version > r.version ORDER BY n.version LIMIT 1
+            ) AS superseded_at
+            FROM ${table} r ORDER BY r.version DESC LIMIT ?
+        `).all(config.rootHistory.maxVersions);
+        const latestVersion = rows[0]?.version ?? 0;
+
+        res.json({
+            leafFormat,
+            policy: config.rootHistory,
+            roots: rows
+                .map(r => ({ root: r.root, ...evaluateRoot(r, latestVersion, config.rootHistory) }))
+                .filter(r => r.status === 'accepted')
+                .map(({ status, ...r }) => r)
+        });
+    });
+
     app.get('/api/v1/registry/attesters', registryLimiter, (req, res) => {
         const attesters = db.prepare(
             'SELECT id, name, public_key_x, public_key_y, merkle_index, allowed_types, created_at FROM attesters WHERE revoked_at IS NULL'
@@ -331,6 +1090,9 @@ async function createServer() {
                 publicKeyY: a.public_key_y,
                 index: a.merkle_index,
                 types: JSON.parse(a.allowed_types),
+                scopes: db.prepare('SELECT pattern, type_scope, merkle_index FROM attester_scopes WHERE attester_id = ? ORDER BY merkle_index')
+                  .all(a.id)
+                  .map(r => ({ pattern: r.pattern, typeScope: r.type_scope, index: r.merkle_index })),
                 createdAt: a.created_at
             }))
         });
@@ -343,11 +1105,32 @@ async function createServer() {
             return res.status(404).json({ error: 'attester_not_found', message: 'Attester not found' });
         }
 
+        // ?scope=AI.* opens the type-scoped leaf for that allowed-type pattern
+        if (req.query.scope !== undefined) {
+            const row = db.prepare('SELECT * FROM attester_scopes WHERE attester_id = ? AND pattern = ?')
+              .get(attester.id, req.query.scope);
+            if (!row) {
+                return res.status(404).json({ error: 'scope_not_found', message: `Attester has no scope ${req.query.scope}` });
+            }
+            const proof = scopedAttesterTree.getProof(row.merkle_index);
+            return res.json({
+                attesterId: attester.id,
+                leafFormat: AttesterLeafFormat.TYPE_SCOPED,
+                scope: row.pattern,
+                typeScope: row.type_scope,
+                index: row.merkle_index,
+                leaf: scopedLeaf(attester, row.type_scope).toString(),
+                pathElements: proof.pathElements.map(e => e.toString()),
+                pathIndices: proof.pathIndices
+            });
+        }
+
         const proof = attesterTree.getProof(attester.merkle_index);
         const leaf = hash([BigInt(attester.public_key_x), BigInt(attester.public_key_y)]);
 
         res.json({
             attesterId: attester.id,
+            leafFormat: AttesterLeafFormat.KEY_ONLY,
             index: attester.merkle_index,
             leaf: leaf.toString(),
             pathElements: proof.pathElements.map(e => e.toString()),
@@ -360,23 +1143,23 @@ async function createServer() {
     // ========================================================================
 
     app.get('/api/v1/types', (req, res) => {
-        const types = Object.entries(EntityTypes).map(([code, info]) => ({
-            code,
-            hex: '0x' + info.code.toString(16).padStart(4, '0'),
-            numeric: info.code,
-            name: info.name,
-            phonetic: info.phonetic,
-            category: code.split('.')[0]
+        const types = EntityTypeList.map(t => ({
+            code: t.name,
+            hex: t.hex,
+            numeric: t.code,
+            name: t.description,
+            phonetic: t.phonetic,
+            category: t.category,
+            status: t.status,
+            builtin: t.builtin
         }));
 
         res.json({
+            version: typesVersion(),
             types,
-            categories: {
-                AI: 'Artificial Intelligence',
-                AR: 'Autonomous Robotics',
-                HU: 'Human',
-                HY: 'Hybrid'
-            }
+            categories: Object.fromEntries(
+                Object.entries(Categories).map(([prefix, c]) => [prefix, c.description])
+            )
         });
     });
 
@@ -384,21 +1167,33 @@ async function createServer() {
     // ROUTES: Attestation
     // ========================================================================
 
-    app.post('/api/v1/attest', attestLimiter, attesterAuth, (req, res) => {
+    /**
+     * Shared checks for /attest and /attestations
+     * Sends the error response and returns null if the request is invalid.
+     */
+    function checkAttestationRequest(req, res) {
         const { entityCommitment, entityType } = req.body;
 
         // Validate type
-        if (!EntityTypes[entityType]) {
-            return res.status(400).json({ error: 'invalid_type', message: `Unknown entity type: ${entityType}` });
+        const type = typeByName(entityType);
+        if (!type) {
+            res.status(400).json({ error: 'invalid_type', message: `Unknown entity type: ${entityType}` });
+            return null;
+        }
+
+        if (type.status !== TypeStatus.ACTIVE) {
+            res.status(400).json({ error: 'type_deprecated', message: `Entity type ${entityType} is deprecated` });
+            return null;
         }
 
-        // Check attester is allowed for this type
+        // Check attester is allowed for this type (exact name or category wildcard)
         const allowedTypes = JSON.parse(req.attester.allowed_types);
-        if (!allowedTypes.includes(entityType)) {
-            return res.status(403).json({
+        if (!matchesTypePattern(allowedTypes, entityType)) {
+            res.status(403).json({
                 error: 'forbidden',
                 message: `Attester not authorized for type ${entityType}`
             });
+            return null;
         }
 
         // Validate commitment
@@ -406,64 +1201,583 @@ async function createServer() {
         try {
             commitment = BigInt(entityCommitment);
         } catch (e) {
-            return res.status(400).json({ error: 'invalid_commitment', message: 'Invalid commitment format' });
+            res.status(400).json({ error: 'invalid_commitment', message: 'Invalid commitment format' });
+            return null;
         }
 
-        // Sign attestation
-        const typeCode = EntityTypes[entityType].code;
-        const message = hash([commitment, BigInt(typeCode)]);
-        const msgF = poseidon.F.e(message);
+        return { type, commitment };
+    }
 
-        // For Phase 1, attesters provide their private key via encrypted storage
-        // In production, this would use HSM or the attester signs externally
-        let signature;
-        try {
-            const privKey = Buffer.from(req.attester.private_key_encrypted, 'hex');
-            signature = eddsa.signPoseidon(privKey, msgF);
-        } catch (e) {
-            return res.status(500).json({ error: 'signing_error', message: 'Failed to sign attestation' });
+    /**
+     * Validity window for a new attestation
+     * Sends the error response and returns undefined if the request is invalid;
+     * returns null for an unbounded (version 1) attestation.
+     *
+     * @param body.circuitVersion - 1 requests an unbounded attestation; the
+     *   default is 2 where a circuit proving validity windows (version 2 and
+     *   later) is set up or legacy attestations are off, else 1
+     * @param body.expiresIn - Seconds until expiry, at most config.attestation.ttlSeconds
+     */
+    function issueValidity(body, res) {
+        const windowed = [2, 3, 4, 5, 6, 7].some(v => verificationKeys[v]);
+        const circuitVersion = body.circuitVersion ?? (windowed || !config.attestation.allowLegacy ? 2 : 1);
+        if (circuitVersion === 1) {
+            if (!config.attestation.allowLegacy) {
+                res.status(400).json({
+                    error: 'invalid_request',
+                    message: 'Attestations without an expiry are no longer issued'
+                });
+                return undefined;
+            }
+            return null;
+        }
+
+        const ttl = config.attestation.ttlSeconds;
+        const expiresIn = body.expiresIn ?? ttl;
+        if (!Number.isInteger(expiresIn) || expiresIn <= 0 || expiresIn > ttl) {
+            res.status(400).json({
+                error: 'invalid_request',
+                message: `expiresIn must be a whole number of seconds between 1 and ${ttl}`
+            });
+            return undefined;
+        }
+
+        const issuedAt = Math.floor(Date.now() / 1000);
+        return { issuedAt, expiresAt: issuedAt + expiresIn };
+    }
+
+    /**
+     * Validity window carried by an externally signed attestation
+     * Same contract as issueValidity().
+     */
+    function submittedValidity(body, res) {
+        if (body.issuedAt === undefined && body.expiresAt === undefined) {
+            return issueValidity({ circuitVersion: 1 }, res);
+        }
+
+        // Numbers or decimal strings (the SDK's signAttestation emits strings)
+        const seconds = (v) => (typeof v === 'string' && /^\d+$/.test(v) ? Number(v) : v);
+        const issuedAt = seconds(body.issuedAt);
+        const expiresAt = seconds(body.expiresAt);
+        const now = Math.floor(Date.now() / 1000);
+        const valid = Number.isSafeInteger(issuedAt) && Number.isSafeInteger(expiresAt)
+            && issuedAt >= 0 && issuedAt < expiresAt
+            && expiresAt - issuedAt <= config.attestation.ttlSeconds
+            && expiresAt > now;
+        if (!valid) {
+            res.status(400).json({
+                error: 'invalid_request',
+                message: `issuedAt/expiresAt must be Unix seconds, unexpired, at most ${config.attestation.ttlSeconds}s apart`
+            });
+            return undefined;
         }
+        return { issuedAt, expiresAt };
+    }
+
+    /**
+     * Record an issued attestation so it can be revoked later
+     * @returns { id, attestationHash }
+     */
+    function storeAttestation(attester, { commitment, entityType, typeCode, signature, validity, contextId = null }) {
+        const message = attestationMessage(hash, commitment, typeCode, validity);
+        const hashValue = attestationHash(hash, { x: attester.public_key_x, y: attester.public_key_y }, message).toString();
+
+        const { lastInsertRowid } = db.prepare(`
+            INSERT INTO attestations (entity_commitment, entity_type, attester_id, signature_r8_x, signature_r8_y, signature_s,
+                                      context_id, issued_at, expires_at, attestation_hash)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            commitment.toString(),
+            entityType,
+            attester.id,
+            signature.R8x.toString(),
+            signature.R8y.toString(),
+            signature.S.toString(),
+            contextId,
+            validity?.issuedAt ?? null,
+            validity?.expiresAt ?? null,
+            hashValue
+        );
+        return { id: Number(lastInsertRowid), attestationHash: hashValue };
+    }
 
-        // Get merkle proof
-        const merkleProof = attesterTree.getProof(req.attester.merkle_index);
+    /**
+     * Attestation plus everything the entity needs to prove locally
+     */
+    function attestationResponse(attester, { entityCommitment, entityType, typeCode, signature, validity, stored }) {
+        const merkleProof = attesterTree.getProof(attester.merkle_index);
+        const scope = attesterScopeFor(attester, entityType);
+        const scopedProof = scope && scopedAttesterTree.getProof(scope.merkle_index);
 
         // Audit log
         db.prepare('INSERT INTO audit_log (action, attester_id, details) VALUES (?, ?, ?)')
-          .run('attest', req.attester.id, JSON.stringify({ entityType, commitment: entityCommitment.slice(0, 20) + '...' }));
+          .run('attest', attester.id, JSON.stringify({ entityType, commitment: entityCommitment.slice(0, 20) + '...' }));
 
-        res.json({
+        return {
             attestation: {
+                id: stored.id,
+                attestationHash: stored.attestationHash,
                 entityCommitment: entityCommitment,
                 entityType: entityType,
                 typeCode: typeCode,
-                attesterPubKeyX: req.attester.public_key_x,
-                attesterPubKeyY: req.attester.public_key_y,
-                signatureR8X: eddsa.F.toObject(signature.R8[0]).toString(),
-                signatureR8Y: eddsa.F.toObject(signature.R8[1]).toString(),
+                attesterPubKeyX: attester.public_key_x,
+                attesterPubKeyY: attester.public_key_y,
+                signatureR8X: signature.R8x.toString(),
+                signatureR8Y: signature.R8y.toString(),
                 signatureS: signature.S.toString(),
-                attesterIndex: req.attester.merkle_index,
+                attesterIndex: attester.merkle_index,
+                ...(validity ? { issuedAt: validity.issuedAt, expiresAt: validity.expiresAt, circuitVersion: 2 } : { circuitVersion: 1 }),
                 createdAt: new Date().toISOString()
             },
             merkleProof: {
                 pathElements: merkleProof.pathElements.map(e => e.toString()),
                 pathIndices: merkleProof.pathIndices
             },
-            registryRoot: attesterTree.getRoot().toString()
-        });
-    });
-
-    // ========================================================================
-    // ROUTES: Proving Assets
-    // ========================================================================
+            registryRoot: attesterTree.getRoot().toString(),
+            ...(scope && {
+                scopedMerkleProof: {
+                    scope: scope.pattern,
+                    typeScope: scope.type_scope,
+                    pathElements: scopedProof.pathElements.map(e => e.toString()),
+                    pathIndices: scopedProof.pathIndices
+                },
+                scopedRegistryRoot: scopedAttesterTree.getRoot().toString()
+            })
+        };
+    }
 
-    app.get('/api/v1/proving/assets', (req, res) => {
-        // Auto-detect base URL from request if not configured
-        const protocol = req.secure || req.headers['x-forwarded-proto'] === 'https' ? 'https' : 'http';
-        const host = req.headers['x-forwarded-host'] || req.headers.host;
-        const baseUrl = config.assetsBaseUrl || `${protocol}://${host}/assets`;
+    /**
+     * The attester_scopes row that authorizes a type, most specific first
+     * (exact name, then category wildcard, then '*')
+     */
+    function attesterScopeFor(attester, entityType) {
+        const prefix = entityType.split('.')[0];
+        const rows = db.prepare('SELECT * FROM attester_scopes WHERE attester_id = ?').all(attester.id);
+        return [entityType, `${prefix}.*`, '*']
+            .map(pattern => rows.find(r => r.pattern === pattern))
+            .find(Boolean) ?? null;
+    }
 
-        res.json({
+    /**
+     * EdDSA signature from signatureR8X/R8Y/S in a request body
+     * @returns The signature, or null if it does not verify against the
+     *   message and the attester's public key
+     */
+    function verifiedSignature(attester, message, { signatureR8X, signatureR8Y, signatureS }) {
+        try {
+            const signature = { R8x: BigInt(signatureR8X), R8y: BigInt(signatureR8Y), S: BigInt(signatureS) };
+            const valid = eddsa.verifyPoseidon(
+                eddsa.F.e(message),
+                { R8: [eddsa.F.e(signature.R8x), eddsa.F.e(signature.R8y)], S: signature.S },
+                [eddsa.F.e(BigInt(attester.public_key_x)), eddsa.F.e(BigInt(attester.public_key_y))]
+            );
+            return valid ? signature : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function externalSignerError(res) {
+        return res.status(409).json({
+            error: 'external_signer',
+            message: 'This attester signs offline; submit signatures to POST /api/v1/attestations'
+        });
+    }
+
+    // Server-signed attestation (attesters with a keystore-managed key)
+    app.post('/api/v1/attest', attestLimiter, attesterAuth, async (req, res) => {
+        if (!req.attester.key_ref) {
+            return externalSignerError(res);
+        }
+
+        const checked = checkAttestationRequest(req, res);
+        if (!checked) return;
+
+        const validity = issueValidity(req.body, res);
+        if (validity === undefined) return;
+
+        let signature;
+        try {
+            const signer = await keystore.getSigner(req.attester.key_ref);
+            signature = await signer.sign(attestationMessage(hash, checked.commitment, checked.type.code, validity));
+        } catch (e) {
+            return res.status(500).json({ error: 'signing_error', message: 'Failed to sign attestation' });
+        }
+
+        const stored = storeAttestation(req.attester, {
+            commitment: checked.commitment,
+            entityType: req.body.entityType,
+            typeCode: checked.type.code,
+            signature,
+            validity,
+        });
+
+        res.json(attestationResponse(req.attester, {
+            entityCommitment: req.body.entityCommitment,
+            entityType: req.body.entityType,
+            typeCode: checked.type.code,
+            signature,
+            validity,
+            stored,
+        }));
+    });
+
+    // Externally signed attestation: the attester signed Poseidon(commitment,
+    // typeCode[, issuedAt, expiresAt]) with its own key; the server only
+    // verifies and records it
+    app.post('/api/v1/attestations', attestLimiter, attesterAuth, (req, res) => {
+        const checked = checkAttestationRequest(req, res);
+        if (!checked) return;
+
+        const validity = submittedValidity(req.body, res);
+        if (validity === undefined) return;
+        const message = attestationMessage(hash, checked.commitment, checked.type.code, validity);
+
+        const signature = verifiedSignature(req.attester, message, req.body);
+        if (!signature) {
+            return res.status(400).json({
+                error: 'invalid_signature',
+                message: 'Signature does not verify against the attestation message and the attester public key'
+            });
+        }
+
+        const stored = storeAttestation(req.attester, {
+            commitment: checked.commitment,
+            entityType: req.body.entityType,
+            typeCode: checked.type.code,
+            signature,
+            validity,
+        });
+
+        res.status(201).json(attestationResponse(req.attester, {
+            entityCommitment: req.body.entityCommitment,
+            entityType: req.body.entityType,
+            typeCode: checked.type.code,
+            signature,
+            validity,
+            stored,
+        }));
+    });
+
+    /**
+     * Shared handler for attester and admin revocation
+     */
+    async function revokeAttestationRoute(req, res, row, revokedBy) {
+        if (!row) {
+            return res.status(404).json({ error: 'attestation_not_found', message: 'Attestation not found' });
+        }
+        if (row.revoked_at) {
+            return res.status(409).json({ error: 'already_revoked', message: 'Attestation is already revoked' });
+        }
+        if (!row.attestation_hash) {
+            return res.status(409).json({
+                error: 'invalid_request',
+                message: `Attestation type ${row.entity_type} is no longer registered`
+            });
+        }
+
+        const reason = typeof req.body?.reason === 'string' ? req.body.reason.slice(0, 500) : null;
+        let registry;
+        try {
+            registry = await revokeAttestation(row, revokedBy, reason);
+        } catch (e) {
+            console.error('Attestation revocation error:', e);
+            return res.status(500).json({ error: 'internal_error', message: 'Failed to revoke attestation' });
+        }
+
+        res.json({
+            revoked: true,
+            attestationId: row.id,
+            attestationHash: row.attestation_hash,
+            revocationRoot: registry.root,
+            revocationVersion: registry.version
+        });
+    }
+
+    // Withdraw one of this attester's own attestations
+    app.delete('/api/v1/attestations/:id', attestLimiter, attesterAuth, async (req, res) => {
+        const row = db.prepare('SELECT * FROM attestations WHERE id = ? AND attester_id = ?')
+          .get(req.params.id, req.attester.id);
+        await revokeAttestationRoute(req, res, row, `attester:${req.attester.id}`);
+    });
+
+    // ========================================================================
+    // ROUTES: Revocation Registry
+    // ========================================================================
+
+    app.get('/api/v1/revocations', registryLimiter, (req, res) => {
+        const latest = db.prepare('SELECT version, created_at FROM revocation_roots ORDER BY version DESC LIMIT 1').get();
+        const revoked = db.prepare(
+            'SELECT DISTINCT attestation_hash FROM attestations WHERE revoked_at IS NOT NULL AND attestation_hash IS NOT NULL'
+        ).all();
+
+        res.json({
+            root: revocations.getRoot().toString(),
+            version: latest.version,
+            updatedAt: latest.created_at,
+            policy: config.revocationRootHistory,
+            revoked: revoked.map(r => r.attestation_hash)
+        });
+    });
+
+    // Non-membership proof for circuit version 3; the attestation hash does not
+    // identify the entity, but clients that prefer not to reveal which
+    // attestation they hold can rebuild the tree from GET /revocations
+    app.get('/api/v1/revocations/:hash/proof', registryLimiter, async (req, res) => {
+        let key;
+        try {
+            key = BigInt(req.params.hash);
+        } catch (e) {
+            return res.status(400).json({ error: 'invalid_request', message: 'Invalid attestation hash' });
+        }
+
+        let proof;
+        try {
+            proof = await revocations.nonMembershipProof(key);
+        } catch (e) {
+            return res.status(409).json({ error: 'attestation_revoked', message: e.message });
+        }
+
+        const { version } = checkRevocationRoot(proof.revocationRoot);
+        res.json({ attestationHash: key.toString(), version, ...proof });
+    });
+
+    // ========================================================================
+    // ROUTES: Public Trust Registry
+    // ========================================================================
+
+    // Attestations of revoked attesters are no longer in the tree; only the
+    // proof route reports them, as revoked
+    const publicAttestationSelect = `
+        SELECT p.*, a.name AS attester_name, a.revoked_at AS attester_revoked_at FROM public_attestations p
+        JOIN attesters a ON a.id = p.attester_id`;
+
+    function publicAttestationRow(row) {
+        return {
+            attestationId: row.id,
+            entityCommitment: row.entity_commitment,
+            entityType: row.type_code,
+            typeName: row.entity_type,
+            attesterPubKeyHash: row.attester_pub_key_hash,
+            attesterId: row.attester_id,
+            attesterName: row.attester_name,
+            timestamp: row.timestamp,
+            signatureR8X: row.signature_r8_x,
+            signatureR8Y: row.signature_r8_y,
+            signatureS: row.signature_s,
+            createdAt: row.created_at
+        };
+    }
+
+    function publicMerkleProof(attestationId) {
+        const proof = publicRegistry.getMerkleProof(attestationId);
+        return {
+            leaf: proof.leaf.toString(),
+            leafIndex: proof.leafIndex,
+            pathElements: proof.pathElements.map(e => e.toString()),
+            pathIndices: proof.pathIndices
+        };
+    }
+
+    // Publish an attestation to the public registry. The attester signs
+    // Poseidon(commitment, typeCode, timestamp) (PublicAttestation.sign());
+    // attesters with a keystore-managed key may leave the signing to the server.
+    app.post('/api/v1/public/attestations', attestLimiter, attesterAuth, async (req, res) => {
+        const checked = checkAttestationRequest(req, res);
+        if (!checked) return;
+
+        const signed = ['signatureR8X', 'signatureR8Y', 'signatureS'].some(k => req.body[k] !== undefined);
+        if (!signed && !req.attester.key_ref) {
+            return res.status(400).json({
+                error: 'invalid_request',
+                message: 'This attester signs offline; include signatureR8X, signatureR8Y and signatureS'
+            });
+        }
+
+        // Milliseconds, like PublicAttestation timestamps
+        const timestamp = req.body.timestamp ?? (signed ? undefined : Date.now());
+        const skewMs = config.attestation.maxClockSkewSeconds * 1000;
+        if (!Number.isSafeInteger(timestamp) || Math.abs(Date.now() - timestamp) > skewMs) {
+            return res.status(400).json({
+                error: 'invalid_request',
+                message: `timestamp must be milliseconds since the epoch, within ${config.attestation.maxClockSkewSeconds}s of the server clock`
+            });
+        }
+
+        const attestation = new PublicAttestation({
+            entityCommitment: checked.commitment.toString(),
+            entityType: checked.type.code,
+            attesterPubKeyHash: hash([BigInt(req.attester.public_key_x), BigInt(req.attester.public_key_y)]).toString(),
+            timestamp,
+        });
+        const message = attestation.computeMessage(hash);
+
+        let signature;
+        if (signed) {
+            signature = verifiedSignature(req.attester, message, req.body);
+            if (!signature) {
+                return res.status(400).json({
+                    error: 'invalid_signature',
+                    message: 'Signature does not verify against the public attestation message and the attester public key'
+                });
+            }
+        } else {
+            try {
+                const signer = await keystore.getSigner(req.attester.key_ref);
+                signature = await signer.sign(message);
+            } catch (e) {
+                return res.status(500).json({ error: 'signing_error', message: 'Failed to sign attestation' });
+            }
+        }
+
+        let published;
+        try {
+            published = registryTransaction((setLeaf, onUndo) => {
+                attestation.attestationId = publicRegistry.nextId;
+                db.prepare(`
+                    INSERT INTO public_attestations (id, entity_commitment, entity_type, type_code, attester_id, attester_pub_key_hash,
+                                                     timestamp, signature_r8_x, signature_r8_y, signature_s)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `).run(
+                    attestation.attestationId,
+                    attestation.entityCommitment,
+                    req.body.entityType,
+                    checked.type.code,
+                    req.attester.id,
+                    attestation.attesterPubKeyHash,
+                    timestamp,
+                    signature.R8x.toString(),
+                    signature.R8y.toString(),
+                    signature.S.toString()
+                );
+                const { nextId } = publicRegistry;
+                const { nextIndex } = publicRegistry.merkleTree;
+                const added = publicRegistry.addAttestation(attestation);
+                onUndo(() => {
+                    publicRegistry.removeAttestation(added.attestationId);
+                    publicRegistry.nextId = nextId;
+                    publicRegistry.merkleTree.nextIndex = nextIndex;
+                });
+                const root = recordPublicRoot('public_attestation', added.attestationId);
+
+                // Audit log
+                db.prepare('INSERT INTO audit_log (action, attester_id, details) VALUES (?, ?, ?)')
+                  .run('public_attestation', req.attester.id, JSON.stringify({
+                      attestationId: added.attestationId,
+                      entityType: req.body.entityType,
+                      commitment: attestation.entityCommitment.slice(0, 20) + '...'
+                  }));
+
+                return { added, root };
+            });
+        } catch (e) {
+            console.error('Public attestation error:', e);
+            return res.status(500).json({ error: 'internal_error', message: 'Failed to publish attestation' });
+        }
+        const { added, root } = published;
+
+        const row = db.prepare(`${publicAttestationSelect} WHERE p.id = ?`).get(added.attestationId);
+        res.status(201).json({
+            attestation: publicAttestationRow(row),
+            merkleProof: publicMerkleProof(added.attestationId),
+            root: root.root,
+            rootVersion: root.version
+        });
+    });
+
+    app.get('/api/v1/public/root', registryLimiter, (req, res) => {
+        const latest = db.prepare('SELECT * FROM public_roots ORDER BY version DESC LIMIT 1').get();
+        const count = db.prepare(`
+            SELECT COUNT(*) AS count FROM public_attestations p
+            JOIN attesters a ON a.id = p.attester_id WHERE a.revoked_at IS NULL
+        `).get();
+
+        res.json({
+            root: publicRegistry.getRoot().toString(),
+            version: latest.version,
+            depth: PUBLIC_TRUST_DEPTH,
+            attestationsCount: count.count,
+            updatedAt: latest.created_at
+        });
+    });
+
+    // A commitment's public record; ?proofs=true adds a Merkle proof to each
+    // attestation, all against the returned root (RemotePublicTrustRegistry)
+    app.get('/api/v1/public/commitments/:commitment/attestations', registryLimiter, (req, res) => {
+        let commitment;
+        try {
+            commitment = BigInt(req.params.commitment).toString();
+        } catch (e) {
+            return res.status(400).json({ error: 'invalid_commitment', message: 'Invalid commitment format' });
+        }
+
+        const rows = db.prepare(`${publicAttestationSelect} WHERE p.entity_commitment = ? AND a.revoked_at IS NULL ORDER BY p.id`)
+          .all(commitment);
+        const withProofs = req.query.proofs === 'true';
+
+        res.json({
+            commitment,
+            count: rows.length,
+            root: publicRegistry.getRoot().toString(),
+            attestations: rows.map(row => ({
+                ...publicAttestationRow(row),
+                ...(withProofs && { merkleProof: publicMerkleProof(row.id) })
+            }))
+        });
+    });
+
+    app.get('/api/v1/public/attestations/:id/proof', registryLimiter, (req, res) => {
+        const row = db.prepare(`${publicAttestationSelect} WHERE p.id = ?`).get(req.params.id);
+        if (!row) {
+            return res.status(404).json({ error: 'attestation_not_found', message: 'Public attestation not found' });
+        }
+        if (row.attester_revoked_at) {
+            return res.status(409).json({ error: 'attestation_revoked', message: 'The attester of this public attestation was revoked' });
+        }
+
+        res.json({
+            attestation: publicAttestationRow(row),
+            merkleProof: publicMerkleProof(row.id),
+            root: publicRegistry.getRoot().toString()
+        });
+    });
+
+    // ========================================================================
+    // ROUTES: Proving Assets
+    // ========================================================================
+
+    app.get('/api/v1/proving/assets', (req, res) => {
+        // Auto-detect base URL from request if not configured
+        const protocol = req.secure || req.headers['x-forwarded-proto'] === 'https' ? 'https' : 'http';
+        const host = req.headers['x-forwarded-host'] || req.headers.host;
+        const baseUrl = config.assetsBaseUrl || `${protocol}://${host}/assets`;
+
+        const version = req.query.version ? Number(req.query.version) : 1;
+        const versionedKeys = { 2: verificationKeyV2, 3: verificationKeyV3, 4: verificationKeyV4, 5: verificationKeyV5, 6: verificationKeyV6, 7: verificationKeyV7 };
+        if (version in versionedKeys) {
+            const vkey = versionedKeys[version];
+            if (!vkey) {
+                return res.status(404).json({ error: 'not_found', message: `Circuit version ${version} is not set up on this server` });
+            }
+            return res.json({
+                circuit: `entity_type_proof_v${version}`,
+                circuitVersion: version,
+                assets: {
+                    wasm: `${baseUrl}/entity_type_proof_v${version}.wasm`,
+                    zkey: `${baseUrl}/entity_type_v${version}_final.zkey`,
+                    verificationKey: `${baseUrl}/verification_key_v${version}.json`
+                },
+                merkleDepth: config.merkleDepth,
+                circuitHash: vkey.hash
+            });
+        }
+        if (version !== 1) {
+            return res.status(400).json({ error: 'invalid_request', message: 'version must be 1 to 7' });
+        }
+
+        res.json({
             circuit: 'entity_type_proof',
+            circuitVersion: 1,
             assets: {
                 wasm: `${baseUrl}/entity_type_proof.wasm`,
                 zkey: `${baseUrl}/entity_type_final.zkey`,
@@ -478,54 +1792,93 @@ async function createServer() {
     // ROUTES: Proof Generation
     // ========================================================================
 
+    // Deprecated: the entity secret is sent to the server. Clients should
+    // POST their commitment to /attest and prove with proveWithAttestation().
     app.post('/api/v1/prove', attestLimiter, attesterAuth, async (req, res) => {
-        const { entityType, entitySecret, context } = req.body;
+        if (!config.serverProving) {
+            return res.status(410).json({
+                error: 'endpoint_deprecated',
+                message: 'Server-side proving is disabled. Request an attestation from POST /api/v1/attest and prove client-side.'
+            });
+        }
+        // It only proves unbounded version 1 attestations
+        if (!config.attestation.allowLegacy) {
+            return res.status(410).json({
+                error: 'endpoint_deprecated',
+                message: 'Server-side proving only issues attestations without an expiry, which are no longer issued. Request an attestation from POST /api/v1/attest and prove client-side.'
+            });
+        }
+        res.set('Deprecation', 'true');
+        res.set('Link', '</api/v1/attest>; rel="successor-version"');
+
+        if (!req.attester.key_ref) {
+            return externalSignerError(res);
+        }
+
+        const { entityType, entitySecret } = req.body;
+        const context = requestContext(req.body.context);
 
         // Validate entity type
-        if (!EntityTypes[entityType]) {
+        const type = typeByName(entityType);
+        if (!type) {
             return res.status(400).json({ error: 'invalid_type', message: `Unknown entity type: ${entityType}` });
         }
 
-        // Check attester is allowed for this type
+        if (type.status !== TypeStatus.ACTIVE) {
+            return res.status(400).json({ error: 'type_deprecated', message: `Entity type ${entityType} is deprecated` });
+        }
+
+        // Check attester is allowed for this type (exact name or category wildcard)
         const allowedTypes = JSON.parse(req.attester.allowed_types);
-        if (!allowedTypes.includes(entityType)) {
+        if (!matchesTypePattern(allowedTypes, entityType)) {
             return res.status(403).json({
                 error: 'type_not_allowed',
                 message: `Attester not authorized for type ${entityType}`
             });
         }
 
+        // Same key derivation as the SDK and CLI, so commitments agree
+        let entity;
+        try {
+            entity = entitySecret ? Entity.fromSeed({ hash }, entitySecret) : new Entity({ hash });
+        } catch (e) {
+            return res.status(400).json({
+                error: 'invalid_secret',
+                message: 'entitySecret must be a BIP-39 mnemonic or a 32-byte hex master key'
+            });
+        }
+
+        // Same contextId as the SDK and CLI; a bare string is the domain
+        let contextId;
+        try {
+            contextId = deriveContextId(context);
+        } catch (e) {
+            return res.status(400).json({
+                error: 'invalid_request',
+                message: `context must be { domain, purpose?, epoch? }: ${e.message}`
+            });
+        }
+
         try {
-            // Generate entity salt if not provided (can be derived from secret)
-            const secretBigInt = BigInt('0x' + createHash('sha256').update(entitySecret || randomBytes(32).toString('hex')).digest('hex'));
-            const saltBigInt = BigInt('0x' + createHash('sha256').update(entitySecret + ':salt').digest('hex'));
+            const secretBigInt = entity.secret;
+            const saltBigInt = entity.salt;
 
             // Compute entity commitment
-            const entityCommitment = hash([secretBigInt, saltBigInt]);
+            const entityCommitment = entity.getCommitment();
 
             // Get type code
-            const typeCode = BigInt(EntityTypes[entityType].code);
+            const typeCode = BigInt(type.code);
 
             // Create message and sign
             const message = hash([entityCommitment, typeCode]);
-            const attesterPrivKeyHex = req.attester.private_key_encrypted;
-            const attesterPrivKey = Buffer.from(attesterPrivKeyHex.padStart(64, '0'), 'hex');
-
-            const msgF = poseidon.F.e(message);
-            const signature = eddsa.signPoseidon(attesterPrivKey, msgF);
-            const signatureR8X = eddsa.F.toObject(signature.R8[0]);
-            const signatureR8Y = eddsa.F.toObject(signature.R8[1]);
-            const signatureS = signature.S;
+            const signer = await keystore.getSigner(req.attester.key_ref);
+            const signature = await signer.sign(message);
+            const { R8x: signatureR8X, R8y: signatureR8Y, S: signatureS } = signature;
 
             // Get merkle proof for attester
             const attesterProof = attesterTree.getProof(req.attester.merkle_index);
             const attestersRoot = attesterTree.getRoot();
 
-            // Context ID
-            const contextId = context
-                ? BigInt('0x' + createHash('sha256').update(context).digest('hex').slice(0, 16))
-                : BigInt(Date.now());
-
             // Prepare circuit inputs
             const circuitInputs = {
                 claimedType: typeCode.toString(),
@@ -564,25 +1917,21 @@ async function createServer() {
             );
 
             // Record the attestation
-            db.prepare(`
-                INSERT INTO attestations (entity_commitment, entity_type, attester_id, signature_r8_x, signature_r8_y, signature_s, context_id)
-                VALUES (?, ?, ?, ?, ?, ?, ?)
-            `).run(
-                entityCommitment.toString(),
+            storeAttestation(req.attester, {
+                commitment: entityCommitment,
                 entityType,
-                req.attester.id,
-                signatureR8X.toString(),
-                signatureR8Y.toString(),
-                signatureS.toString(),
-                contextId.toString()
-            );
+                typeCode: type.code,
+                signature,
+                validity: null,
+                contextId: contextId.toString(),
+            });
 
             res.json({
                 success: true,
                 proof,
                 publicSignals,
                 entityType,
-                typeCode: EntityTypes[entityType].code,
+                typeCode: type.code,
                 commitment: entityCommitment.toString(),
                 contextId: contextId.toString()
             });
@@ -593,25 +1942,169 @@ async function createServer() {
         }
     });
 
+    // ========================================================================
+    // ROUTES: Challenges
+    // ========================================================================
+
+    // Single-use nonces for challenge-bound (version 7) proofs. The prover
+    // hashes this verifier's domain, the nonce and a digest of its request
+    // into the proof's messageHash; /verify redeems the nonce once.
+    app.post('/api/v1/challenges', verifyLimiter, verifierAuth, (req, res) => {
+        const ttlSeconds = req.body?.ttlSeconds ?? config.challenges.ttlSeconds;
+        if (!Number.isInteger(ttlSeconds) || ttlSeconds <= 0 || ttlSeconds > config.challenges.maxTtlSeconds) {
+            return res.status(400).json({
+                error: 'invalid_request',
+                message: `ttlSeconds must be 1 to ${config.challenges.maxTtlSeconds}`
+            });
+        }
+
+        // Expired rows are kept for another maximum TTL, so a late redemption
+        // reports challenge_expired rather than challenge_not_found
+        const now = Math.floor(Date.now() / 1000);
+        db.prepare('DELETE FROM challenges WHERE expires_at < ?').run(now - config.challenges.maxTtlSeconds);
+
+        const challenge = createChallenge(req.verifier.domain, ttlSeconds, now);
+        db.prepare('INSERT INTO challenges (nonce, verifier_id, domain, expires_at) VALUES (?, ?, ?, ?)')
+            .run(challenge.nonce, req.verifier.id, challenge.domain, challenge.expiresAt);
+
+        res.status(201).json({
+            nonce: challenge.nonce,
+            domain: challenge.domain,
+            ttlSeconds,
+            expiresAt: challenge.expiresAt
+        });
+    });
+
     // ========================================================================
     // ROUTES: Verification
     // ========================================================================
 
-    app.post('/api/v1/verify', verifyLimiter, async (req, res) => {
-        const { proof, publicSignals } = req.body;
+    // ?consume=true also records the nullifier for the verifier's domain,
+    // which needs a verifier key; plain verification stays public
+    function consumeAuth(req, res, next) {
+        return req.query.consume === 'true' ? verifierAuth(req, res, next) : next();
+    }
+
+    // Redeeming a challenge needs the key of the verifier that issued it
+    function challengeAuth(req, res, next) {
+        return req.body?.challenge !== undefined && !req.verifier ? verifierAuth(req, res, next) : next();
+    }
+
+    /**
+     * contextId a proof must carry for a verify request. Consuming binds it
+     * to the verifier's own domain, and a rate limit sets the epoch.
+     * @throws If the request's context contradicts either
+     */
+    function expectedContextId(req, context, consume, epoch = null) {
+        if (consume && context?.domain !== undefined && context.domain.toLowerCase() !== req.verifier.domain) {
+            throw new Error(`verifier is registered for ${req.verifier.domain}`);
+        }
+        if (epoch !== null && context?.epoch !== undefined && String(context.epoch) !== String(epoch)) {
+            throw new Error(`rateLimit sets the epoch to ${epoch}`);
+        }
+        return deriveContextId({
+            ...context,
+            ...(consume && { domain: req.verifier.domain }),
+            ...(epoch !== null && { epoch }),
+        });
+    }
+
+    /**
+     * Error body for an attester registry root outside the acceptance window
+     * @returns null if the root is accepted
+     */
+    function registryRootFailure(rootCheck) {
+        if (rootCheck.status === 'revoked') {
+            return {
+                error: 'root_revoked',
+                message: 'Proof uses a registry root that included a revoked attester'
+            };
+        }
+        if (rootCheck.status !== 'accepted') {
+            return {
+                error: 'root_mismatch',
+                message: rootCheck.status === 'expired'
+                    ? 'Proof uses an expired registry root'
+                    : 'Proof uses an unknown registry root'
+            };
+        }
+        return null;
+    }
+
+    // Proofs without a revocation root are only rejected when every
+    // attestation recorded for the commitment and type is revoked
+    function allRecordedRevoked(entityCommitment, type) {
+        const recorded = db.prepare('SELECT revoked_at FROM attestations WHERE entity_commitment = ? AND entity_type = ?')
+          .all(entityCommitment, type.name);
+        return recorded.length > 0 && recorded.every(r => r.revoked_at);
+    }
 
-        if (!verificationKey) {
-            return res.status(500).json({ error: 'internal_error', message: 'Verification not configured' });
+    /**
+     * Consume a nullifier for the verifier's domain, or look it up
+     * Run inside the request's transaction when consuming.
+     * @returns 'consumed', 'used', 'new', or null if it was already consumed
+     */
+    function nullifierStatusFor(req, consume, { nullifier, contextId, domain, epoch = null, pruneAfter = null }) {
+        if (consume) {
+            // Past epochs can no longer be proven, so their nullifiers go
+            const now = Math.floor(Date.now() / 1000);
+            db.prepare('DELETE FROM nullifiers WHERE prune_after < ?').run(now);
+
+            const { changes } = db.prepare(
+                'INSERT OR IGNORE INTO nullifiers (nullifier, context_id, domain, verifier_id, epoch, prune_after) VALUES (?, ?, ?, ?, ?, ?)'
+            ).run(nullifier, contextId, req.verifier.domain, req.verifier.id, epoch, pruneAfter);
+            return changes === 0 ? null : 'consumed';
         }
+        const existing = domain
+            ? db.prepare('SELECT 1 FROM nullifiers WHERE domain = ? AND nullifier = ?').get(domain, nullifier)
+            : db.prepare('SELECT 1 FROM nullifiers WHERE nullifier = ?').get(nullifier);
+        return existing ? 'used' : 'new';
+    }
 
-        if (!proof || !publicSignals || publicSignals.length !== 5) {
+    app.post('/api/v1/verify', verifyLimiter, consumeAuth, challengeAuth, async (req, res) => {
+        const { proof, publicSignals } = req.body;
+        const consume = req.query.consume === 'true';
+
+        // 5 signals: version 1; 7: version 2 (validity window); 8: version 3
+        // (revocation); 9: version 4 (rate limit); 10: version 5 (type-scoped
+        // attester leaves); 17: version 6 (type set instead of claimedType);
+        // 11: version 7 (challenge-bound)
+        const circuitVersion = Array.isArray(publicSignals) ? signalsVersion(publicSignals) : null;
+        if (!proof || !circuitVersion) {
             return res.status(400).json({ error: 'invalid_request', message: 'Missing proof or publicSignals' });
         }
+        const vkey = verificationKeys[circuitVersion];
+
+        if (!vkey) {
+            return res.status(500).json({ error: 'internal_error', message: `Verification not configured for circuit version ${circuitVersion}` });
+        }
+
+        const maxAge = req.body.maxAge ?? (config.attestation.maxAgeSeconds || null);
+        if (maxAge !== null && (!Number.isInteger(maxAge) || maxAge <= 0)) {
+            return res.status(400).json({ error: 'invalid_request', message: 'maxAge must be a positive number of seconds' });
+        }
+
+        // "At most maxActions per epochSeconds" for version 4 proofs. The
+        // epoch comes from the proof's clock-checked currentTime.
+        const rateLimitPolicy = req.body.rateLimit ?? null;
+        if (rateLimitPolicy !== null) {
+            const { maxActions, epochSeconds } = rateLimitPolicy;
+            if (!Number.isInteger(maxActions) || maxActions < 1 || maxActions > 65535
+                || !Number.isInteger(epochSeconds) || epochSeconds <= 0) {
+                return res.status(400).json({
+                    error: 'invalid_request',
+                    message: 'rateLimit needs maxActions (1-65535) and epochSeconds (positive seconds)'
+                });
+            }
+            if (req.body.context === undefined && !consume) {
+                return res.status(400).json({ error: 'invalid_request', message: 'rateLimit needs a context' });
+            }
+        }
 
         // Verify proof cryptographically
         let valid;
         try {
-            valid = await snarkjs.groth16.verify(verificationKey, publicSignals, proof);
+            valid = await snarkjs.groth16.verify(vkey, publicSignals, proof);
         } catch (e) {
             return res.status(400).json({ error: 'proof_invalid', message: 'Proof verification failed' });
         }
@@ -620,101 +2113,625 @@ async function createServer() {
             return res.status(400).json({ error: 'proof_invalid', message: 'Cryptographic verification failed' });
         }
 
-        // Check registry root
-        const [nullifier, entityCommitment, claimedType, attestersRoot, contextId] = publicSignals;
-        const currentRoot = attesterTree.getRoot().toString();
+        // Check the attestation's validity window against this server's clock
+        const parsed = parsePublicSignals(publicSignals);
+        const timeCheck = checkProofTime(parsed, {
+            maxAge,
+            maxClockSkew: config.attestation.maxClockSkewSeconds
+        });
 
-        if (attestersRoot !== currentRoot) {
-            // Could also check against recent historical roots
+        if (timeCheck === 'proof_time_skew') {
             return res.status(400).json({
-                error: 'root_mismatch',
-                message: 'Proof uses outdated registry root'
+                error: 'proof_time_skew',
+                message: `Proof currentTime is more than ${config.attestation.maxClockSkewSeconds}s from server time`
             });
         }
 
-        // Check nullifier
-        const existingNullifier = db.prepare('SELECT * FROM nullifiers WHERE nullifier = ?').get(nullifier);
+        if (timeCheck === 'attestation_too_old') {
+            return res.status(400).json({
+                error: 'attestation_too_old',
+                message: circuitVersion === 1
+                    ? 'Proof uses an attestation without an expiry; a maxAge policy needs circuit version 2'
+                    : `Proof does not show the attestation was issued within the last ${maxAge}s`
+            });
+        }
 
-        // Look up entity type
-        const typeCode = parseInt(claimedType);
-        const typeEntry = Object.entries(EntityTypes).find(([k, v]) => v.code === typeCode);
+        // Version 4+ proofs carry actionLimit nullifiers per context, so they
+        // only count under a rate limit policy that allows that many
+        const actionLimit = circuitVersion >= 4 ? Number(parsed.actionLimit) : null;
+        if (rateLimitPolicy !== null && actionLimit === null) {
+            return res.status(400).json({
+                error: 'rate_limit_mismatch',
+                message: 'A rateLimit policy needs a circuit version 4 or later proof'
+            });
+        }
+        if (actionLimit !== null && actionLimit > (rateLimitPolicy?.maxActions ?? 1)) {
+            return res.status(400).json({
+                error: 'rate_limit_mismatch',
+                message: rateLimitPolicy
+                    ? `Proof allows ${actionLimit} actions per epoch; policy allows ${rateLimitPolicy.maxActions}`
+                    : `Proof allows ${actionLimit} actions per context; pass a rateLimit policy`
+            });
+        }
+        const epoch = rateLimitPolicy
+            ? rateLimitEpoch(rateLimitPolicy.epochSeconds, Number(parsed.currentTime))
+            : null;
+
+        // A proof only counts for the context it was made for. Consuming binds
+        // it to the verifier's own domain, so a proof shown to another site
+        // cannot be replayed here.
+        const context = requestContext(req.body.context);
+        if (context !== undefined || consume) {
+            let expected;
+            try {
+                expected = expectedContextId(req, context, consume, epoch);
+            } catch (e) {
+                return res.status(400).json({ error: 'invalid_request', message: `Invalid context: ${e.message}` });
+            }
+            if (parsed.contextId !== expected.toString()) {
+                return res.status(400).json({
+                    error: 'context_mismatch',
+                    message: 'Proof was made for a different domain, purpose or epoch'
+                });
+            }
+        }
 
-        res.json({
-            valid: true,
-            entityType: typeEntry ? typeEntry[0] : null,
-            entityTypeName: typeEntry ? typeEntry[1].name : null,
-            phoneticName: typeEntry ? typeEntry[1].phonetic : null,
-            entityCommitment,
-            nullifier,
-            registryRootValid: true,
-            nullifierStatus: existingNullifier ? 'used' : 'new'
+        // Version 7 proofs are bound to one of this verifier's nonces and the
+        // request it authorises; the nonce is burned once the proof is accepted
+        const challengeRequest = req.body.challenge;
+        let challenge = null;
+        if (challengeRequest === undefined) {
+            if (parsed.messageHash !== undefined) {
+                return res.status(400).json({
+                    error: 'challenge_required',
+                    message: 'Proof is bound to a challenge; pass the challenge nonce'
+                });
+            }
+        } else {
+            const { nonce, requestDigest = '' } = challengeRequest ?? {};
+            if (typeof nonce !== 'string' || typeof requestDigest !== 'string') {
+                return res.status(400).json({
+                    error: 'invalid_request',
+                    message: 'challenge must be { nonce, requestDigest? }'
+                });
+            }
+            challenge = db.prepare('SELECT * FROM challenges WHERE nonce = ? AND verifier_id = ?')
+                .get(nonce, req.verifier.id);
+            if (!challenge) {
+                return res.status(400).json({ error: 'challenge_not_found', message: 'Unknown challenge nonce' });
+            }
+            if (challenge.expires_at < Math.floor(Date.now() / 1000)) {
+                return res.status(400).json({ error: 'challenge_expired', message: 'Challenge has expired' });
+            }
+            const expected = challengeMessageHash({ domain: challenge.domain, nonce, requestDigest });
+            if (parsed.messageHash !== expected.toString()) {
+                return res.status(400).json({
+                    error: 'challenge_mismatch',
+                    message: parsed.messageHash === undefined
+                        ? 'A challenge needs a circuit version 7 proof'
+                        : 'Proof was not made for this challenge and request'
+                });
+            }
+        }
+
+        // Registry, challenge and nullifier checks read and write only SQLite,
+        // so with ?consume=true or a challenge they run as one transaction
+        const accept = () => {
+            // Check registry root against the acceptance window
+            // Version 5 and 6 proofs open a type-scoped leaf, so their root is looked
+            // up in the type-scoped history
+            const { nullifier, entityCommitment, claimedType, attestersRoot } = parsed;
+            const leafFormat = Number(parsed.attesterLeafFormat ?? AttesterLeafFormat.KEY_ONLY);
+            if (config.attestation.requireTypeScoped && leafFormat !== AttesterLeafFormat.TYPE_SCOPED) {
+                return { status: 400, body: {
+                    error: 'attester_scope_required',
+                    message: 'This server only accepts proofs against type-scoped attester roots (circuit version 5 or 6)'
+                } };
+            }
+            const rootCheck = checkRoot(attestersRoot, leafFormat);
+            const rootError = registryRootFailure(rootCheck);
+            if (rootError) {
+                return { status: 400, body: rootError };
+            }
+
+            // Look up entity type; version 6 proofs disclose only a type set
+            const type = claimedType !== undefined ? typeByCode(claimedType) : null;
+
+            // Check the attestation has not been revoked. Version 3 proves it
+            // against a revocation root; older proofs are only rejected when every
+            // attestation recorded for this commitment and type is revoked.
+            let revocationStatus = 'unchecked';
+            let revocationCheck = null;
+            if (circuitVersion >= 3) {
+                revocationCheck = checkRevocationRoot(parsed.revocationRoot);
+                if (revocationCheck.status !== 'accepted') {
+                    return { status: 400, body: {
+                        error: 'revocation_root_mismatch',
+                        message: revocationCheck.status === 'expired'
+                            ? 'Proof uses a superseded revocation root; fetch a new non-membership proof'
+                            : 'Proof uses an unknown revocation root'
+                    } };
+                }
+                revocationStatus = 'not_revoked';
+            } else if (type && allRecordedRevoked(entityCommitment, type)) {
+                return { status: 400, body: {
+                    error: 'attestation_revoked',
+                    message: 'The attestation behind this proof has been revoked'
+                } };
+            }
+
+            // Read in this transaction, so of two requests redeeming a
+            // challenge only the first finds it unused
+            if (challenge) {
+                const { consumed_at: consumedAt } = db.prepare('SELECT consumed_at FROM challenges WHERE nonce = ?')
+                  .get(challenge.nonce);
+                if (consumedAt !== null) {
+                    return { status: 409, body: {
+                        error: 'challenge_used',
+                        message: 'Challenge was already used'
+                    } };
+                }
+            }
+
+            // Check the nullifier. Consuming inserts it in this transaction, after
+            // the registry checks above, so a proof is accepted at most once per
+            // verifier domain even if two requests race.
+            const nullifierStatus = nullifierStatusFor(req, consume, {
+                nullifier,
+                contextId: parsed.contextId,
+                domain: context?.domain?.toLowerCase(),
+                epoch,
+                pruneAfter: epoch !== null
+                    ? (epoch + 1) * rateLimitPolicy.epochSeconds + config.attestation.maxClockSkewSeconds
+                    : null,
+            });
+            if (!nullifierStatus) {
+                return { status: 409, body: {
+                    error: 'nullifier_used',
+                    message: `Nullifier already consumed for ${req.verifier.domain}`
+                } };
+            }
+
+            // Burn the challenge only once every check has passed, so a rejected
+            // proof leaves it redeemable
+            if (challenge) {
+                db.prepare('UPDATE challenges SET consumed_at = ? WHERE nonce = ?')
+                  .run(Math.floor(Date.now() / 1000), challenge.nonce);
+            }
+
+            return { status: 200, body: {
+                valid: true,
+                entityType: type ? type.name : null,
+                entityTypeName: type ? type.description : null,
+                phoneticName: type ? type.phonetic : null,
+                ...(parsed.typeSet && { disclosedTypes: disclosedTypes(parsed) }),
+                entityCommitment,
+                nullifier,
+                registryRootValid: true,
+                registryRoot: {
+                    leafFormat,
+                    version: rootCheck.version,
+                    current: rootCheck.current,
+                    expiresAt: rootCheck.expiresAt
+                },
+                nullifierStatus,
+                revocationStatus,
+                ...(revocationCheck && {
+                    revocationRoot: {
+                        version: revocationCheck.version,
+                        current: revocationCheck.current,
+                        expiresAt: revocationCheck.expiresAt
+                    }
+                }),
+                ...(actionLimit !== null && {
+                    rateLimit: {
+                        actionLimit,
+                        maxActions: rateLimitPolicy?.maxActions ?? 1,
+                        ...(epoch !== null && {
+                            epoch,
+                            epochSeconds: rateLimitPolicy.epochSeconds,
+                            epochEndsAt: (epoch + 1) * rateLimitPolicy.epochSeconds
+                        })
+                    }
+                }),
+                ...(challenge && {
+                    challenge: {
+                        nonce: challenge.nonce,
+                        domain: challenge.domain,
+                        status: 'consumed'
+                    }
+                }),
+                circuitVersion,
+                ...(circuitVersion >= 2 && {
+                    attestationWindow: {
+                        currentTime: Number(parsed.currentTime),
+                        issuedNoEarlierThan: Number(parsed.minIssuedAt),
+                        maxAge
+                    }
+                })
+            } };
+        };
+
+        const outcome = consume || challenge ? db.transaction(accept)() : accept();
+        res.status(outcome.status).json(outcome.body);
+    });
+
+    // dual_identity_proof: the entity's type (ZK) and a minimum number of its
+    // public attestations, under a public trust root this server published
+    app.post('/api/v1/verify/dual', verifyLimiter, consumeAuth, async (req, res) => {
+        if (!config.legacyDualProofs) {
+            return res.status(410).json({
+                error: 'endpoint_deprecated',
+                message: 'dual_identity_proof proves an attestation without expiry or revocation proof, and is disabled. '
+                    + 'Use a level 3 package with POST /api/v1/policies/:name/evaluate.'
+            });
+        }
+        res.set('Deprecation', 'true');
+
+        const { proof, publicSignals } = req.body;
+        const context = requestContext(req.body.context);
+        const consume = req.query.consume === 'true';
+
+        if (!proof || !Array.isArray(publicSignals) || publicSignals.length !== DUAL_PUBLIC_SIGNALS.length) {
+            return res.status(400).json({
+                error: 'invalid_request',
+                message: `Missing proof or publicSignals (${DUAL_PUBLIC_SIGNALS.length} signals)`
+            });
+        }
+        if (!verificationKeyDual) {
+            return res.status(500).json({ error: 'internal_error', message: 'Verification not configured for dual_identity_proof' });
+        }
+
+        const minPublicAttestations = req.body.minPublicAttestations ?? 1;
+        if (!Number.isInteger(minPublicAttestations) || minPublicAttestations < 0) {
+            return res.status(400).json({ error: 'invalid_request', message: 'minPublicAttestations must be a non-negative integer' });
+        }
+        const maxAge = req.body.maxAge ?? null;
+        if (maxAge !== null && (!Number.isInteger(maxAge) || maxAge <= 0)) {
+            return res.status(400).json({ error: 'invalid_request', message: 'maxAge must be a positive number of seconds' });
+        }
+
+        const result = await verifyDualProof(proof, publicSignals, verificationKeyDual.key, {
+            minPublicAttestations,
+            maxAge,
+            maxClockSkew: config.attestation.maxClockSkewSeconds
         });
+        const messages = {
+            insufficient_attestations: `Proof shows ${result.minPublicAttestations} public attestations; ${minPublicAttestations} required`,
+            proof_time_skew: `Proof maxTimestamp is more than ${config.attestation.maxClockSkewSeconds}s ahead of server time`,
+            public_attestation_too_old: `Proof counts public attestations older than ${maxAge}s`,
+        };
+        if (result.reason) {
+            return res.status(400).json({ error: result.reason, message: messages[result.reason] });
+        }
+        if (!result.valid) {
+            return res.status(400).json({ error: 'proof_invalid', message: 'Cryptographic verification failed' });
+        }
+
+        if (context !== undefined || consume) {
+            let expected;
+            try {
+                expected = expectedContextId(req, context, consume);
+            } catch (e) {
+                return res.status(400).json({ error: 'invalid_request', message: `Invalid context: ${e.message}` });
+            }
+            if (result.contextId !== expected.toString()) {
+                return res.status(400).json({
+                    error: 'context_mismatch',
+                    message: 'Proof was made for a different domain, purpose or epoch'
+                });
+            }
+        }
+
+        const accept = () => {
+            const { nullifier, entityCommitment, claimedType, attestersRoot, publicTrustRoot } = result;
+            const rootCheck = checkRoot(attestersRoot);
+            const rootError = registryRootFailure(rootCheck);
+            if (rootError) {
+                return { status: 400, body: rootError };
+            }
+
+            const publicCheck = checkPublicRoot(publicTrustRoot);
+            if (publicCheck.status !== 'accepted') {
+                return { status: 400, body: {
+                    error: 'public_root_mismatch',
+                    message: publicCheck.status === 'expired'
+                        ? 'Proof uses an expired public trust root'
+                        : 'Proof uses an unknown public trust root'
+                } };
+            }
+
+            // The ZK attestation carries no revocation proof
+            const type = typeByCode(claimedType);
+            if (type && allRecordedRevoked(entityCommitment, type)) {
+                return { status: 400, body: {
+                    error: 'attestation_revoked',
+                    message: 'The attestation behind this proof has been revoked'
+                } };
+            }
+
+            const nullifierStatus = nullifierStatusFor(req, consume, {
+                nullifier,
+                contextId: result.contextId,
+                domain: context?.domain?.toLowerCase(),
+            });
+            if (!nullifierStatus) {
+                return { status: 409, body: {
+                    error: 'nullifier_used',
+                    message: `Nullifier already consumed for ${req.verifier.domain}`
+                } };
+            }
+
+            return { status: 200, body: {
+                valid: true,
+                circuit: 'dual_identity_proof',
+                entityType: type ? type.name : null,
+                entityTypeName: type ? type.description : null,
+                phoneticName: type ? type.phonetic : null,
+                entityCommitment,
+                nullifier,
+                registryRootValid: true,
+                registryRoot: {
+                    version: rootCheck.version,
+                    current: rootCheck.current,
+                    expiresAt: rootCheck.expiresAt
+                },
+                publicTrustRoot: {
+                    root: publicTrustRoot,
+                    version: publicCheck.version,
+                    current: publicCheck.current,
+                    expiresAt: publicCheck.expiresAt
+                },
+                publicStanding: {
+                    minPublicAttestations: Number(result.minPublicAttestations),
+                    minTimestamp: Number(result.minTimestamp),
+                    maxTimestamp: Number(result.maxTimestamp),
+                    maxAge
+                },
+                nullifierStatus,
+                revocationStatus: 'unchecked'
+            } };
+        };
+
+        const outcome = consume ? db.transaction(accept)() : accept();
+        res.status(outcome.status).json(outcome.body);
     });
 
-    app.post('/api/v1/verify/record', verifyLimiter, (req, res) => {
+    // Record a nullifier for a proof the verifier checked itself (e.g. with
+    // the SDK's verifyProof). Prefer POST /verify?consume=true, which checks
+    // the proof and records it atomically.
+    app.post('/api/v1/verify/record', verifyLimiter, verifierAuth, (req, res) => {
         const { nullifier, contextId, domain } = req.body;
 
         if (!nullifier) {
             return res.status(400).json({ error: 'invalid_request', message: 'Missing nullifier' });
         }
 
-        // Check if already used
-        const existing = db.prepare('SELECT * FROM nullifiers WHERE nullifier = ?').get(nullifier);
-        if (existing) {
+        // A verifier can only burn nullifiers in its own domain (stored lowercased)
+        if (domain !== undefined && String(domain).toLowerCase() !== req.verifier.domain) {
+            return res.status(403).json({ error: 'forbidden', message: `Verifier is registered for ${req.verifier.domain}` });
+        }
+
+        const { changes } = db.prepare(
+            'INSERT OR IGNORE INTO nullifiers (nullifier, context_id, domain, verifier_id) VALUES (?, ?, ?, ?)'
+        ).run(String(nullifier), String(contextId ?? ''), req.verifier.domain, req.verifier.id);
+        if (changes === 0) {
             return res.status(409).json({ error: 'nullifier_used', message: 'Nullifier already recorded' });
         }
 
-        // Record it
-        db.prepare('INSERT INTO nullifiers (nullifier, context_id, domain) VALUES (?, ?, ?)')
-          .run(nullifier, contextId || '', domain || '');
+        res.json({ recorded: true, nullifier, domain: req.verifier.domain });
+    });
+
+    // ========================================================================
+    // ROUTES: Policies
+    // ========================================================================
+
+    function policyRow(p) {
+        return {
+            name: p.name,
+            rule: JSON.parse(p.rule),
+            source: p.source,
+            createdAt: p.created_at,
+            updatedAt: p.updated_at
+        };
+    }
+
+    function actionRow(a) {
+        return {
+            action: a.action,
+            rule: JSON.parse(a.rule),
+            source: a.source,
+            createdAt: a.created_at,
+            updatedAt: a.updated_at
+        };
+    }
+
+    app.get('/api/v1/policies', registryLimiter, (req, res) => {
+        const rows = db.prepare('SELECT * FROM policies ORDER BY name').all();
+        const actions = db.prepare('SELECT * FROM policy_actions ORDER BY action').all();
+        res.json({ policies: rows.map(policyRow), actions: actions.map(actionRow) });
+    });
+
+    app.get('/api/v1/actions/:action', registryLimiter, (req, res) => {
+        const row = db.prepare('SELECT * FROM policy_actions WHERE action = ?').get(req.params.action);
+        if (!row) {
+            return res.status(404).json({ error: 'action_not_found', message: 'Action not found' });
+        }
+        res.json({ action: actionRow(row) });
+    });
+
+    app.get('/api/v1/policies/:name', registryLimiter, (req, res) => {
+        const row = db.prepare('SELECT * FROM policies WHERE name = ?').get(req.params.name);
+        if (!row) {
+            return res.status(404).json({ error: 'policy_not_found', message: 'Policy not found' });
+        }
+        res.json({ policy: policyRow(row) });
+    });
+
+    /**
+     * Check a dual-system proof package against a stored policy or action,
+     * with this server's verification keys, accepted registry roots and
+     * nullifiers. Read-only: nothing is consumed.
+     *
+     * @param entry - { policies: [name] } or { actions: [action] }
+     * @returns { status, body } of the response, without the entry's name
+     */
+    async function evaluatePolicy(req, entry) {
+        const { package: proofPackage } = req.body;
+        const context = requestContext(req.body.context);
+
+        if (typeof proofPackage !== 'object' || proofPackage === null) {
+            return { status: 400, body: { error: 'invalid_request', message: 'Missing package' } };
+        }
+
+        // Only the requested entry and the policies it references are
+        // compiled, so a stale policy elsewhere does not break this one
+        const domain = context?.domain?.toLowerCase();
+        let compiled;
+        try {
+            compiled = compilePolicyDocument(policySubset(storedPolicyDocument(), entry), {
+                verificationKeys,
+                trustedZkRoots: async (root, leafFormat) => checkRoot(root, leafFormat).status === 'accepted',
+                trustedPublicRoots: async (root) => checkPublicRoot(root).status === 'accepted',
+                // Standing proven against a root from before an attester's
+                // revocation still verifies; its attestations do not count
+                isPublicAttestationRevoked: async (attestation) => Boolean(db.prepare(`
+                    SELECT 1 FROM public_attestations p JOIN attesters a ON a.id = p.attester_id
+                    WHERE p.id = ? AND a.revoked_at IS NOT NULL
+                `).get(Number(attestation.attestationId))),
+                context: context ?? null,
+                isNullifierUsed: async (nullifier) => Boolean(domain
+                    ? db.prepare('SELECT 1 FROM nullifiers WHERE domain = ? AND nullifier = ?').get(domain, nullifier)
+                    : db.prepare('SELECT 1 FROM nullifiers WHERE nullifier = ?').get(nullifier)),
+                maxClockSkew: config.attestation.maxClockSkewSeconds
+            });
+        } catch (e) {
+            // e.g. the policy names a custom type that was deleted since
+            return { status: 500, body: { error: 'internal_error', message: e.message } };
+        }
+
+        const policy = entry.policies ? compiled.policies[entry.policies[0]] : compiled.actions[entry.actions[0]];
+        try {
+            return { status: 200, body: await policy.verify(proofPackage) };
+        } catch (e) {
+            return { status: 400, body: { error: 'invalid_request', message: `Invalid context: ${e.message}` } };
+        }
+    }
+
+    app.post('/api/v1/policies/:name/evaluate', verifyLimiter, async (req, res) => {
+        const { name } = req.params;
+        if (!db.prepare('SELECT 1 FROM policies WHERE name = ?').get(name)) {
+            return res.status(404).json({ error: 'policy_not_found', message: 'Policy not found' });
+        }
+        const outcome = await evaluatePolicy(req, { policies: [name] });
+        res.status(outcome.status).json(outcome.status === 200 ? { policy: name, ...outcome.body } : outcome.body);
+    });
 
-        res.json({ recorded: true, nullifier });
+    app.post('/api/v1/actions/:action/evaluate', verifyLimiter, async (req, res) => {
+        const { action } = req.params;
+        if (!db.prepare('SELECT 1 FROM policy_actions WHERE action = ?').get(action)) {
+            return res.status(404).json({ error: 'action_not_found', message: 'Action not found' });
+        }
+        const outcome = await evaluatePolicy(req, { actions: [action] });
+        res.status(outcome.status).json(outcome.status === 200 ? { action, ...outcome.body } : outcome.body);
     });
 
     // ========================================================================
     // ROUTES: Admin
     // ========================================================================
 
-    app.post('/api/v1/admin/attesters', adminAuth, (req, res) => {
+    app.post('/api/v1/admin/attesters', adminAuth, async (req, res) => {
         const { id, name, allowedTypes, contact } = req.body;
 
         if (!id || !name || !allowedTypes) {
             return res.status(400).json({ error: 'invalid_request', message: 'Missing required fields' });
         }
 
+        if (!Array.isArray(allowedTypes) || allowedTypes.length === 0) {
+            return res.status(400).json({ error: 'invalid_request', message: 'allowedTypes must be a non-empty array' });
+        }
+
+        const invalidTypes = allowedTypes.filter(t => !isValidTypePattern(t));
+        if (invalidTypes.length > 0) {
+            return res.status(400).json({ error: 'invalid_type', message: `Unknown entity types: ${invalidTypes.join(', ')}` });
+        }
+
+        // External signers register only their Baby Jubjub public key
+        let externalKey = null;
+        if (req.body.publicKey !== undefined) {
+            try {
+                externalKey = { x: BigInt(req.body.publicKey.x), y: BigInt(req.body.publicKey.y) };
+            } catch (e) {
+                externalKey = null;
+            }
+            const point = externalKey && externalKey.x < eddsa.F.p && externalKey.y < eddsa.F.p
+                && [eddsa.F.e(externalKey.x), eddsa.F.e(externalKey.y)];
+            if (!point || !eddsa.babyJub.inCurve(point) || !eddsa.babyJub.inSubgroup(point)) {
+                return res.status(400).json({
+                    error: 'invalid_public_key',
+                    message: 'publicKey must be { x, y } on the Baby Jubjub prime-order subgroup'
+                });
+            }
+        }
+
         // Check ID doesn't exist
         const existing = db.prepare('SELECT id FROM attesters WHERE id = ?').get(id);
         if (existing) {
             return res.status(409).json({ error: 'already_exists', message: 'Attester ID already exists' });
         }
 
-        // Generate keypair
-        const privKey = randomBytes(32);
-        const pubKey = eddsa.prv2pub(privKey);
-        const pubKeyX = eddsa.F.toObject(pubKey[0]).toString();
-        const pubKeyY = eddsa.F.toObject(pubKey[1]).toString();
+        if (externalKey) {
+            const sameKey = db.prepare('SELECT id FROM attesters WHERE public_key_x = ? AND public_key_y = ? AND revoked_at IS NULL')
+              .get(externalKey.x.toString(), externalKey.y.toString());
+            if (sameKey) {
+                return res.status(409).json({ error: 'already_exists', message: `Public key already registered to ${sameKey.id}` });
+            }
+        }
+
+        // Generate keypair inside the keystore unless the attester holds its own
+        const { keyRef, publicKey } = externalKey
+            ? { keyRef: null, publicKey: externalKey }
+            : await keystore.createKey();
+        const pubKeyX = publicKey.x.toString();
+        const pubKeyY = publicKey.y.toString();
 
         // Generate API key
         const apiKey = randomBytes(32).toString('hex');
         const apiKeyHash = createHash('sha256').update(apiKey).digest('hex');
 
-        // Add to merkle tree
         const leaf = hash([BigInt(pubKeyX), BigInt(pubKeyY)]);
-        const merkleIndex = attesterTree.addLeaf(leaf);
+        let merkleIndex;
+        let registry;
 
-        // Update registry root
-        const newRoot = attesterTree.getRoot().toString();
-        db.prepare('UPDATE registry_state SET root = ?, updated_at = CURRENT_TIMESTAMP WHERE id = 1').run(newRoot);
+        try {
+            registry = registryTransaction((setLeaf) => {
+                // Add to merkle tree
+                merkleIndex = setLeaf(attesterTree, attesterTree.nextIndex, leaf);
 
-        // Store attester
-        db.prepare(`
-            INSERT INTO attesters (id, name, public_key_x, public_key_y, private_key_encrypted, merkle_index, allowed_types, api_key_hash)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-        `).run(id, name, pubKeyX, pubKeyY, privKey.toString('hex'), merkleIndex, JSON.stringify(allowedTypes), apiKeyHash);
+                // Store attester
+                db.prepare(`
+                    INSERT INTO attesters (id, name, public_key_x, public_key_y, key_ref, merkle_index, allowed_types, api_key_hash)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                `).run(id, name, pubKeyX, pubKeyY, keyRef, merkleIndex, JSON.stringify(allowedTypes), apiKeyHash);
+                addScopedLeaves({ id, public_key_x: pubKeyX, public_key_y: pubKeyY }, allowedTypes, setLeaf);
 
-        // Audit log
-        db.prepare('INSERT INTO audit_log (action, attester_id, details) VALUES (?, ?, ?)')
-          .run('attester_created', id, JSON.stringify({ name, allowedTypes }));
+                // Update registry roots (key-only and type-scoped)
+                const version = recordRoots('attester_created', id);
+
+                // Audit log
+                db.prepare('INSERT INTO audit_log (action, attester_id, details) VALUES (?, ?, ?)')
+                  .run('attester_created', id, JSON.stringify({ name, allowedTypes, signing: keyRef ? 'managed' : 'external' }));
+
+                return version;
+            });
+        } catch (e) {
+            // The keystore is not part of the transaction
+            if (keyRef) {
+                await keystore.deleteKey(keyRef);
+            }
+            console.error('Attester registration error:', e);
+            return res.status(500).json({ error: 'internal_error', message: 'Failed to register attester' });
+        }
 
         res.json({
             attester: {
@@ -723,52 +2740,368 @@ async function createServer() {
                 publicKeyX: pubKeyX,
                 publicKeyY: pubKeyY,
                 index: merkleIndex,
-                types: allowedTypes
+                types: allowedTypes,
+                signing: keyRef ? 'managed' : 'external'
             },
             apiKey: apiKey,  // Only returned once!
-            registryRoot: newRoot,
+            registryRoot: registry.root,
+            registryVersion: registry.version,
+            scopedRegistryRoot: registry.scoped.root,
+            scopedRegistryVersion: registry.scoped.version,
             warning: 'Store the API key securely. It cannot be retrieved again.'
         });
     });
 
-    app.delete('/api/v1/admin/attesters/:id', adminAuth, (req, res) => {
+    app.delete('/api/v1/admin/attesters/:id', adminAuth, async (req, res) => {
         const attester = db.prepare('SELECT * FROM attesters WHERE id = ? AND revoked_at IS NULL').get(req.params.id);
 
         if (!attester) {
             return res.status(404).json({ error: 'attester_not_found', message: 'Attester not found' });
         }
 
-        // Mark as revoked (don't delete for audit trail)
-        db.prepare('UPDATE attesters SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?').run(req.params.id);
+        let registry;
+        try {
+            registry = registryTransaction((setLeaf) => {
+                // Zero only this attester's slot; every other index stays put so
+                // proofs built against their existing paths keep working
+                setLeaf(attesterTree, attester.merkle_index, 0n);
+                const scopes = db.prepare('SELECT merkle_index FROM attester_scopes WHERE attester_id = ?').all(req.params.id);
+                for (const scope of scopes) {
+                    setLeaf(scopedAttesterTree, scope.merkle_index, 0n);
+                }
+
+                // Its public attestations stop counting: their leaves are
+                // zeroed, the same way as the attester's own
+                const published = db.prepare('SELECT id FROM public_attestations WHERE attester_id = ?').all(req.params.id);
+                for (const { id } of published) {
+                    setLeaf(publicRegistry.merkleTree, publicRegistry.leafIndices.get(id), 0n);
+                }
+
+                // Mark as revoked (don't delete for audit trail)
+                db.prepare('UPDATE attesters SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?').run(req.params.id);
+
+                // Every root recorded since this attester joined contains its
+                // leaves, in both formats, so proofs against those roots are
+                // rejected from now on. Attesters that predate a history (or
+                // were migrated to scoped leaves at startup) joined it at a
+                // rebuild, so fall back to invalidating every root.
+                for (const table of Object.values(rootTables)) {
+                    const joined = db.prepare(
+                        `SELECT MIN(version) AS version FROM ${table} WHERE reason = 'attester_created' AND attester_id = ?`
+                    ).get(req.params.id);
+                    db.prepare(`UPDATE ${table} SET invalidated_at = CURRENT_TIMESTAMP WHERE invalidated_at IS NULL AND version >= ?`)
+                      .run(joined.version ?? 0);
+                }
+
+                const version = recordRoots('attester_revoked', req.params.id);
+                if (published.length > 0) {
+                    version.public = recordPublicRoot('attester_revoked');
+                }
+
+                // Audit log
+                db.prepare('INSERT INTO audit_log (action, attester_id, details) VALUES (?, ?, ?)')
+                  .run('attester_revoked', req.params.id, JSON.stringify({ merkleIndex: attester.merkle_index }));
+
+                return version;
+            });
+        } catch (e) {
+            console.error('Attester revocation error:', e);
+            return res.status(500).json({ error: 'internal_error', message: 'Failed to revoke attester' });
+        }
+
+        // A revoked attester can never sign again
+        if (attester.key_ref) {
+            await keystore.deleteKey(attester.key_ref);
+        }
+
+        res.json({
+            revoked: true,
+            attesterId: req.params.id,
+            registryRoot: registry.root,
+            registryVersion: registry.version,
+            scopedRegistryRoot: registry.scoped.root,
+            scopedRegistryVersion: registry.scoped.version,
+            ...(registry.public && { publicRoot: registry.public.root, publicRootVersion: registry.public.version })
+        });
+    });
+
+    app.delete('/api/v1/admin/attestations/:id', adminAuth, async (req, res) => {
+        const row = db.prepare('SELECT * FROM attestations WHERE id = ?').get(req.params.id);
+        await revokeAttestationRoute(req, res, row, 'admin');
+    });
 
-        // Rebuild merkle tree without this attester
-        const activeAttesters = db.prepare('SELECT * FROM attesters WHERE revoked_at IS NULL ORDER BY merkle_index').all();
+    // ========================================================================
+    // ROUTES: Admin - Verifiers
+    // ========================================================================
 
-        // Reset tree
-        attesterTree.leaves = [];
-        attesterTree.layers = [];
+    app.post('/api/v1/admin/verifiers', adminAuth, (req, res) => {
+        const { id, name, domain } = req.body;
 
-        for (let i = 0; i < activeAttesters.length; i++) {
-            const a = activeAttesters[i];
-            const leaf = hash([BigInt(a.public_key_x), BigInt(a.public_key_y)]);
-            attesterTree.addLeaf(leaf);
+        if (!id || !name || !domain || typeof domain !== 'string') {
+            return res.status(400).json({ error: 'invalid_request', message: 'Missing required fields' });
+        }
 
-            // Update merkle index
-            db.prepare('UPDATE attesters SET merkle_index = ? WHERE id = ?').run(i, a.id);
+        const existing = db.prepare('SELECT id FROM verifiers WHERE id = ?').get(id);
+        if (existing) {
+            return res.status(409).json({ error: 'already_exists', message: 'Verifier ID already exists' });
         }
 
-        const newRoot = attesterTree.getRoot().toString();
-        db.prepare('UPDATE registry_state SET root = ?, updated_at = CURRENT_TIMESTAMP WHERE id = 1').run(newRoot);
+        const apiKey = randomBytes(32).toString('hex');
+        const apiKeyHash = createHash('sha256').update(apiKey).digest('hex');
+        const normalizedDomain = domain.toLowerCase();
+
+        db.transaction(() => {
+            db.prepare('INSERT INTO verifiers (id, name, domain, api_key_hash) VALUES (?, ?, ?, ?)')
+              .run(id, name, normalizedDomain, apiKeyHash);
+
+            db.prepare('INSERT INTO audit_log (action, attester_id, details) VALUES (?, ?, ?)')
+              .run('verifier_created', null, JSON.stringify({ verifierId: id, domain: normalizedDomain }));
+        })();
+
+        res.json({
+            verifier: { id, name, domain: normalizedDomain },
+            apiKey: apiKey,  // Only returned once!
+            warning: 'Store the API key securely. It cannot be retrieved again.'
+        });
+    });
+
+    app.delete('/api/v1/admin/verifiers/:id', adminAuth, (req, res) => {
+        const verifier = db.prepare('SELECT * FROM verifiers WHERE id = ? AND revoked_at IS NULL').get(req.params.id);
+
+        if (!verifier) {
+            return res.status(404).json({ error: 'verifier_not_found', message: 'Verifier not found' });
+        }
+
+        db.transaction(() => {
+            db.prepare('UPDATE verifiers SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?').run(req.params.id);
+
+            db.prepare('INSERT INTO audit_log (action, attester_id, details) VALUES (?, ?, ?)')
+              .run('verifier_revoked', null, JSON.stringify({ verifierId: req.params.id }));
+        })();
+
+        res.json({ revoked: true, verifierId: req.params.id });
+    });
+
+    // ========================================================================
+    // ROUTES: Admin - Policies
+    // ========================================================================
+
+    /**
+     * Problems a change would add to the stored policies; ones already there
+     * (e.g. a deleted custom type) do not block unrelated changes
+     */
+    function newPolicyProblems(changes) {
+        const before = new Set(validatePolicyDocument(storedPolicyDocument()));
+        return validatePolicyDocument(storedPolicyDocument(changes)).filter(p => !before.has(p));
+    }
+
+    // Body: one policy rule, as in a policy document's `policies` section.
+    // It is validated together with the stored policies it may reference.
+    app.put('/api/v1/admin/policies/:name', adminAuth, (req, res) => {
+        const { name } = req.params;
+        const problems = newPolicyProblems({ [name]: req.body });
+        if (problems.length > 0) {
+            return res.status(400).json({ error: 'invalid_policy', message: 'Policy does not validate', details: problems });
+        }
+
+        const existing = db.prepare('SELECT 1 FROM policies WHERE name = ?').get(name);
+        db.transaction(() => {
+            db.prepare(`
+                INSERT INTO policies (name, rule, source) VALUES (?, ?, 'api')
+                ON CONFLICT (name) DO UPDATE SET rule = excluded.rule, source = 'api', updated_at = CURRENT_TIMESTAMP
+            `).run(name, JSON.stringify(req.body));
+
+            db.prepare('INSERT INTO audit_log (action, attester_id, details) VALUES (?, ?, ?)')
+              .run('policy_updated', null, JSON.stringify({ policy: name, rule: req.body }));
+        })();
+
+        const row = db.prepare('SELECT * FROM policies WHERE name = ?').get(name);
+        res.status(existing ? 200 : 201).json({ policy: policyRow(row) });
+    });
+
+    app.delete('/api/v1/admin/policies/:name', adminAuth, (req, res) => {
+        const { name } = req.params;
+        if (!db.prepare('SELECT 1 FROM policies WHERE name = ?').get(name)) {
+            return res.status(404).json({ error: 'policy_not_found', message: 'Policy not found' });
+        }
+
+        const problems = newPolicyProblems({ [name]: null });
+        if (problems.length > 0) {
+            return res.status(409).json({ error: 'policy_in_use', message: 'Other policies or actions reference this policy', details: problems });
+        }
+
+        db.transaction(() => {
+            db.prepare('DELETE FROM policies WHERE name = ?').run(name);
+
+            db.prepare('INSERT INTO audit_log (action, attester_id, details) VALUES (?, ?, ?)')
+              .run('policy_deleted', null, JSON.stringify({ policy: name }));
+        })();
+
+        res.json({ deleted: true, policy: name });
+    });
+
+    // ========================================================================
+    // ROUTES: Admin - Keystore
+    // ========================================================================
+
+    // Rewrap every attester key under the current master key. With a keyfile
+    // the file is re-read first, so rotation is: write the new key, call this.
+    // With ATTESTER_MASTER_KEY, restart with the new key and the old one in
+    // ATTESTER_MASTER_KEY_PREVIOUS, call this, then drop the old key.
+    app.post('/api/v1/admin/keystore/rotate', adminAuth, async (req, res) => {
+        let result;
+        try {
+            const newMasterKey = config.keystore.masterKeyFile
+                ? loadMasterKeys(config.keystore).current
+                : null;
+            result = await keystore.rotateMasterKey(newMasterKey);
+        } catch (e) {
+            return res.status(400).json({ error: 'rotation_failed', message: e.message });
+        }
 
-        // Audit log
         db.prepare('INSERT INTO audit_log (action, attester_id, details) VALUES (?, ?, ?)')
-          .run('attester_revoked', req.params.id, '{}');
+          .run('keystore_rotated', null, JSON.stringify(result));
 
         res.json({
-            revoked: true,
-            attesterId: req.params.id,
-            registryRoot: newRoot
+            backend: keystore.backend,
+            masterKeyId: result.masterKeyId,
+            rotated: result.rotated
+        });
+    });
+
+    // ========================================================================
+    // ROUTES: Admin - Entity Types
+    // ========================================================================
+    //
+    // Governance: new types are proposed, then activated in a separate call.
+    // Only active types can be attested. Codes are never reused; deprecation
+    // keeps the entry so existing proofs still decode.
+
+    function typeRow(t) {
+        return {
+            code: t.name,
+            hex: '0x' + t.code.toString(16).padStart(4, '0'),
+            numeric: t.code,
+            name: t.description,
+            phonetic: t.phonetic,
+            category: t.name.split('.')[0],
+            status: t.status,
+            createdAt: t.created_at,
+            updatedAt: t.updated_at
+        };
+    }
+
+    function setTypeStatus(name, status, action) {
+        return db.transaction(() => {
+            db.prepare('UPDATE entity_types SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE name = ?').run(status, name);
+            const { lastInsertRowid } = db.prepare('INSERT INTO entity_type_versions (type_name, action) VALUES (?, ?)')
+              .run(name, action);
+            db.prepare('INSERT INTO audit_log (action, details) VALUES (?, ?)')
+              .run(action, JSON.stringify({ type: name }));
+            return Number(lastInsertRowid);
+        })();
+    }
+
+    app.get('/api/v1/admin/types', adminAuth, (req, res) => {
+        const rows = db.prepare('SELECT * FROM entity_types ORDER BY code').all();
+        res.json({ version: typesVersion(), types: rows.map(typeRow) });
+    });
+
+    app.post('/api/v1/admin/types', adminAuth, (req, res) => {
+        const { name, code, category, phonetic, description } = req.body;
+
+        const pending = db.prepare('SELECT * FROM entity_types').all();
+        const taken = (c) => typeByCode(c) || pending.some(t => t.code === c);
+
+        // Auto-assign the next free category, skipping pending proposals too
+        let assigned = code;
+        if (assigned === undefined && category === undefined && Categories[name?.split('.')[0]]) {
+            assigned = Categories[name.split('.')[0]].prefix * 256 + 1;
+            while (taken(assigned)) assigned++;
+        }
+
+        let type;
+        try {
+            type = defineEntityType({ name, code: assigned, category, phonetic, description });
+        } catch (e) {
+            return res.status(400).json({ error: 'invalid_type', message: e.message });
+        }
+
+        const conflict = pending.find(t =>
+            t.name === type.name || t.code === type.code || t.phonetic.toLowerCase() === type.phonetic.toLowerCase());
+        if (conflict) {
+            return res.status(409).json({ error: 'already_exists', message: `Conflicts with type ${conflict.name}` });
+        }
+
+        db.transaction(() => {
+            db.prepare('INSERT INTO entity_types (name, code, phonetic, description, status) VALUES (?, ?, ?, ?, ?)')
+              .run(type.name, type.code, type.phonetic, type.description, 'proposed');
+            db.prepare('INSERT INTO audit_log (action, details) VALUES (?, ?)')
+              .run('type_proposed', JSON.stringify({ type: type.name, code: type.code }));
+        })();
+
+        const row = db.prepare('SELECT * FROM entity_types WHERE name = ?').get(type.name);
+        res.status(201).json({ type: typeRow(row) });
+    });
+
+    app.post('/api/v1/admin/types/:name/activate', adminAuth, (req, res) => {
+        const row = db.prepare('SELECT * FROM entity_types WHERE name = ?').get(req.params.name);
+        if (!row) {
+            return res.status(404).json({ error: 'type_not_found', message: 'Entity type not found' });
+        }
+        if (row.status !== 'proposed') {
+            return res.status(409).json({ error: 'invalid_state', message: `Type is already ${row.status}` });
+        }
+
+        // The registry may have changed since the proposal, e.g. a built-in
+        // type added by an SDK upgrade
+        try {
+            registerEntityType({ name: row.name, code: row.code, phonetic: row.phonetic, description: row.description });
+        } catch (e) {
+            const conflict = typeByName(row.name) || typeByCode(row.code) || typeByPhonetic(row.phonetic);
+            return conflict
+                ? res.status(409).json({ error: 'already_exists', message: e.message })
+                : res.status(400).json({ error: 'invalid_type', message: e.message });
+        }
+        const version = setTypeStatus(row.name, TypeStatus.ACTIVE, 'type_activated');
+
+        res.json({ type: typeRow(db.prepare('SELECT * FROM entity_types WHERE name = ?').get(row.name)), version });
+    });
+
+    app.post('/api/v1/admin/types/:name/deprecate', adminAuth, (req, res) => {
+        const row = db.prepare('SELECT * FROM entity_types WHERE name = ?').get(req.params.name);
+        if (!row) {
+            return res.status(404).json({ error: 'type_not_found', message: 'Entity type not found' });
+        }
+        if (row.status !== TypeStatus.ACTIVE) {
+            return res.status(409).json({ error: 'invalid_state', message: `Type is ${row.status}` });
+        }
+
+        registerEntityType({
+            name: row.name, code: row.code, phonetic: row.phonetic, description: row.description,
+            status: TypeStatus.DEPRECATED,
         });
+        const version = setTypeStatus(row.name, TypeStatus.DEPRECATED, 'type_deprecated');
+
+        res.json({ type: typeRow(db.prepare('SELECT * FROM entity_types WHERE name = ?').get(row.name)), version });
+    });
+
+    app.delete('/api/v1/admin/types/:name', adminAuth, (req, res) => {
+        const row = db.prepare('SELECT * FROM entity_types WHERE name = ?').get(req.params.name);
+        if (!row) {
+            return res.status(404).json({ error: 'type_not_found', message: 'Entity type not found' });
+        }
+        if (row.status !== 'proposed') {
+            return res.status(409).json({ error: 'invalid_state', message: 'Only proposed types can be withdrawn; deprecate instead' });
+        }
+
+        db.transaction(() => {
+            db.prepare('DELETE FROM entity_types WHERE name = ?').run(row.name);
+            db.prepare('INSERT INTO audit_log (action, details) VALUES (?, ?)')
+              .run('type_withdrawn', JSON.stringify({ type: row.name }));
+        })();
+
+        res.json({ withdrawn: true, type: row.name });
     });
 
     // ========================================================================
@@ -788,6 +3121,12 @@ async function createServer() {
     // ========================================================================
 
     app.use('/assets', express.static('../build/entity_type_proof_js'));
+    app.use('/assets', express.static('../build/entity_type_proof_v2_js'));
+    app.use('/assets', express.static('../build/entity_type_proof_v3_js'));
+    app.use('/assets', express.static('../build/entity_type_proof_v4_js'));
+    app.use('/assets', express.static('../build/entity_type_proof_v5_js'));
+    app.use('/assets', express.static('../build/entity_type_proof_v6_js'));
+    app.use('/assets', express.static('../build/entity_type_proof_v7_js'));
     app.use('/assets', express.static('../setup'));
 
     return app;
@@ -865,5 +3204,9 @@ async function generateSelfSignedCert() {
     }
 }
 
-// Start
-startServer().catch(console.error);
+// Start unless imported (the server tests call createServer themselves)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    startServer().catch(console.error);
+}
+
+export { createServer, initDatabase };
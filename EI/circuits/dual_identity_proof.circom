@@ -26,6 +26,10 @@ DUAL PROOF:
   Proves BOTH privately and shows public standing.
   "I am AI.CA (proven via ZK) AND my commitment has public attestations (verifiable on-chain)"
 
+LEGACY: the ZK layer proves a version 1 attestation, with no validity window
+and no revocation proof. The API server accepts these proofs only with
+LEGACY_DUAL_PROOFS=true.
+
 ================================================================================
 */
 
@@ -34,106 +38,7 @@ include "circomlib/circuits/eddsaposeidon.circom";
 include "circomlib/circuits/comparators.circom";
 include "circomlib/circuits/mux1.circom";
 include "circomlib/circuits/bitify.circom";
-
-/*
---------------------------------------------------------------------------------
-PUBLIC TRUST REGISTRY - Data Structure
---------------------------------------------------------------------------------
-
-On-chain, we maintain a public merkle tree of attestations:
-
-Leaf = Poseidon(
-    entity_commitment,
-    entity_type,
-    attester_pubkey_hash,
-    timestamp,
-    attestation_id
-)
-
-This is PUBLICLY VISIBLE. Anyone can:
-  - See all attestations for a commitment
-  - Verify attester signatures
-  - Audit the history
-  - Build trust graphs
-
-The entity_commitment links to the ZK layer without revealing the entity's secret.
-*/
-
-/*
---------------------------------------------------------------------------------
-COMPONENT: Public Attestation Leaf
---------------------------------------------------------------------------------
-Computes the leaf value for the public trust tree.
-*/
-
-template PublicAttestationLeaf() {
-    signal input entityCommitment;
-    signal input entityType;
-    signal input attesterPubKeyHash;
-    signal input timestamp;
-    signal input attestationId;
-    
-    signal output leaf;
-    
-    // 5-input Poseidon hash
-    component hasher = Poseidon(5);
-    hasher.inputs[0] <== entityCommitment;
-    hasher.inputs[1] <== entityType;
-    hasher.inputs[2] <== attesterPubKeyHash;
-    hasher.inputs[3] <== timestamp;
-    hasher.inputs[4] <== attestationId;
-    
-    leaf <== hasher.out;
-}
-
-
-/*
---------------------------------------------------------------------------------
-COMPONENT: Public Trust Proof
---------------------------------------------------------------------------------
-Proves that an entity's commitment exists in the public trust registry
-with at least N attestations.
-
-This is NOT zero-knowledge about the commitment - it's meant to be public.
-But we can prove properties about the public record.
-*/
-
-template PublicTrustMerkleVerifier(depth) {
-    signal input leaf;
-    signal input pathElements[depth];
-    signal input pathIndices[depth];
-    signal output root;
-    
-    signal hashes[depth + 1];
-    hashes[0] <== leaf;
-    
-    component hashers[depth];
-    component muxLeft[depth];
-    component muxRight[depth];
-    
-    for (var i = 0; i < depth; i++) {
-        pathIndices[i] * (1 - pathIndices[i]) === 0;
-        
-        muxLeft[i] = Mux1();
-        muxLeft[i].c[0] <== hashes[i];
-        muxLeft[i].c[1] <== pathElements[i];
-        muxLeft[i].s <== pathIndices[i];
-        
-        muxRight[i] = Mux1();
-        muxRight[i].c[0] <== pathElements[i];
-        muxRight[i].c[1] <== hashes[i];
-        muxRight[i].s <== pathIndices[i];
-        
-        hashers[i] = Poseidon(2);
-        hashers[i].inputs[0] <== muxLeft[i].out;
-        hashers[i].inputs[1] <== muxRight[i].out;
-        
-        hashes[i + 1] <== hashers[i].out;
-    }
-    
-    root <== hashes[depth];
-}
-
+include "lib/public_trust.circom";
 
 /*
 --------------------------------------------------------------------------------
@@ -233,13 +138,14 @@ PUBLIC INPUTS:
   - zkAttestersRoot: Merkle root of approved ZK attesters
   - publicTrustRoot: Merkle root of public attestation registry
   - contextId: For nullifier generation
-  - minPublicAttestations: Minimum required public attestations
+  - minPublicAttestations: Minimum public attestations, from distinct attesters
   - minTimestamp: Oldest acceptable attestation
   - maxTimestamp: Newest acceptable attestation (usually "now")
 
 PRIVATE INPUTS:
   - All ZK proof inputs (entity secret, attestation, merkle path)
-  - Public trust merkle proofs
+  - Public trust merkle proofs, with each attestation's type, attester
+    key hash, timestamp and ID; leaves use the proven entityCommitment
 
 OUTPUTS:
   - nullifier: Prevents replay
@@ -280,8 +186,13 @@ template DualIdentityProof(zkMerkleDepth, publicMerkleDepth, maxPublicAttestatio
     signal input zkAttesterPathElements[zkMerkleDepth];
     signal input zkAttesterPathIndices[zkMerkleDepth];
     
-    // Public layer - attestation proofs
-    signal input publicAttestationLeaves[maxPublicAttestations];
+    // Public layer - attestation proofs. Leaves are recomputed from these
+    // fields and the proven entityCommitment, so only the entity's own
+    // attestations count. Valid slots come first, each from a different
+    // attester, so no attester (or attestation) counts twice.
+    signal input publicAttestationTypes[maxPublicAttestations];
+    signal input publicAttestationAttesters[maxPublicAttestations];  // attesterPubKeyHash
+    signal input publicAttestationIds[maxPublicAttestations];
     signal input publicAttestationPaths[maxPublicAttestations][publicMerkleDepth];
     signal input publicAttestationIndices[maxPublicAttestations][publicMerkleDepth];
     signal input publicAttestationValid[maxPublicAttestations];
@@ -339,16 +250,41 @@ template DualIdentityProof(zkMerkleDepth, publicMerkleDepth, maxPublicAttestatio
     signal runningCount[maxPublicAttestations + 1];
     runningCount[0] <== 0;
     
+    component publicLeaves[maxPublicAttestations];
     component publicMerkleVerifiers[maxPublicAttestations];
     component timestampChecks[maxPublicAttestations];
+    component sameAttester[maxPublicAttestations][maxPublicAttestations];
     
     for (var i = 0; i < maxPublicAttestations; i++) {
         // Binary constraint
         publicAttestationValid[i] * (1 - publicAttestationValid[i]) === 0;
         
+        // Valid slots first: a valid slot follows a valid one
+        if (i > 0) {
+            publicAttestationValid[i] * (1 - publicAttestationValid[i - 1]) === 0;
+        }
+        
+        // Distinct attesters: a valid slot shares its attesterPubKeyHash with
+        // no earlier slot (earlier slots are valid too). Key hashes are full
+        // field elements, so they are compared for equality, not ordered.
+        for (var k = 0; k < i; k++) {
+            sameAttester[i][k] = IsEqual();
+            sameAttester[i][k].in[0] <== publicAttestationAttesters[k];
+            sameAttester[i][k].in[1] <== publicAttestationAttesters[i];
+            sameAttester[i][k].out * publicAttestationValid[i] === 0;
+        }
+        
+        // Leaf for this entity's attestation
+        publicLeaves[i] = PublicAttestationLeaf();
+        publicLeaves[i].entityCommitment <== entityCommitment;
+        publicLeaves[i].entityType <== publicAttestationTypes[i];
+        publicLeaves[i].attesterPubKeyHash <== publicAttestationAttesters[i];
+        publicLeaves[i].timestamp <== publicAttestationTimestamps[i];
+        publicLeaves[i].attestationId <== publicAttestationIds[i];
+        
         // Verify merkle proof
         publicMerkleVerifiers[i] = PublicTrustMerkleVerifier(publicMerkleDepth);
-        publicMerkleVerifiers[i].leaf <== publicAttestationLeaves[i];
+        publicMerkleVerifiers[i].leaf <== publicLeaves[i].leaf;
         for (var j = 0; j < publicMerkleDepth; j++) {
             publicMerkleVerifiers[i].pathElements[j] <== publicAttestationPaths[i][j];
             publicMerkleVerifiers[i].pathIndices[j] <== publicAttestationIndices[i][j];
@@ -357,8 +293,8 @@ template DualIdentityProof(zkMerkleDepth, publicMerkleDepth, maxPublicAttestatio
         // If valid, root must match
         (publicMerkleVerifiers[i].root - publicTrustRoot) * publicAttestationValid[i] === 0;
         
-        // Timestamp range check (only matters if valid)
-        // For simplicity, we check all timestamps but only count valid ones
+        // Timestamp range check; every slot is checked, so padding slots
+        // carry minTimestamp
         timestampChecks[i] = TimestampRangeProof();
         timestampChecks[i].attestationTimestamp <== publicAttestationTimestamps[i];
         timestampChecks[i].minTimestamp <== minTimestamp;
@@ -439,5 +375,19 @@ On-chain, a smart contract can store:
 Entities periodically anchor their trust_hash on-chain.
 If challenged, they can provide the full proof.
 
+================================================================================
+CONSTRAINT COUNT ESTIMATION
+================================================================================
+
+- ZK layer (EdDSA, depth-20 attester path, nullifier):   ~10,000
+- Per public attestation slot:
+  - Poseidon(5) leaf:                                     ~350
+  - Depth-24 Merkle path (Poseidon(2) + muxes):           ~5,900
+  - ID range check and ordering, timestamp range:        ~350
+- 10 slots:                                               ~66,000
+
+Total ≈ 76,000 constraints; needs 2^17 powers of tau (make setup).
+Inputs are built by buildDualProofInputs() in src/dual-system.js.
+
 ================================================================================
 */
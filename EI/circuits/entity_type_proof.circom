@@ -82,12 +82,17 @@ function encodeEntityType(prefix, category) {
 
 // Precomputed constants for known types
 // Using `var` because these are compile-time constants
+// Must match src/entity-types.js (checked by test/entity-types.test.js)
 function AI_CA() { return encodeEntityType(0x01, 0x01); }  // Conversational Agent
 function AI_PO() { return encodeEntityType(0x01, 0x02); }  // Program Orchestrator
 function AI_WS() { return encodeEntityType(0x01, 0x03); }  // Web Site
 function AI_OS() { return encodeEntityType(0x01, 0x04); }  // Operating System
 function AI_GN() { return encodeEntityType(0x01, 0x05); }  // Generative Model
 function AI_AA() { return encodeEntityType(0x01, 0x06); }  // Autonomous Agent
+function AI_LM() { return encodeEntityType(0x01, 0x07); }  // Language Model
+function AI_DB() { return encodeEntityType(0x01, 0x08); }  // Data Broker
+function AI_JG() { return encodeEntityType(0x01, 0x09); }  // Judge/Evaluator
+function AI_SY() { return encodeEntityType(0x01, 0x0A); }  // Synthetic Media Generator
 
 function AR_RB() { return encodeEntityType(0x02, 0x01); }  // Robot Bot
 function AR_DR() { return encodeEntityType(0x02, 0x02); }  // Drone
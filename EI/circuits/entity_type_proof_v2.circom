@@ -0,0 +1,135 @@
+pragma circom 2.1.6;
+
+/*
+================================================================================
+ENTITY IDENTITY TYPE PROOF - VERSION 2 (EXPIRING ATTESTATIONS)
+================================================================================
+
+PURPOSE:
+Same statement as entity_type_proof.circom ("I am entity type X"), but the
+attestation carries a validity window that the proof enforces.
+
+In version 1 the attester signs Poseidon(commitment, type), so an attestation
+is valid forever. Version 2 signs:
+
+    message = Poseidon(commitment, type, issuedAt, expiresAt)
+
+and proves, against a public `currentTime`, that
+
+    issuedAt <= currentTime < expiresAt
+
+A verifier that wants "no attestations older than 90 days" asks for a proof
+with `minIssuedAt = now - 90 days`; the circuit checks issuedAt >= minIssuedAt
+without revealing issuedAt itself.
+
+All times are Unix seconds. Every time signal is range-checked to 64 bits so
+the comparators in ValidityWindow (lib/attestation.circom) cannot be fooled
+by field wrap-around.
+
+PUBLIC SIGNALS (snarkjs order: outputs, then public inputs):
+  [nullifier, entityCommitment, claimedType, attestersRoot, contextId,
+   currentTime, minIssuedAt]
+
+Verifiers must also check that currentTime is close to their own clock;
+otherwise an old proof could be replayed after the attestation expired.
+
+================================================================================
+*/
+
+include "circomlib/circuits/poseidon.circom";
+include "lib/merkle.circom";
+include "lib/attestation.circom";
+include "lib/nullifier.circom";
+
+
+/*
+--------------------------------------------------------------------------------
+MAIN CIRCUIT: EntityTypeProofV2
+--------------------------------------------------------------------------------
+*/
+
+template EntityTypeProofV2(merkleDepth) {
+    // Public inputs (declaration order = public signal order)
+    signal input claimedType;
+    signal input attestersRoot;
+    signal input contextId;
+    signal input currentTime;           // Verifier-checked clock, Unix seconds
+    signal input minIssuedAt;           // Oldest acceptable issuedAt (0 = any)
+
+    // Private inputs
+    signal input entitySecret;
+    signal input entitySalt;
+
+    signal input issuedAt;
+    signal input expiresAt;
+    signal input attesterPubKeyX;
+    signal input attesterPubKeyY;
+    signal input signatureR8X;
+    signal input signatureR8Y;
+    signal input signatureS;
+
+    signal input attesterPathElements[merkleDepth];
+    signal input attesterPathIndices[merkleDepth];
+
+    // Public outputs
+    signal output nullifier;
+    signal output entityCommitment;
+
+    // Step 1: Verify the attestation signature, window included
+    component attestation = ExpiringAttestationVerifier();
+    attestation.claimedType <== claimedType;
+    attestation.issuedAt <== issuedAt;
+    attestation.expiresAt <== expiresAt;
+    attestation.entitySecret <== entitySecret;
+    attestation.salt <== entitySalt;
+    attestation.attesterPubKeyX <== attesterPubKeyX;
+    attestation.attesterPubKeyY <== attesterPubKeyY;
+    attestation.signatureR8X <== signatureR8X;
+    attestation.signatureR8Y <== signatureR8Y;
+    attestation.signatureS <== signatureS;
+
+    entityCommitment <== attestation.entityCommitment;
+
+    // Step 2: The attestation is valid at currentTime and recent enough
+    component window = ValidityWindow();
+    window.issuedAt <== issuedAt;
+    window.expiresAt <== expiresAt;
+    window.currentTime <== currentTime;
+    window.minIssuedAt <== minIssuedAt;
+
+    // Step 3: Attester is in the approved set
+    component attesterLeaf = Poseidon(2);
+    attesterLeaf.inputs[0] <== attesterPubKeyX;
+    attesterLeaf.inputs[1] <== attesterPubKeyY;
+
+    component attesterMerkle = MerkleTreeVerifier(merkleDepth);
+    attesterMerkle.leaf <== attesterLeaf.out;
+    for (var i = 0; i < merkleDepth; i++) {
+        attesterMerkle.pathElements[i] <== attesterPathElements[i];
+        attesterMerkle.pathIndices[i] <== attesterPathIndices[i];
+    }
+    attestersRoot === attesterMerkle.root;
+
+    // Step 4: Nullifier for this context
+    component nullGen = NullifierGenerator();
+    nullGen.entitySecret <== entitySecret;
+    nullGen.contextId <== contextId;
+    nullifier <== nullGen.nullifier;
+}
+
+component main {public [claimedType, attestersRoot, contextId, currentTime, minIssuedAt]} = EntityTypeProofV2(20);
+
+/*
+================================================================================
+CONSTRAINT COUNT ESTIMATION
+================================================================================
+
+Version 1 (~13,000) plus:
+- Poseidon(4) instead of Poseidon(2) for the message:  ~+200
+- 4 x Num2Bits(64) range checks:                       ~256
+- 3 x 64-bit comparators:                              ~200
+
+Total ≈ 13,700 constraints; fits the same 2^16 powers of tau.
+
+================================================================================
+*/
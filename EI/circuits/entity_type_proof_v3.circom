@@ -0,0 +1,149 @@
+pragma circom 2.1.6;
+
+/*
+================================================================================
+ENTITY IDENTITY TYPE PROOF - VERSION 3 (REVOCABLE ATTESTATIONS)
+================================================================================
+
+PURPOSE:
+Version 2 ("I am entity type X, attested within a validity window") plus a
+proof that the attestation has not been revoked.
+
+Each attestation is identified by
+
+    attestationHash = Poseidon(Poseidon(pubKeyX, pubKeyY), message)
+    message         = Poseidon(commitment, type, issuedAt, expiresAt)
+
+Revoked attestation hashes are the keys of a sparse Merkle tree (circomlib
+SMT, Poseidon, depth 40). The prover shows its attestationHash is NOT a key
+of the tree at the public `revocationRoot`, without revealing which
+attestation it holds.
+
+PUBLIC SIGNALS (snarkjs order: outputs, then public inputs):
+  [nullifier, entityCommitment, claimedType, attestersRoot, contextId,
+   currentTime, minIssuedAt, revocationRoot]
+
+Verifiers must check that revocationRoot is a current registry root;
+otherwise a proof against an old root hides later revocations.
+
+================================================================================
+*/
+
+include "circomlib/circuits/poseidon.circom";
+include "lib/merkle.circom";
+include "lib/attestation.circom";
+include "lib/revocation.circom";
+include "lib/nullifier.circom";
+
+
+/*
+--------------------------------------------------------------------------------
+MAIN CIRCUIT: EntityTypeProofV3
+--------------------------------------------------------------------------------
+*/
+
+template EntityTypeProofV3(merkleDepth, revocationDepth) {
+    // Public inputs (declaration order = public signal order)
+    signal input claimedType;
+    signal input attestersRoot;
+    signal input contextId;
+    signal input currentTime;           // Verifier-checked clock, Unix seconds
+    signal input minIssuedAt;           // Oldest acceptable issuedAt (0 = any)
+    signal input revocationRoot;        // Revocation registry root
+
+    // Private inputs
+    signal input entitySecret;
+    signal input entitySalt;
+
+    signal input issuedAt;
+    signal input expiresAt;
+    signal input attesterPubKeyX;
+    signal input attesterPubKeyY;
+    signal input signatureR8X;
+    signal input signatureR8Y;
+    signal input signatureS;
+
+    signal input attesterPathElements[merkleDepth];
+    signal input attesterPathIndices[merkleDepth];
+
+    signal input revocationSiblings[revocationDepth];
+    signal input revocationOldKey;
+    signal input revocationOldValue;
+    signal input revocationIsOld0;
+
+    // Public outputs
+    signal output nullifier;
+    signal output entityCommitment;
+
+    // Step 1: Verify the attestation signature, window included
+    component attestation = ExpiringAttestationVerifier();
+    attestation.claimedType <== claimedType;
+    attestation.issuedAt <== issuedAt;
+    attestation.expiresAt <== expiresAt;
+    attestation.entitySecret <== entitySecret;
+    attestation.salt <== entitySalt;
+    attestation.attesterPubKeyX <== attesterPubKeyX;
+    attestation.attesterPubKeyY <== attesterPubKeyY;
+    attestation.signatureR8X <== signatureR8X;
+    attestation.signatureR8Y <== signatureR8Y;
+    attestation.signatureS <== signatureS;
+
+    entityCommitment <== attestation.entityCommitment;
+
+    // Step 2: The attestation is valid at currentTime and recent enough
+    component window = ValidityWindow();
+    window.issuedAt <== issuedAt;
+    window.expiresAt <== expiresAt;
+    window.currentTime <== currentTime;
+    window.minIssuedAt <== minIssuedAt;
+
+    // Step 3: Attester is in the approved set
+    component attesterLeaf = Poseidon(2);
+    attesterLeaf.inputs[0] <== attesterPubKeyX;
+    attesterLeaf.inputs[1] <== attesterPubKeyY;
+
+    component attesterMerkle = MerkleTreeVerifier(merkleDepth);
+    attesterMerkle.leaf <== attesterLeaf.out;
+    for (var i = 0; i < merkleDepth; i++) {
+        attesterMerkle.pathElements[i] <== attesterPathElements[i];
+        attesterMerkle.pathIndices[i] <== attesterPathIndices[i];
+    }
+    attestersRoot === attesterMerkle.root;
+
+    // Step 4: The attestation is not revoked
+    component attestationHash = Poseidon(2);
+    attestationHash.inputs[0] <== attesterLeaf.out;
+    attestationHash.inputs[1] <== attestation.message;
+
+    component revocation = RevocationCheck(revocationDepth);
+    revocation.attestationHash <== attestationHash.out;
+    revocation.revocationRoot <== revocationRoot;
+    for (var i = 0; i < revocationDepth; i++) {
+        revocation.siblings[i] <== revocationSiblings[i];
+    }
+    revocation.oldKey <== revocationOldKey;
+    revocation.oldValue <== revocationOldValue;
+    revocation.isOld0 <== revocationIsOld0;
+
+    // Step 5: Nullifier for this context
+    component nullGen = NullifierGenerator();
+    nullGen.entitySecret <== entitySecret;
+    nullGen.contextId <== contextId;
+    nullifier <== nullGen.nullifier;
+}
+
+component main {public [claimedType, attestersRoot, contextId, currentTime, minIssuedAt, revocationRoot]} = EntityTypeProofV3(20, 40);
+
+/*
+================================================================================
+CONSTRAINT COUNT ESTIMATION
+================================================================================
+
+Version 2 (~13,700) plus:
+- Poseidon(2) attestation hash:                        ~240
+- SMTVerifier(40) (40 level hashes + key bits):        ~11,000
+
+Total ≈ 25,000 constraints; fits the same 2^16 powers of tau.
+
+================================================================================
+*/
@@ -0,0 +1,153 @@
+pragma circom 2.1.6;
+
+/*
+================================================================================
+ENTITY IDENTITY TYPE PROOF - VERSION 4 (RATE-LIMITED ACTIONS)
+================================================================================
+
+PURPOSE:
+Version 3 (expiring, revocable attestation) with a nullifier that allows up
+to N actions per context instead of one:
+
+    nullifier = Poseidon(secret, contextId, slot),  0 <= slot < actionLimit
+
+The prover picks a private `slot` and the verifier sees only the public
+`actionLimit` N. An entity therefore has exactly N distinct nullifiers per
+context, and nothing links two of them. For "at most 5 comments per hour"
+the context is deriveContextId({ domain, purpose, epoch }) with
+epoch = floor(time / 3600) and actionLimit = 5; the verifier keeps the
+nullifiers of the current epoch and can drop older ones.
+
+PUBLIC SIGNALS (snarkjs order: outputs, then public inputs):
+  [nullifier, entityCommitment, claimedType, attestersRoot, contextId,
+   currentTime, minIssuedAt, revocationRoot, actionLimit]
+
+Verifiers must check actionLimit against their own policy; a proof with a
+larger limit gives the prover more nullifiers per epoch.
+
+================================================================================
+*/
+
+include "circomlib/circuits/poseidon.circom";
+include "lib/merkle.circom";
+include "lib/attestation.circom";
+include "lib/revocation.circom";
+include "lib/nullifier.circom";
+
+
+/*
+--------------------------------------------------------------------------------
+MAIN CIRCUIT: EntityTypeProofV4
+--------------------------------------------------------------------------------
+*/
+
+template EntityTypeProofV4(merkleDepth, revocationDepth) {
+    // Public inputs (declaration order = public signal order)
+    signal input claimedType;
+    signal input attestersRoot;
+    signal input contextId;
+    signal input currentTime;           // Verifier-checked clock, Unix seconds
+    signal input minIssuedAt;           // Oldest acceptable issuedAt (0 = any)
+    signal input revocationRoot;        // Revocation registry root
+    signal input actionLimit;           // N: actions allowed per context
+
+    // Private inputs
+    signal input entitySecret;
+    signal input entitySalt;
+
+    signal input issuedAt;
+    signal input expiresAt;
+    signal input attesterPubKeyX;
+    signal input attesterPubKeyY;
+    signal input signatureR8X;
+    signal input signatureR8Y;
+    signal input signatureS;
+
+    signal input attesterPathElements[merkleDepth];
+    signal input attesterPathIndices[merkleDepth];
+
+    signal input revocationSiblings[revocationDepth];
+    signal input revocationOldKey;
+    signal input revocationOldValue;
+    signal input revocationIsOld0;
+
+    signal input actionSlot;            // Which of the N actions this is
+
+    // Public outputs
+    signal output nullifier;
+    signal output entityCommitment;
+
+    // Step 1: Verify the attestation signature, window included
+    component attestation = ExpiringAttestationVerifier();
+    attestation.claimedType <== claimedType;
+    attestation.issuedAt <== issuedAt;
+    attestation.expiresAt <== expiresAt;
+    attestation.entitySecret <== entitySecret;
+    attestation.salt <== entitySalt;
+    attestation.attesterPubKeyX <== attesterPubKeyX;
+    attestation.attesterPubKeyY <== attesterPubKeyY;
+    attestation.signatureR8X <== signatureR8X;
+    attestation.signatureR8Y <== signatureR8Y;
+    attestation.signatureS <== signatureS;
+
+    entityCommitment <== attestation.entityCommitment;
+
+    // Step 2: The attestation is valid at currentTime and recent enough
+    component window = ValidityWindow();
+    window.issuedAt <== issuedAt;
+    window.expiresAt <== expiresAt;
+    window.currentTime <== currentTime;
+    window.minIssuedAt <== minIssuedAt;
+
+    // Step 3: Attester is in the approved set
+    component attesterLeaf = Poseidon(2);
+    attesterLeaf.inputs[0] <== attesterPubKeyX;
+    attesterLeaf.inputs[1] <== attesterPubKeyY;
+
+    component attesterMerkle = MerkleTreeVerifier(merkleDepth);
+    attesterMerkle.leaf <== attesterLeaf.out;
+    for (var i = 0; i < merkleDepth; i++) {
+        attesterMerkle.pathElements[i] <== attesterPathElements[i];
+        attesterMerkle.pathIndices[i] <== attesterPathIndices[i];
+    }
+    attestersRoot === attesterMerkle.root;
+
+    // Step 4: The attestation is not revoked
+    component attestationHash = Poseidon(2);
+    attestationHash.inputs[0] <== attesterLeaf.out;
+    attestationHash.inputs[1] <== attestation.message;
+
+    component revocation = RevocationCheck(revocationDepth);
+    revocation.attestationHash <== attestationHash.out;
+    revocation.revocationRoot <== revocationRoot;
+    for (var i = 0; i < revocationDepth; i++) {
+        revocation.siblings[i] <== revocationSiblings[i];
+    }
+    revocation.oldKey <== revocationOldKey;
+    revocation.oldValue <== revocationOldValue;
+    revocation.isOld0 <== revocationIsOld0;
+
+    // Step 5: One of N nullifiers for this context
+    component nullGen = RateLimitedNullifier();
+    nullGen.entitySecret <== entitySecret;
+    nullGen.contextId <== contextId;
+    nullGen.slot <== actionSlot;
+    nullGen.limit <== actionLimit;
+    nullifier <== nullGen.nullifier;
+}
+
+component main {public [claimedType, attestersRoot, contextId, currentTime, minIssuedAt, revocationRoot, actionLimit]} = EntityTypeProofV4(20, 40);
+
+/*
+================================================================================
+CONSTRAINT COUNT ESTIMATION
+================================================================================
+
+Version 3 (~25,000) plus:
+- Poseidon(3) instead of Poseidon(2) for the nullifier: ~+80
+- 2 x Num2Bits(16) range checks and a 16-bit LessThan:  ~50
+
+Total ≈ 25,100 constraints; fits the same 2^16 powers of tau.
+
+================================================================================
+*/
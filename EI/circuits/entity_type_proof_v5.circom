@@ -0,0 +1,175 @@
+pragma circom 2.1.6;
+
+/*
+================================================================================
+ENTITY IDENTITY TYPE PROOF - VERSION 5 (TYPE-SCOPED ATTESTER LEAVES)
+================================================================================
+
+PURPOSE:
+Version 4 (expiring, revocable, rate-limited) against a registry whose
+leaves commit to what each attester may sign. Key-only leaves,
+Poseidon(pubKeyX, pubKeyY), let any approved key sign any type offline: a
+DMV key could sign HU.US and earlier circuits would accept it. Here every
+allowed-type pattern of an attester is its own leaf:
+
+    leaf = Poseidon(pubKeyX, pubKeyY, scope)
+
+    scope = type code          exact type, e.g. AI.CA = 0x0101
+          = prefix * 256       category wildcard, e.g. AI.* = 0x0100
+          = 0                  any type (*)
+
+No type has category byte 0, so the low byte tells a wildcard from a type.
+The circuit proves claimedType is covered by the scope of the opened leaf.
+
+PUBLIC SIGNALS (snarkjs order: outputs, then public inputs):
+  [nullifier, entityCommitment, claimedType, attestersRoot, contextId,
+   currentTime, minIssuedAt, revocationRoot, actionLimit, attesterLeafFormat]
+
+attesterLeafFormat is always 2. It tells verifiers to look attestersRoot up
+in the type-scoped root history, which the registry keeps side by side with
+the key-only one while clients migrate.
+
+The revocation registry is keyed by Poseidon(Poseidon(pubKeyX, pubKeyY),
+message) as before, so revocations apply to proofs of either format.
+
+================================================================================
+*/
+
+include "circomlib/circuits/poseidon.circom";
+include "lib/merkle.circom";
+include "lib/attestation.circom";
+include "lib/revocation.circom";
+include "lib/nullifier.circom";
+include "lib/type_scope.circom";
+
+
+/*
+--------------------------------------------------------------------------------
+MAIN CIRCUIT: EntityTypeProofV5
+--------------------------------------------------------------------------------
+*/
+
+template EntityTypeProofV5(merkleDepth, revocationDepth) {
+    // Public inputs (declaration order = public signal order)
+    signal input claimedType;
+    signal input attestersRoot;
+    signal input contextId;
+    signal input currentTime;           // Verifier-checked clock, Unix seconds
+    signal input minIssuedAt;           // Oldest acceptable issuedAt (0 = any)
+    signal input revocationRoot;        // Revocation registry root
+    signal input actionLimit;           // N: actions allowed per context
+    signal input attesterLeafFormat;    // Always 2 (type-scoped leaves)
+
+    // Private inputs
+    signal input entitySecret;
+    signal input entitySalt;
+
+    signal input issuedAt;
+    signal input expiresAt;
+    signal input attesterPubKeyX;
+    signal input attesterPubKeyY;
+    signal input signatureR8X;
+    signal input signatureR8Y;
+    signal input signatureS;
+
+    signal input attesterTypeScope;     // Scope of the opened leaf
+    signal input attesterPathElements[merkleDepth];
+    signal input attesterPathIndices[merkleDepth];
+
+    signal input revocationSiblings[revocationDepth];
+    signal input revocationOldKey;
+    signal input revocationOldValue;
+    signal input revocationIsOld0;
+
+    signal input actionSlot;            // Which of the N actions this is
+
+    // Public outputs
+    signal output nullifier;
+    signal output entityCommitment;
+
+    // Step 1: Verify the attestation signature, window included
+    component attestation = ExpiringAttestationVerifier();
+    attestation.claimedType <== claimedType;
+    attestation.issuedAt <== issuedAt;
+    attestation.expiresAt <== expiresAt;
+    attestation.entitySecret <== entitySecret;
+    attestation.salt <== entitySalt;
+    attestation.attesterPubKeyX <== attesterPubKeyX;
+    attestation.attesterPubKeyY <== attesterPubKeyY;
+    attestation.signatureR8X <== signatureR8X;
+    attestation.signatureR8Y <== signatureR8Y;
+    attestation.signatureS <== signatureS;
+
+    entityCommitment <== attestation.entityCommitment;
+
+    // Step 2: The attestation is valid at currentTime and recent enough
+    component window = ValidityWindow();
+    window.issuedAt <== issuedAt;
+    window.expiresAt <== expiresAt;
+    window.currentTime <== currentTime;
+    window.minIssuedAt <== minIssuedAt;
+
+    // Step 3: Attester is approved for a scope covering claimedType
+    attesterLeafFormat === 2;
+
+    component scopeCheck = TypeScopeCheck();
+    scopeCheck.claimedType <== claimedType;
+    scopeCheck.scope <== attesterTypeScope;
+
+    component attesterKey = Poseidon(2);
+    attesterKey.inputs[0] <== attesterPubKeyX;
+    attesterKey.inputs[1] <== attesterPubKeyY;
+
+    component attesterLeaf = Poseidon(3);
+    attesterLeaf.inputs[0] <== attesterPubKeyX;
+    attesterLeaf.inputs[1] <== attesterPubKeyY;
+    attesterLeaf.inputs[2] <== attesterTypeScope;
+
+    component attesterMerkle = MerkleTreeVerifier(merkleDepth);
+    attesterMerkle.leaf <== attesterLeaf.out;
+    for (var i = 0; i < merkleDepth; i++) {
+        attesterMerkle.pathElements[i] <== attesterPathElements[i];
+        attesterMerkle.pathIndices[i] <== attesterPathIndices[i];
+    }
+    attestersRoot === attesterMerkle.root;
+
+    // Step 4: The attestation is not revoked (keyed by the key-only leaf,
+    // as in versions 3 and 4)
+    component attestationHash = Poseidon(2);
+    attestationHash.inputs[0] <== attesterKey.out;
+    attestationHash.inputs[1] <== attestation.message;
+
+    component revocation = RevocationCheck(revocationDepth);
+    revocation.attestationHash <== attestationHash.out;
+    revocation.revocationRoot <== revocationRoot;
+    for (var i = 0; i < revocationDepth; i++) {
+        revocation.siblings[i] <== revocationSiblings[i];
+    }
+    revocation.oldKey <== revocationOldKey;
+    revocation.oldValue <== revocationOldValue;
+    revocation.isOld0 <== revocationIsOld0;
+
+    // Step 5: One of N nullifiers for this context
+    component nullGen = RateLimitedNullifier();
+    nullGen.entitySecret <== entitySecret;
+    nullGen.contextId <== contextId;
+    nullGen.slot <== actionSlot;
+    nullGen.limit <== actionLimit;
+    nullifier <== nullGen.nullifier;
+}
+
+component main {public [claimedType, attestersRoot, contextId, currentTime, minIssuedAt, revocationRoot, actionLimit, attesterLeafFormat]} = EntityTypeProofV5(20, 40);
+
+/*
+================================================================================
+CONSTRAINT COUNT ESTIMATION
+================================================================================
+
+Version 4 (~25,100) plus:
+- Poseidon(3) scoped leaf next to the Poseidon(2) key hash: ~+300
+- TypeScopeCheck (2 x Num2Bits(16), IsEqual x 2, IsZero x 2): ~50
+
+Total ≈ 25,450 constraints; fits the same 2^16 powers of tau.
+
+================================================================================
+*/
@@ -0,0 +1,183 @@
+pragma circom 2.1.6;
+
+/*
+================================================================================
+ENTITY IDENTITY TYPE PROOF - VERSION 6 (TYPE-SET DISCLOSURE)
+================================================================================
+
+PURPOSE:
+Version 5 (expiring, revocable, rate-limited, type-scoped attesters) with
+claimedType kept private. Instead of the exact type the proof reveals a
+verifier-chosen set of type scopes and proves claimedType is covered by one
+of them:
+
+    typeSet = [AI.*, AI.*, ...]          "some AI, not which"
+    typeSet = [AI.CA, AI.LM, AI.AA, ...] "one of these three"
+
+Scopes use the encoding of type-scoped attester leaves: a type code, a
+category wildcard prefix * 256, or 0 for any type. Unused slots repeat an
+entry. A verifier whose policy allows AI.* accepts the first proof without
+learning whether the entity is AI.CA or AI.DB.
+
+PUBLIC SIGNALS (snarkjs order: outputs, then public inputs):
+  [nullifier, entityCommitment, typeSet[0..7], attestersRoot, contextId,
+   currentTime, minIssuedAt, revocationRoot, actionLimit, attesterLeafFormat]
+
+entityCommitment is still public and stable, so a verifier who has seen the
+same commitment in an exact-type proof can link the two.
+
+================================================================================
+*/
+
+include "circomlib/circuits/poseidon.circom";
+include "lib/merkle.circom";
+include "lib/attestation.circom";
+include "lib/revocation.circom";
+include "lib/nullifier.circom";
+include "lib/type_scope.circom";
+
+
+/*
+--------------------------------------------------------------------------------
+MAIN CIRCUIT: EntityTypeProofV6
+--------------------------------------------------------------------------------
+*/
+
+template EntityTypeProofV6(merkleDepth, revocationDepth, typeSetSize) {
+    // Public inputs (declaration order = public signal order)
+    signal input typeSet[typeSetSize];  // Disclosed type scopes
+    signal input attestersRoot;
+    signal input contextId;
+    signal input currentTime;           // Verifier-checked clock, Unix seconds
+    signal input minIssuedAt;           // Oldest acceptable issuedAt (0 = any)
+    signal input revocationRoot;        // Revocation registry root
+    signal input actionLimit;           // N: actions allowed per context
+    signal input attesterLeafFormat;    // Always 2 (type-scoped leaves)
+
+    // Private inputs
+    signal input claimedType;           // The exact type stays private
+    signal input entitySecret;
+    signal input entitySalt;
+
+    signal input issuedAt;
+    signal input expiresAt;
+    signal input attesterPubKeyX;
+    signal input attesterPubKeyY;
+    signal input signatureR8X;
+    signal input signatureR8Y;
+    signal input signatureS;
+
+    signal input attesterTypeScope;     // Scope of the opened leaf
+    signal input attesterPathElements[merkleDepth];
+    signal input attesterPathIndices[merkleDepth];
+
+    signal input revocationSiblings[revocationDepth];
+    signal input revocationOldKey;
+    signal input revocationOldValue;
+    signal input revocationIsOld0;
+
+    signal input actionSlot;            // Which of the N actions this is
+
+    // Public outputs
+    signal output nullifier;
+    signal output entityCommitment;
+
+    // Step 1: Verify the attestation signature, window included
+    component attestation = ExpiringAttestationVerifier();
+    attestation.claimedType <== claimedType;
+    attestation.issuedAt <== issuedAt;
+    attestation.expiresAt <== expiresAt;
+    attestation.entitySecret <== entitySecret;
+    attestation.salt <== entitySalt;
+    attestation.attesterPubKeyX <== attesterPubKeyX;
+    attestation.attesterPubKeyY <== attesterPubKeyY;
+    attestation.signatureR8X <== signatureR8X;
+    attestation.signatureR8Y <== signatureR8Y;
+    attestation.signatureS <== signatureS;
+
+    entityCommitment <== attestation.entityCommitment;
+
+    // Step 2: The attestation is valid at currentTime and recent enough
+    component window = ValidityWindow();
+    window.issuedAt <== issuedAt;
+    window.expiresAt <== expiresAt;
+    window.currentTime <== currentTime;
+    window.minIssuedAt <== minIssuedAt;
+
+    // Step 3: Attester is approved for a scope covering claimedType
+    attesterLeafFormat === 2;
+
+    component scopeCheck = TypeCovered();
+    scopeCheck.claimedType <== claimedType;
+    scopeCheck.scope <== attesterTypeScope;
+    scopeCheck.out === 1;
+
+    component attesterKey = Poseidon(2);
+    attesterKey.inputs[0] <== attesterPubKeyX;
+    attesterKey.inputs[1] <== attesterPubKeyY;
+
+    component attesterLeaf = Poseidon(3);
+    attesterLeaf.inputs[0] <== attesterPubKeyX;
+    attesterLeaf.inputs[1] <== attesterPubKeyY;
+    attesterLeaf.inputs[2] <== attesterTypeScope;
+
+    component attesterMerkle = MerkleTreeVerifier(merkleDepth);
+    attesterMerkle.leaf <== attesterLeaf.out;
+    for (var i = 0; i < merkleDepth; i++) {
+        attesterMerkle.pathElements[i] <== attesterPathElements[i];
+        attesterMerkle.pathIndices[i] <== attesterPathIndices[i];
+    }
+    attestersRoot === attesterMerkle.root;
+
+    // Step 4: The attestation is not revoked (keyed by the key-only leaf,
+    // as in versions 3 and 4)
+    component attestationHash = Poseidon(2);
+    attestationHash.inputs[0] <== attesterKey.out;
+    attestationHash.inputs[1] <== attestation.message;
+
+    component revocation = RevocationCheck(revocationDepth);
+    revocation.attestationHash <== attestationHash.out;
+    revocation.revocationRoot <== revocationRoot;
+    for (var i = 0; i < revocationDepth; i++) {
+        revocation.siblings[i] <== revocationSiblings[i];
+    }
+    revocation.oldKey <== revocationOldKey;
+    revocation.oldValue <== revocationOldValue;
+    revocation.isOld0 <== revocationIsOld0;
+
+    // Step 5: One of N nullifiers for this context
+    component nullGen = RateLimitedNullifier();
+    nullGen.entitySecret <== entitySecret;
+    nullGen.contextId <== contextId;
+    nullGen.slot <== actionSlot;
+    nullGen.limit <== actionLimit;
+    nullifier <== nullGen.nullifier;
+
+    // Step 6: claimedType is covered by at least one disclosed scope
+    component inSet[typeSetSize];
+    signal notCovered[typeSetSize + 1];
+    notCovered[0] <== 1;
+    for (var i = 0; i < typeSetSize; i++) {
+        inSet[i] = TypeCovered();
+        inSet[i].claimedType <== claimedType;
+        inSet[i].scope <== typeSet[i];
+        notCovered[i + 1] <== notCovered[i] * (1 - inSet[i].out);
+    }
+    notCovered[typeSetSize] === 0;
+}
+
+component main {public [typeSet, attestersRoot, contextId, currentTime, minIssuedAt, revocationRoot, actionLimit, attesterLeafFormat]} = EntityTypeProofV6(20, 40, 8);
+
+/*
+================================================================================
+CONSTRAINT COUNT ESTIMATION
+================================================================================
+
+Version 5 (~25,450) plus:
+- 8 x TypeCovered for the type set (~45 each):  ~360
+- Coverage product chain:                       ~8
+
+Total ≈ 25,800 constraints; fits the same 2^16 powers of tau.
+
+================================================================================
+*/
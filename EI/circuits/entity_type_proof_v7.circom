@@ -0,0 +1,174 @@
+pragma circom 2.1.6;
+
+/*
+================================================================================
+ENTITY IDENTITY TYPE PROOF - VERSION 7 (CHALLENGE-BOUND)
+================================================================================
+
+PURPOSE:
+Version 5 (expiring, revocable, rate-limited, type-scoped attesters) with one
+more public input, messageHash, so a proof is only good for the request it
+was made for. Anyone who intercepts a version 5 proof can replay it to any
+verifier using the same contextId. Here the verifier issues a single-use
+nonce and the prover commits to
+
+    messageHash = HMAC-SHA256("entity-identity challenge v1",
+                              [domain, nonce, requestDigest]) mod p
+
+(see challengeMessageHash() in src/entity-identity.js). The verifier
+recomputes it from its own domain, the nonce it issued and the digest of the
+request it received, and burns the nonce.
+
+The circuit does not compute the hash; Groth16 binds every public input to
+the proof, and the messageHash^2 constraint keeps the input from being
+optimised away.
+
+PUBLIC SIGNALS (snarkjs order: outputs, then public inputs):
+  [nullifier, entityCommitment, claimedType, attestersRoot, contextId,
+   currentTime, minIssuedAt, revocationRoot, actionLimit, attesterLeafFormat,
+   messageHash]
+
+================================================================================
+*/
+
+include "circomlib/circuits/poseidon.circom";
+include "lib/merkle.circom";
+include "lib/attestation.circom";
+include "lib/revocation.circom";
+include "lib/nullifier.circom";
+include "lib/type_scope.circom";
+
+
+/*
+--------------------------------------------------------------------------------
+MAIN CIRCUIT: EntityTypeProofV7
+--------------------------------------------------------------------------------
+*/
+
+template EntityTypeProofV7(merkleDepth, revocationDepth) {
+    // Public inputs (declaration order = public signal order)
+    signal input claimedType;
+    signal input attestersRoot;
+    signal input contextId;
+    signal input currentTime;           // Verifier-checked clock, Unix seconds
+    signal input minIssuedAt;           // Oldest acceptable issuedAt (0 = any)
+    signal input revocationRoot;        // Revocation registry root
+    signal input actionLimit;           // N: actions allowed per context
+    signal input attesterLeafFormat;    // Always 2 (type-scoped leaves)
+    signal input messageHash;           // Binds domain, nonce and request digest
+
+    // Private inputs
+    signal input entitySecret;
+    signal input entitySalt;
+
+    signal input issuedAt;
+    signal input expiresAt;
+    signal input attesterPubKeyX;
+    signal input attesterPubKeyY;
+    signal input signatureR8X;
+    signal input signatureR8Y;
+    signal input signatureS;
+
+    signal input attesterTypeScope;     // Scope of the opened leaf
+    signal input attesterPathElements[merkleDepth];
+    signal input attesterPathIndices[merkleDepth];
+
+    signal input revocationSiblings[revocationDepth];
+    signal input revocationOldKey;
+    signal input revocationOldValue;
+    signal input revocationIsOld0;
+
+    signal input actionSlot;            // Which of the N actions this is
+
+    // Public outputs
+    signal output nullifier;
+    signal output entityCommitment;
+
+    // Step 1: Verify the attestation signature, window included
+    component attestation = ExpiringAttestationVerifier();
+    attestation.claimedType <== claimedType;
+    attestation.issuedAt <== issuedAt;
+    attestation.expiresAt <== expiresAt;
+    attestation.entitySecret <== entitySecret;
+    attestation.salt <== entitySalt;
+    attestation.attesterPubKeyX <== attesterPubKeyX;
+    attestation.attesterPubKeyY <== attesterPubKeyY;
+    attestation.signatureR8X <== signatureR8X;
+    attestation.signatureR8Y <== signatureR8Y;
+    attestation.signatureS <== signatureS;
+
+    entityCommitment <== attestation.entityCommitment;
+
+    // Step 2: The attestation is valid at currentTime and recent enough
+    component window = ValidityWindow();
+    window.issuedAt <== issuedAt;
+    window.expiresAt <== expiresAt;
+    window.currentTime <== currentTime;
+    window.minIssuedAt <== minIssuedAt;
+
+    // Step 3: Attester is approved for a scope covering claimedType
+    attesterLeafFormat === 2;
+
+    component scopeCheck = TypeScopeCheck();
+    scopeCheck.claimedType <== claimedType;
+    scopeCheck.scope <== attesterTypeScope;
+
+    component attesterKey = Poseidon(2);
+    attesterKey.inputs[0] <== attesterPubKeyX;
+    attesterKey.inputs[1] <== attesterPubKeyY;
+
+    component attesterLeaf = Poseidon(3);
+    attesterLeaf.inputs[0] <== attesterPubKeyX;
+    attesterLeaf.inputs[1] <== attesterPubKeyY;
+    attesterLeaf.inputs[2] <== attesterTypeScope;
+
+    component attesterMerkle = MerkleTreeVerifier(merkleDepth);
+    attesterMerkle.leaf <== attesterLeaf.out;
+    for (var i = 0; i < merkleDepth; i++) {
+        attesterMerkle.pathElements[i] <== attesterPathElements[i];
+        attesterMerkle.pathIndices[i] <== attesterPathIndices[i];
+    }
+    attestersRoot === attesterMerkle.root;
+
+    // Step 4: The attestation is not revoked (keyed by the key-only leaf,
+    // as in versions 3 and 4)
+    component attestationHash = Poseidon(2);
+    attestationHash.inputs[0] <== attesterKey.out;
+    attestationHash.inputs[1] <== attestation.message;
+
+    component revocation = RevocationCheck(revocationDepth);
+    revocation.attestationHash <== attestationHash.out;
+    revocation.revocationRoot <== revocationRoot;
+    for (var i = 0; i < revocationDepth; i++) {
+        revocation.siblings[i] <== revocationSiblings[i];
+    }
+    revocation.oldKey <== revocationOldKey;
+    revocation.oldValue <== revocationOldValue;
+    revocation.isOld0 <== revocationIsOld0;
+
+    // Step 5: One of N nullifiers for this context
+    component nullGen = RateLimitedNullifier();
+    nullGen.entitySecret <== entitySecret;
+    nullGen.contextId <== contextId;
+    nullGen.slot <== actionSlot;
+    nullGen.limit <== actionLimit;
+    nullifier <== nullGen.nullifier;
+
+    // Step 6: Bind the proof to the verifier's challenge
+    signal messageHashSquared;
+    messageHashSquared <== messageHash * messageHash;
+}
+
+component main {public [claimedType, attestersRoot, contextId, currentTime, minIssuedAt, revocationRoot, actionLimit, attesterLeafFormat, messageHash]} = EntityTypeProofV7(20, 40);
+
+/*
+================================================================================
+CONSTRAINT COUNT ESTIMATION
+================================================================================
+
+Version 5 (~25,450) plus one constraint for messageHash^2.
+
+Total ≈ 25,450 constraints; fits the same 2^16 powers of tau.
+
+================================================================================
+*/
@@ -0,0 +1,112 @@
+pragma circom 2.1.6;
+
+/*
+================================================================================
+SHARED: EXPIRING ATTESTATIONS
+================================================================================
+
+Included by entity_type_proof_v2 through _v7: the signed attestation with a
+validity window (version 2 onwards).
+
+================================================================================
+*/
+
+include "circomlib/circuits/poseidon.circom";
+include "circomlib/circuits/eddsaposeidon.circom";
+include "circomlib/circuits/comparators.circom";
+include "circomlib/circuits/bitify.circom";
+
+
+/*
+--------------------------------------------------------------------------------
+COMPONENT: Expiring Attestation Verifier
+--------------------------------------------------------------------------------
+Verifies the attester's signature over the commitment, the type and the
+validity window. The signed message is also an output: from version 3 on it
+identifies the attestation in the revocation registry.
+*/
+
+template ExpiringAttestationVerifier() {
+    signal input claimedType;
+    signal input issuedAt;
+    signal input expiresAt;
+
+    signal input entitySecret;
+    signal input salt;
+    signal input attesterPubKeyX;
+    signal input attesterPubKeyY;
+    signal input signatureR8X;
+    signal input signatureR8Y;
+    signal input signatureS;
+
+    signal output entityCommitment;
+    signal output message;
+
+    // commitment = Poseidon(secret, salt)
+    component commitHasher = Poseidon(2);
+    commitHasher.inputs[0] <== entitySecret;
+    commitHasher.inputs[1] <== salt;
+    entityCommitment <== commitHasher.out;
+
+    // message = Poseidon(commitment, claimedType, issuedAt, expiresAt)
+    component msgHasher = Poseidon(4);
+    msgHasher.inputs[0] <== entityCommitment;
+    msgHasher.inputs[1] <== claimedType;
+    msgHasher.inputs[2] <== issuedAt;
+    msgHasher.inputs[3] <== expiresAt;
+
+    component sigVerifier = EdDSAPoseidonVerifier();
+    sigVerifier.enabled <== 1;
+    sigVerifier.Ax <== attesterPubKeyX;
+    sigVerifier.Ay <== attesterPubKeyY;
+    sigVerifier.R8x <== signatureR8X;
+    sigVerifier.R8y <== signatureR8Y;
+    sigVerifier.S <== signatureS;
+    sigVerifier.M <== msgHasher.out;
+
+    message <== msgHasher.out;
+}
+
+
+/*
+--------------------------------------------------------------------------------
+COMPONENT: Validity Window
+--------------------------------------------------------------------------------
+minIssuedAt <= issuedAt <= currentTime < expiresAt
+*/
+
+template ValidityWindow() {
+    signal input issuedAt;
+    signal input expiresAt;
+    signal input currentTime;
+    signal input minIssuedAt;
+
+    // Range-check every input so 64-bit comparisons are sound
+    component bits[4];
+    bits[0] = Num2Bits(64);
+    bits[0].in <== issuedAt;
+    bits[1] = Num2Bits(64);
+    bits[1].in <== expiresAt;
+    bits[2] = Num2Bits(64);
+    bits[2].in <== currentTime;
+    bits[3] = Num2Bits(64);
+    bits[3].in <== minIssuedAt;
+
+    // Not older than the verifier's max age
+    component notTooOld = LessEqThan(64);
+    notTooOld.in[0] <== minIssuedAt;
+    notTooOld.in[1] <== issuedAt;
+    notTooOld.out === 1;
+
+    // Already issued
+    component issued = LessEqThan(64);
+    issued.in[0] <== issuedAt;
+    issued.in[1] <== currentTime;
+    issued.out === 1;
+
+    // Not yet expired
+    component notExpired = LessThan(64);
+    notExpired.in[0] <== currentTime;
+    notExpired.in[1] <== expiresAt;
+    notExpired.out === 1;
+}
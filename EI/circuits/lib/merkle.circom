@@ -0,0 +1,62 @@
+pragma circom 2.1.6;
+
+/*
+================================================================================
+SHARED: ATTESTER MERKLE TREE
+================================================================================
+
+Included by entity_type_proof_v2 through _v7. The hashing is the same as in
+entity_type_proof.circom, so every version opens the same kind of tree;
+only the leaves differ.
+
+================================================================================
+*/
+
+include "circomlib/circuits/poseidon.circom";
+include "circomlib/circuits/mux1.circom";
+
+
+/*
+--------------------------------------------------------------------------------
+COMPONENT: Merkle Tree Verifier
+--------------------------------------------------------------------------------
+Recomputes the root from a leaf and its path; pathIndices[i] = 1 means the
+node is the right child.
+*/
+
+template MerkleTreeVerifier(depth) {
+    signal input leaf;
+    signal input pathElements[depth];
+    signal input pathIndices[depth];
+    signal output root;
+
+    signal hashes[depth + 1];
+    hashes[0] <== leaf;
+
+    component hashers[depth];
+    component muxLeft[depth];
+    component muxRight[depth];
+
+    for (var i = 0; i < depth; i++) {
+        // pathIndices must be binary
+        pathIndices[i] * (1 - pathIndices[i]) === 0;
+
+        muxLeft[i] = Mux1();
+        muxLeft[i].c[0] <== hashes[i];
+        muxLeft[i].c[1] <== pathElements[i];
+        muxLeft[i].s <== pathIndices[i];
+
+        muxRight[i] = Mux1();
+        muxRight[i].c[0] <== pathElements[i];
+        muxRight[i].c[1] <== hashes[i];
+        muxRight[i].s <== pathIndices[i];
+
+        hashers[i] = Poseidon(2);
+        hashers[i].inputs[0] <== muxLeft[i].out;
+        hashers[i].inputs[1] <== muxRight[i].out;
+
+        hashes[i + 1] <== hashers[i].out;
+    }
+
+    root <== hashes[depth];
+}
@@ -0,0 +1,69 @@
+pragma circom 2.1.6;
+
+/*
+================================================================================
+SHARED: NULLIFIERS
+================================================================================
+
+NullifierGenerator is the one-per-context nullifier of entity_type_proof.circom
+(versions 2 and 3); RateLimitedNullifier allows N per context (version 4
+onwards).
+
+================================================================================
+*/
+
+include "circomlib/circuits/poseidon.circom";
+include "circomlib/circuits/comparators.circom";
+include "circomlib/circuits/bitify.circom";
+
+
+/*
+--------------------------------------------------------------------------------
+COMPONENT: Nullifier Generator
+--------------------------------------------------------------------------------
+nullifier = Poseidon(secret, context)
+*/
+
+template NullifierGenerator() {
+    signal input entitySecret;
+    signal input contextId;
+    signal output nullifier;
+
+    component hasher = Poseidon(2);
+    hasher.inputs[0] <== entitySecret;
+    hasher.inputs[1] <== contextId;
+    nullifier <== hasher.out;
+}
+
+
+/*
+--------------------------------------------------------------------------------
+COMPONENT: Rate-Limited Nullifier
+--------------------------------------------------------------------------------
+nullifier = Poseidon(secret, context, slot) with slot < limit. Both are
+range-checked to 16 bits, so N is at most 65535 actions per context.
+*/
+
+template RateLimitedNullifier() {
+    signal input entitySecret;
+    signal input contextId;
+    signal input slot;
+    signal input limit;
+    signal output nullifier;
+
+    component slotBits = Num2Bits(16);
+    slotBits.in <== slot;
+    component limitBits = Num2Bits(16);
+    limitBits.in <== limit;
+
+    component inRange = LessThan(16);
+    inRange.in[0] <== slot;
+    inRange.in[1] <== limit;
+    inRange.out === 1;
+
+    component hasher = Poseidon(3);
+    hasher.inputs[0] <== entitySecret;
+    hasher.inputs[1] <== contextId;
+    hasher.inputs[2] <== slot;
+    nullifier <== hasher.out;
+}
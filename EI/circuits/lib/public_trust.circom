@@ -0,0 +1,115 @@
+pragma circom 2.1.6;
+
+/*
+================================================================================
+SHARED: PUBLIC TRUST TREE
+================================================================================
+
+Included by dual_identity_proof.circom and by circuits/test/public_trust_tree.circom,
+which checks PublicTrustRegistry in src/dual-system.js against the same leaf
+and path.
+
+================================================================================
+*/
+
+include "circomlib/circuits/poseidon.circom";
+include "circomlib/circuits/mux1.circom";
+
+/*
+--------------------------------------------------------------------------------
+PUBLIC TRUST REGISTRY - Data Structure
+--------------------------------------------------------------------------------
+
+On-chain, we maintain a public merkle tree of attestations:
+
+Leaf = Poseidon(
+    entity_commitment,
+    entity_type,
+    attester_pubkey_hash,
+    timestamp,
+    attestation_id
+)
+
+This is PUBLICLY VISIBLE. Anyone can:
+  - See all attestations for a commitment
+  - Verify attester signatures
+  - Audit the history
+  - Build trust graphs
+
+The entity_commitment links to the ZK layer without revealing the entity's secret.
+*/
+
+/*
+--------------------------------------------------------------------------------
+COMPONENT: Public Attestation Leaf
+--------------------------------------------------------------------------------
+Computes the leaf value for the public trust tree.
+*/
+
+template PublicAttestationLeaf() {
+    signal input entityCommitment;
+    signal input entityType;
+    signal input attesterPubKeyHash;
+    signal input timestamp;
+    signal input attestationId;
+    
+    signal output leaf;
+    
+    // 5-input Poseidon hash
+    component hasher = Poseidon(5);
+    hasher.inputs[0] <== entityCommitment;
+    hasher.inputs[1] <== entityType;
+    hasher.inputs[2] <== attesterPubKeyHash;
+    hasher.inputs[3] <== timestamp;
+    hasher.inputs[4] <== attestationId;
+    
+    leaf <== hasher.out;
+}
+
+
+/*
+--------------------------------------------------------------------------------
+COMPONENT: Public Trust Proof
+--------------------------------------------------------------------------------
+Proves that an entity's commitment exists in the public trust registry
+with at least N attestations.
+
+This is NOT zero-knowledge about the commitment - it's meant to be public.
+But we can prove properties about the public record.
+*/
+
+template PublicTrustMerkleVerifier(depth) {
+    signal input leaf;
+    signal input pathElements[depth];
+    signal input pathIndices[depth];
+    signal output root;
+    
+    signal hashes[depth + 1];
+    hashes[0] <== leaf;
+    
+    component hashers[depth];
+    component muxLeft[depth];
+    component muxRight[depth];
+    
+    for (var i = 0; i < depth; i++) {
+        pathIndices[i] * (1 - pathIndices[i]) === 0;
+        
+        muxLeft[i] = Mux1();
+        muxLeft[i].c[0] <== hashes[i];
+        muxLeft[i].c[1] <== pathElements[i];
+        muxLeft[i].s <== pathIndices[i];
+        
+        muxRight[i] = Mux1();
+        muxRight[i].c[0] <== pathElements[i];
+        muxRight[i].c[1] <== hashes[i];
+        muxRight[i].s <== pathIndices[i];
+        
+        hashers[i] = Poseidon(2);
+        hashers[i].inputs[0] <== muxLeft[i].out;
+        hashers[i].inputs[1] <== muxRight[i].out;
+        
+        hashes[i + 1] <== hashers[i].out;
+    }
+    
+    root <== hashes[depth];
+}
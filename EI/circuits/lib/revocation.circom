@@ -0,0 +1,45 @@
+pragma circom 2.1.6;
+
+/*
+================================================================================
+SHARED: REVOCATION REGISTRY
+================================================================================
+
+Included by entity_type_proof_v3 through _v7.
+
+================================================================================
+*/
+
+include "circomlib/circuits/smt/smtverifier.circom";
+
+
+/*
+--------------------------------------------------------------------------------
+COMPONENT: Revocation Check
+--------------------------------------------------------------------------------
+Proves attestationHash is not a key of the revocation tree. With fnc = 1
+circomlib's SMTVerifier checks non-inclusion: either the path ends in an empty
+slot (isOld0 = 1) or in a different key (oldKey, oldValue).
+*/
+
+template RevocationCheck(depth) {
+    signal input attestationHash;
+    signal input revocationRoot;
+    signal input siblings[depth];
+    signal input oldKey;
+    signal input oldValue;
+    signal input isOld0;
+
+    component smt = SMTVerifier(depth);
+    smt.enabled <== 1;
+    smt.fnc <== 1;
+    smt.root <== revocationRoot;
+    for (var i = 0; i < depth; i++) {
+        smt.siblings[i] <== siblings[i];
+    }
+    smt.oldKey <== oldKey;
+    smt.oldValue <== oldValue;
+    smt.isOld0 <== isOld0;
+    smt.key <== attestationHash;
+    smt.value <== 0;
+}
@@ -0,0 +1,84 @@
+pragma circom 2.1.6;
+
+/*
+================================================================================
+SHARED: TYPE-SCOPED ATTESTERS
+================================================================================
+
+Included by entity_type_proof_v5 through _v7, whose attester leaves are
+Poseidon(x, y, scope) (see typeScopeCode() in src/entity-types.js).
+
+================================================================================
+*/
+
+include "circomlib/circuits/comparators.circom";
+include "circomlib/circuits/bitify.circom";
+
+
+/*
+--------------------------------------------------------------------------------
+COMPONENT: Type Coverage
+--------------------------------------------------------------------------------
+out = 1 if scope == claimedType, or scope is the category wildcard of
+claimedType's prefix (low byte 0, same high byte), or scope == 0. Both are
+range-checked to 16 bits.
+*/
+
+template TypeCovered() {
+    signal input claimedType;
+    signal input scope;
+    signal output out;
+
+    component typeBits = Num2Bits(16);
+    typeBits.in <== claimedType;
+    component scopeBits = Num2Bits(16);
+    scopeBits.in <== scope;
+
+    // Exact type
+    component exact = IsEqual();
+    exact.in[0] <== claimedType;
+    exact.in[1] <== scope;
+
+    // Category wildcard: scope's low byte is 0 and the prefixes match
+    var typePrefix = 0;
+    var scopePrefix = 0;
+    var scopeCategory = 0;
+    for (var i = 0; i < 8; i++) {
+        typePrefix += typeBits.out[i + 8] * (1 << i);
+        scopePrefix += scopeBits.out[i + 8] * (1 << i);
+        scopeCategory += scopeBits.out[i] * (1 << i);
+    }
+    component categoryZero = IsZero();
+    categoryZero.in <== scopeCategory;
+    component samePrefix = IsEqual();
+    samePrefix.in[0] <== typePrefix;
+    samePrefix.in[1] <== scopePrefix;
+    signal category;
+    category <== categoryZero.out * samePrefix.out;
+
+    // Any type
+    component anyType = IsZero();
+    anyType.in <== scope;
+
+    signal notExactNorCategory;
+    notExactNorCategory <== (1 - exact.out) * (1 - category);
+    out <== 1 - notExactNorCategory * (1 - anyType.out);
+}
+
+
+/*
+--------------------------------------------------------------------------------
+COMPONENT: Type Scope Check
+--------------------------------------------------------------------------------
+Asserts TypeCovered: claimedType is allowed by scope.
+*/
+
+template TypeScopeCheck() {
+    signal input claimedType;
+    signal input scope;
+
+    component covered = TypeCovered();
+    covered.claimedType <== claimedType;
+    covered.scope <== scope;
+    covered.out === 1;
+}
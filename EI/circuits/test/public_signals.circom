@@ -0,0 +1,35 @@
+pragma circom 2.1.6;
+
+/*
+================================================================================
+TEST CIRCUIT: PUBLIC SIGNALS
+================================================================================
+
+Proves nothing: its two outputs and n public inputs are whatever the prover
+passes in. With a setup per signal count, the server tests get proofs that
+verify for any public signals they need (a given nullifier, root, contextId,
+messageHash...) without proving a real attestation.
+
+test/signals-prover.js instantiates it per count; never deploy its keys.
+
+================================================================================
+*/
+
+template PublicSignals(n) {
+    // Become publicSignals[0..1] (nullifier, entityCommitment)
+    signal input outputs[2];
+    // Become publicSignals[2..n+1]
+    signal input values[n];
+
+    signal output nullifier;
+    signal output entityCommitment;
+
+    nullifier <== outputs[0];
+    entityCommitment <== outputs[1];
+
+    // Tie each public input to a constraint
+    signal squares[n];
+    for (var i = 0; i < n; i++) {
+        squares[i] <== values[i] * values[i];
+    }
+}
@@ -0,0 +1,48 @@
+pragma circom 2.1.6;
+
+/*
+================================================================================
+TEST CIRCUIT: PUBLIC TRUST TREE
+================================================================================
+
+The public trust leaf and Merkle path of dual_identity_proof.circom on their
+own, at the same depth (24). PublicTrustRegistry in src/dual-system.js must
+produce roots this circuit recomputes; test/sdk.test.js checks that against
+its witness.
+
+Both circuits include the templates from circuits/lib/public_trust.circom.
+
+================================================================================
+*/
+
+include "../lib/public_trust.circom";
+
+
+template PublicTrustTree(depth) {
+    signal input entityCommitment;
+    signal input entityType;
+    signal input attesterPubKeyHash;
+    signal input timestamp;
+    signal input attestationId;
+    signal input pathElements[depth];
+    signal input pathIndices[depth];
+    
+    signal output root;
+    
+    component leaf = PublicAttestationLeaf();
+    leaf.entityCommitment <== entityCommitment;
+    leaf.entityType <== entityType;
+    leaf.attesterPubKeyHash <== attesterPubKeyHash;
+    leaf.timestamp <== timestamp;
+    leaf.attestationId <== attestationId;
+    
+    component merkle = PublicTrustMerkleVerifier(depth);
+    merkle.leaf <== leaf.leaf;
+    for (var i = 0; i < depth; i++) {
+        merkle.pathElements[i] <== pathElements[i];
+        merkle.pathIndices[i] <== pathIndices[i];
+    }
+    root <== merkle.root;
+}
+
+component main = PublicTrustTree(24);
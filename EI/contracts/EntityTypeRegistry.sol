@@ -19,7 +19,7 @@ interface IVerifier {
 contract EntityTypeRegistry {
     // ============ Constants ============
 
-    // Entity type prefixes
+    // Entity type prefixes (must match src/entity-types.js)
     uint16 public constant PREFIX_AI = 0x0100;
     uint16 public constant PREFIX_AR = 0x0200;
     uint16 public constant PREFIX_HU = 0x0300;
@@ -64,6 +64,8 @@ echo "   - Setting up environment..."
 if [ ! -f .env ]; then
     ADMIN_KEY=$(openssl rand -hex 32)
     echo "ADMIN_API_KEY=$ADMIN_KEY" > .env
+    # Attester signing keys are encrypted under this; losing it loses the keys
+    echo "ATTESTER_MASTER_KEY=$(openssl rand -hex 32)" >> .env
     echo ""
     echo "   ╔══════════════════════════════════════════════════════════╗"
     echo "   ║  NEW ADMIN KEY GENERATED - SAVE THIS!                    ║"
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+/**
+ * compile-circuits.js — Build the witness generators the SDK tests run
+ *
+ * Compiles each circuit to build/<name>_js/<name>.wasm with circom2, the
+ * WebAssembly build of circom, so no native toolchain is needed. Only the
+ * wasm is built; r1cs files and trusted setups stay with `make build setup`.
+ * A circuit is rebuilt when its wasm is missing or older than its source or
+ * anything in circuits/lib.
+ *
+ * entity_type_proof (version 1) is not rebuilt: its wasm is checked in and
+ * matches setup/entity_type_final.zkey.
+ *
+ * Usage:
+ *   node scripts/compile-circuits.js [--force]
+ */
+
+import { execFileSync } from 'child_process';
+import { existsSync, readdirSync, statSync } from 'fs';
+import { basename, dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+const CIRCUITS = [
+    'circuits/entity_type_proof_v2.circom',
+    'circuits/entity_type_proof_v3.circom',
+    'circuits/entity_type_proof_v4.circom',
+    'circuits/entity_type_proof_v5.circom',
+    'circuits/entity_type_proof_v6.circom',
+    'circuits/entity_type_proof_v7.circom',
+    'circuits/dual_identity_proof.circom',
+    'circuits/test/public_trust_tree.circom',
+];
+
+// ---------------------------------------------------------------------------
+// Staleness
+// ---------------------------------------------------------------------------
+
+function newestSource(circuit) {
+    const lib = join(ROOT, 'circuits', 'lib');
+    const sources = [join(ROOT, circuit)];
+    if (existsSync(lib)) {
+        sources.push(...readdirSync(lib).filter(f => f.endsWith('.circom')).map(f => join(lib, f)));
+    }
+    return Math.max(...sources.map(f => statSync(f).mtimeMs));
+}
+
+function wasmPath(circuit) {
+    const name = basename(circuit, '.circom');
+    return join(ROOT, 'build', `${name}_js`, `${name}.wasm`);
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+const force = process.argv.includes('--force');
+const circom = join(ROOT, 'node_modules', '.bin', 'circom2');
+
+for (const circuit of CIRCUITS) {
+    const wasm = wasmPath(circuit);
+    if (!force && existsSync(wasm) && statSync(wasm).mtimeMs >= newestSource(circuit)) {
+        continue;
+    }
+    console.log(`Compiling ${circuit}...`);
+    try {
+        execFileSync(circom, [circuit, '--wasm', '-l', 'node_modules', '-o', 'build'], {
+            cwd: ROOT,
+            stdio: ['ignore', 'ignore', 'inherit'],
+        });
+    } catch (e) {
+        console.error(`Failed to compile ${circuit}`);
+        process.exit(1);
+    }
+}
@@ -0,0 +1,316 @@
+/**
+ * Entity Identity ZK - Browser SDK
+ *
+ * Client-side proving: the entity secret never leaves the browser.
+ * Circuit assets are fetched from the API's /api/v1/proving/assets endpoint,
+ * cached in IndexedDB, and proofs are generated in a Web Worker.
+ *
+ * Requires a global Web Crypto (globalThis.crypto), fetch and, for caching,
+ * IndexedDB. All three can be injected for other environments.
+ *
+ * @example
+ * import { initCrypto, Entity, BrowserProver } from 'entity-identity';
+ *
+ * const crypto = await initCrypto();
+ * const entity = new Entity(crypto);
+ * // POST entity.getCommitment() to /api/v1/attest, then:
+ * const prover = new BrowserProver('https://api.example.com');
+ * const { proof, publicSignals } = await prover.proveWithAttestation(
+ *     entity, attestResponse, contextId);
+ *
+ * generateProof() and proveWithAttestation() take the same arguments as in
+ * Node, with the wasm and zkey as absolute URLs or bytes.
+ */
+
+import { attestationProofInputs, circuitVersion, parsePublicSignals } from './entity-identity.js';
+
+export {
+    Categories,
+    EntityTypeList,
+    EntityTypes,
+    PhoneticNames,
+    TypeCodes,
+    encodeEntityType,
+    typeByCode,
+    typeByName,
+    typeByPhonetic,
+} from './entity-types.js';
+
+export {
+    initCrypto,
+    MerkleTree,
+    Attester,
+    Entity,
+    generateMnemonic,
+    deriveEntityKeys,
+    deriveContextId,
+    rateLimitEpoch,
+    requestDigest,
+    challengeMessageHash,
+    attestationMessage,
+    attestationHash,
+    RevocationRegistry,
+    Circuits,
+    circuitVersion,
+    parsePublicSignals,
+    checkProofTime,
+    attestationProofInputs,
+    loadVerificationKey,
+    verifyProof,
+} from './entity-identity.js';
+
+// ============================================================================
+// ASSET CACHE (IndexedDB)
+// ============================================================================
+
+const CACHE_DB_NAME = 'entity-identity';
+const CACHE_STORE_NAME = 'proving-assets';
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Key/value store for circuit assets backed by IndexedDB
+ * Without an IndexedDB implementation every lookup misses and nothing is stored.
+ */
+class AssetCache {
+    constructor(indexedDB = globalThis.indexedDB) {
+        this.indexedDB = indexedDB;
+        this.db = null;
+    }
+
+    async _open() {
+        if (!this.indexedDB) return null;
+        if (!this.db) {
+            const request = this.indexedDB.open(CACHE_DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(CACHE_STORE_NAME);
+            };
+            this.db = idbRequest(request);
+        }
+        return this.db;
+    }
+
+    async get(key) {
+        const db = await this._open();
+        if (!db) return undefined;
+        const store = db.transaction(CACHE_STORE_NAME, 'readonly').objectStore(CACHE_STORE_NAME);
+        return idbRequest(store.get(key));
+    }
+
+    async put(key, value) {
+        const db = await this._open();
+        if (!db) return;
+        const store = db.transaction(CACHE_STORE_NAME, 'readwrite').objectStore(CACHE_STORE_NAME);
+        await idbRequest(store.put(value, key));
+    }
+}
+
+// ============================================================================
+// BROWSER PROVER
+// ============================================================================
+
+/**
+ * Default worker factory - bundlers resolve this URL pattern to a worker chunk
+ */
+function createProvingWorker() {
+    return new Worker(new URL('./proving-worker.js', import.meta.url), { type: 'module' });
+}
+
+/**
+ * Proves entity_type_proof statements in a Web Worker, with the given circuit
+ * assets or those of an API
+ *
+ * @param apiUrl - Base URL of the Entity Identity API (optional if assets are always given)
+ * @param options.fetch - fetch implementation (default: global fetch)
+ * @param options.indexedDB - IndexedDB factory (default: global indexedDB)
+ * @param options.createWorker - Returns a Worker-like object (postMessage/onmessage/terminate)
+ */
+class BrowserProver {
+    constructor(apiUrl = null, options = {}) {
+        this.apiUrl = apiUrl && apiUrl.replace(/\/+$/, '');
+        this.fetch = options.fetch ?? globalThis.fetch.bind(globalThis);
+        this.cache = new AssetCache(options.indexedDB ?? globalThis.indexedDB);
+        this.createWorker = options.createWorker ?? createProvingWorker;
+        this.assets = new Map();
+        this.worker = null;
+        this.pending = new Map();
+        this.nextRequestId = 0;
+    }
+
+    async _fetchBytes(url) {
+        const res = await this.fetch(url);
+        if (!res.ok) {
+            throw new Error(`Failed to fetch ${url}: HTTP ${res.status}`);
+        }
+        return new Uint8Array(await res.arrayBuffer());
+    }
+
+    async _fetchAsset(circuitHash, url) {
+        // Keyed by circuit hash so a new trusted setup invalidates old entries
+        const key = `${circuitHash}:${url}`;
+        const cached = await this.cache.get(key);
+        if (cached) return cached;
+
+        const bytes = await this._fetchBytes(url);
+        await this.cache.put(key, bytes);
+        return bytes;
+    }
+
+    /**
+     * Resolve the proving assets, from IndexedDB when cached
+     * @param version - Circuit version (see Circuits)
+     * @returns { circuit, circuitHash, wasm, zkey, verificationKey }
+     */
+    async loadAssets(version = 1) {
+        if (!this.apiUrl) {
+            throw new Error('No API URL to load proving assets from; pass wasmPath and zkeyPath');
+        }
+        if (!this.assets.has(version)) {
+            const query = version === 1 ? '' : `?version=${version}`;
+            const loading = (async () => {
+                const res = await this.fetch(`${this.apiUrl}/api/v1/proving/assets${query}`);
+                if (!res.ok) {
+                    throw new Error(`Failed to fetch proving assets: HTTP ${res.status}`);
+                }
+                const descriptor = await res.json();
+                const [wasm, zkey] = await Promise.all([
+                    this._fetchAsset(descriptor.circuitHash, descriptor.assets.wasm),
+                    this._fetchAsset(descriptor.circuitHash, descriptor.assets.zkey),
+                ]);
+                return {
+                    circuit: descriptor.circuit,
+                    circuitHash: descriptor.circuitHash,
+                    wasm,
+                    zkey,
+                    verificationKey: descriptor.assets.verificationKey,
+                };
+            })();
+            this.assets.set(version, loading);
+            // Don't cache failures
+            loading.catch(() => this.assets.delete(version));
+        }
+        return this.assets.get(version);
+    }
+
+    _getWorker() {
+        if (!this.worker) {
+            this.worker = this.createWorker();
+            this.worker.onmessage = (event) => {
+                const { id, error, proof, publicSignals } = event.data;
+                const request = this.pending.get(id);
+                if (!request) return;
+                this.pending.delete(id);
+                if (error) {
+                    request.reject(new Error(error));
+                } else {
+                    request.resolve({ proof, publicSignals });
+                }
+            };
+        }
+        return this.worker;
+    }
+
+    /**
+     * Generate a ZK proof in the worker
+     *
+     * @param inputs - Circuit inputs from Entity.generateProofInputs()
+     * @param wasmPath - Circuit wasm as a URL or bytes (default: the API's, for the inputs' version)
+     * @param zkeyPath - Proving key as a URL or bytes (default: the API's)
+     * @returns { proof, publicSignals, parsed }
+     */
+    async generateProof(inputs, wasmPath = null, zkeyPath = null) {
+        const { wasm, zkey } = wasmPath && zkeyPath
+            ? { wasm: wasmPath, zkey: zkeyPath }
+            : await this.loadAssets(circuitVersion(inputs));
+        const worker = this._getWorker();
+        const id = ++this.nextRequestId;
+
+        const { proof, publicSignals } = await new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            worker.postMessage({ id, inputs, wasm, zkey });
+        });
+
+        return {
+            proof,
+            publicSignals,
+            parsed: parsePublicSignals(publicSignals),
+        };
+    }
+
+    /**
+     * Prove an attested type with the API's circuit assets
+     *
+     * @param entity - The Entity the attestation was issued for
+     * @param response - { attestation, merkleProof, registryRoot } from /attest
+     * @param contextId - Context for nullifier (e.g., session ID)
+     * @param options - See attestationProofInputs()
+     */
+    async proveWithAttestation(entity, response, contextId, options = {}) {
+        return this.generateProof(attestationProofInputs(entity, response, contextId, options));
+    }
+
+    /**
+     * Stop the worker and fail any in-flight requests
+     */
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        for (const { reject } of this.pending.values()) {
+            reject(new Error('Prover terminated'));
+        }
+        this.pending.clear();
+    }
+}
+
+// Worker for generateProof() and proveWithAttestation(), created on first use
+let defaultProver = null;
+
+/**
+ * Generate a ZK proof in a Web Worker
+ * Same arguments as generateProof() in Node.
+ *
+ * @param inputs - Circuit inputs from Entity.generateProofInputs()
+ * @param wasmPath - Circuit wasm as an absolute URL or bytes
+ * @param zkeyPath - Proving key as an absolute URL or bytes
+ * @returns { proof, publicSignals, parsed }
+ */
+async function generateProof(inputs, wasmPath, zkeyPath) {
+    if (!wasmPath || !zkeyPath) {
+        throw new Error('wasmPath and zkeyPath are required; use BrowserProver for an API\'s assets');
+    }
+    defaultProver ??= new BrowserProver();
+    return defaultProver.generateProof(inputs, wasmPath, zkeyPath);
+}
+
+/**
+ * Prove an attested type in a Web Worker
+ * Same arguments as proveWithAttestation() in Node.
+ *
+ * @param entity - The Entity the attestation was issued for
+ * @param response - { attestation, merkleProof, registryRoot } from /attest
+ * @param contextId - Context for nullifier (e.g., session ID)
+ * @param wasmPath - Circuit wasm as an absolute URL or bytes
+ * @param zkeyPath - Proving key as an absolute URL or bytes
+ * @param options - { currentTime, maxAge, revocation, rateLimit, typeScoped, typeSet, challenge },
+ *   see attestationProofInputs()
+ */
+async function proveWithAttestation(entity, response, contextId, wasmPath, zkeyPath, options = {}) {
+    return generateProof(attestationProofInputs(entity, response, contextId, options), wasmPath, zkeyPath);
+}
+
+export {
+    AssetCache,
+    BrowserProver,
+    generateProof,
+    proveWithAttestation,
+};
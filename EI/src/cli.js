@@ -4,7 +4,8 @@
  * Entity Identity CLI
  *
  * Usage:
- *   eid prove --type AI.CA --context session123
+ *   eid identity --output entity.json --mnemonic
+ *   eid prove --type AI.CA --domain shop.example.com --identity entity.json
  *   eid verify --proof proof.json --vkey verification_key.json
  */
 
@@ -13,48 +14,41 @@ import chalk from 'chalk';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { EntityTypeList, typeByName, syncEntityTypes } from './entity-types.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const BUILD_DIR = path.join(__dirname, '..', 'build');
 
-// Entity type codes
-const EntityTypes = {
-    'AI.CA': 0x0101,
-    'AI.PO': 0x0102,
-    'AI.WS': 0x0103,
-    'AI.OS': 0x0104,
-    'AI.GN': 0x0105,
-    'AI.AA': 0x0106,
-    'AI.LM': 0x0107,
-    'AI.DB': 0x0108,
-    'AI.JG': 0x0109,
-    'AI.SY': 0x010A,
-    'AR.RB': 0x0201,
-    'AR.DR': 0x0202,
-    'AR.VH': 0x0203,
-    'HU.US': 0x0301,
-    'HY.CP': 0x0401,
-    'HY.HS': 0x0402,
-};
-
-const PhoneticNames = {
-    'AI.CA': 'Kah',
-    'AI.PO': 'Poe',
-    'AI.WS': 'Wiz',
-    'AI.OS': 'Aus',
-    'AI.GN': 'Jen',
-    'AI.AA': 'Ahh',
-    'AI.LM': 'Elm',
-    'AI.DB': 'Deb',
-    'AI.JG': 'Jig',
-    'AI.SY': 'Sigh',
-    'AR.RB': 'Rob',
-    'AR.DR': 'Dar',
-    'AR.VH': 'Vee',
-    'HU.US': 'Who',
-    'HY.CP': 'Kip',
-    'HY.HS': 'His',
-};
+/**
+ * Pick up custom entity types registered on an API server
+ */
+async function loadCustomTypes(apiUrl) {
+    if (!apiUrl) return;
+    try {
+        const version = await syncEntityTypes(apiUrl);
+        console.log(chalk.gray(`  Loaded entity types v${version} from ${apiUrl}\n`));
+    } catch (error) {
+        console.warn(chalk.yellow(`  Could not load custom types from ${apiUrl}: ${error.message}\n`));
+    }
+}
+
+/**
+ * Load or derive the entity for a command
+ * Precedence: --identity file, then --secret seed, else a fresh random entity.
+ */
+async function loadEntity(options) {
+    const { initCrypto, Entity } = await import('./entity-identity.js');
+    const crypto = await initCrypto();
+
+    if (options.identity) {
+        const json = await fs.readFile(options.identity, 'utf-8');
+        return Entity.fromJSON(crypto, json, options.passphrase);
+    }
+    if (options.secret) {
+        return Entity.fromSeed(crypto, options.secret);
+    }
+    return new Entity(crypto);
+}
 
 const program = new Command();
 
@@ -68,37 +62,55 @@ program
     .command('prove')
     .description('Generate a ZK proof of entity type')
     .requiredOption('-t, --type <type>', 'Entity type (e.g., AI.CA, AR.RB, HU.US)')
-    .requiredOption('-c, --context <context>', 'Context ID for nullifier (e.g., session ID)')
+    .option('-d, --domain <domain>', 'Verifier domain the proof is for (e.g., shop.example.com)')
+    .option('-c, --context <domain>', 'Deprecated alias for --domain')
+    .option('-p, --purpose <purpose>', 'Purpose within the domain (e.g., signup)', '')
+    .option('-e, --epoch <n>', 'Epoch number, for proofs that may be repeated once per epoch', '0')
     .option('-o, --output <file>', 'Output file for proof', 'proof.json')
-    .option('-s, --secret <secret>', 'Entity secret (hex). Generated if not provided')
+    .option('-s, --secret <seed>', 'Entity seed (BIP-39 mnemonic or 32-byte hex key). Random if not provided')
+    .option('-i, --identity <file>', 'Entity file created by `eid identity`')
+    .option('--passphrase <passphrase>', 'Passphrase for an encrypted entity file', process.env.EID_PASSPHRASE)
     .option('--wasm <path>', 'Path to circuit WASM')
     .option('--zkey <path>', 'Path to proving key')
+    .option('--api <url>', 'API server to load custom entity types from', process.env.EID_API_URL)
     .action(async (options) => {
         try {
             console.log(chalk.blue('Generating entity type proof...\n'));
 
+            // --context predates domain-bound contexts; its value is the domain
+            const domain = options.domain ?? options.context;
+            if (!domain) {
+                console.error(chalk.red('Missing --domain (the verifier domain the proof is for)'));
+                process.exit(1);
+            }
+            if (options.domain === undefined) {
+                console.warn(chalk.yellow('  --context is deprecated; use --domain\n'));
+            }
+
+            await loadCustomTypes(options.api);
+
             // Validate type
-            if (!EntityTypes[options.type]) {
+            const type = typeByName(options.type);
+            if (!type) {
                 console.error(chalk.red(`Unknown entity type: ${options.type}`));
-                console.log('Valid types:', Object.keys(EntityTypes).join(', '));
+                console.log('Valid types:', EntityTypeList.map(t => t.name).join(', '));
                 process.exit(1);
             }
 
-            const typeCode = EntityTypes[options.type];
-            const phonetic = PhoneticNames[options.type];
+            const typeCode = type.code;
+            const phonetic = type.phonetic;
 
             console.log(`  Type: ${chalk.green(options.type)} (${phonetic})`);
             console.log(`  Code: ${chalk.yellow('0x' + typeCode.toString(16))}`);
-            console.log(`  Context: ${chalk.cyan(options.context)}`);
+            // Same contextId as the server and SDK for the same context
+            const { deriveContextId } = await import('./entity-identity.js');
+            const context = { domain, purpose: options.purpose, epoch: options.epoch };
+            const contextId = deriveContextId(context);
+            console.log(`  Context: ${chalk.cyan(`${domain}${options.purpose ? ' / ' + options.purpose : ''} (epoch ${options.epoch})`)}`);
 
-            // Generate or use provided secret
-            const secret = options.secret
-                ? BigInt(options.secret)
-                : BigInt('0x' + [...crypto.getRandomValues(new Uint8Array(32))]
-                    .map(b => b.toString(16).padStart(2, '0')).join(''));
-
-            const salt = BigInt('0x' + [...crypto.getRandomValues(new Uint8Array(32))]
-                .map(b => b.toString(16).padStart(2, '0')).join(''));
+            const entity = await loadEntity(options);
+            const commitment = entity.getCommitment().toString();
+            console.log(`  Commitment: ${chalk.cyan(commitment.slice(0, 20) + '...')}`);
 
             // Load snarkjs dynamically
             const snarkjs = await import('snarkjs');
@@ -121,9 +133,9 @@ program
             const inputs = {
                 claimedType: typeCode.toString(),
                 attestersRoot: "12345678901234567890", // Placeholder
-                contextId: BigInt('0x' + Buffer.from(options.context).toString('hex')).toString(),
-                entitySecret: secret.toString(),
-                entitySalt: salt.toString(),
+                contextId: contextId.toString(),
+                entitySecret: entity.secret.toString(),
+                entitySalt: entity.salt.toString(),
                 // ... attestation inputs would go here
             };
 
@@ -138,7 +150,8 @@ program
                 entityType: options.type,
                 typeCode: typeCode,
                 phonetic: phonetic,
-                context: options.context,
+                commitment: commitment,
+                context,
                 timestamp: new Date().toISOString(),
                 inputs: {
                     claimedType: inputs.claimedType,
@@ -158,12 +171,58 @@ program
         }
     });
 
+// Identity command
+program
+    .command('identity')
+    .description('Create an entity and save its keys')
+    .option('-o, --output <file>', 'Output file for the entity keys', 'entity.json')
+    .option('-m, --mnemonic', 'Generate a recovery mnemonic for the new entity')
+    .option('-s, --secret <seed>', 'Restore from a BIP-39 mnemonic or 32-byte hex key')
+    .option('--passphrase <passphrase>', 'Encrypt the entity file', process.env.EID_PASSPHRASE)
+    .action(async (options) => {
+        try {
+            const { generateMnemonic } = await import('./entity-identity.js');
+
+            let mnemonic = null;
+            if (options.mnemonic && !options.secret) {
+                mnemonic = generateMnemonic();
+                options.secret = mnemonic;
+            }
+
+            const entity = await loadEntity(options);
+            const json = options.passphrase
+                ? await entity.toEncryptedJSON(options.passphrase)
+                : entity.toJSON();
+            await fs.writeFile(options.output, JSON.stringify(json, null, 2), { mode: 0o600 });
+
+            console.log(`  Commitment: ${chalk.cyan(json.commitment)}`);
+            console.log(`  Encrypted: ${options.passphrase ? chalk.green('yes') : chalk.yellow('no')}`);
+            if (mnemonic) {
+                console.log(chalk.yellow('\n  Recovery mnemonic (shown once, store it offline):'));
+                console.log(`  ${mnemonic}\n`);
+            }
+            console.log(chalk.green(`Entity written to: ${options.output}`));
+
+        } catch (error) {
+            console.error(chalk.red('Error creating identity:'), error.message);
+            process.exit(1);
+        }
+    });
+
 // Verify command
 program
     .command('verify')
     .description('Verify a ZK proof of entity type')
     .requiredOption('-p, --proof <file>', 'Proof file to verify')
     .option('-v, --vkey <file>', 'Verification key file')
+    .option('--max-age <days>', 'Reject attestations issued more than this many days before the proof')
+    .option('--max-clock-skew <seconds>', 'Reject proofs made more than this many seconds from now (version 2+)')
+    .option('--domain <domain>', 'Require a proof for this verifier domain')
+    .option('--purpose <purpose>', 'Purpose the proof must be for (with --domain)', '')
+    .option('--epoch <n>', 'Epoch the proof must be for (with --domain)', '0')
+    .option('--max-actions <n>', 'Require a rate-limited proof allowing at most this many actions per context')
+    .option('--nonce <nonce>', 'Require a proof bound to this challenge nonce (with --domain)')
+    .option('--request-digest <hex>', 'Request digest the challenge-bound proof must carry (with --nonce)', '')
     .action(async (options) => {
         try {
             console.log(chalk.blue('Verifying entity type proof...\n'));
@@ -171,7 +230,8 @@ program
             const proofData = JSON.parse(await fs.readFile(options.proof, 'utf-8'));
 
             console.log(`  Type: ${chalk.green(proofData.entityType)} (${proofData.phonetic})`);
-            console.log(`  Context: ${chalk.cyan(proofData.context)}`);
+            const { domain, purpose, epoch } = proofData.context ?? {};
+            console.log(`  Context: ${chalk.cyan(`${domain}${purpose ? ' / ' + purpose : ''} (epoch ${epoch})`)}`);
             console.log(`  Generated: ${proofData.timestamp}`);
 
             if (!proofData.proof) {
@@ -180,19 +240,51 @@ program
                 return;
             }
 
-            // Load snarkjs
-            const snarkjs = await import('snarkjs');
-
-            const vkeyPath = options.vkey || path.join(BUILD_DIR, 'setup', 'verification_key.json');
-            const vkey = JSON.parse(await fs.readFile(vkeyPath, 'utf-8'));
-
-            const valid = await snarkjs.groth16.verify(vkey, proofData.publicSignals, proofData.proof);
-
-            if (valid) {
+            const { verifyProof, circuitVersion } = await import('./entity-identity.js');
+
+            // Seven public signals: circuit version 2 (expiring attestation),
+            // eight: version 3 (revocable attestation), nine: version 4 (rate limit),
+            // ten: version 5 (type-scoped attesters), 17: version 6 (type set),
+            // eleven: version 7 (challenge-bound)
+            const version = circuitVersion(proofData.publicSignals);
+            const vkeyFile = version > 1 ? `verification_key_v${version}.json` : 'verification_key.json';
+            const vkeyPath = options.vkey || path.join(BUILD_DIR, 'setup', vkeyFile);
+            const maxAge = options.maxAge ? Math.round(Number(options.maxAge) * 86400) : undefined;
+            const maxClockSkew = options.maxClockSkew ? Number(options.maxClockSkew) : undefined;
+            const context = options.domain
+                ? { domain: options.domain, purpose: options.purpose, epoch: options.epoch }
+                : undefined;
+            const maxActions = options.maxActions ? Number(options.maxActions) : undefined;
+            if (options.nonce && !options.domain) {
+                throw new Error('--nonce needs the --domain the challenge was issued for');
+            }
+            const challenge = options.nonce
+                ? { domain: options.domain, nonce: options.nonce, requestDigest: options.requestDigest }
+                : undefined;
+            const result = await verifyProof(proofData.proof, proofData.publicSignals, vkeyPath, {
+                maxAge, maxClockSkew, context, maxActions, challenge,
+            });
+
+            if (result.valid) {
                 console.log(chalk.green('\n✓ Proof is VALID'));
-                console.log(`  Entity is verified as: ${proofData.entityType}`);
+                // Report the type the proof actually commits to, not the file's label
+                if (result.disclosedTypes) {
+                    console.log(`  Entity is verified as one of: ${result.disclosedTypes.join(', ')} (exact type hidden)`);
+                } else {
+                    console.log(`  Entity is verified as: ${result.entityType ?? result.claimedType} (${result.phoneticName ?? '?'})`);
+                }
+                console.log(`  Nullifier: ${result.nullifier}`);
+                if (result.actionLimit !== undefined) {
+                    console.log(`  Actions per context: ${result.actionLimit}`);
+                }
+                if (result.messageHash !== undefined) {
+                    console.log(`  Bound to challenge: ${options.nonce}`);
+                }
             } else {
                 console.log(chalk.red('\n✗ Proof is INVALID'));
+                if (result.reason) {
+                    console.log(`  Reason: ${result.reason}`);
+                }
                 process.exit(1);
             }
 
@@ -206,34 +298,17 @@ program
 program
     .command('types')
     .description('List all entity types')
-    .action(() => {
+    .option('--api <url>', 'API server to load custom entity types from', process.env.EID_API_URL)
+    .action(async (options) => {
+        await loadCustomTypes(options.api);
+
         console.log(chalk.blue('Entity Types:\n'));
         console.log('  Code     Phonetic  Description');
         console.log('  ──────   ────────  ───────────');
 
-        const descriptions = {
-            'AI.CA': 'Conversational Agent',
-            'AI.PO': 'Program Orchestrator',
-            'AI.WS': 'Web Site',
-            'AI.OS': 'Operating System',
-            'AI.GN': 'Generative Model',
-            'AI.AA': 'Autonomous Agent',
-            'AI.LM': 'Language Model',
-            'AI.DB': 'Data Broker',
-            'AI.JG': 'Judge/Evaluator',
-            'AI.SY': 'Synthetic Media',
-            'AR.RB': 'Robot Bot',
-            'AR.DR': 'Drone',
-            'AR.VH': 'Vehicle',
-            'HU.US': 'Human User',
-            'HY.CP': 'Copilot (Human-AI)',
-            'HY.HS': 'Hive Swarm',
-        };
-
-        for (const [code, value] of Object.entries(EntityTypes)) {
-            const phonetic = PhoneticNames[code] || '???';
-            const desc = descriptions[code] || '';
-            console.log(`  ${chalk.green(code.padEnd(7))} ${chalk.yellow(phonetic.padEnd(8))} ${desc}`);
+        for (const type of EntityTypeList) {
+            const status = type.status === 'deprecated' ? chalk.gray(' (deprecated)') : '';
+            console.log(`  ${chalk.green(type.name.padEnd(7))} ${chalk.yellow(type.phonetic.padEnd(8))} ${type.description}${status}`);
         }
     });
 
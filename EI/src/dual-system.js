@@ -4,7 +4,21 @@
  * Combines ZK privacy with public accountability.
  */
 
+import * as snarkjs from 'snarkjs';
 import { buildPoseidon } from 'circomlibjs';
+import {
+    AttesterLeafFormat,
+    challengeMessageHash,
+    checkProofTime,
+    Circuits,
+    circuitVersion,
+    deriveContextId,
+    disclosedTypes,
+    loadVerificationKey,
+    MerkleTree,
+    parsePublicSignals,
+} from './entity-identity.js';
+import { isTypeSetAllowed, matchesTypePattern, typeByCode, typeByName } from './entity-types.js';
 
 // ============================================================================
 // INTERACTION LEVELS
@@ -161,6 +175,47 @@ class PublicAttestation {
         ]);
     }
     
+    /**
+     * Message the attester signs: Poseidon(commitment, typeCode, timestamp)
+     * Three inputs, so a ZK attestation signature (two or four) never
+     * verifies as a public one.
+     */
+    computeMessage(poseidonHash) {
+        return poseidonHash([
+            BigInt(this.entityCommitment),
+            BigInt(this.entityType),
+            BigInt(this.timestamp),
+        ]);
+    }
+    
+    /**
+     * Sign a public attestation for POST /api/v1/public/attestations
+     *
+     * @param attester - Attester from entity-identity.js
+     * @param entityCommitment - The entity's public commitment
+     * @param entityType - Type name (e.g., 'AI.CA')
+     * @param timestamp - Milliseconds since the epoch
+     * @returns Request body: { entityCommitment, entityType, timestamp,
+     *   signatureR8X, signatureR8Y, signatureS }
+     */
+    static sign(attester, entityCommitment, entityType, timestamp = Date.now()) {
+        const type = typeByName(entityType);
+        if (!type) {
+            throw new Error(`Unknown entity type: ${entityType}`);
+        }
+        const message = new PublicAttestation({ entityCommitment, entityType: type.code, timestamp })
+            .computeMessage(attester.crypto.hash);
+        const signature = attester.crypto.sign(attester.privateKey, message);
+        return {
+            entityCommitment: entityCommitment.toString(),
+            entityType,
+            timestamp,
+            signatureR8X: signature.R8x.toString(),
+            signatureR8Y: signature.R8y.toString(),
+            signatureS: signature.S.toString(),
+        };
+    }
+    
     /**
      * Serialize for on-chain storage
      */
@@ -175,6 +230,9 @@ class PublicAttestation {
     }
 }
 
+// Public trust tree depth: 2^24 = ~16M attestations (dual_identity_proof.circom)
+const PUBLIC_TRUST_DEPTH = 24;
+
 /**
  * PublicTrustRegistry - The transparent attestation database
  * 
@@ -184,40 +242,78 @@ class PublicAttestation {
  * - A federated database with merkle proofs
  */
 class PublicTrustRegistry {
-    constructor(poseidonHash) {
+    /**
+     * @param poseidonHash - Poseidon hash from initCrypto()
+     * @param depth - Tree depth; PublicTrustMerkleVerifier in
+     *   dual_identity_proof.circom is instantiated with PUBLIC_TRUST_DEPTH
+     */
+    constructor(poseidonHash, depth = PUBLIC_TRUST_DEPTH) {
         this.hash = poseidonHash;
         this.attestations = new Map();  // attestationId -> PublicAttestation
         this.byCommitment = new Map();  // commitment -> Set<attestationId>
-        this.merkleTree = null;  // Would be a real merkle tree in production
+        this.leafIndices = new Map();   // attestationId -> leaf index
+        // Same zero-padded Poseidon tree as the circuit
+        this.merkleTree = new MerkleTree(depth, poseidonHash);
         this.nextId = 1;
     }
     
     /**
      * Add a public attestation
      * In production: this would be a blockchain transaction
+     *
+     * An attestation that already has an ID keeps it (restoring a stored
+     * registry in insertion order); otherwise it gets the next free one.
+     *
+     * @returns { attestationId, leafIndex, leaf, root }
+     * @throws If the ID is taken or the tree is full
      */
     addAttestation(attestation) {
-        const id = this.nextId++;
+        const id = attestation.attestationId ?? this.nextId;
+        if (!Number.isSafeInteger(id) || id < 1 || this.attestations.has(id)) {
+            throw new Error(`Invalid or duplicate attestation ID: ${id}`);
+        }
         attestation.attestationId = id;
         attestation.timestamp = attestation.timestamp || Date.now();
         
+        const leaf = attestation.computeLeaf(this.hash);
+        const leafIndex = this.merkleTree.addLeaf(leaf);
+        this.nextId = Math.max(this.nextId, id + 1);
+        
         this.attestations.set(id, attestation);
+        this.leafIndices.set(id, leafIndex);
         
         if (!this.byCommitment.has(attestation.entityCommitment)) {
             this.byCommitment.set(attestation.entityCommitment, new Set());
         }
         this.byCommitment.get(attestation.entityCommitment).add(id);
         
-        // Rebuild merkle tree (simplified)
-        this._rebuildTree();
-        
         return {
             attestationId: id,
-            leaf: attestation.computeLeaf(this.hash),
+            leafIndex,
+            leaf,
             root: this.getRoot(),
         };
     }
     
+    /**
+     * Take an attestation out of the registry
+     * Its leaf is zeroed and its ID and index are not reused, so every other
+     * attestation keeps its Merkle path.
+     *
+     * @returns false if the ID is unknown
+     */
+    removeAttestation(attestationId) {
+        const leafIndex = this.leafIndices.get(attestationId);
+        if (leafIndex === undefined) return false;
+        
+        this.merkleTree.removeLeaf(leafIndex);
+        const attestation = this.attestations.get(attestationId);
+        this.byCommitment.get(attestation.entityCommitment)?.delete(attestationId);
+        this.attestations.delete(attestationId);
+        this.leafIndices.delete(attestationId);
+        return true;
+    }
+    
     /**
      * Get all attestations for a commitment
      */
@@ -234,70 +330,319 @@ class PublicTrustRegistry {
     }
     
     /**
-     * Get merkle root
+     * Get merkle root (the empty-tree root before any attestation)
      */
     getRoot() {
-        // Simplified - real implementation uses proper merkle tree
-        if (this.attestations.size === 0) return BigInt(0);
-        
-        const leaves = [...this.attestations.values()].map(a => a.computeLeaf(this.hash));
-        return this._computeRoot(leaves);
+        return this.merkleTree.getRoot();
     }
     
     /**
      * Generate merkle proof for an attestation
+     *
+     * @returns { leaf, leafIndex, pathElements, pathIndices, root }, the
+     *   inputs of PublicTrustMerkleVerifier; null if the ID is unknown
      */
     getMerkleProof(attestationId) {
-        // Simplified - real implementation provides actual proof
-        const attestation = this.attestations.get(attestationId);
-        if (!attestation) return null;
+        const leafIndex = this.leafIndices.get(attestationId);
+        if (leafIndex === undefined) return null;
         
+        const { pathElements, pathIndices } = this.merkleTree.getProof(leafIndex);
         return {
-            leaf: attestation.computeLeaf(this.hash),
-            pathElements: [],  // Would be actual sibling hashes
-            pathIndices: [],   // Would be actual path
+            leaf: this.merkleTree.getLeaf(leafIndex),
+            leafIndex,
+            pathElements,
+            pathIndices,
             root: this.getRoot(),
         };
     }
+}
+
+/**
+ * RemotePublicTrustRegistry - One commitment's public record, served by
+ * GET /api/v1/public/commitments/:commitment/attestations?proofs=true
+ *
+ * Has the read side of PublicTrustRegistry, so a DualProofCoordinator can
+ * prove levels 2 and 3 from the API server instead of a local registry.
+ * Every proof in the snapshot is against the same root.
+ */
+class RemotePublicTrustRegistry {
+    constructor({ commitment, root, attestations }) {
+        this.commitment = String(commitment);
+        this.root = BigInt(root);
+        this.attestations = new Map();  // attestationId -> PublicAttestation
+        this.proofs = new Map();        // attestationId -> merkle proof
+        for (const { merkleProof, ...data } of attestations) {
+            const attestation = new PublicAttestation(data);
+            this.attestations.set(attestation.attestationId, attestation);
+            this.proofs.set(attestation.attestationId, {
+                leaf: BigInt(merkleProof.leaf),
+                leafIndex: merkleProof.leafIndex,
+                pathElements: merkleProof.pathElements.map(BigInt),
+                pathIndices: merkleProof.pathIndices,
+                root: this.root,
+            });
+        }
+    }
     
-    _rebuildTree() {
-        // Placeholder - real implementation maintains incremental merkle tree
+    /**
+     * Fetch a commitment's attestations and their Merkle proofs
+     *
+     * @param apiUrl - API server base URL
+     * @param commitment - Entity commitment
+     * @param options.fetch - fetch implementation (default: global fetch)
+     */
+    static async load(apiUrl, commitment, { fetch = globalThis.fetch } = {}) {
+        const url = `${apiUrl}/api/v1/public/commitments/${commitment}/attestations?proofs=true`;
+        const res = await fetch(url);
+        if (!res.ok) {
+            throw new Error(`Failed to fetch public attestations: HTTP ${res.status}`);
+        }
+        return new RemotePublicTrustRegistry(await res.json());
     }
     
-    _computeRoot(leaves) {
-        if (leaves.length === 0) return BigInt(0);
-        if (leaves.length === 1) return leaves[0];
-        
-        const nextLevel = [];
-        for (let i = 0; i < leaves.length; i += 2) {
-            const left = leaves[i];
-            const right = i + 1 < leaves.length ? leaves[i + 1] : left;
-            nextLevel.push(this.hash([left, right]));
+    getAttestationsFor(commitment) {
+        return String(commitment) === this.commitment ? [...this.attestations.values()] : [];
+    }
+    
+    getAttestationCount(commitment) {
+        return this.getAttestationsFor(commitment).length;
+    }
+    
+    getRoot() {
+        return this.root;
+    }
+    
+    getMerkleProof(attestationId) {
+        return this.proofs.get(attestationId) ?? null;
+    }
+}
+
+// ============================================================================
+// DUAL IDENTITY PROOF
+// ============================================================================
+
+// dual_identity_proof: DualIdentityProof(20, 24, 10)
+const DUAL_CIRCUIT = 'dual_identity_proof';
+const DUAL_PUBLIC_SIGNALS = ['nullifier', 'entityCommitment', 'claimedType', 'attestersRoot', 'contextId',
+    'publicTrustRoot', 'minPublicAttestations', 'minTimestamp', 'maxTimestamp'];
+const DUAL_MAX_ATTESTATIONS = 10;
+
+/**
+ * Name the dual circuit's public signals
+ * zkAttestersRoot is returned as attestersRoot, as for entity_type_proof.
+ */
+function parseDualPublicSignals(publicSignals) {
+    return Object.fromEntries(DUAL_PUBLIC_SIGNALS.map((name, i) => [name, publicSignals[i]]));
+}
+
+/**
+ * Build dual_identity_proof inputs
+ *
+ * Legacy: the circuit proves a version 1 attestation, with no validity window
+ * and no revocation proof. Level 3 packages (entity_type_proof plus
+ * publicStanding) show standing for current attestation versions.
+ *
+ * Fills the public attestation slots with the entity's own attestations in
+ * [minTimestamp, maxTimestamp], one per attester (its newest): those of the
+ * DUAL_MAX_ATTESTATIONS attesters that vouched most recently, in increasing
+ * ID order. The circuit counts an attester once. Unused slots have
+ * publicAttestationValid 0, ID 0, timestamp minTimestamp and zero paths.
+ *
+ * @param entity - The Entity proving
+ * @param claimedType - Type name or code
+ * @param zkAttestation - Attestation from Attester.attest(), without a validity window
+ * @param zkAttesterProof - Attester Merkle proof { pathElements, pathIndices }
+ * @param zkAttestersRoot - Attester registry root
+ * @param contextId - Context for the nullifier (see deriveContextId)
+ * @param publicRegistry - PublicTrustRegistry or RemotePublicTrustRegistry
+ * @param options.minAttestations - Public minimum to prove (default 1)
+ * @param options.minTimestamp - Oldest counted attestation, ms (default 0)
+ * @param options.maxTimestamp - Newest counted attestation, ms (default now)
+ * @throws If the attestation has a validity window or too few attesters qualify
+ */
+function buildDualProofInputs(entity, claimedType, zkAttestation, zkAttesterProof, zkAttestersRoot, contextId,
+    publicRegistry, { minAttestations = 1, minTimestamp = 0, maxTimestamp = Date.now() } = {}) {
+    if (zkAttestation.expiresAt !== undefined) {
+        throw new Error(`${DUAL_CIRCUIT} takes attestations without a validity window`);
+    }
+    if (!Number.isInteger(minAttestations) || minAttestations < 0 || minAttestations > DUAL_MAX_ATTESTATIONS) {
+        throw new Error(`minAttestations must be an integer from 0 to ${DUAL_MAX_ATTESTATIONS}`);
+    }
+    
+    // Each attester's newest attestation in range
+    const commitment = entity.getCommitment();
+    const newest = new Map();  // attesterPubKeyHash -> PublicAttestation
+    for (const a of publicRegistry.getAttestationsFor(commitment.toString())) {
+        const attester = String(a.attesterPubKeyHash);
+        const current = newest.get(attester);
+        if (a.timestamp >= minTimestamp && a.timestamp <= maxTimestamp
+            && (!current || a.attestationId > current.attestationId)) {
+            newest.set(attester, a);
         }
-        return this._computeRoot(nextLevel);
     }
+    const eligible = [...newest.values()].sort((a, b) => a.attestationId - b.attestationId);
+    if (eligible.length < minAttestations) {
+        throw new Error(`Insufficient public attestations: ${eligible.length} attesters, need ${minAttestations}`);
+    }
+    
+    const proven = eligible.slice(-DUAL_MAX_ATTESTATIONS);
+    const slots = Array.from({ length: DUAL_MAX_ATTESTATIONS }, (_, i) => proven[i] ?? null);
+    const paths = slots.map(a => a && publicRegistry.getMerkleProof(a.attestationId));
+    const zeros = Array(PUBLIC_TRUST_DEPTH).fill('0');
+    
+    return {
+        // Public inputs
+        claimedType: typeCode(claimedType).toString(),
+        zkAttestersRoot: zkAttestersRoot.toString(),
+        contextId: contextId.toString(),
+        publicTrustRoot: publicRegistry.getRoot().toString(),
+        minPublicAttestations: minAttestations.toString(),
+        minTimestamp: minTimestamp.toString(),
+        maxTimestamp: maxTimestamp.toString(),
+        
+        // Private inputs - entity and ZK attestation
+        entitySecret: entity.secret.toString(),
+        entitySalt: entity.salt.toString(),
+        zkAttesterPubKeyX: zkAttestation.attesterPubKeyX.toString(),
+        zkAttesterPubKeyY: zkAttestation.attesterPubKeyY.toString(),
+        zkSignatureR8X: zkAttestation.signatureR8X.toString(),
+        zkSignatureR8Y: zkAttestation.signatureR8Y.toString(),
+        zkSignatureS: zkAttestation.signatureS.toString(),
+        zkAttesterPathElements: zkAttesterProof.pathElements.map(e => e.toString()),
+        zkAttesterPathIndices: zkAttesterProof.pathIndices.map(i => i.toString()),
+        
+        // Private inputs - public attestations and padding
+        publicAttestationTypes: slots.map(a => (a ? typeCode(a.entityType) : 0n).toString()),
+        publicAttestationAttesters: slots.map(a => (a ? a.attesterPubKeyHash : 0).toString()),
+        publicAttestationIds: slots.map(a => (a ? a.attestationId : 0).toString()),
+        publicAttestationPaths: paths.map(p => p ? p.pathElements.map(e => e.toString()) : zeros),
+        publicAttestationIndices: paths.map(p => p ? p.pathIndices.map(i => i.toString()) : zeros),
+        publicAttestationValid: slots.map(a => a ? '1' : '0'),
+        publicAttestationTimestamps: slots.map(a => (a ? a.timestamp : minTimestamp).toString()),
+    };
+}
+
+/**
+ * Verify a dual_identity_proof
+ *
+ * @param proof - The proof object
+ * @param publicSignals - Public signals array (see parseDualPublicSignals)
+ * @param vkey - dual_identity_proof verification key object, file path or URL
+ * @param options.publicTrustRoot - Require this public trust root
+ * @param options.minPublicAttestations - Require at least this proven count
+ * @param options.maxAge - Reject proofs counting attestations older than
+ *   maxAge seconds
+ * @param options.now - Verifier clock, Unix seconds (default: now)
+ * @param options.maxClockSkew - Allowed maxTimestamp lead in seconds (default 300)
+ * @param options.context - Require the contextId deriveContextId(context)
+ * @returns { valid, entityType, entityTypeName, phoneticName, ...parsed signals },
+ *   plus a `reason` when a check after the pairing fails: public_root_mismatch,
+ *   insufficient_attestations, proof_time_skew, public_attestation_too_old,
+ *   context_mismatch
+ */
+async function verifyDualProof(proof, publicSignals, vkey, options = {}) {
+    let valid = Array.isArray(publicSignals) && publicSignals.length === DUAL_PUBLIC_SIGNALS.length;
+    try {
+        valid = valid && await snarkjs.groth16.verify(await loadVerificationKey(vkey), publicSignals, proof);
+    } catch (e) {
+        // Malformed proof or signals
+        valid = false;
+    }
+    
+    const parsed = parseDualPublicSignals(Array.isArray(publicSignals) ? publicSignals : []);
+    const type = parsed.claimedType !== undefined ? typeByCode(parsed.claimedType) : null;
+    const result = {
+        valid,
+        entityType: type?.name ?? null,
+        entityTypeName: type?.description ?? null,
+        phoneticName: type?.phonetic ?? null,
+        ...parsed,
+    };
+    if (!valid) {
+        return result;
+    }
+    
+    // The signals carry milliseconds
+    const now = BigInt(options.now ?? Math.floor(Date.now() / 1000)) * 1000n;
+    let reason = null;
+    if (options.publicTrustRoot !== undefined && parsed.publicTrustRoot !== String(options.publicTrustRoot)) {
+        reason = 'public_root_mismatch';
+    } else if (options.minPublicAttestations !== undefined
+        && BigInt(parsed.minPublicAttestations) < BigInt(options.minPublicAttestations)) {
+        reason = 'insufficient_attestations';
+    } else if (BigInt(parsed.maxTimestamp) > now + BigInt(options.maxClockSkew ?? 300) * 1000n) {
+        reason = 'proof_time_skew';
+    } else if (options.maxAge !== undefined && options.maxAge !== null
+        && BigInt(parsed.minPublicAttestations) > 0n
+        && BigInt(parsed.minTimestamp) < now - BigInt(options.maxAge) * 1000n) {
+        reason = 'public_attestation_too_old';
+    } else if (options.context !== undefined && parsed.contextId !== deriveContextId(options.context).toString()) {
+        reason = 'context_mismatch';
+    }
+    return reason ? { ...result, valid: false, reason } : result;
 }
 
 // ============================================================================
 // DUAL PROOF COORDINATOR
 // ============================================================================
 
+/**
+ * ProofPackage format version; VerificationPolicy rejects other versions
+ *
+ * Every level produces the same shape:
+ *
+ *   {
+ *     version,         // PROOF_PACKAGE_VERSION
+ *     level,           // InteractionLevel
+ *     circuit,         // Circuits[v].name, 'dual_identity_proof' or null (level 0)
+ *     zkProof,         // { proof, publicSignals } or null (level 0)
+ *     publicStanding,  // { publicTrustRoot, attestations: [{ attestation, merkleProof }] }
+ *                      //   at level 3, else null
+ *     revealed,        // Read back from the public signals; display only
+ *     hidden,          // What the proof keeps private
+ *   }
+ *
+ * Verifiers take every fact from zkProof and publicStanding, never from
+ * `revealed`.
+ */
+const PROOF_PACKAGE_VERSION = 1;
+
 /**
  * DualProofCoordinator - Manages both proof layers
  * 
  * This is what an entity uses to generate proofs at different levels.
+ * Levels 1 and 3 prove entity_type_proof (the version follows the
+ * attestation and params.proofOptions); level 2 proves dual_identity_proof.
+ *
+ * @param options.circuits - Proving assets { wasm, zkey } (paths or URLs),
+ *   keyed by entity_type_proof version (1-4) and 'dual'
+ * @param options.prove - async (inputs, wasm, zkey) => { proof, publicSignals }
+ *   (default: snarkjs.groth16.fullProve)
  */
 class DualProofCoordinator {
-    constructor(entity, zkAttesterRegistry, publicTrustRegistry, crypto) {
+    constructor(entity, zkAttesterRegistry, publicTrustRegistry, crypto, options = {}) {
         this.entity = entity;
         this.zkRegistry = zkAttesterRegistry;
         this.publicRegistry = publicTrustRegistry;
         this.crypto = crypto;
         this.trustHash = new TrustHash(crypto.hash);
+        this.circuits = options.circuits || {};
+        this.prove = options.prove || ((inputs, wasm, zkey) => snarkjs.groth16.fullProve(inputs, wasm, zkey));
     }
     
     /**
      * Generate proof for requested interaction level
+     *
+     * @param params.claimedType - Type name or code
+     * @param params.context - Verifier context { domain, purpose, epoch }; the
+     *   contextId (and so the nullifier) comes from deriveContextId()
+     * @param params.zkAttestation - Attestation from Attester.attest()
+     * @param params.zkAttesterProof - Attester Merkle proof
+     * @param params.proofOptions - Entity.generateProofInputs() options (levels 1, 3)
+     * @param params.minAttestations - Public attestations to prove (level 2)
+     * @param params.minTimestamp - Oldest counted attestation, ms (level 2, default 0)
+     * @param params.maxTimestamp - Newest counted attestation, ms (level 2, default now)
+     * @returns ProofPackage, see PROOF_PACKAGE_VERSION
      */
     async generateProof(level, params) {
         switch (level) {
@@ -322,117 +667,140 @@ class DualProofCoordinator {
      * Level 0: No proof needed
      */
     _generateAnonymousProof(params) {
-        return {
-            level: InteractionLevel.ANONYMOUS,
-            proof: null,
-            publicSignals: null,
-            message: "No identity proof required",
-        };
+        return proofPackage(InteractionLevel.ANONYMOUS, {
+            circuit: null,
+            zkProof: null,
+            hidden: ['entity_type', 'entity_commitment'],
+        });
     }
     
     /**
      * Level 1: ZK proof only
      */
     async _generateTypeOnlyProof(params) {
-        const { claimedType, contextId, zkAttestation, zkAttesterProof } = params;
-        
-        const inputs = this.entity.generateProofInputs(
-            claimedType,
-            zkAttestation,
-            zkAttesterProof,
-            this.zkRegistry.getRoot(),
-            contextId
-        );
-        
-        // In production: actually generate the ZK proof
-        // const { proof, publicSignals } = await snarkjs.groth16.fullProve(inputs, wasm, zkey);
-        
-        return {
-            level: InteractionLevel.TYPE_ONLY,
-            inputs,  // Would be proof + publicSignals in production
-            revealed: {
-                type: claimedType,
-                commitment: this.entity.getCommitment(),
-            },
+        return proofPackage(InteractionLevel.TYPE_ONLY, {
+            ...await this._proveType(params),
             hidden: [
                 'entity_secret',
                 'which_attester',
                 'attestation_signature',
+                ...(params.proofOptions?.typeSet ? ['exact_type'] : []),
             ],
-        };
+        });
     }
     
     /**
-     * Level 2: ZK + public attestation count
+     * Level 2: ZK type and public standing in one dual_identity_proof
+     * Proves at least minAttestations of the entity's own public attestations
+     * under the current public trust root without saying which.
      */
     async _generateTypeWithStandingProof(params) {
-        const { claimedType, contextId, zkAttestation, zkAttesterProof, minAttestations } = params;
-        
-        const commitment = this.entity.getCommitment();
-        const publicAttestations = this.publicRegistry.getAttestationsFor(commitment.toString());
-        
-        if (publicAttestations.length < minAttestations) {
-            throw new Error(`Insufficient public attestations: have ${publicAttestations.length}, need ${minAttestations}`);
-        }
+        const {
+            claimedType,
+            context,
+            zkAttestation,
+            zkAttesterProof,
+            minAttestations = 1,
+            minTimestamp = 0,
+            maxTimestamp = Date.now(),
+        } = params;
         
-        // Get merkle proofs for public attestations
-        const publicProofs = publicAttestations.slice(0, minAttestations).map(a => 
-            this.publicRegistry.getMerkleProof(a.attestationId)
+        const inputs = buildDualProofInputs(
+            this.entity,
+            claimedType,
+            zkAttestation,
+            zkAttesterProof,
+            this.zkRegistry.getRoot(),
+            deriveContextId(context),
+            this.publicRegistry,
+            { minAttestations, minTimestamp, maxTimestamp }
         );
         
-        return {
-            level: InteractionLevel.TYPE_WITH_STANDING,
-            zkProof: await this._generateTypeOnlyProof(params),
-            publicStanding: {
-                attestationCount: publicAttestations.length,
-                publicTrustRoot: this.publicRegistry.getRoot(),
-                minRequired: minAttestations,
-            },
-            revealed: {
-                type: claimedType,
-                commitment: commitment,
-                attestationCount: publicAttestations.length,
-            },
+        return proofPackage(InteractionLevel.TYPE_WITH_STANDING, {
+            circuit: DUAL_CIRCUIT,
+            zkProof: await this._prove('dual', inputs),
             hidden: [
                 'entity_secret',
                 'which_zk_attester',
-                'which_public_attesters',  // Count visible, identities hidden in this level
+                'which_public_attestations',
             ],
-        };
+        });
     }
     
     /**
      * Level 3: Full accountability - reveal specific attesters
      */
     async _generateFullAccountabilityProof(params) {
-        const { claimedType, contextId, zkAttestation, zkAttesterProof } = params;
-        
         const commitment = this.entity.getCommitment();
         const publicAttestations = this.publicRegistry.getAttestationsFor(commitment.toString());
         
         // At this level, we reveal the full attestation history
-        const attestationDetails = publicAttestations.map(a => ({
-            attester: a.attesterName || a.attesterPubKeyHash,
-            type: a.entityType,
-            timestamp: new Date(a.timestamp).toISOString(),
-            id: a.attestationId,
-        }));
-        
-        return {
-            level: InteractionLevel.FULL_ACCOUNTABILITY,
-            zkProof: await this._generateTypeOnlyProof(params),
-            publicAttestations: attestationDetails,
-            revealed: {
-                type: claimedType,
-                commitment: commitment,
-                fullAttestationHistory: attestationDetails,
+        return proofPackage(InteractionLevel.FULL_ACCOUNTABILITY, {
+            ...await this._proveType(params),
+            publicStanding: {
+                publicTrustRoot: this.publicRegistry.getRoot().toString(),
+                attestations: this._provePublicAttestations(publicAttestations),
             },
             hidden: [
                 'entity_secret',  // Still hidden - but accountable via public record
             ],
+        });
+    }
+    
+    /**
+     * entity_type_proof for the claimed type; the circuit version follows
+     * the attestation and proofOptions
+     */
+    async _proveType(params) {
+        const { claimedType, context, zkAttestation, zkAttesterProof, proofOptions } = params;
+        
+        const inputs = this.entity.generateProofInputs(
+            typeCode(claimedType),
+            zkAttestation,
+            zkAttesterProof,
+            this.zkRegistry.getRoot(),
+            deriveContextId(context),
+            proofOptions
+        );
+        const version = circuitVersion(inputs);
+        
+        return {
+            circuit: Circuits[version].name,
+            zkProof: await this._prove(version, inputs),
         };
     }
     
+    /**
+     * Groth16 proof with the configured assets for a circuit
+     *
+     * @param key - entity_type_proof version or 'dual'
+     */
+    async _prove(key, inputs) {
+        const assets = this.circuits[key];
+        if (!assets?.wasm || !assets?.zkey) {
+            const name = key === 'dual' ? DUAL_CIRCUIT : Circuits[key].name;
+            throw new Error(`No proving assets configured for ${name}`);
+        }
+        const { proof, publicSignals } = await this.prove(inputs, assets.wasm, assets.zkey);
+        return { proof, publicSignals };
+    }
+    
+    /**
+     * Public attestations with the Merkle proofs VerificationPolicy checks
+     */
+    _provePublicAttestations(attestations) {
+        return attestations.map(a => ({
+            attestation: {
+                entityCommitment: a.entityCommitment,
+                entityType: a.entityType,
+                attesterPubKeyHash: a.attesterPubKeyHash,
+                timestamp: a.timestamp,
+                attestationId: a.attestationId,
+            },
+            merkleProof: this.publicRegistry.getMerkleProof(a.attestationId),
+        }));
+    }
+    
     /**
      * Compute current trust hash
      */
@@ -452,12 +820,84 @@ class DualProofCoordinator {
     }
 }
 
+/**
+ * Assemble a ProofPackage; `revealed` is read back from the public signals
+ */
+function proofPackage(level, { circuit, zkProof, publicStanding = null, hidden }) {
+    const revealed = {};
+    if (zkProof) {
+        const parsed = circuit === DUAL_CIRCUIT
+            ? parseDualPublicSignals(zkProof.publicSignals)
+            : parsePublicSignals(zkProof.publicSignals);
+        if (parsed.typeSet) {
+            revealed.types = disclosedTypes(parsed);
+        } else {
+            revealed.type = typeByCode(parsed.claimedType)?.name ?? parsed.claimedType;
+        }
+        revealed.commitment = parsed.entityCommitment;
+        if (circuit === DUAL_CIRCUIT) {
+            revealed.minPublicAttestations = Number(parsed.minPublicAttestations);
+        }
+    }
+    if (publicStanding) {
+        revealed.attestationCount = publicStanding.attestations.length;
+    }
+    
+    return {
+        version: PROOF_PACKAGE_VERSION,
+        level,
+        circuit,
+        zkProof,
+        publicStanding,
+        revealed,
+        hidden,
+    };
+}
+
+/**
+ * Type code for a name or code; throws for unknown types
+ */
+function typeCode(type) {
+    const code = typeCodeOf(type);
+    if (code === null) {
+        throw new Error(`Unknown entity type: ${type}`);
+    }
+    return code;
+}
+
 // ============================================================================
 // VERIFICATION POLICIES
 // ============================================================================
 
 /**
  * VerificationPolicy - Defines what proof a verifier requires
+ *
+ * @param config.minLevel - Lowest acceptable InteractionLevel
+ * @param config.allowedTypes - Type names or category wildcards ('AI.*'); null = all.
+ *   Version 6 proofs pass when every type they disclose is allowed
+ * @param config.minPublicAttestations - Distinct attesters whose public
+ *   attestations must verify (level 2+); one attester vouching twice counts once
+ * @param config.maxAttestationAge - Milliseconds; applies to the ZK attestation
+ *   (via the proof's minIssuedAt) and to each counted public attestation
+ * @param config.requiredAttesters - attesterPubKeyHash values that must each
+ *   have a verified public attestation; null = any
+ * @param config.trustedZkRoots - Attester registry roots the ZK proof may use,
+ *   or an async (root, leafFormat) => boolean; versions 5 and 6 use
+ *   type-scoped roots (AttesterLeafFormat.TYPE_SCOPED), all others key-only
+ * @param config.trustedPublicRoots - Public trust registry roots the Merkle
+ *   proofs may use, or an async (root) => boolean
+ * @param config.verificationKeys - { [circuitVersion]: vkey object, path or URL },
+ *   plus `dual` for dual_identity_proof packages
+ * @param config.context - Verifier context { domain, purpose, epoch } the proof
+ *   must be made for (see deriveContextId)
+ * @param config.isNullifierUsed - async (nullifier, contextId) => boolean
+ * @param config.isPublicAttestationRevoked - async (PublicAttestation) => boolean;
+ *   public attestations it flags (e.g. from a revoked attester) are not counted
+ * @param config.isChallengeUsed - async (nonce) => boolean, for challenge-bound
+ *   (version 7) proofs verified with options.challenge
+ * @param config.maxClockSkew - Allowed |currentTime - now| in seconds (default 300)
+ * @param config.allOf - VerificationPolicies that must all pass as well
+ * @param config.anyOf - VerificationPolicies of which at least one must pass
  */
 class VerificationPolicy {
     constructor(config) {
@@ -466,40 +906,333 @@ class VerificationPolicy {
         this.minPublicAttestations = config.minPublicAttestations || 0;
         this.maxAttestationAge = config.maxAttestationAge || Infinity;  // milliseconds
         this.requiredAttesters = config.requiredAttesters || null;  // null = any
-        this.trustedZkRoots = config.trustedZkRoots || [];
-        this.trustedPublicRoots = config.trustedPublicRoots || [];
+        this.trustedZkRoots = rootCheck(config.trustedZkRoots);
+        this.trustedPublicRoots = rootCheck(config.trustedPublicRoots);
+        this.verificationKeys = config.verificationKeys || {};
+        this.context = config.context || null;
+        this.isNullifierUsed = config.isNullifierUsed || null;
+        this.isPublicAttestationRevoked = config.isPublicAttestationRevoked || null;
+        this.isChallengeUsed = config.isChallengeUsed || null;
+        this.maxClockSkew = config.maxClockSkew ?? 300;
+        this.allOf = config.allOf || [];
+        this.anyOf = config.anyOf || [];
+        this.hash = null;
     }
     
     /**
-     * Check if a proof satisfies this policy
+     * Check if a proof package satisfies this policy
+     *
+     * The package carries the Groth16 proof as `zkProof: { proof, publicSignals }`
+     * (or `proof`/`publicSignals` at the top level). Public standing comes
+     * either from a dual_identity_proof (`circuit: 'dual_identity_proof'`) or
+     * from `publicStanding: { publicTrustRoot, attestations: [{ attestation, merkleProof }] }`.
+     * Counts, types and commitments are taken from the verified proofs, never
+     * from the package's own claims.
+     *
+     * @param proofPackage - Output of DualProofCoordinator.generateProof()
+     * @param options.now - Verifier clock in milliseconds (default: now)
+     * @param options.challenge - { domain, nonce, requestDigest, expiresAt } the
+     *   proof must be bound to (see createChallenge); required for version 7
+     * @returns { valid, errors: [{ code, message }] }. Codes:
+     *   package_version_unsupported, level_insufficient, zk_proof_missing, verification_key_missing, zk_proof_invalid,
+     *   type_not_allowed, type_mismatch, zk_root_untrusted, proof_time_skew,
+     *   attestation_too_old, context_mismatch, nullifier_used, challenge_required,
+     *   challenge_mismatch, challenge_expired, challenge_used,
+     *   public_root_untrusted, public_proof_invalid, public_attestation_too_old,
+     *   insufficient_attestations, required_attester_missing
      */
-    verify(proofPackage) {
+    async verify(proofPackage, options = {}) {
         const errors = [];
+        const fail = (code, message) => errors.push({ code, message });
+        const now = options.now ?? Date.now();
+        const level = proofPackage?.level ?? InteractionLevel.ANONYMOUS;
+        
+        // Packages without a version predate the format
+        const version = proofPackage?.version;
+        if (version !== undefined && version !== PROOF_PACKAGE_VERSION) {
+            fail('package_version_unsupported', `Unsupported proof package version: ${version}`);
+        }
         
         // Check level
-        if (proofPackage.level < this.minLevel) {
-            errors.push(`Insufficient proof level: ${proofPackage.level} < ${this.minLevel}`);
+        if (level < this.minLevel) {
+            fail('level_insufficient', `Insufficient proof level: ${level} < ${this.minLevel}`);
         }
         
-        // Check type
-        if (this.allowedTypes && !this.allowedTypes.includes(proofPackage.revealed?.type)) {
-            errors.push(`Type not allowed: ${proofPackage.revealed?.type}`);
+        // Level 1+: the Groth16 proof behind the revealed type
+        let parsed = null;
+        if (level >= InteractionLevel.TYPE_ONLY || this.minLevel >= InteractionLevel.TYPE_ONLY) {
+            parsed = await this._verifyZkProof(proofPackage, now, fail, options.challenge);
         }
         
-        // Check attestation count (for level 2+)
-        if (proofPackage.level >= InteractionLevel.TYPE_WITH_STANDING) {
-            if ((proofPackage.publicStanding?.attestationCount || 0) < this.minPublicAttestations) {
-                errors.push(`Insufficient attestations: ${proofPackage.publicStanding?.attestationCount} < ${this.minPublicAttestations}`);
+        // Level 2+: public attestations for the proven commitment
+        if (this.minPublicAttestations > 0 || this.requiredAttesters) {
+            if (parsed?.publicTrustRoot !== undefined) {
+                await this._verifyDualStanding(parsed, now, fail);
+            } else {
+                await this._verifyPublicStanding(proofPackage.publicStanding, parsed, now, fail);
             }
         }
         
-        // In production: verify actual cryptographic proofs, check roots, etc.
+        // Combinators; a failed anyOf reports every alternative's errors
+        for (const policy of this.allOf) {
+            errors.push(...(await policy.verify(proofPackage, options)).errors);
+        }
+        if (this.anyOf.length > 0) {
+            const results = await Promise.all(this.anyOf.map(policy => policy.verify(proofPackage, options)));
+            if (!results.some(r => r.valid)) {
+                errors.push(...results.flatMap(r => r.errors));
+            }
+        }
         
+        // The same check can fail in several branches
+        const unique = [...new Map(errors.map(e => [`${e.code}:${e.message}`, e])).values()];
         return {
-            valid: errors.length === 0,
-            errors,
+            valid: unique.length === 0,
+            errors: unique,
         };
     }
+    
+    /**
+     * Verify the ZK layer; returns its parsed public signals, or null
+     */
+    async _verifyZkProof(proofPackage, now, fail, challenge) {
+        const { proof, publicSignals } = proofPackage?.zkProof ?? proofPackage ?? {};
+        const dual = proofPackage?.circuit === DUAL_CIRCUIT;
+        let version = null;
+        if (Array.isArray(publicSignals)) {
+            version = dual
+                ? (publicSignals.length === DUAL_PUBLIC_SIGNALS.length ? 'dual' : null)
+                : circuitVersion(publicSignals);
+        }
+        if (!proof || !version) {
+            fail('zk_proof_missing', 'Package has no Groth16 proof and public signals');
+            return null;
+        }
+        
+        const vkey = this.verificationKeys[version];
+        if (!vkey) {
+            fail('verification_key_missing', dual
+                ? `No verification key configured for ${DUAL_CIRCUIT}`
+                : `No verification key configured for circuit version ${version}`);
+        } else {
+            let valid = false;
+            try {
+                valid = await snarkjs.groth16.verify(await loadVerificationKey(vkey), publicSignals, proof);
+            } catch (e) {
+                // Malformed proof or signals
+            }
+            if (!valid) {
+                fail('zk_proof_invalid', 'Groth16 proof does not verify');
+            }
+        }
+        
+        const parsed = dual ? parseDualPublicSignals(publicSignals) : parsePublicSignals(publicSignals);
+        
+        // Type comes from the proof; the package's revealed type must agree.
+        // A type-set proof (version 6) satisfies allowedTypes when every
+        // disclosed pattern lies within it.
+        const disclosed = disclosedTypes(parsed);
+        if (disclosed) {
+            if (this.allowedTypes && !isTypeSetAllowed(parsed.typeSet, this.allowedTypes)) {
+                fail('type_not_allowed', `Disclosed types not all allowed: ${disclosed.join(', ')}`);
+            }
+            const revealedTypes = proofPackage.revealed?.types;
+            if (proofPackage.revealed?.type !== undefined
+                || (revealedTypes && revealedTypes.join() !== disclosed.join())) {
+                fail('type_mismatch', 'Revealed types are not the disclosed type set');
+            }
+        } else {
+            const type = typeByCode(parsed.claimedType);
+            if (this.allowedTypes && !(type && matchesTypePattern(this.allowedTypes, type.name))) {
+                fail('type_not_allowed', `Type not allowed: ${type?.name ?? parsed.claimedType}`);
+            }
+            const revealed = proofPackage.revealed?.type;
+            if (revealed !== undefined && revealed !== null && typeCodeOf(revealed) !== BigInt(parsed.claimedType)) {
+                fail('type_mismatch', `Revealed type ${revealed} is not the proven type`);
+            }
+        }
+        
+        const leafFormat = Number(parsed.attesterLeafFormat ?? AttesterLeafFormat.KEY_ONLY);
+        if (!await this.trustedZkRoots(parsed.attestersRoot, leafFormat)) {
+            fail('zk_root_untrusted', 'Proof uses an untrusted attester registry root');
+        }
+        
+        const maxAge = Number.isFinite(this.maxAttestationAge)
+            ? Math.floor(this.maxAttestationAge / 1000)
+            : undefined;
+        const timeCheck = checkProofTime(parsed, {
+            maxAge,
+            now: Math.floor(now / 1000),
+            maxClockSkew: this.maxClockSkew,
+        });
+        if (timeCheck === 'proof_time_skew') {
+            fail('proof_time_skew', `Proof currentTime is more than ${this.maxClockSkew}s from the verifier clock`);
+        } else if (timeCheck === 'attestation_too_old') {
+            fail('attestation_too_old', 'Proof does not show a recent enough attestation');
+        }
+        
+        if (this.context && parsed.contextId !== deriveContextId(this.context).toString()) {
+            fail('context_mismatch', 'Proof was made for a different context');
+        }
+        if (this.isNullifierUsed && await this.isNullifierUsed(parsed.nullifier, parsed.contextId)) {
+            fail('nullifier_used', 'Nullifier was already used in this context');
+        }
+        
+        // A challenge-bound proof is only good for the nonce it was made for
+        if (parsed.messageHash !== undefined && !challenge) {
+            fail('challenge_required', 'Proof is bound to a challenge; pass options.challenge');
+        } else if (challenge) {
+            if (parsed.messageHash !== challengeMessageHash(challenge).toString()) {
+                fail('challenge_mismatch', 'Proof was not made for this challenge and request');
+            }
+            if (challenge.expiresAt !== undefined && Number(challenge.expiresAt) < Math.floor(now / 1000)) {
+                fail('challenge_expired', 'Challenge has expired');
+            }
+            if (this.isChallengeUsed && await this.isChallengeUsed(challenge.nonce)) {
+                fail('challenge_used', 'Challenge was already used');
+            }
+        }
+        
+        return parsed;
+    }
+    
+    /**
+     * Public standing proven inside a dual_identity_proof
+     * The circuit shows at least minPublicAttestations of the proven
+     * commitment's attestations in [minTimestamp, maxTimestamp] under
+     * publicTrustRoot, each from a different attester, but not whose they are.
+     */
+    async _verifyDualStanding(parsed, now, fail) {
+        if (!await this.trustedPublicRoots(parsed.publicTrustRoot)) {
+            fail('public_root_untrusted', 'Proof uses an untrusted public trust root');
+        }
+        if (BigInt(parsed.maxTimestamp) > BigInt(now + this.maxClockSkew * 1000)) {
+            fail('proof_time_skew', 'Proof maxTimestamp is ahead of the verifier clock');
+        }
+        
+        const proven = Number(parsed.minPublicAttestations);
+        if (proven < this.minPublicAttestations) {
+            fail('insufficient_attestations',
+                `Insufficient attestations: ${proven} proven < ${this.minPublicAttestations}`);
+        } else if (Number.isFinite(this.maxAttestationAge) && proven > 0
+            && BigInt(parsed.minTimestamp) < BigInt(now - this.maxAttestationAge)) {
+            fail('public_attestation_too_old', 'Proof counts public attestations older than the maximum age');
+        }
+        
+        if (this.requiredAttesters) {
+            fail('required_attester_missing', 'A dual proof does not show which attesters vouched');
+        }
+    }
+    
+    /**
+     * Count the distinct attesters of public attestations whose Merkle proofs
+     * verify against a trusted root
+     */
+    async _verifyPublicStanding(standing, parsed, now, fail) {
+        this.hash ??= await poseidonHasher();
+        
+        const root = standing?.publicTrustRoot?.toString();
+        const rootTrusted = root !== undefined && await this.trustedPublicRoots(root);
+        if (!rootTrusted) {
+            fail('public_root_untrusted', 'Public standing uses an untrusted public trust root');
+        }
+        
+        const counted = new Map();  // attestationId -> attesterPubKeyHash
+        let stale = 0;
+        let revoked = 0;
+        for (const { attestation, merkleProof } of rootTrusted ? standing.attestations ?? [] : []) {
+            const record = new PublicAttestation(attestation ?? {});
+            let provenRoot;
+            try {
+                provenRoot = merkleRoot(this.hash, record.computeLeaf(this.hash), merkleProof);
+            } catch (e) {
+                fail('public_proof_invalid', 'Malformed public attestation or Merkle proof');
+                continue;
+            }
+            if (provenRoot.toString() !== root) {
+                fail('public_proof_invalid', `Merkle proof for public attestation ${record.attestationId} does not verify`);
+                continue;
+            }
+            // Standing belongs to the entity that proved its type
+            if (!parsed || String(record.entityCommitment) !== parsed.entityCommitment) {
+                fail('public_proof_invalid', `Public attestation ${record.attestationId} is for another commitment`);
+                continue;
+            }
+            if (now - Number(record.timestamp) > this.maxAttestationAge) {
+                stale++;
+                continue;
+            }
+            if (this.isPublicAttestationRevoked && await this.isPublicAttestationRevoked(record)) {
+                revoked++;
+                continue;
+            }
+            counted.set(String(record.attestationId), String(record.attesterPubKeyHash));
+        }
+        
+        // One attester's attestations count once
+        const attesters = new Set(counted.values());
+        if (attesters.size < this.minPublicAttestations) {
+            fail(stale > 0 ? 'public_attestation_too_old' : 'insufficient_attestations',
+                `Insufficient attestations: ${attesters.size} attesters verified < ${this.minPublicAttestations}`
+                + (stale > 0 ? ` (${stale} too old)` : '')
+                + (revoked > 0 ? ` (${revoked} revoked)` : ''));
+        }
+        
+        const missing = (this.requiredAttesters ?? []).filter(a => !attesters.has(String(a)));
+        if (missing.length > 0) {
+            fail('required_attester_missing', `No verified attestation from: ${missing.join(', ')}`);
+        }
+    }
+}
+
+/**
+ * Trusted-root predicate from a list of roots or a predicate
+ */
+function rootCheck(trusted) {
+    if (typeof trusted === 'function') {
+        return trusted;
+    }
+    const roots = new Set((trusted || []).map(String));
+    return async (root) => roots.has(String(root));
+}
+
+/**
+ * Numeric code of a type given by name or code
+ */
+function typeCodeOf(type) {
+    const named = typeof type === 'string' ? typeByName(type) : null;
+    if (named) return BigInt(named.code);
+    try {
+        return BigInt(type);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Root of a binary Poseidon Merkle path (MerkleTree.getProof() format)
+ *
+ * @throws If the path is not PUBLIC_TRUST_DEPTH levels long
+ */
+function merkleRoot(hash, leaf, { pathElements = [], pathIndices = [] } = {}) {
+    if (pathElements.length !== PUBLIC_TRUST_DEPTH || pathIndices.length !== PUBLIC_TRUST_DEPTH) {
+        throw new Error(`Merkle path must have ${PUBLIC_TRUST_DEPTH} levels`);
+    }
+    let node = BigInt(leaf);
+    for (let i = 0; i < pathElements.length; i++) {
+        const sibling = BigInt(pathElements[i]);
+        node = Number(pathIndices[i]) === 1 ? hash([sibling, node]) : hash([node, sibling]);
+    }
+    return node;
+}
+
+// Shared Poseidon instance for policy checks
+let poseidonLoading = null;
+
+async function poseidonHasher() {
+    poseidonLoading ??= buildPoseidon().then(poseidon =>
+        (inputs) => poseidon.F.toObject(poseidon(inputs.map(BigInt))));
+    return poseidonLoading;
 }
 
 // ============================================================================
@@ -545,7 +1278,16 @@ export {
     TrustHash,
     PublicAttestation,
     PublicTrustRegistry,
+    RemotePublicTrustRegistry,
+    PUBLIC_TRUST_DEPTH,
     DualProofCoordinator,
+    PROOF_PACKAGE_VERSION,
+    DUAL_CIRCUIT,
+    DUAL_PUBLIC_SIGNALS,
+    DUAL_MAX_ATTESTATIONS,
+    parseDualPublicSignals,
+    buildDualProofInputs,
+    verifyDualProof,
     VerificationPolicy,
     ExamplePolicies,
 };
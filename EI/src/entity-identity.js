@@ -9,65 +9,22 @@
 
 import { buildPoseidon } from 'circomlibjs';
 import { buildEddsa } from 'circomlibjs';
+import { newMemEmptyTrie } from 'circomlibjs';
 import * as snarkjs from 'snarkjs';
+import { computeHmac, getBytes, hexlify, Mnemonic, scrypt, sha256, toBeHex, toUtf8Bytes } from 'ethers';
+import { EntityTypes, PhoneticNames, typeByCode, typeByName, typeScopeCode, typeScopePattern } from './entity-types.js';
 
 // ============================================================================
-// TYPE DEFINITIONS
+// CRYPTOGRAPHIC PRIMITIVES
 // ============================================================================
 
 /**
- * Entity Type encoding scheme
- * Matches the Circom constants
- */
-const EntityTypes = {
-    // AI - Artificial Intelligence (prefix 0x01)
-    'AI.CA': 0x0101,  // Conversational Agent
-    'AI.PO': 0x0102,  // Program Orchestrator
-    'AI.WS': 0x0103,  // Web Site
-    'AI.OS': 0x0104,  // Operating System
-    'AI.GN': 0x0105,  // Generative Model
-    'AI.AA': 0x0106,  // Autonomous Agent
-    'AI.LM': 0x0107,  // Language Model
-    'AI.DB': 0x0108,  // Data Broker
-    'AI.JG': 0x0109,  // Judge/Evaluator
-    'AI.SY': 0x010A,  // Synthetic Media Generator
-
-    // AR - Artificial Robotics (prefix 0x02)
-    'AR.RB': 0x0201,  // Robot Bot
-    'AR.DR': 0x0202,  // Drone
-    'AR.VH': 0x0203,  // Vehicle
-    
-    // HU - Human (prefix 0x03)
-    'HU.US': 0x0301,  // Human User
-    
-    // HY - Hybrid (prefix 0x04)
-    'HY.CP': 0x0401,  // Copilot
-    'HY.HS': 0x0402,  // Hive Swarm
-};
-
-// Phonetic names for verbal communication
-const PhoneticNames = {
-    'AI.CA': 'Kah',
-    'AI.PO': 'Poe',
-    'AI.WS': 'Wiz',
-    'AI.OS': 'Aus',
-    'AI.GN': 'Jen',
-    'AI.AA': 'Ahh',
-    'AI.LM': 'Elm',
-    'AI.DB': 'Deb',
-    'AI.JG': 'Jig',
-    'AI.SY': 'Sigh',
-    'AR.RB': 'Rob',
-    'AR.DR': 'Dar',
-    'AR.VH': 'Vee',
-    'HU.US': 'Who',
-    'HY.CP': 'Kip',
-    'HY.HS': 'His',
-};
-
-// ============================================================================
-// CRYPTOGRAPHIC PRIMITIVES
-// ============================================================================
+ * Secure random bytes from Web Crypto
+ * Available in browsers, Web Workers and Node >= 19 as globalThis.crypto
+ */
+function randomBytes(length) {
+    return globalThis.crypto.getRandomValues(new Uint8Array(length));
+}
 
 /**
  * Initialize cryptographic libraries
@@ -92,7 +49,7 @@ async function initCrypto() {
          * Private key is 32 random bytes
          */
         generateKeypair: () => {
-            const privateKey = crypto.getRandomValues(new Uint8Array(32));
+            const privateKey = randomBytes(32);
             const publicKey = eddsa.prv2pub(privateKey);
             return {
                 privateKey,
@@ -108,8 +65,9 @@ async function initCrypto() {
          * Returns signature components for circuit
          */
         sign: (privateKey, message) => {
-            const msgBigInt = BigInt(message);
-            const sig = eddsa.signPoseidon(privateKey, msgBigInt);
+            // signPoseidon expects a field element, not a BigInt
+            const msgF = eddsa.F.e(BigInt(message));
+            const sig = eddsa.signPoseidon(privateKey, msgF);
             return {
                 R8x: eddsa.F.toObject(sig.R8[0]),
                 R8y: eddsa.F.toObject(sig.R8[1]),
@@ -127,15 +85,26 @@ async function initCrypto() {
 // ============================================================================
 
 /**
- * Simple Merkle tree implementation
+ * Incremental sparse Merkle tree
  * Used for the approved attesters registry
+ *
+ * Only nodes that differ from the empty-subtree value at their level are
+ * stored, so memory grows with the number of non-zero leaves rather than
+ * 2^depth. Inserts, updates and deletions rehash just the path from the
+ * leaf to the root (O(depth) Poseidon calls).
  */
 class MerkleTree {
     constructor(depth, poseidonHash) {
         this.depth = depth;
         this.hash = poseidonHash;
-        this.leaves = [];
-        this.layers = [];
+        this.capacity = 2 ** depth;
+        this.nextIndex = 0;
+        
+        // Non-zero nodes, one Map per level (level 0 = leaves)
+        this.nodes = [];
+        for (let i = 0; i <= depth; i++) {
+            this.nodes.push(new Map());
+        }
         
         // Precompute zero values for empty subtrees
         this.zeros = [BigInt(0)];
@@ -145,27 +114,69 @@ class MerkleTree {
     }
     
     /**
-     * Add a leaf to the tree
+     * Append a leaf at the next free index
      */
     addLeaf(leaf) {
-        const index = this.leaves.length;
-        this.leaves.push(BigInt(leaf));
-        this._rebuild();
+        const index = this.nextIndex;
+        if (index >= this.capacity) {
+            throw new Error(`Merkle tree is full (capacity ${this.capacity})`);
+        }
+        this.updateLeaf(index, leaf);
+        return index;
+    }
+    
+    /**
+     * Set the leaf at a given index and recompute its path to the root
+     */
+    updateLeaf(index, value) {
+        this._checkIndex(index);
+        
+        this._setNode(0, index, BigInt(value));
+        
+        let currentIndex = index;
+        for (let level = 0; level < this.depth; level++) {
+            const leftIndex = currentIndex - (currentIndex % 2);
+            const left = this._getNode(level, leftIndex);
+            const right = this._getNode(level, leftIndex + 1);
+            currentIndex = Math.floor(currentIndex / 2);
+            this._setNode(level + 1, currentIndex, this.hash([left, right]));
+        }
+        
+        if (index >= this.nextIndex) {
+            this.nextIndex = index + 1;
+        }
         return index;
     }
     
+    /**
+     * Zero the leaf at a given index
+     * The slot stays reserved so other leaves keep their indices.
+     */
+    removeLeaf(index) {
+        return this.updateLeaf(index, BigInt(0));
+    }
+    
+    /**
+     * Get the leaf value at a given index (0 if empty)
+     */
+    getLeaf(index) {
+        this._checkIndex(index);
+        return this._getNode(0, index);
+    }
+    
     /**
      * Get the current root
      */
     getRoot() {
-        if (this.layers.length === 0) return this.zeros[this.depth];
-        return this.layers[this.layers.length - 1][0];
+        return this._getNode(this.depth, 0);
     }
     
     /**
      * Generate merkle proof for a leaf at given index
      */
     getProof(index) {
+        this._checkIndex(index);
+        
         const pathElements = [];
         const pathIndices = [];
         
@@ -176,12 +187,7 @@ class MerkleTree {
             const siblingIndex = isRight ? currentIndex - 1 : currentIndex + 1;
             
             pathIndices.push(isRight ? 1 : 0);
-            
-            if (level < this.layers.length && siblingIndex < this.layers[level].length) {
-                pathElements.push(this.layers[level][siblingIndex]);
-            } else {
-                pathElements.push(this.zeros[level]);
-            }
+            pathElements.push(this._getNode(level, siblingIndex));
             
             currentIndex = Math.floor(currentIndex / 2);
         }
@@ -189,31 +195,21 @@ class MerkleTree {
         return { pathElements, pathIndices };
     }
     
-    /**
-     * Rebuild tree layers from leaves
-     */
-    _rebuild() {
-        this.layers = [this.leaves.slice()];
-        
-        let currentLayer = this.layers[0];
-        
-        for (let level = 0; level < this.depth; level++) {
-            const nextLayer = [];
-            
-            for (let i = 0; i < currentLayer.length; i += 2) {
-                const left = currentLayer[i];
-                const right = i + 1 < currentLayer.length 
-                    ? currentLayer[i + 1] 
-                    : this.zeros[level];
-                nextLayer.push(this.hash([left, right]));
-            }
-            
-            if (nextLayer.length === 0) {
-                nextLayer.push(this.zeros[level + 1]);
-            }
-            
-            this.layers.push(nextLayer);
-            currentLayer = nextLayer;
+    _getNode(level, index) {
+        return this.nodes[level].get(index) ?? this.zeros[level];
+    }
+    
+    _setNode(level, index, value) {
+        if (value === this.zeros[level]) {
+            this.nodes[level].delete(index);
+        } else {
+            this.nodes[level].set(index, value);
+        }
+    }
+    
+    _checkIndex(index) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.capacity) {
+            throw new Error(`Leaf index out of range: ${index} (capacity ${this.capacity})`);
         }
     }
 }
@@ -222,6 +218,54 @@ class MerkleTree {
 // ATTESTER (REGISTRY AUTHORITY)
 // ============================================================================
 
+const MAX_TIMESTAMP = (1n << 64n) - 1n;
+
+/**
+ * Attester registry leaf formats
+ * KEY_ONLY leaves are Poseidon(pubKeyX, pubKeyY) and let an approved key
+ * sign any type (circuit versions 1-4). TYPE_SCOPED leaves are
+ * Poseidon(pubKeyX, pubKeyY, scope), one per allowed-type pattern, and the
+ * version 5 circuit checks claimedType against the scope.
+ */
+const AttesterLeafFormat = Object.freeze({
+    KEY_ONLY: 1,
+    TYPE_SCOPED: 2,
+});
+
+/**
+ * Normalize an attestation validity window to BigInt Unix seconds
+ *
+ * @param validity - { issuedAt, expiresAt }; issuedAt defaults to now
+ */
+function normalizeValidity(validity) {
+    const issuedAt = BigInt(validity.issuedAt ?? Math.floor(Date.now() / 1000));
+    const expiresAt = BigInt(validity.expiresAt);
+    if (issuedAt < 0n || expiresAt > MAX_TIMESTAMP) {
+        throw new Error('Attestation timestamps must be 64-bit Unix seconds');
+    }
+    if (expiresAt <= issuedAt) {
+        throw new Error('Attestation must expire after it is issued');
+    }
+    return { issuedAt, expiresAt };
+}
+
+/**
+ * The message an attester signs
+ * Poseidon(commitment, type) without a validity window (circuit version 1),
+ * Poseidon(commitment, type, issuedAt, expiresAt) with one (version 2).
+ *
+ * @param hash - Poseidon hash from initCrypto()
+ * @param validity - Optional { issuedAt, expiresAt } in Unix seconds
+ */
+function attestationMessage(hash, entityCommitment, typeCode, validity = null) {
+    const fields = [BigInt(entityCommitment), BigInt(typeCode)];
+    if (validity) {
+        const { issuedAt, expiresAt } = normalizeValidity(validity);
+        fields.push(issuedAt, expiresAt);
+    }
+    return hash(fields);
+}
+
 /**
  * Attester - An authority that vouches for entity types
  * 
@@ -231,11 +275,51 @@ class MerkleTree {
  * - Government attesting that a user is HU.US
  */
 class Attester {
-    constructor(crypto) {
+    constructor(crypto, privateKey = null) {
         this.crypto = crypto;
-        const keypair = crypto.generateKeypair();
-        this.privateKey = keypair.privateKey;
-        this.publicKey = keypair.publicKey;
+        if (privateKey === null) {
+            const keypair = crypto.generateKeypair();
+            this.privateKey = keypair.privateKey;
+            this.publicKey = keypair.publicKey;
+        } else {
+            this.privateKey = privateKey;
+            const pub = crypto.eddsa.prv2pub(privateKey);
+            this.publicKey = {
+                x: crypto.eddsa.F.toObject(pub[0]),
+                y: crypto.eddsa.F.toObject(pub[1]),
+            };
+        }
+    }
+    
+    /**
+     * Load an attester key kept on the attester's own infrastructure
+     *
+     * @param privateKey - 32 bytes as Uint8Array or hex string (0x optional)
+     */
+    static fromPrivateKey(crypto, privateKey) {
+        const bytes = typeof privateKey === 'string' ? getBytes('0x' + privateKey.replace(/^0x/, '')) : privateKey;
+        if (bytes.length !== 32) {
+            throw new Error('Attester private key must be 32 bytes');
+        }
+        return new Attester(crypto, bytes);
+    }
+    
+    /**
+     * Private key as hex, for storage on the attester's side
+     */
+    exportPrivateKey() {
+        return hexlify(this.privateKey);
+    }
+    
+    /**
+     * Public key in the form POST /api/v1/admin/attesters expects
+     * Registering only this keeps the private key off the server.
+     */
+    exportPublicKey() {
+        return {
+            x: this.publicKey.x.toString(),
+            y: this.publicKey.y.toString(),
+        };
     }
     
     /**
@@ -246,16 +330,28 @@ class Attester {
         return this.crypto.hash([this.publicKey.x, this.publicKey.y]);
     }
     
+    /**
+     * Get the type-scoped leaf for one allowed-type pattern
+     * leaf = Poseidon(pubKeyX, pubKeyY, typeScopeCode(pattern))
+     *
+     * @param pattern - 'AI.CA', 'AI.*' or '*'
+     */
+    getScopedLeaf(pattern) {
+        return this.crypto.hash([this.publicKey.x, this.publicKey.y, BigInt(typeScopeCode(pattern))]);
+    }
+    
     /**
      * Create an attestation for an entity
      * 
      * @param entityCommitment - The entity's public commitment
      * @param entityType - The type code (e.g., EntityTypes['AI.CA'])
+     * @param validity - Optional { issuedAt, expiresAt } (Unix seconds); signed
+     *   into the message so the attestation expires
      * @returns Signature components for the circuit
      */
-    attest(entityCommitment, entityType) {
-        // Message = Poseidon(commitment, type)
-        const message = this.crypto.hash([entityCommitment, BigInt(entityType)]);
+    attest(entityCommitment, entityType, validity = null) {
+        const window = validity && normalizeValidity(validity);
+        const message = attestationMessage(this.crypto.hash, entityCommitment, entityType, window);
         
         // Sign the message
         const signature = this.crypto.sign(this.privateKey, message);
@@ -266,8 +362,447 @@ class Attester {
             signatureR8X: signature.R8x.toString(),
             signatureR8Y: signature.R8y.toString(),
             signatureS: signature.S.toString(),
+            ...(window && {
+                issuedAt: window.issuedAt.toString(),
+                expiresAt: window.expiresAt.toString(),
+            }),
+        };
+    }
+    
+    /**
+     * Sign an attestation offline for POST /api/v1/attestations
+     * 
+     * @param entityCommitment - The entity's public commitment
+     * @param entityType - Type name (e.g., 'AI.CA')
+     * @param validity - Optional { issuedAt, expiresAt } (Unix seconds)
+     * @returns Request body: { entityCommitment, entityType, signatureR8X,
+     *   signatureR8Y, signatureS } plus issuedAt/expiresAt when given a window
+     */
+    signAttestation(entityCommitment, entityType, validity = null) {
+        const type = typeByName(entityType);
+        if (!type) {
+            throw new Error(`Unknown entity type: ${entityType}`);
+        }
+        
+        const { attesterPubKeyX, attesterPubKeyY, ...signed } = this.attest(BigInt(entityCommitment), type.code, validity);
+        return {
+            entityCommitment: entityCommitment.toString(),
+            entityType,
+            ...signed,
+        };
+    }
+}
+
+// ============================================================================
+// REVOCATION REGISTRY
+// ============================================================================
+
+// Levels of the revocation tree checked in-circuit (circomlib SMTVerifier)
+const REVOCATION_TREE_DEPTH = 40;
+
+/**
+ * Identifier of a single attestation in the revocation registry
+ * attestationHash = Poseidon(Poseidon(pubKeyX, pubKeyY), message), so the
+ * same statement signed by two attesters is revoked independently.
+ *
+ * @param hash - Poseidon hash from initCrypto()
+ * @param attesterPubKey - { x, y } of the signing attester
+ * @param message - The signed message, see attestationMessage()
+ */
+function attestationHash(hash, attesterPubKey, message) {
+    const leaf = hash([BigInt(attesterPubKey.x), BigInt(attesterPubKey.y)]);
+    return hash([leaf, BigInt(message)]);
+}
+
+/**
+ * Little-endian key bits, the path order of circomlib's sparse Merkle tree
+ */
+function smtKeyBits(key) {
+    const bits = [];
+    for (let k = BigInt(key); bits.length < 256; k >>= 1n) {
+        bits.push(k & 1n);
+    }
+    return bits;
+}
+
+/**
+ * Sparse Merkle tree of revoked attestation hashes
+ *
+ * Keys are attestation hashes with value 1. A non-membership proof shows an
+ * attestation is not revoked, in or out of the circuit (circuit version 3
+ * checks it with circomlib's SMTVerifier). Built on circomlibjs' SMT, whose
+ * node hashes are Poseidon(left, right) and Poseidon(key, value, 1).
+ */
+class RevocationRegistry {
+    constructor(smt) {
+        this.smt = smt;
+        this.F = smt.F;
+    }
+    
+    /**
+     * @param revokedHashes - Attestation hashes revoked so far
+     */
+    static async create(revokedHashes = []) {
+        const registry = new RevocationRegistry(await newMemEmptyTrie());
+        for (const h of revokedHashes) {
+            await registry.revoke(h);
+        }
+        return registry;
+    }
+    
+    getRoot() {
+        return this.F.toObject(this.smt.root);
+    }
+    
+    async isRevoked(attestationHash) {
+        const { found } = await this.smt.find(this.F.e(BigInt(attestationHash)));
+        return found;
+    }
+    
+    /**
+     * Add an attestation hash to the registry
+     * @returns false if it was already revoked
+     */
+    async revoke(attestationHash) {
+        const key = BigInt(attestationHash);
+        const res = await this.smt.find(this.F.e(key));
+        if (res.found) {
+            return false;
+        }
+        
+        // A new leaf next to an existing one moves down to the first bit
+        // where the two keys differ; that path must fit in the circuit,
+        // whose last sibling is always 0
+        let depth = res.siblings.length;
+        if (!res.isOld0) {
+            const a = smtKeyBits(key);
+            const b = smtKeyBits(this.F.toObject(res.notFoundKey));
+            while (a[depth] === b[depth]) depth++;
+            depth++;
+        }
+        if (depth >= REVOCATION_TREE_DEPTH) {
+            throw new Error(`Revocation tree path exceeds ${REVOCATION_TREE_DEPTH - 1} levels`);
+        }
+        
+        await this.smt.insert(this.F.e(key), this.F.e(1n));
+        return true;
+    }
+    
+    /**
+     * Remove an attestation hash again
+     * Undoes a revoke() whose change could not be stored.
+     * @returns false if it was not revoked
+     */
+    async unrevoke(attestationHash) {
+        const key = this.F.e(BigInt(attestationHash));
+        const { found } = await this.smt.find(key);
+        if (!found) {
+            return false;
+        }
+        
+        await this.smt.delete(key);
+        return true;
+    }
+    
+    /**
+     * Proof that an attestation is not revoked, as circuit inputs
+     */
+    async nonMembershipProof(attestationHash) {
+        const res = await this.smt.find(this.F.e(BigInt(attestationHash)));
+        if (res.found) {
+            throw new Error('Attestation is revoked');
+        }
+        
+        const siblings = res.siblings.map(s => this.F.toObject(s));
+        while (siblings.length < REVOCATION_TREE_DEPTH) {
+            siblings.push(0n);
+        }
+        
+        return {
+            revocationRoot: this.getRoot().toString(),
+            revocationSiblings: siblings.map(s => s.toString()),
+            revocationOldKey: res.isOld0 ? '0' : this.F.toObject(res.notFoundKey).toString(),
+            revocationOldValue: res.isOld0 ? '0' : this.F.toObject(res.notFoundValue).toString(),
+            revocationIsOld0: res.isOld0 ? '1' : '0',
         };
     }
+    
+    /**
+     * Check a non-membership proof outside the circuit
+     *
+     * @param hash - Poseidon hash from initCrypto()
+     * @param attestationHash - The attestation claimed not to be revoked
+     * @param proof - Result of nonMembershipProof()
+     */
+    static verifyNonMembership(hash, attestationHash, proof) {
+        const key = BigInt(attestationHash);
+        const siblings = proof.revocationSiblings.map(BigInt);
+        
+        let node = 0n;
+        if (proof.revocationIsOld0 !== '1') {
+            const oldKey = BigInt(proof.revocationOldKey);
+            if (oldKey === key) return false;
+            node = hash([oldKey, BigInt(proof.revocationOldValue), 1n]);
+        }
+        
+        // The leaf sits just below the deepest non-zero sibling
+        let levels = siblings.length;
+        while (levels > 0 && siblings[levels - 1] === 0n) levels--;
+        
+        const bits = smtKeyBits(key);
+        for (let level = levels - 1; level >= 0; level--) {
+            node = bits[level]
+                ? hash([siblings[level], node])
+                : hash([node, siblings[level]]);
+        }
+        return node === BigInt(proof.revocationRoot);
+    }
+}
+
+// ============================================================================
+// ENTITY KEYS
+// ============================================================================
+
+/*
+ * Key derivation - the single scheme shared by the SDK, CLI and API:
+ *
+ *   masterKey = 32 bytes, either given directly or from a BIP-39 mnemonic:
+ *               HMAC-SHA256(key = "entity-identity seed", BIP39Seed(mnemonic))
+ *   secret    = HMAC-SHA256(masterKey, "entity-identity/secret") mod r
+ *   salt      = HMAC-SHA256(masterKey, "entity-identity/salt")   mod r
+ *
+ * where r is the BN254 scalar field order. The same seed always yields the
+ * same commitment Poseidon(secret, salt).
+ *
+ * An entity given only a secret (no seed, no salt) derives its salt from it:
+ *
+ *   salt      = HMAC-SHA256(secret as 32 bytes, "entity-identity/salt") mod r
+ */
+
+const FIELD_ORDER = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+const ENTITY_FILE_VERSION = 1;
+const DEFAULT_SCRYPT_N = 1 << 17;
+
+/**
+ * Generate a new 24-word BIP-39 mnemonic for an entity
+ */
+function generateMnemonic() {
+    return Mnemonic.fromEntropy(randomBytes(32)).phrase;
+}
+
+/**
+ * Resolve a seed to a 32-byte master key
+ *
+ * @param seed - BIP-39 mnemonic, 32-byte hex string (0x optional), or Uint8Array(32)
+ */
+function seedToMasterKey(seed) {
+    if (seed instanceof Uint8Array) {
+        if (seed.length !== 32) {
+            throw new Error('Master key must be 32 bytes');
+        }
+        return new Uint8Array(seed);
+    }
+    if (typeof seed !== 'string') {
+        throw new Error('Seed must be a mnemonic, a 32-byte hex key, or a Uint8Array');
+    }
+
+    const trimmed = seed.trim();
+    if (/^(0x)?[0-9a-fA-F]{64}$/.test(trimmed)) {
+        return getBytes(trimmed.startsWith('0x') ? trimmed : '0x' + trimmed);
+    }
+    const phrase = trimmed.toLowerCase().split(/\s+/).join(' ');
+    if (!Mnemonic.isValidMnemonic(phrase)) {
+        throw new Error('Seed is neither a valid mnemonic nor a 32-byte hex key');
+    }
+    const bip39Seed = Mnemonic.fromPhrase(phrase).computeSeed();
+    return getBytes(computeHmac('sha256', toUtf8Bytes('entity-identity seed'), bip39Seed));
+}
+
+/**
+ * Derive an entity's secret and salt from a seed
+ *
+ * @param seed - BIP-39 mnemonic, 32-byte hex string, or Uint8Array(32)
+ * @returns { masterKey, secret, salt }
+ */
+function deriveEntityKeys(seed) {
+    const masterKey = seedToMasterKey(seed);
+    return {
+        masterKey,
+        secret: deriveKey(masterKey, 'secret'),
+        salt: deriveKey(masterKey, 'salt'),
+    };
+}
+
+function deriveKey(key, label) {
+    return BigInt(computeHmac('sha256', key, toUtf8Bytes(`entity-identity/${label}`))) % FIELD_ORDER;
+}
+
+/**
+ * Salt for an entity known only by its secret (see ENTITY KEYS)
+ */
+function deriveSaltFromSecret(secret) {
+    return deriveKey(toBeHex(BigInt(secret), 32), 'salt');
+}
+
+/**
+ * Encrypt key material under a passphrase
+ * AES-256-GCM (Web Crypto) under a key derived with scrypt, fresh salt and IV
+ * per encryption. The key type is bound in as associated data.
+ */
+async function encryptKeyMaterial(payload, passphrase, keyType, scryptN = DEFAULT_SCRYPT_N) {
+    const kdfparams = { n: scryptN, r: 8, p: 1, salt: hexlify(randomBytes(32)) };
+    const key = await passphraseKey(passphrase, kdfparams);
+    const iv = randomBytes(12);
+    const ciphertext = await globalThis.crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: toUtf8Bytes(keyType) }, key, payload);
+    return {
+        cipher: 'aes-256-gcm',
+        cipherparams: { iv: hexlify(iv) },
+        // The 16-byte authentication tag is appended to the ciphertext
+        ciphertext: hexlify(new Uint8Array(ciphertext)),
+        kdf: 'scrypt',
+        kdfparams,
+    };
+}
+
+/**
+ * Inverse of encryptKeyMaterial; throws on a wrong passphrase
+ */
+async function decryptKeyMaterial(crypto, passphrase, keyType) {
+    if (crypto.cipher !== 'aes-256-gcm') {
+        throw new Error(`Unsupported cipher: ${crypto.cipher}`);
+    }
+    if (crypto.kdf !== 'scrypt') {
+        throw new Error(`Unsupported KDF: ${crypto.kdf}`);
+    }
+    const key = await passphraseKey(passphrase, crypto.kdfparams);
+    try {
+        const payload = await globalThis.crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: getBytes(crypto.cipherparams.iv), additionalData: toUtf8Bytes(keyType) },
+            key, getBytes(crypto.ciphertext));
+        return new Uint8Array(payload);
+    } catch (e) {
+        // Web Crypto reports a failed tag check without detail
+        throw new Error('Invalid passphrase');
+    }
+}
+
+async function passphraseKey(passphrase, { n, r, p, salt }) {
+    const raw = getBytes(await scrypt(toUtf8Bytes(passphrase), salt, n, r, p, 32));
+    return globalThis.crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']);
+}
+
+// ============================================================================
+// CONTEXT IDS
+// ============================================================================
+
+/**
+ * Standard contextId for a verifier context
+ * The nullifier is Poseidon(secret, contextId), so every tool must derive the
+ * same contextId from the same context. The fields are length-delimited and
+ * MAC'd under a fixed label, then reduced into the BN254 scalar field.
+ *
+ * @param context.domain - Verifier domain, e.g. "shop.example.com" (case-insensitive)
+ * @param context.purpose - What the proof is for within the domain, e.g. "signup" (default "")
+ * @param context.epoch - Non-negative integer period, e.g. a day number (default 0)
+ * @returns contextId as a BigInt
+ */
+function deriveContextId({ domain, purpose = '', epoch = 0 } = {}) {
+    if (typeof domain !== 'string' || domain.trim() === '') {
+        throw new Error('Context domain is required');
+    }
+    if (typeof purpose !== 'string') {
+        throw new Error('Context purpose must be a string');
+    }
+    
+    let epochValue = -1n;
+    try {
+        epochValue = BigInt(epoch);
+    } catch (e) {
+        // Not an integer
+    }
+    if (epochValue < 0n) {
+        throw new Error('Context epoch must be a non-negative integer');
+    }
+    
+    const encoded = JSON.stringify([domain.trim().toLowerCase(), purpose, epochValue.toString()]);
+    return BigInt(computeHmac('sha256', toUtf8Bytes('entity-identity context v1'), toUtf8Bytes(encoded))) % FIELD_ORDER;
+}
+
+// Largest action limit the version 4 circuit range-checks (16 bits)
+const MAX_ACTION_LIMIT = 65535;
+
+/**
+ * Rate-limit epoch for a time window
+ * Use it as the context epoch so "N actions per hour" becomes N nullifiers
+ * per (domain, purpose, hour).
+ *
+ * @param epochSeconds - Window length in seconds, e.g. 3600
+ * @param now - Unix seconds (default: now)
+ * @returns floor(now / epochSeconds)
+ */
+function rateLimitEpoch(epochSeconds, now = Math.floor(Date.now() / 1000)) {
+    if (!Number.isSafeInteger(epochSeconds) || epochSeconds <= 0) {
+        throw new Error('Epoch length must be a positive integer number of seconds');
+    }
+    return Math.floor(Number(now) / epochSeconds);
+}
+
+// ============================================================================
+// CHALLENGES
+// ============================================================================
+
+// Default lifetime of a verifier nonce, in seconds
+const CHALLENGE_TTL = 300;
+
+/**
+ * Single-use challenge for a verifier that issues its own nonces
+ * The API server issues them with POST /api/v1/challenges instead.
+ *
+ * @param domain - Verifier domain the proof will be shown to
+ * @param ttlSeconds - Lifetime (default CHALLENGE_TTL)
+ * @param now - Unix seconds (default: now)
+ * @returns { domain, nonce, expiresAt } with expiresAt in Unix seconds
+ */
+function createChallenge(domain, ttlSeconds = CHALLENGE_TTL, now = Math.floor(Date.now() / 1000)) {
+    if (!Number.isSafeInteger(ttlSeconds) || ttlSeconds <= 0) {
+        throw new Error('Challenge TTL must be a positive integer number of seconds');
+    }
+    return { domain, nonce: hexlify(randomBytes(16)).slice(2), expiresAt: Number(now) + ttlSeconds };
+}
+
+/**
+ * Digest of the request a challenge-bound proof authorises
+ *
+ * @param data - Request bytes or string, e.g. the raw body
+ * @returns 0x-prefixed sha256 hex
+ */
+function requestDigest(data) {
+    return sha256(typeof data === 'string' ? toUtf8Bytes(data) : data);
+}
+
+/**
+ * messageHash public input of a challenge-bound proof (circuit version 7)
+ * Derived like deriveContextId(): the fields are length-delimited and MAC'd
+ * under a fixed label, then reduced into the BN254 scalar field.
+ *
+ * @param challenge.domain - Verifier domain (case-insensitive)
+ * @param challenge.nonce - Nonce the verifier issued
+ * @param challenge.requestDigest - Optional digest of the request, e.g. requestDigest(body)
+ * @returns messageHash as a BigInt
+ */
+function challengeMessageHash({ domain, nonce, requestDigest: digest = '' } = {}) {
+    if (typeof domain !== 'string' || domain.trim() === '') {
+        throw new Error('Challenge domain is required');
+    }
+    if (typeof nonce !== 'string' || nonce === '') {
+        throw new Error('Challenge nonce is required');
+    }
+    if (typeof digest !== 'string') {
+        throw new Error('Request digest must be a hex string');
+    }
+    const encoded = JSON.stringify([domain.trim().toLowerCase(), nonce, digest.toLowerCase()]);
+    return BigInt(computeHmac('sha256', toUtf8Bytes('entity-identity challenge v1'), toUtf8Bytes(encoded))) % FIELD_ORDER;
 }
 
 // ============================================================================
@@ -276,15 +811,36 @@ class Attester {
 
 /**
  * Entity - An AI, robot, human, or hybrid that proves its type
+ *
+ * Keys are derived from a 32-byte master key (see ENTITY KEYS), random unless
+ * the entity is created with Entity.fromSeed(). An explicit secret (and salt)
+ * can still be passed for interop, but then there is no master key; without a
+ * salt, the salt is derived from the secret.
  */
 class Entity {
-    constructor(crypto, secret = null) {
+    constructor(crypto, secret = null, salt = null) {
         this.crypto = crypto;
-        // Entity's secret - this should be stored securely
-        this.secret = secret ?? BigInt('0x' + [...crypto.getRandomValues(new Uint8Array(32))]
-            .map(b => b.toString(16).padStart(2, '0')).join(''));
-        this.salt = BigInt('0x' + [...crypto.getRandomValues(new Uint8Array(32))]
-            .map(b => b.toString(16).padStart(2, '0')).join(''));
+        
+        if (secret === null) {
+            const keys = deriveEntityKeys(randomBytes(32));
+            this.masterKey = keys.masterKey;
+            this.secret = keys.secret;
+            this.salt = keys.salt;
+        } else {
+            this.masterKey = null;
+            this.secret = BigInt(secret);
+            this.salt = salt === null ? deriveSaltFromSecret(this.secret) : BigInt(salt);
+        }
+    }
+    
+    /**
+     * Recreate an entity from a mnemonic or 32-byte master key
+     */
+    static fromSeed(crypto, seed) {
+        const { masterKey, secret, salt } = deriveEntityKeys(seed);
+        const entity = new Entity(crypto, secret, salt);
+        entity.masterKey = masterKey;
+        return entity;
     }
     
     /**
@@ -295,6 +851,91 @@ class Entity {
         return this.crypto.hash([this.secret, this.salt]);
     }
     
+    /**
+     * Nullifier a proof for this context will reveal
+     * Lets a client skip action slots it has already used this epoch.
+     *
+     * @param contextId - Context for nullifier
+     * @param slot - Action slot for rate-limited (version 4) proofs; omit for
+     *   the single nullifier of versions 1-3
+     */
+    getNullifier(contextId, slot = null) {
+        return slot === null
+            ? this.crypto.hash([this.secret, BigInt(contextId)])
+            : this.crypto.hash([this.secret, BigInt(contextId), BigInt(slot)]);
+    }
+    
+    /**
+     * Serialize the entity's keys in the clear
+     * Use toEncryptedJSON() to protect them with a passphrase.
+     */
+    toJSON(options = {}) {
+        // JSON.stringify passes the property key as the first argument
+        if (typeof options === 'object' && options !== null && options.passphrase) {
+            throw new Error('toJSON() does not encrypt; use toEncryptedJSON(passphrase)');
+        }
+        const keys = this.masterKey
+            ? { masterKey: hexlify(this.masterKey) }
+            : { secret: this.secret.toString(), salt: this.salt.toString() };
+        return { version: ENTITY_FILE_VERSION, commitment: this.getCommitment().toString(), ...keys };
+    }
+    
+    /**
+     * Serialize the entity's keys encrypted under a passphrase
+     *
+     * @param passphrase - Passphrase to derive the encryption key from
+     * @param options.scryptN - scrypt cost parameter (default 2^17)
+     */
+    async toEncryptedJSON(passphrase, { scryptN } = {}) {
+        if (!passphrase) {
+            throw new Error('A passphrase is required');
+        }
+        const keyType = this.masterKey ? 'masterKey' : 'secretSalt';
+        const payload = this.masterKey
+            ? this.masterKey
+            : getBytes(toBeHex(this.secret, 32) + toBeHex(this.salt, 32).slice(2));
+        return {
+            version: ENTITY_FILE_VERSION,
+            commitment: this.getCommitment().toString(),
+            keyType,
+            crypto: await encryptKeyMaterial(payload, passphrase, keyType, scryptN),
+        };
+    }
+    
+    /**
+     * Restore an entity serialized with toJSON() or toEncryptedJSON()
+     *
+     * @param crypto - Crypto primitives from initCrypto()
+     * @param json - Object or JSON string from toJSON()/toEncryptedJSON()
+     * @param passphrase - Required if the keys are encrypted
+     */
+    static async fromJSON(crypto, json, passphrase = null) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        if (data.version !== ENTITY_FILE_VERSION) {
+            throw new Error(`Unsupported entity file version: ${data.version}`);
+        }
+        
+        let entity;
+        if (data.crypto) {
+            if (!passphrase) {
+                throw new Error('Entity keys are encrypted; a passphrase is required');
+            }
+            const payload = await decryptKeyMaterial(data.crypto, passphrase, data.keyType);
+            entity = data.keyType === 'masterKey'
+                ? Entity.fromSeed(crypto, payload)
+                : new Entity(crypto, BigInt(hexlify(payload.slice(0, 32))), BigInt(hexlify(payload.slice(32))));
+        } else if (data.masterKey) {
+            entity = Entity.fromSeed(crypto, data.masterKey);
+        } else {
+            entity = new Entity(crypto, data.secret, data.salt);
+        }
+        
+        if (data.commitment && entity.getCommitment().toString() !== data.commitment) {
+            throw new Error('Entity keys do not match the stored commitment');
+        }
+        return entity;
+    }
+    
     /**
      * Generate circuit inputs for proving type
      * 
@@ -303,8 +944,44 @@ class Entity {
      * @param attesterMerkleProof - Proof that attester is approved
      * @param attestersRoot - Current merkle root of approved attesters
      * @param contextId - Context for nullifier (e.g., session ID)
+     * @param options - For attestations with a validity window (circuit version 2):
+     *   { currentTime, maxAge } or { currentTime, minIssuedAt }, Unix seconds.
+     *   currentTime defaults to now; without maxAge the proof makes no age claim.
+     *   Adding `revocation` (a RevocationRegistry non-membership proof) also
+     *   proves the attestation is not revoked (circuit version 3).
+     *   Adding `rateLimit: { slot, limit }` on top makes this action `slot` of
+     *   `limit` allowed in the context (circuit version 4).
+     *   Adding `attesterScope` (the pattern of the attester's type-scoped leaf
+     *   that attesterMerkleProof opens) proves the attester may sign
+     *   claimedType (circuit version 5); rateLimit then defaults to one action.
+     *   Adding `typeSet` (up to TYPE_SET_SIZE patterns, e.g. ['AI.*']) on top
+     *   keeps claimedType private and proves only that one of the patterns
+     *   covers it (circuit version 6).
+     *   Adding `challenge: { domain, nonce, requestDigest }` to a type-scoped
+     *   proof instead binds it to that verifier nonce and request (circuit
+     *   version 7), see challengeMessageHash().
      */
-    generateProofInputs(claimedType, attestation, attesterMerkleProof, attestersRoot, contextId) {
+    generateProofInputs(claimedType, attestation, attesterMerkleProof, attestersRoot, contextId, options = {}) {
+        const window = attestation.expiresAt !== undefined
+            ? validityWindowInputs(attestation, options)
+            : {};
+        if (options.revocation && attestation.expiresAt === undefined) {
+            throw new Error('Revocation proofs need an attestation with a validity window');
+        }
+        if ((options.rateLimit || options.attesterScope !== undefined) && !options.revocation) {
+            throw new Error('Rate-limited and type-scoped proofs need a revocation proof');
+        }
+        if (options.typeSet && options.attesterScope === undefined) {
+            throw new Error('Type-set proofs need a type-scoped attester proof');
+        }
+        if (options.challenge && options.attesterScope === undefined) {
+            throw new Error('Challenge-bound proofs need a type-scoped attester proof');
+        }
+        if (options.challenge && options.typeSet) {
+            throw new Error('No circuit combines a type set with a challenge');
+        }
+        const rateLimit = options.rateLimit
+            ?? (options.attesterScope !== undefined ? { slot: 0, limit: 1 } : null);
         return {
             // Public inputs
             claimedType: claimedType.toString(),
@@ -321,14 +998,259 @@ class Entity {
             // Private inputs - merkle proof
             attesterPathElements: attesterMerkleProof.pathElements.map(e => e.toString()),
             attesterPathIndices: attesterMerkleProof.pathIndices.map(i => i.toString()),
+            
+            // Public inputs - validity window (version 2 and up)
+            ...window,
+            
+            // Revocation non-membership (version 3)
+            ...options.revocation,
+            
+            // Action slot and public limit (version 4)
+            ...(rateLimit ? rateLimitInputs(rateLimit) : {}),
+            
+            // Attester type scope (version 5)
+            ...(options.attesterScope !== undefined
+                ? attesterScopeInputs(options.attesterScope, claimedType)
+                : {}),
+            
+            // Disclosed type set; claimedType becomes private (version 6)
+            ...(options.typeSet ? typeSetInputs(options.typeSet, claimedType) : {}),
+            
+            // Verifier challenge (version 7)
+            ...(options.challenge
+                ? { messageHash: challengeMessageHash(options.challenge).toString() }
+                : {}),
         };
     }
 }
 
+/**
+ * actionSlot/actionLimit inputs for a rate-limited proof
+ */
+function rateLimitInputs({ slot, limit }) {
+    if (!Number.isSafeInteger(limit) || limit < 1 || limit > MAX_ACTION_LIMIT) {
+        throw new Error(`Action limit must be an integer from 1 to ${MAX_ACTION_LIMIT}`);
+    }
+    if (!Number.isSafeInteger(slot) || slot < 0 || slot >= limit) {
+        throw new Error('Action slot must be an integer below the action limit');
+    }
+    return {
+        actionSlot: slot.toString(),
+        actionLimit: limit.toString(),
+    };
+}
+
+/**
+ * attesterTypeScope/attesterLeafFormat inputs for a type-scoped proof
+ * Fails early when the scope does not cover claimedType.
+ */
+function attesterScopeInputs(pattern, claimedType) {
+    const scope = BigInt(typeScopeCode(pattern));
+    if (!scopeCovers(scope, BigInt(claimedType))) {
+        throw new Error(`Attester scope ${pattern} does not cover the claimed type`);
+    }
+    return {
+        attesterTypeScope: scope.toString(),
+        attesterLeafFormat: AttesterLeafFormat.TYPE_SCOPED.toString(),
+    };
+}
+
+// Patterns a type-set (version 6) proof can disclose
+const TYPE_SET_SIZE = 8;
+
+/**
+ * typeSet input for a type-set proof
+ * Unused slots repeat the first pattern, so the set reveals nothing more.
+ *
+ * @param patterns - 1 to TYPE_SET_SIZE patterns ('AI.CA', 'AI.*' or '*')
+ */
+function typeSetInputs(patterns, claimedType) {
+    if (!Array.isArray(patterns) || patterns.length === 0 || patterns.length > TYPE_SET_SIZE) {
+        throw new Error(`A type set needs 1 to ${TYPE_SET_SIZE} patterns`);
+    }
+    const scopes = patterns.map(p => BigInt(typeScopeCode(p)));
+    if (!scopes.some(scope => scopeCovers(scope, BigInt(claimedType)))) {
+        throw new Error('The claimed type is not in the disclosed type set');
+    }
+    return {
+        typeSet: Array.from({ length: TYPE_SET_SIZE }, (_, i) => (scopes[i] ?? scopes[0]).toString()),
+    };
+}
+
+/**
+ * Whether a type scope (code, prefix * 256 or 0) covers a type code
+ */
+function scopeCovers(scope, type) {
+    return scope === 0n || scope === type || ((scope & 0xFFn) === 0n && scope >> 8n === type >> 8n);
+}
+
+/**
+ * currentTime/minIssuedAt inputs for an expiring attestation
+ * Fails early with a readable error instead of an unsatisfiable circuit.
+ */
+function validityWindowInputs(attestation, { currentTime, maxAge, minIssuedAt } = {}) {
+    const { issuedAt, expiresAt } = normalizeValidity(attestation);
+    const now = BigInt(currentTime ?? Math.floor(Date.now() / 1000));
+    
+    let oldest = 0n;
+    if (minIssuedAt !== undefined) {
+        oldest = BigInt(minIssuedAt);
+    } else if (maxAge !== undefined) {
+        oldest = now > BigInt(maxAge) ? now - BigInt(maxAge) : 0n;
+    }
+    
+    if (now < issuedAt) {
+        throw new Error('Attestation is not valid yet');
+    }
+    if (now >= expiresAt) {
+        throw new Error('Attestation has expired');
+    }
+    if (issuedAt < oldest) {
+        throw new Error('Attestation is older than the requested max age');
+    }
+    
+    return {
+        currentTime: now.toString(),
+        minIssuedAt: oldest.toString(),
+    };
+}
+
 // ============================================================================
 // PROOF GENERATION & VERIFICATION
 // ============================================================================
 
+/**
+ * Entity type proof circuits by version
+ * Version 2 binds the attestation's validity window (issuedAt, expiresAt)
+ * and proves it against a public currentTime. Version 3 adds a proof that
+ * the attestation is not in the revocation registry at revocationRoot.
+ * Version 4 allows actionLimit nullifiers per context instead of one.
+ * Version 5 opens a type-scoped attester leaf and checks claimedType against
+ * its scope; attesterLeafFormat pins the registry root format.
+ * Version 6 keeps claimedType private and discloses a typeSet covering it.
+ * Version 7 is version 5 bound to a verifier challenge by messageHash.
+ */
+const Circuits = {
+    1: {
+        name: 'entity_type_proof',
+        publicSignals: ['nullifier', 'entityCommitment', 'claimedType', 'attestersRoot', 'contextId'],
+    },
+    2: {
+        name: 'entity_type_proof_v2',
+        publicSignals: ['nullifier', 'entityCommitment', 'claimedType', 'attestersRoot', 'contextId',
+            'currentTime', 'minIssuedAt'],
+    },
+    3: {
+        name: 'entity_type_proof_v3',
+        publicSignals: ['nullifier', 'entityCommitment', 'claimedType', 'attestersRoot', 'contextId',
+            'currentTime', 'minIssuedAt', 'revocationRoot'],
+    },
+    4: {
+        name: 'entity_type_proof_v4',
+        publicSignals: ['nullifier', 'entityCommitment', 'claimedType', 'attestersRoot', 'contextId',
+            'currentTime', 'minIssuedAt', 'revocationRoot', 'actionLimit'],
+    },
+    5: {
+        name: 'entity_type_proof_v5',
+        publicSignals: ['nullifier', 'entityCommitment', 'claimedType', 'attestersRoot', 'contextId',
+            'currentTime', 'minIssuedAt', 'revocationRoot', 'actionLimit', 'attesterLeafFormat'],
+    },
+    6: {
+        name: 'entity_type_proof_v6',
+        publicSignals: ['nullifier', 'entityCommitment',
+            ...Array.from({ length: TYPE_SET_SIZE }, (_, i) => `typeSet[${i}]`),
+            'attestersRoot', 'contextId',
+            'currentTime', 'minIssuedAt', 'revocationRoot', 'actionLimit', 'attesterLeafFormat'],
+    },
+    7: {
+        name: 'entity_type_proof_v7',
+        publicSignals: ['nullifier', 'entityCommitment', 'claimedType', 'attestersRoot', 'contextId',
+            'currentTime', 'minIssuedAt', 'revocationRoot', 'actionLimit', 'attesterLeafFormat', 'messageHash'],
+    },
+};
+
+/**
+ * Circuit version for a set of public signals (or circuit inputs)
+ */
+function circuitVersion(signalsOrInputs) {
+    if (Array.isArray(signalsOrInputs)) {
+        const version = Object.keys(Circuits)
+            .find(v => Circuits[v].publicSignals.length === signalsOrInputs.length);
+        return version ? Number(version) : null;
+    }
+    if (signalsOrInputs.messageHash !== undefined) return 7;
+    if (signalsOrInputs.typeSet !== undefined) return 6;
+    if (signalsOrInputs.attesterLeafFormat !== undefined) return 5;
+    if (signalsOrInputs.actionLimit !== undefined) return 4;
+    if (signalsOrInputs.revocationRoot !== undefined) return 3;
+    return signalsOrInputs.currentTime !== undefined ? 2 : 1;
+}
+
+/**
+ * Decode the public signals of an entity_type_proof
+ * Version 1: [nullifier, entityCommitment, claimedType, attestersRoot, contextId]
+ * Version 2 appends [currentTime, minIssuedAt], version 3 also [revocationRoot],
+ * version 4 also [actionLimit] and version 5 also [attesterLeafFormat].
+ * Version 6 replaces claimedType with typeSet, returned as an array.
+ * Version 7 is version 5 plus [messageHash].
+ */
+function parsePublicSignals(publicSignals) {
+    const { publicSignals: names } = Circuits[circuitVersion(publicSignals) ?? 1];
+    const parsed = {};
+    names.forEach((name, i) => {
+        const [, array, index] = name.match(/^(\w+)\[(\d+)\]$/) ?? [];
+        if (array) {
+            (parsed[array] ??= [])[Number(index)] = publicSignals[i];
+        } else {
+            parsed[name] = publicSignals[i];
+        }
+    });
+    return parsed;
+}
+
+/**
+ * Patterns a version 6 proof discloses, without repeats
+ *
+ * @param parsed - Result of parsePublicSignals()
+ * @returns e.g. ['AI.*'], or null for proofs that reveal claimedType
+ */
+function disclosedTypes(parsed) {
+    if (!parsed.typeSet) return null;
+    return [...new Set(parsed.typeSet.map(scope => typeScopePattern(scope) ?? String(scope)))];
+}
+
+/**
+ * Check the time-bound public signals of a proof against a verifier's policy
+ * Version 1 proofs carry no validity window, so they fail any maxAge policy.
+ *
+ * @param parsed - Result of parsePublicSignals()
+ * @param options.maxAge - Reject attestations issued more than maxAge seconds ago
+ * @param options.now - Verifier clock, Unix seconds (default: now)
+ * @param options.maxClockSkew - Allowed |currentTime - now| in seconds (default
+ *   300). currentTime is only checked when now or maxClockSkew is given, so a
+ *   stored proof can still be verified later.
+ * @returns null, or 'attestation_too_old' | 'proof_time_skew'
+ */
+function checkProofTime(parsed, { maxAge, now, maxClockSkew } = {}) {
+    if (parsed.currentTime === undefined) {
+        return maxAge !== undefined && maxAge !== null ? 'attestation_too_old' : null;
+    }
+    
+    const currentTime = BigInt(parsed.currentTime);
+    if (now !== undefined || maxClockSkew !== undefined) {
+        const clock = BigInt(now ?? Math.floor(Date.now() / 1000));
+        const skew = currentTime > clock ? currentTime - clock : clock - currentTime;
+        if (skew > BigInt(maxClockSkew ?? 300)) {
+            return 'proof_time_skew';
+        }
+    }
+    
+    if (maxAge !== undefined && maxAge !== null && currentTime - BigInt(parsed.minIssuedAt) > BigInt(maxAge)) {
+        return 'attestation_too_old';
+    }
+    return null;
+}
+
 /**
  * Generate a ZK proof
  * 
@@ -347,26 +1269,182 @@ async function generateProof(inputs, wasmPath, zkeyPath) {
         proof,
         publicSignals,
         // Parse public signals for readability
-        parsed: {
-            nullifier: publicSignals[0],
-            entityCommitment: publicSignals[1],
-            claimedType: publicSignals[2],
-            attestersRoot: publicSignals[3],
-            contextId: publicSignals[4],
-        }
+        parsed: parsePublicSignals(publicSignals),
     };
 }
 
+/**
+ * Build circuit inputs from a POST /api/v1/attest response
+ * Only the commitment is ever sent to the attester; the secret stays local.
+ *
+ * @param entity - The Entity the attestation was issued for
+ * @param response - { attestation, merkleProof, registryRoot } from /attest
+ *   (plus scopedMerkleProof and scopedRegistryRoot for type-scoped proofs)
+ * @param contextId - Context for nullifier (e.g., session ID)
+ * @param options - { currentTime, maxAge, revocation, rateLimit } for expiring attestations,
+ *   see Entity.generateProofInputs(). `typeScoped: true` opens the attester's
+ *   type-scoped leaf instead of its key-only leaf (circuit version 5); with
+ *   `typeSet` as well, only that set of types is disclosed (version 6), and
+ *   with `challenge` the proof is bound to a verifier nonce (version 7).
+ */
+function attestationProofInputs(entity, response, contextId, options = {}) {
+    const { attestation } = response;
+    const { typeScoped, ...proofOptions } = options;
+    if (typeScoped && !response.scopedMerkleProof) {
+        throw new Error('Attestation response has no type-scoped merkle proof');
+    }
+    const merkleProof = typeScoped ? response.scopedMerkleProof : response.merkleProof;
+    const registryRoot = typeScoped ? response.scopedRegistryRoot : response.registryRoot;
+    if (typeScoped) {
+        proofOptions.attesterScope = merkleProof.scope;
+    }
+
+    if (BigInt(attestation.entityCommitment) !== entity.getCommitment()) {
+        throw new Error('Attestation was issued for a different entity commitment');
+    }
+
+    // The response carries metadata (type name, index, createdAt) that
+    // are not circuit signals
+    const signature = {
+        attesterPubKeyX: attestation.attesterPubKeyX,
+        attesterPubKeyY: attestation.attesterPubKeyY,
+        signatureR8X: attestation.signatureR8X,
+        signatureR8Y: attestation.signatureR8Y,
+        signatureS: attestation.signatureS,
+    };
+    if (attestation.expiresAt !== undefined && attestation.expiresAt !== null) {
+        signature.issuedAt = attestation.issuedAt.toString();
+        signature.expiresAt = attestation.expiresAt.toString();
+    }
+
+    return entity.generateProofInputs(
+        attestation.typeCode,
+        signature,
+        merkleProof,
+        registryRoot,
+        contextId,
+        proofOptions
+    );
+}
+
+/**
+ * Prove an attested type locally
+ *
+ * @param entity - The Entity the attestation was issued for
+ * @param response - { attestation, merkleProof, registryRoot } from /attest
+ * @param contextId - Context for nullifier (e.g., session ID)
+ * @param wasmPath - Path to circuit .wasm file (entity_type_proof_v2 for
+ *   attestations with a validity window, v3 with a revocation proof, v4 with
+ *   a rate limit, v5 with typeScoped)
+ * @param zkeyPath - Path to proving key
+ * @param options - { currentTime, maxAge, revocation, rateLimit, typeScoped },
+ *   see attestationProofInputs()
+ */
+async function proveWithAttestation(entity, response, contextId, wasmPath, zkeyPath, options = {}) {
+    return generateProof(attestationProofInputs(entity, response, contextId, options), wasmPath, zkeyPath);
+}
+
+// Parsed verification keys, keyed by path or URL
+const verificationKeyCache = new Map();
+
+/**
+ * Resolve a verification key given as an object, file path, or URL
+ * Paths and URLs are loaded once and cached.
+ */
+async function loadVerificationKey(vkey) {
+    if (typeof vkey === 'object' && vkey !== null) {
+        return vkey;
+    }
+    if (typeof vkey !== 'string') {
+        throw new Error('Verification key must be an object, file path, or URL');
+    }
+    
+    if (!verificationKeyCache.has(vkey)) {
+        const loading = (async () => {
+            if (/^https?:\/\//.test(vkey)) {
+                const res = await fetch(vkey);
+                if (!res.ok) {
+                    throw new Error(`Failed to fetch verification key: HTTP ${res.status}`);
+                }
+                return res.json();
+            }
+            const fs = await import('fs/promises');
+            return JSON.parse(await fs.readFile(vkey, 'utf-8'));
+        })();
+        verificationKeyCache.set(vkey, loading);
+        // Don't cache failures
+        loading.catch(() => verificationKeyCache.delete(vkey));
+    }
+    
+    return verificationKeyCache.get(vkey);
+}
+
 /**
  * Verify a ZK proof
  * 
  * @param proof - The proof object
  * @param publicSignals - Public signals array
- * @param vkeyPath - Path to verification key
+ * @param vkey - Verification key object, file path, or http(s) URL (the
+ *   entity_type_proof_vN key for version N proofs)
+ * @param options - Time policy, see checkProofTime(): { maxAge, now, maxClockSkew },
+ *   `revocationRoot`: require a version 3+ proof against this registry root,
+ *   `context`: require the contextId deriveContextId(context), and
+ *   `maxActions`: require a version 4 proof allowing at most this many actions
+ *   per context (version 4 proofs with actionLimit > 1 fail without it),
+ *   `challenge`: require a version 7 proof with the messageHash of this
+ *   { domain, nonce, requestDigest } (version 7 proofs fail without it)
+ * @returns Structured result: { valid, entityType, entityTypeName, phoneticName,
+ *   claimedType, nullifier, entityCommitment, attestersRoot, contextId }, plus
+ *   currentTime/minIssuedAt for version 2, revocationRoot for version 3,
+ *   actionLimit for version 4, attesterLeafFormat for version 5, typeSet and
+ *   disclosedTypes instead of claimedType for version 6, messageHash for
+ *   version 7, and a `reason` when a time, revocation, context, rate limit
+ *   or challenge check fails
  */
-async function verifyProof(proof, publicSignals, vkeyPath) {
-    const vkey = JSON.parse(await fs.readFile(vkeyPath, 'utf-8'));
-    return await snarkjs.groth16.verify(vkey, publicSignals, proof);
+async function verifyProof(proof, publicSignals, vkey, options = {}) {
+    const verificationKey = await loadVerificationKey(vkey);
+    
+    let valid;
+    try {
+        valid = await snarkjs.groth16.verify(verificationKey, publicSignals, proof);
+    } catch (e) {
+        // Malformed proof or signals
+        valid = false;
+    }
+    
+    const parsed = parsePublicSignals(publicSignals);
+    const type = parsed.claimedType !== undefined ? typeByCode(parsed.claimedType) : null;
+    const result = {
+        valid,
+        entityType: type?.name ?? null,
+        entityTypeName: type?.description ?? null,
+        phoneticName: type?.phonetic ?? null,
+        ...parsed,
+        ...(parsed.typeSet && { disclosedTypes: disclosedTypes(parsed) }),
+    };
+    
+    let reason = valid ? checkProofTime(parsed, options) : null;
+    if (valid && !reason && options.revocationRoot !== undefined
+        && parsed.revocationRoot !== String(options.revocationRoot)) {
+        reason = 'revocation_root_mismatch';
+    }
+    if (valid && !reason && options.context !== undefined
+        && parsed.contextId !== deriveContextId(options.context).toString()) {
+        reason = 'context_mismatch';
+    }
+    // A version 4 proof is one of actionLimit per context, so it needs a
+    // policy allowing that many
+    if (valid && !reason && (options.maxActions !== undefined || parsed.actionLimit !== undefined)
+        && (parsed.actionLimit === undefined || BigInt(parsed.actionLimit) > BigInt(options.maxActions ?? 1))) {
+        reason = 'rate_limit_mismatch';
+    }
+    // Nonce expiry and reuse are the caller's to check
+    if (valid && !reason && (options.challenge !== undefined || parsed.messageHash !== undefined)
+        && (options.challenge === undefined || parsed.messageHash === undefined
+            || parsed.messageHash !== challengeMessageHash(options.challenge).toString())) {
+        reason = 'challenge_mismatch';
+    }
+    return reason ? { ...result, valid: false, reason } : result;
 }
 
 /**
@@ -374,9 +1452,17 @@ async function verifyProof(proof, publicSignals, vkeyPath) {
  * For on-chain verification
  */
 async function exportSolidityVerifier(zkeyPath, outputPath) {
+    const fs = await import('fs/promises');
+    const { createRequire } = await import('module');
+    const path = await import('path');
+    
+    // snarkjs ships its verifier templates next to its build directory
+    const snarkjsMain = createRequire(import.meta.url).resolve('snarkjs');
+    const templatePath = path.join(path.dirname(snarkjsMain), '..', 'templates', 'verifier_groth16.sol.ejs');
+    
     const templates = await snarkjs.zKey.exportSolidityVerifier(
         zkeyPath,
-        { groth16: snarkjs.templates.groth16 }
+        { groth16: await fs.readFile(templatePath, 'utf-8') }
     );
     await fs.writeFile(outputPath, templates);
 }
@@ -425,7 +1511,7 @@ async function exampleFlow() {
     
     // 6. Generate the circuit inputs
     console.log("\n5. Generating circuit inputs...");
-    const contextId = BigInt(Date.now()); // Use timestamp as context
+    const contextId = deriveContextId({ domain: 'example.com', purpose: 'login' });
     const inputs = claude.generateProofInputs(
         EntityTypes['AI.CA'],
         attestation,
@@ -470,8 +1556,7 @@ async function exampleFlow() {
  */
 async function scenarioWebsiteVerification(proof, publicSignals, vkey) {
     // 1. Extract the claimed type
-    const claimedType = parseInt(publicSignals[2]);
-    const typeCode = Object.entries(EntityTypes).find(([k, v]) => v === claimedType)?.[0];
+    const type = typeByCode(publicSignals[2]);
     
     // 2. Verify the proof cryptographically
     const valid = await snarkjs.groth16.verify(vkey, publicSignals, proof);
@@ -499,8 +1584,8 @@ async function scenarioWebsiteVerification(proof, publicSignals, vkey) {
     
     return {
         accepted: true,
-        entityType: typeCode,
-        phoneticName: PhoneticNames[typeCode],
+        entityType: type?.name ?? null,
+        phoneticName: type?.phonetic ?? null,
         entityCommitment: publicSignals[1],
     };
 }
@@ -520,8 +1605,29 @@ export {
     initCrypto,
     MerkleTree,
     Attester,
+    AttesterLeafFormat,
     Entity,
+    generateMnemonic,
+    deriveEntityKeys,
+    deriveContextId,
+    rateLimitEpoch,
+    CHALLENGE_TTL,
+    createChallenge,
+    requestDigest,
+    challengeMessageHash,
+    attestationMessage,
+    attestationHash,
+    RevocationRegistry,
+    Circuits,
+    circuitVersion,
+    parsePublicSignals,
+    disclosedTypes,
+    TYPE_SET_SIZE,
+    checkProofTime,
     generateProof,
+    attestationProofInputs,
+    proveWithAttestation,
+    loadVerificationKey,
     verifyProof,
     exportSolidityVerifier,
     exampleFlow,
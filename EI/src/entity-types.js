@@ -0,0 +1,423 @@
+/**
+ * Entity Type Registry
+ *
+ * Single source of truth for the entity type taxonomy. The SDK, CLI, API
+ * server, Solidity contracts and Circom circuits must all agree with the
+ * built-in table below; test/entity-types.test.js fails if any of them drift.
+ *
+ * Type encoding scheme (matches encodeEntityType in the circuits):
+ *   Prefix (8 bits) | Category (8 bits) = 16-bit identifier
+ *
+ * Further categories can be registered at runtime under the existing
+ * prefixes (e.g. AR.AM for warehouse AMRs). The circuit takes claimedType
+ * as an opaque field element, so no new circuit or trusted setup is needed.
+ * Registered codes are never reused: deprecating a type keeps its entry so
+ * old proofs still decode.
+ */
+
+// ============================================================================
+// TYPE DEFINITIONS
+// ============================================================================
+
+/**
+ * @typedef {Object} EntityTypeInfo
+ * @property {string} name        - Dotted type name, e.g. 'AI.CA'
+ * @property {number} code        - 16-bit numeric code, e.g. 0x0101
+ * @property {string} hex         - Code as a 4-digit hex string, e.g. '0x0101'
+ * @property {string} phonetic    - Phonetic name for verbal communication, e.g. 'Kah'
+ * @property {string} category    - Prefix name, e.g. 'AI'
+ * @property {string} description - Human-readable description
+ * @property {string} status      - 'active' or 'deprecated'
+ * @property {boolean} builtin    - Part of the fixed table (has circuit/contract constants)
+ */
+
+/**
+ * Lifecycle of a registered type
+ */
+const TypeStatus = Object.freeze({
+    ACTIVE: 'active',
+    DEPRECATED: 'deprecated',
+});
+
+/**
+ * Type prefixes (upper byte of the type code)
+ */
+const Categories = Object.freeze({
+    AI: Object.freeze({ prefix: 0x01, description: 'Artificial Intelligence' }),
+    AR: Object.freeze({ prefix: 0x02, description: 'Artificial Robotics' }),
+    HU: Object.freeze({ prefix: 0x03, description: 'Human' }),
+    HY: Object.freeze({ prefix: 0x04, description: 'Hybrid' }),
+});
+
+/**
+ * Compute a type code from its prefix and category bytes
+ */
+function encodeEntityType(prefix, category) {
+    return prefix * 256 + category;
+}
+
+function makeType(name, code, phonetic, description, status, builtin) {
+    return Object.freeze({
+        name,
+        code,
+        hex: '0x' + code.toString(16).padStart(4, '0'),
+        phonetic,
+        category: name.split('.')[0],
+        description,
+        status,
+        builtin,
+    });
+}
+
+function defineType(name, category, phonetic, description) {
+    const prefix = name.split('.')[0];
+    const code = encodeEntityType(Categories[prefix].prefix, category);
+    return makeType(name, code, phonetic, description, TypeStatus.ACTIVE, true);
+}
+
+/**
+ * The fixed table compiled into the circuits and contracts
+ * @type {ReadonlyArray<EntityTypeInfo>}
+ */
+const BuiltinEntityTypes = Object.freeze([
+    // AI - Artificial Intelligence (prefix 0x01)
+    defineType('AI.CA', 0x01, 'Kah', 'Conversational Agent'),
+    defineType('AI.PO', 0x02, 'Poe', 'Program Orchestrator'),
+    defineType('AI.WS', 0x03, 'Wiz', 'Web Site'),
+    defineType('AI.OS', 0x04, 'Aus', 'Operating System'),
+    defineType('AI.GN', 0x05, 'Jen', 'Generative Model'),
+    defineType('AI.AA', 0x06, 'Ahh', 'Autonomous Agent'),
+    defineType('AI.LM', 0x07, 'Elm', 'Language Model'),
+    defineType('AI.DB', 0x08, 'Deb', 'Data Broker'),
+    defineType('AI.JG', 0x09, 'Jig', 'Judge/Evaluator'),
+    defineType('AI.SY', 0x0A, 'Sigh', 'Synthetic Media Generator'),
+
+    // AR - Artificial Robotics (prefix 0x02)
+    defineType('AR.RB', 0x01, 'Rob', 'Robot Bot'),
+    defineType('AR.DR', 0x02, 'Dar', 'Drone'),
+    defineType('AR.VH', 0x03, 'Vee', 'Vehicle'),
+
+    // HU - Human (prefix 0x03)
+    defineType('HU.US', 0x01, 'Who', 'Human User'),
+
+    // HY - Hybrid (prefix 0x04)
+    defineType('HY.CP', 0x01, 'Kip', 'Copilot (Human-AI)'),
+    defineType('HY.HS', 0x02, 'His', 'Hive Swarm'),
+]);
+
+// ============================================================================
+// LOOKUP HELPERS
+// ============================================================================
+
+const byName = new Map(BuiltinEntityTypes.map(t => [t.name, t]));
+const byCode = new Map(BuiltinEntityTypes.map(t => [t.code, t]));
+const byPhonetic = new Map(BuiltinEntityTypes.map(t => [t.phonetic.toLowerCase(), t]));
+
+/**
+ * All known entity types, built-in first then in registration order
+ * Reassigned on every registration (live binding for importers).
+ * @type {ReadonlyArray<EntityTypeInfo>}
+ */
+let EntityTypeList = BuiltinEntityTypes;
+
+// Version of the taxonomy as published by the registry server (0 = built-ins)
+let typesVersion = 0;
+
+/**
+ * Look up a type by numeric code
+ *
+ * @param code - Number, bigint, or decimal/hex string (e.g. 257, '0x0101')
+ * @returns {EntityTypeInfo | null}
+ */
+function typeByCode(code) {
+    let numeric;
+    try {
+        numeric = Number(BigInt(code));
+    } catch (e) {
+        return null;
+    }
+    return byCode.get(numeric) ?? null;
+}
+
+/**
+ * Look up a type by dotted name (e.g. 'AI.CA')
+ * @returns {EntityTypeInfo | null}
+ */
+function typeByName(name) {
+    return byName.get(name) ?? null;
+}
+
+/**
+ * Look up a type by phonetic name (case-insensitive, e.g. 'kah')
+ * @returns {EntityTypeInfo | null}
+ */
+function typeByPhonetic(phonetic) {
+    return byPhonetic.get(String(phonetic).toLowerCase()) ?? null;
+}
+
+/**
+ * Check a type name against attester-style patterns
+ *
+ * Patterns are exact names ('AI.CA') or category wildcards ('AI.*').
+ * A bare '*' matches every type.
+ *
+ * @param patterns - Array of patterns
+ * @param name - Dotted type name
+ */
+function matchesTypePattern(patterns, name) {
+    const prefix = String(name).split('.')[0];
+    return patterns.some(p => p === '*' || p === name || p === `${prefix}.*`);
+}
+
+/**
+ * Check that a pattern names a known type or category
+ */
+function isValidTypePattern(pattern) {
+    if (pattern === '*') return true;
+    const [prefix, category] = String(pattern).split('.');
+    if (category === '*') return Boolean(Categories[prefix]);
+    return byName.has(pattern);
+}
+
+/**
+ * Numeric scope of a pattern, as committed to by type-scoped attester leaves
+ *
+ * A type name scopes to its code, 'AI.*' to prefix * 256 and '*' to 0. No
+ * type has category byte 0, so the low byte tells a wildcard from a type.
+ *
+ * @throws If the pattern names no known type or category
+ */
+function typeScopeCode(pattern) {
+    if (!isValidTypePattern(pattern)) {
+        throw new Error(`Invalid type pattern: ${pattern}`);
+    }
+    if (pattern === '*') return 0;
+    const [prefix, category] = pattern.split('.');
+    return category === '*' ? Categories[prefix].prefix * 256 : byName.get(pattern).code;
+}
+
+/**
+ * Pattern for a type scope code; inverse of typeScopeCode
+ *
+ * @param scope - Number, bigint or decimal string
+ * @returns 'AI.CA', 'AI.*', '*', or null if the code names nothing known
+ */
+function typeScopePattern(scope) {
+    let code;
+    try {
+        code = Number(BigInt(scope));
+    } catch (e) {
+        return null;
+    }
+    if (code === 0) return '*';
+    if (code % 256 === 0) {
+        const prefix = Object.keys(Categories).find(p => Categories[p].prefix === code / 256);
+        return prefix ? `${prefix}.*` : null;
+    }
+    return byCode.get(code)?.name ?? null;
+}
+
+/**
+ * Check that every pattern of a disclosed type set is covered by allowedTypes
+ * A set entry 'AI.*' is only covered by 'AI.*' or '*', since the prover may
+ * be any AI type.
+ *
+ * @param typeSet - Scope codes or patterns
+ * @param allowedTypes - Attester-style patterns (see matchesTypePattern)
+ */
+function isTypeSetAllowed(typeSet, allowedTypes) {
+    return typeSet.length > 0 && typeSet.every(entry => {
+        const pattern = typeof entry === 'string' && isValidTypePattern(entry) ? entry : typeScopePattern(entry);
+        if (pattern === null) return false;
+        if (allowedTypes.includes('*') || allowedTypes.includes(pattern)) return true;
+        return !pattern.endsWith('*') && matchesTypePattern(allowedTypes, pattern);
+    });
+}
+
+// ============================================================================
+// LEGACY VIEWS
+// ============================================================================
+
+// Kept in sync by registerEntityType
+
+/**
+ * 'AI.CA' -> 0x0101
+ */
+const EntityTypes = Object.fromEntries(BuiltinEntityTypes.map(t => [t.name, t.code]));
+
+/**
+ * 'AI.CA' -> 'Kah'
+ */
+const PhoneticNames = Object.fromEntries(BuiltinEntityTypes.map(t => [t.name, t.phonetic]));
+
+/**
+ * 'AI_CA' -> 0x0101
+ */
+const TypeCodes = Object.fromEntries(BuiltinEntityTypes.map(t => [t.name.replace('.', '_'), t.code]));
+
+// ============================================================================
+// RUNTIME REGISTRATION
+// ============================================================================
+
+const TYPE_NAME_PATTERN = /^[A-Z]{2}\.[A-Z]{2}$/;
+
+/**
+ * Validate a new type definition without registering it
+ *
+ * @param def - { name, code?, category?, phonetic, description }
+ *   Either `code` (16-bit) or `category` (low byte) may be given; if neither
+ *   is, the next free category under the prefix is assigned.
+ * @returns {EntityTypeInfo} The normalized (unregistered) entry
+ * @throws If the name, code or phonetic name is invalid or taken
+ */
+function defineEntityType(def) {
+    const { name, phonetic, description, status = TypeStatus.ACTIVE } = def;
+
+    if (!TYPE_NAME_PATTERN.test(name ?? '')) {
+        throw new Error(`Invalid type name: ${name} (expected e.g. AR.AM)`);
+    }
+    const prefix = name.split('.')[0];
+    if (!Categories[prefix]) {
+        throw new Error(`Unknown type prefix: ${prefix}`);
+    }
+    if (!phonetic || !description) {
+        throw new Error('Type requires a phonetic name and description');
+    }
+    if (!Object.values(TypeStatus).includes(status)) {
+        throw new Error(`Invalid type status: ${status}`);
+    }
+
+    const base = Categories[prefix].prefix * 256;
+    let code;
+    if (def.code !== undefined && def.code !== null) {
+        code = Number(def.code);
+    } else if (def.category !== undefined && def.category !== null) {
+        code = encodeEntityType(Categories[prefix].prefix, Number(def.category));
+    } else {
+        code = base + 1;
+        while (byCode.has(code)) code++;
+    }
+    if (!Number.isInteger(code) || code <= base || code > base + 0xFF) {
+        throw new Error(`Type code out of range for prefix ${prefix}: ${code}`);
+    }
+
+    const existing = byName.get(name);
+    if (existing?.builtin) {
+        throw new Error(`Built-in type cannot be redefined: ${name}`);
+    }
+    if (existing && existing.code !== code) {
+        throw new Error(`Type ${name} is already registered with code ${existing.hex}`);
+    }
+    const codeOwner = byCode.get(code);
+    if (codeOwner && codeOwner.name !== name) {
+        throw new Error(`Type code ${code} is already used by ${codeOwner.name}`);
+    }
+    const phoneticOwner = byPhonetic.get(phonetic.toLowerCase());
+    if (phoneticOwner && phoneticOwner.name !== name) {
+        throw new Error(`Phonetic name ${phonetic} is already used by ${phoneticOwner.name}`);
+    }
+
+    return makeType(name, code, phonetic, description, status, false);
+}
+
+/**
+ * Register (or update the status/description of) a non-built-in type
+ *
+ * @param def - See defineEntityType
+ * @returns {EntityTypeInfo} The registered entry
+ */
+function registerEntityType(def) {
+    const type = defineEntityType(def);
+    const previous = byName.get(type.name);
+
+    if (previous) {
+        byPhonetic.delete(previous.phonetic.toLowerCase());
+        EntityTypeList = Object.freeze(EntityTypeList.map(t => t.name === type.name ? type : t));
+    } else {
+        EntityTypeList = Object.freeze([...EntityTypeList, type]);
+    }
+
+    byName.set(type.name, type);
+    byCode.set(type.code, type);
+    byPhonetic.set(type.phonetic.toLowerCase(), type);
+
+    EntityTypes[type.name] = type.code;
+    PhoneticNames[type.name] = type.phonetic;
+    TypeCodes[type.name.replace('.', '_')] = type.code;
+
+    return type;
+}
+
+/**
+ * Taxonomy version last loaded from a registry server (0 = built-ins only)
+ */
+function getTypesVersion() {
+    return typesVersion;
+}
+
+/**
+ * Register every non-built-in type from a GET /api/v1/types response
+ *
+ * @param response - Parsed JSON body ({ version, types })
+ * @returns {number} Number of types registered or updated
+ */
+function loadEntityTypes(response) {
+    let count = 0;
+    for (const t of response.types ?? []) {
+        if (byName.get(t.code)?.builtin) continue;
+        registerEntityType({
+            name: t.code,
+            code: t.numeric,
+            phonetic: t.phonetic,
+            description: t.name,
+            status: t.status,
+        });
+        count++;
+    }
+    typesVersion = response.version ?? typesVersion;
+    return count;
+}
+
+/**
+ * Fetch the taxonomy from a registry server and register its custom types
+ *
+ * @param apiUrl - Base URL of the API server (e.g. http://localhost:3000)
+ * @param fetchImpl - fetch implementation (defaults to global fetch)
+ * @returns {Promise<number>} The taxonomy version now loaded
+ */
+async function syncEntityTypes(apiUrl, fetchImpl = fetch) {
+    const res = await fetchImpl(`${apiUrl.replace(/\/$/, '')}/api/v1/types`);
+    if (!res.ok) {
+        throw new Error(`Failed to fetch entity types: HTTP ${res.status}`);
+    }
+    loadEntityTypes(await res.json());
+    return typesVersion;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export {
+    Categories,
+    TypeStatus,
+    BuiltinEntityTypes,
+    EntityTypeList,
+    EntityTypes,
+    PhoneticNames,
+    TypeCodes,
+    encodeEntityType,
+    typeByCode,
+    typeByName,
+    typeByPhonetic,
+    matchesTypePattern,
+    isValidTypePattern,
+    typeScopeCode,
+    typeScopePattern,
+    isTypeSetAllowed,
+    defineEntityType,
+    registerEntityType,
+    loadEntityTypes,
+    syncEntityTypes,
+    getTypesVersion,
+};
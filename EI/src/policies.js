@@ -0,0 +1,364 @@
+/**
+ * Declarative Verification Policies
+ *
+ * Access policies kept in JSON or YAML config instead of code. A document
+ * names policies and maps actions to them:
+ *
+ *   version: 1
+ *   policies:
+ *     forum:
+ *       minLevel: TYPE_ONLY
+ *     established-ai:
+ *       allOf:
+ *         - { minLevel: TYPE_WITH_STANDING, allowedTypes: ["AI.*"] }
+ *         - anyOf:
+ *             - { minPublicAttestations: 3, maxAttestationAge: 365d }
+ *             - { requiredAttesters: ["1234..."] }
+ *   actions:
+ *     post_comment: forum
+ *     api_write_access: { policy: established-ai }
+ *
+ * compilePolicyDocument() turns every policy and action into a
+ * VerificationPolicy; verifier settings (keys, trusted roots, nullifier
+ * lookup) are passed in at compile time and shared by all of them.
+ */
+
+import { readFile } from 'fs/promises';
+import { extname } from 'path';
+import { load as loadYaml } from 'js-yaml';
+import { InteractionLevel, VerificationPolicy } from './dual-system.js';
+import { isValidTypePattern } from './entity-types.js';
+
+const POLICY_DOCUMENT_VERSION = 1;
+
+// Policy and action names: usable in URLs and config keys
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/;
+
+// Durations: seconds, or a number with a unit
+const DURATION_PATTERN = /^(\d+)\s*([smhdw])$/;
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+const RULE_KEYS = new Set([
+    'description',
+    'policy',
+    'minLevel',
+    'allowedTypes',
+    'minPublicAttestations',
+    'maxAttestationAge',
+    'requiredAttesters',
+    'anyOf',
+    'allOf',
+]);
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Parse a policy document from JSON or YAML text
+ * YAML is a superset of JSON, so 'yaml' reads both.
+ *
+ * @param text - Document source
+ * @param format - 'json' or 'yaml' (default)
+ */
+function parsePolicyDocument(text, format = 'yaml') {
+    if (format === 'json') {
+        return JSON.parse(text);
+    }
+    if (format !== 'yaml') {
+        throw new Error(`Unsupported policy format: ${format}`);
+    }
+    return loadYaml(text);
+}
+
+/**
+ * Seconds in a duration given as a number of seconds or e.g. '90d'
+ *
+ * @returns Seconds, or null if the value is not a duration
+ */
+function parseDuration(value) {
+    if (Number.isInteger(value) && value > 0) {
+        return value;
+    }
+    const match = typeof value === 'string' ? DURATION_PATTERN.exec(value.trim()) : null;
+    if (!match || Number(match[1]) === 0) {
+        return null;
+    }
+    return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
+/**
+ * InteractionLevel for a level name ('TYPE_ONLY') or number
+ *
+ * @returns The level, or null if unknown
+ */
+function parseLevel(value) {
+    if (typeof value === 'string' && value in InteractionLevel) {
+        return InteractionLevel[value];
+    }
+    return Object.values(InteractionLevel).includes(value) ? value : null;
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Check a policy document against the schema
+ *
+ * @param doc - Parsed document
+ * @returns Array of problems, each prefixed with its path; empty if valid
+ */
+function validatePolicyDocument(doc) {
+    const problems = [];
+    const problem = (path, message) => problems.push(`${path}: ${message}`);
+
+    if (!isObject(doc)) {
+        return ['$: policy document must be an object'];
+    }
+    for (const key of Object.keys(doc)) {
+        if (!['version', 'policies', 'actions'].includes(key)) {
+            problem(`$.${key}`, 'unknown field');
+        }
+    }
+    if (doc.version !== POLICY_DOCUMENT_VERSION) {
+        problem('$.version', `must be ${POLICY_DOCUMENT_VERSION}`);
+    }
+
+    if (!isObject(doc.policies)) {
+        problem('$.policies', 'must be an object of named policies');
+        return problems;
+    }
+    const names = new Set(Object.keys(doc.policies));
+
+    for (const [name, rule] of Object.entries(doc.policies)) {
+        if (!NAME_PATTERN.test(name)) {
+            problem(`$.policies.${name}`, 'name must be 1-64 letters, digits, ".", "_" or "-"');
+        }
+        validateRule(rule, `$.policies.${name}`, names, problem);
+    }
+
+    if (doc.actions !== undefined) {
+        if (!isObject(doc.actions)) {
+            problem('$.actions', 'must be an object mapping actions to policies');
+        } else {
+            for (const [action, rule] of Object.entries(doc.actions)) {
+                if (!NAME_PATTERN.test(action)) {
+                    problem(`$.actions.${action}`, 'name must be 1-64 letters, digits, ".", "_" or "-"');
+                }
+                // Shorthand: an action can name a policy directly
+                validateRule(typeof rule === 'string' ? { policy: rule } : rule, `$.actions.${action}`, names, problem);
+            }
+        }
+    }
+
+    for (const cycle of findCycles(doc.policies)) {
+        problem(`$.policies.${cycle[0]}`, `policy references itself: ${cycle.join(' -> ')}`);
+    }
+    return problems;
+}
+
+/**
+ * Validate one rule (and its nested combinators)
+ */
+function validateRule(rule, path, names, problem) {
+    if (!isObject(rule)) {
+        problem(path, 'rule must be an object');
+        return;
+    }
+    for (const key of Object.keys(rule)) {
+        if (!RULE_KEYS.has(key)) {
+            problem(`${path}.${key}`, 'unknown field');
+        }
+    }
+
+    if (rule.policy !== undefined) {
+        if (Object.keys(rule).some(k => k !== 'policy' && k !== 'description')) {
+            problem(path, 'a policy reference cannot have other requirements');
+        }
+        if (!names.has(rule.policy)) {
+            problem(`${path}.policy`, `unknown policy: ${rule.policy}`);
+        }
+        return;
+    }
+
+    if (rule.description !== undefined && typeof rule.description !== 'string') {
+        problem(`${path}.description`, 'must be a string');
+    }
+    if (rule.minLevel !== undefined && parseLevel(rule.minLevel) === null) {
+        problem(`${path}.minLevel`, `must be one of ${Object.keys(InteractionLevel).join(', ')} or 0-3`);
+    }
+    if (rule.allowedTypes !== undefined) {
+        if (!Array.isArray(rule.allowedTypes) || rule.allowedTypes.length === 0) {
+            problem(`${path}.allowedTypes`, 'must be a non-empty array');
+        } else {
+            rule.allowedTypes.forEach((pattern, i) => {
+                if (!isValidTypePattern(pattern)) {
+                    problem(`${path}.allowedTypes[${i}]`, `unknown type or category: ${pattern}`);
+                }
+            });
+        }
+    }
+    if (rule.minPublicAttestations !== undefined
+        && (!Number.isInteger(rule.minPublicAttestations) || rule.minPublicAttestations < 0)) {
+        problem(`${path}.minPublicAttestations`, 'must be a non-negative integer');
+    }
+    if (rule.maxAttestationAge !== undefined && parseDuration(rule.maxAttestationAge) === null) {
+        problem(`${path}.maxAttestationAge`, 'must be positive seconds or a duration like "90d"');
+    }
+    if (rule.requiredAttesters !== undefined
+        && (!Array.isArray(rule.requiredAttesters) || rule.requiredAttesters.length === 0
+            || !rule.requiredAttesters.every(a => typeof a === 'string' && a !== ''))) {
+        problem(`${path}.requiredAttesters`, 'must be a non-empty array of attester key hashes');
+    }
+
+    for (const combinator of ['anyOf', 'allOf']) {
+        if (rule[combinator] === undefined) continue;
+        if (!Array.isArray(rule[combinator]) || rule[combinator].length === 0) {
+            problem(`${path}.${combinator}`, 'must be a non-empty array of rules');
+            continue;
+        }
+        rule[combinator].forEach((child, i) => {
+            validateRule(typeof child === 'string' ? { policy: child } : child, `${path}.${combinator}[${i}]`, names, problem);
+        });
+    }
+}
+
+/**
+ * Names of the policies a rule references directly
+ */
+function ruleReferences(rule) {
+    if (typeof rule === 'string') return [rule];
+    if (!isObject(rule)) return [];
+    if (typeof rule.policy === 'string') return [rule.policy];
+    return ['anyOf', 'allOf'].flatMap(c => Array.isArray(rule[c]) ? rule[c].flatMap(ruleReferences) : []);
+}
+
+/**
+ * Named policies that reference themselves, directly or through others
+ */
+function findCycles(policies) {
+    const cycles = [];
+    const done = new Set();
+    const visit = (name, stack) => {
+        if (stack.includes(name)) {
+            cycles.push([...stack.slice(stack.indexOf(name)), name]);
+            return;
+        }
+        if (done.has(name) || !(name in policies)) return;
+        for (const next of ruleReferences(policies[name])) {
+            visit(next, [...stack, name]);
+        }
+        done.add(name);
+    };
+    for (const name of Object.keys(policies)) {
+        visit(name, []);
+    }
+    return cycles;
+}
+
+/**
+ * The part of a document some policies and actions need: those entries and
+ * every policy they reference, directly or through others. Compiling the
+ * subset keeps a broken policy elsewhere in the document from failing them.
+ *
+ * @param doc - Parsed document
+ * @param names - { policies: [name], actions: [action] }
+ * @returns A document with only the entries needed
+ */
+function policySubset(doc, { policies = [], actions = [] } = {}) {
+    const allPolicies = isObject(doc.policies) ? doc.policies : {};
+    const allActions = isObject(doc.actions) ? doc.actions : {};
+
+    const needed = new Set();
+    const visit = (name) => {
+        if (needed.has(name) || !(name in allPolicies)) return;
+        needed.add(name);
+        ruleReferences(allPolicies[name]).forEach(visit);
+    };
+    const selectedActions = Object.fromEntries(
+        actions.filter(action => action in allActions).map(action => [action, allActions[action]])
+    );
+    policies.forEach(visit);
+    Object.values(selectedActions).flatMap(ruleReferences).forEach(visit);
+
+    return {
+        ...doc,
+        policies: Object.fromEntries(Object.entries(allPolicies).filter(([name]) => needed.has(name))),
+        actions: selectedActions,
+    };
+}
+
+// ============================================================================
+// COMPILATION
+// ============================================================================
+
+/**
+ * Compile a policy document into VerificationPolicy instances
+ *
+ * @param doc - Parsed document (see parsePolicyDocument)
+ * @param verifier - VerificationPolicy settings shared by every policy:
+ *   { verificationKeys, trustedZkRoots, trustedPublicRoots, context,
+ *   isNullifierUsed, isPublicAttestationRevoked, maxClockSkew }
+ * @returns { policies: { name: VerificationPolicy }, actions: { action: VerificationPolicy } }
+ * @throws If the document does not validate
+ */
+function compilePolicyDocument(doc, verifier = {}) {
+    const problems = validatePolicyDocument(doc);
+    if (problems.length > 0) {
+        throw new Error(`Invalid policy document: ${problems.join('; ')}`);
+    }
+
+    const compiled = {};
+    const compile = (rule) => {
+        if (typeof rule === 'string' || rule.policy !== undefined) {
+            const name = typeof rule === 'string' ? rule : rule.policy;
+            compiled[name] ??= compile(doc.policies[name]);
+            return compiled[name];
+        }
+        const age = rule.maxAttestationAge !== undefined ? parseDuration(rule.maxAttestationAge) : null;
+        return new VerificationPolicy({
+            ...verifier,
+            minLevel: rule.minLevel !== undefined ? parseLevel(rule.minLevel) : InteractionLevel.ANONYMOUS,
+            allowedTypes: rule.allowedTypes ?? null,
+            minPublicAttestations: rule.minPublicAttestations ?? 0,
+            maxAttestationAge: age !== null ? age * 1000 : Infinity,
+            requiredAttesters: rule.requiredAttesters ?? null,
+            allOf: (rule.allOf ?? []).map(compile),
+            anyOf: (rule.anyOf ?? []).map(compile),
+        });
+    };
+
+    const policies = Object.fromEntries(Object.keys(doc.policies).map(name => [name, compile(name)]));
+    const actions = Object.fromEntries(Object.entries(doc.actions ?? {}).map(([action, rule]) => [action, compile(rule)]));
+    return { policies, actions };
+}
+
+/**
+ * Read and compile a policy file; .json files are parsed as JSON, anything
+ * else as YAML
+ *
+ * @param path - Policy document path
+ * @param verifier - Shared VerificationPolicy settings, see compilePolicyDocument()
+ */
+async function loadPolicyFile(path, verifier = {}) {
+    const text = await readFile(path, 'utf-8');
+    const doc = parsePolicyDocument(text, extname(path).toLowerCase() === '.json' ? 'json' : 'yaml');
+    return compilePolicyDocument(doc, verifier);
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export {
+    POLICY_DOCUMENT_VERSION,
+    parsePolicyDocument,
+    parseDuration,
+    validatePolicyDocument,
+    policySubset,
+    compilePolicyDocument,
+    loadPolicyFile,
+};
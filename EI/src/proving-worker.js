@@ -0,0 +1,37 @@
+/**
+ * Entity Identity ZK - Proving Worker
+ *
+ * Runs Groth16 proving off the main thread. Loaded by src/browser.js as a
+ * module Web Worker; the message handler is exported so it can also be
+ * driven directly (e.g. from tests).
+ *
+ * Request:  { id, inputs, wasm, zkey }   (wasm/zkey as Uint8Array or URL)
+ * Response: { id, proof, publicSignals } or { id, error }
+ */
+
+import * as snarkjs from 'snarkjs';
+
+/**
+ * Handle a single prove request
+ *
+ * @param data - Request message
+ * @param fullProve - Prover implementation (defaults to snarkjs)
+ */
+async function handleProveRequest(data, fullProve = snarkjs.groth16.fullProve) {
+    const { id, inputs, wasm, zkey } = data;
+    try {
+        const { proof, publicSignals } = await fullProve(inputs, wasm, zkey);
+        return { id, proof, publicSignals };
+    } catch (e) {
+        return { id, error: e.message || String(e) };
+    }
+}
+
+// Only wire up the message loop when actually running inside a worker
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    self.onmessage = async (event) => {
+        self.postMessage(await handleProveRequest(event.data));
+    };
+}
+
+export { handleProveRequest };
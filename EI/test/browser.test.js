@@ -0,0 +1,276 @@
+/**
+ * Entity Identity ZK - Browser SDK Tests
+ *
+ * Runs the browser proving path in Node with a fake fetch, a fake IndexedDB
+ * and an in-process worker. The prover computes the real witness from the
+ * compiled circuit; only the Groth16 step (which needs the zkey) is stubbed.
+ */
+
+import { readFileSync } from 'fs';
+import * as snarkjs from 'snarkjs';
+
+const API_URL = 'https://api.example.com';
+const ASSETS_URL = `${API_URL}/assets`;
+const wasmPath = new URL('../build/entity_type_proof_js/entity_type_proof.wasm', import.meta.url).pathname;
+
+// Minimal IndexedDB: a single database with in-memory object stores
+function createFakeIndexedDB() {
+    const stores = new Map();
+    const request = (fn) => {
+        const req = {};
+        queueMicrotask(() => {
+            req.result = fn();
+            req.onsuccess?.();
+        });
+        return req;
+    };
+    const db = {
+        createObjectStore: (name) => stores.set(name, new Map()),
+        transaction: (name) => ({
+            objectStore: () => ({
+                get: (key) => request(() => stores.get(name).get(key)),
+                put: (value, key) => request(() => stores.get(name).set(key, value)),
+            }),
+        }),
+    };
+    return {
+        stores,
+        open: () => {
+            const req = { result: db };
+            queueMicrotask(() => {
+                if (stores.size === 0) req.onupgradeneeded?.();
+                req.onsuccess?.();
+            });
+            return req;
+        },
+    };
+}
+
+// Serves the proving asset descriptor and asset bytes, counting requests
+function createFakeFetch() {
+    const wasm = readFileSync(wasmPath);
+    const zkey = new Uint8Array([0x7a, 0x6b, 0x65, 0x79]);
+    const requests = [];
+    const fetch = async (url) => {
+        requests.push(url);
+        const body = {
+            [`${API_URL}/api/v1/proving/assets`]: {
+                circuit: 'entity_type_proof',
+                assets: {
+                    wasm: `${ASSETS_URL}/entity_type_proof.wasm`,
+                    zkey: `${ASSETS_URL}/entity_type_final.zkey`,
+                    verificationKey: `${ASSETS_URL}/verification_key.json`,
+                },
+                merkleDepth: 20,
+                circuitHash: 'test-circuit',
+            },
+            [`${ASSETS_URL}/entity_type_proof.wasm`]: wasm,
+            [`${ASSETS_URL}/entity_type_final.zkey`]: zkey,
+        }[url];
+        if (!body) return { ok: false, status: 404 };
+        return {
+            ok: true,
+            json: async () => body,
+            arrayBuffer: async () => body.buffer.slice(body.byteOffset, body.byteOffset + body.byteLength),
+        };
+    };
+    return { fetch, requests };
+}
+
+// Witness-only prover: public signals are witness[1..5] (outputs, then public inputs)
+async function witnessProve(inputs, wasm, zkey) {
+    expect(zkey).toBeInstanceOf(Uint8Array);
+    const wtns = { type: 'mem' };
+    await snarkjs.wtns.calculate(inputs, wasm, wtns);
+    const witness = await snarkjs.wtns.exportJson(wtns);
+    return {
+        proof: { protocol: 'groth16', curve: 'bn128' },
+        publicSignals: witness.slice(1, 6).map(String),
+    };
+}
+
+// Worker stand-in that runs the worker's message handler in-process
+async function createInProcessWorker(prove) {
+    const { handleProveRequest } = await import('../src/proving-worker.js');
+    const workers = [];
+    const createWorker = () => {
+        const worker = {
+            onmessage: null,
+            terminated: false,
+            postMessage: (data) => {
+                handleProveRequest(data, prove).then(result => worker.onmessage({ data: result }));
+            },
+            terminate: () => { worker.terminated = true; },
+        };
+        workers.push(worker);
+        return worker;
+    };
+    return { createWorker, workers };
+}
+
+describe('Browser SDK', () => {
+    let sdk;
+    let crypto;
+
+    beforeAll(async () => {
+        sdk = await import('../src/browser.js');
+        crypto = await sdk.initCrypto();
+    });
+
+    // snarkjs keeps bn128 worker threads alive until the curve is terminated
+    afterAll(async () => {
+        await globalThis.curve_bn128?.terminate();
+    });
+
+    function buildInputs(contextId) {
+        const tree = new sdk.MerkleTree(20, crypto.hash);
+        const attester = new sdk.Attester(crypto);
+        const index = tree.addLeaf(attester.getLeaf());
+        const entity = new sdk.Entity(crypto);
+        const type = sdk.EntityTypes['AI.CA'];
+        const attestation = attester.attest(entity.getCommitment(), type);
+        return {
+            entity,
+            root: tree.getRoot(),
+            inputs: entity.generateProofInputs(type, attestation, tree.getProof(index), tree.getRoot(), contextId),
+        };
+    }
+
+    test('Entity works with only the global Web Crypto', () => {
+        const a = new sdk.Entity(crypto);
+        const b = new sdk.Entity(crypto);
+        expect(a.secret).not.toBe(b.secret);
+        expect(a.salt).not.toBe(a.secret);
+    });
+
+    test('proves in the worker with assets from the API', async () => {
+        const { fetch, requests } = createFakeFetch();
+        const { createWorker, workers } = await createInProcessWorker(witnessProve);
+        const prover = new sdk.BrowserProver(`${API_URL}/`, {
+            fetch,
+            indexedDB: createFakeIndexedDB(),
+            createWorker,
+        });
+
+        const { entity, root, inputs } = buildInputs(42n);
+        const result = await prover.generateProof(inputs);
+
+        expect(result.parsed.entityCommitment).toBe(entity.getCommitment().toString());
+        expect(result.parsed.claimedType).toBe(String(sdk.EntityTypes['AI.CA']));
+        expect(result.parsed.attestersRoot).toBe(root.toString());
+        expect(result.parsed.contextId).toBe('42');
+        expect(requests).toEqual([
+            `${API_URL}/api/v1/proving/assets`,
+            `${ASSETS_URL}/entity_type_proof.wasm`,
+            `${ASSETS_URL}/entity_type_final.zkey`,
+        ]);
+
+        prover.terminate();
+        expect(workers[0].terminated).toBe(true);
+    });
+
+    test('assets are cached in IndexedDB across provers', async () => {
+        const indexedDB = createFakeIndexedDB();
+        const { createWorker } = await createInProcessWorker(witnessProve);
+
+        const first = createFakeFetch();
+        await new sdk.BrowserProver(API_URL, { fetch: first.fetch, indexedDB, createWorker }).loadAssets();
+        expect(indexedDB.stores.get('proving-assets').size).toBe(2);
+
+        // A fresh page load only asks for the descriptor
+        const second = createFakeFetch();
+        const prover = new sdk.BrowserProver(API_URL, { fetch: second.fetch, indexedDB, createWorker });
+        const { inputs } = buildInputs(7n);
+        const result = await prover.generateProof(inputs);
+
+        expect(second.requests).toEqual([`${API_URL}/api/v1/proving/assets`]);
+        expect(result.parsed.contextId).toBe('7');
+        prover.terminate();
+    });
+
+    test('proves an /attest response without sending the secret', async () => {
+        const { fetch, requests } = createFakeFetch();
+        const { createWorker } = await createInProcessWorker(witnessProve);
+        const prover = new sdk.BrowserProver(API_URL, { fetch, indexedDB: createFakeIndexedDB(), createWorker });
+
+        const { entity, root, inputs } = buildInputs(5n);
+        const response = {
+            attestation: {
+                entityCommitment: entity.getCommitment().toString(),
+                entityType: 'AI.CA',
+                typeCode: Number(inputs.claimedType),
+                attesterPubKeyX: inputs.attesterPubKeyX,
+                attesterPubKeyY: inputs.attesterPubKeyY,
+                signatureR8X: inputs.signatureR8X,
+                signatureR8Y: inputs.signatureR8Y,
+                signatureS: inputs.signatureS,
+            },
+            merkleProof: { pathElements: inputs.attesterPathElements, pathIndices: inputs.attesterPathIndices },
+            registryRoot: root.toString(),
+        };
+
+        const result = await prover.proveWithAttestation(entity, response, 5n);
+        expect(result.parsed.entityCommitment).toBe(entity.getCommitment().toString());
+        expect(requests.every(url => !url.includes(entity.secret.toString()))).toBe(true);
+        prover.terminate();
+    });
+
+    test('expiring attestations load the version 2 circuit', async () => {
+        const { fetch, requests } = createFakeFetch();
+        const { createWorker } = await createInProcessWorker(witnessProve);
+        const prover = new sdk.BrowserProver(API_URL, { fetch, indexedDB: createFakeIndexedDB(), createWorker });
+
+        const attester = new sdk.Attester(crypto);
+        const tree = new sdk.MerkleTree(20, crypto.hash);
+        const proof = tree.getProof(tree.addLeaf(attester.getLeaf()));
+        const entity = new sdk.Entity(crypto);
+        const now = Math.floor(Date.now() / 1000);
+        const attestation = attester.attest(entity.getCommitment(), 257, { issuedAt: now - 60, expiresAt: now + 3600 });
+        const inputs = entity.generateProofInputs(257, attestation, proof, tree.getRoot(), 1n);
+
+        // The fake API only serves version 1 assets
+        await expect(prover.generateProof(inputs)).rejects.toThrow('HTTP 404');
+        expect(requests).toEqual([`${API_URL}/api/v1/proving/assets?version=2`]);
+        prover.terminate();
+    });
+
+    test('prover errors are surfaced from the worker', async () => {
+        const { fetch } = createFakeFetch();
+        const { createWorker } = await createInProcessWorker(async () => {
+            throw new Error('Assert Failed');
+        });
+        const prover = new sdk.BrowserProver(API_URL, { fetch, indexedDB: createFakeIndexedDB(), createWorker });
+
+        const { inputs } = buildInputs(1n);
+        await expect(prover.generateProof(inputs)).rejects.toThrow('Assert Failed');
+        prover.terminate();
+    });
+
+    test('generateProof and proveWithAttestation take the same arguments as in Node', async () => {
+        const { handleProveRequest } = await import('../src/proving-worker.js');
+        const zkey = new Uint8Array([0x7a, 0x6b, 0x65, 0x79]);
+        const posted = [];
+        // The shared worker is a module Web Worker; stand in for the global
+        globalThis.Worker = class {
+            constructor(url, options) {
+                expect(url.pathname).toMatch(/proving-worker\.js$/);
+                expect(options).toEqual({ type: 'module' });
+            }
+            postMessage(data) {
+                posted.push(data);
+                handleProveRequest(data, witnessProve).then(result => this.onmessage({ data: result }));
+            }
+            terminate() {}
+        };
+        try {
+            const { entity, inputs } = buildInputs(9n);
+            const result = await sdk.generateProof(inputs, wasmPath, zkey);
+            expect(result.parsed.entityCommitment).toBe(entity.getCommitment().toString());
+            expect(posted[0]).toMatchObject({ wasm: wasmPath, zkey });
+
+            await expect(sdk.generateProof(inputs)).rejects.toThrow('wasmPath and zkeyPath are required');
+        } finally {
+            delete globalThis.Worker;
+        }
+    });
+});
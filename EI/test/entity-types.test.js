@@ -0,0 +1,194 @@
+/**
+ * Entity Type Registry - consistency tests
+ *
+ * The registry in src/entity-types.js is the source of truth. These tests
+ * fail if the Solidity or Circom constants drift from it.
+ */
+
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+describe('Entity Type Registry', () => {
+    test('names, codes and phonetic names are unique', async () => {
+        const { EntityTypeList } = await import('../src/entity-types.js');
+
+        for (const field of ['name', 'code', 'phonetic']) {
+            const values = EntityTypeList.map(t => t[field]);
+            expect(new Set(values).size).toBe(values.length);
+        }
+    });
+
+    test('codes follow the prefix * 256 + category encoding', async () => {
+        const { EntityTypeList, Categories } = await import('../src/entity-types.js');
+
+        for (const type of EntityTypeList) {
+            expect(type.name.split('.')[0]).toBe(type.category);
+            expect(type.code >> 8).toBe(Categories[type.category].prefix);
+            expect(type.hex).toBe('0x' + type.code.toString(16).padStart(4, '0'));
+        }
+    });
+
+    test('lookup helpers find the same entry', async () => {
+        const { typeByCode, typeByName, typeByPhonetic } = await import('../src/entity-types.js');
+
+        const type = typeByName('AI.CA');
+        expect(type.code).toBe(0x0101);
+        expect(typeByCode(257)).toBe(type);
+        expect(typeByCode('257')).toBe(type);
+        expect(typeByCode('0x0101')).toBe(type);
+        expect(typeByPhonetic('kah')).toBe(type);
+
+        expect(typeByName('XX.YY')).toBeNull();
+        expect(typeByCode('not-a-number')).toBeNull();
+        expect(typeByPhonetic('Nope')).toBeNull();
+    });
+
+    test('legacy views are derived from the registry', async () => {
+        const { EntityTypeList, EntityTypes, PhoneticNames, TypeCodes } = await import('../src/entity-types.js');
+        const sdk = await import('../src/entity-identity.js');
+
+        expect(sdk.EntityTypes).toBe(EntityTypes);
+        expect(sdk.PhoneticNames).toBe(PhoneticNames);
+        for (const type of EntityTypeList) {
+            expect(EntityTypes[type.name]).toBe(type.code);
+            expect(PhoneticNames[type.name]).toBe(type.phonetic);
+            expect(TypeCodes[type.name.replace('.', '_')]).toBe(type.code);
+        }
+    });
+
+    test('Circom type constants match the registry', async () => {
+        const { BuiltinEntityTypes, typeByName } = await import('../src/entity-types.js');
+
+        const source = readFileSync(path.join(ROOT, 'circuits', 'entity_type_proof.circom'), 'utf-8');
+        const pattern = /function ([A-Z]{2})_([A-Z]{2})\(\) \{ return encodeEntityType\((0x[0-9A-Fa-f]+), (0x[0-9A-Fa-f]+)\); \}/g;
+        const constants = [...source.matchAll(pattern)];
+
+        expect(constants.length).toBe(BuiltinEntityTypes.length);
+        for (const [, prefix, category, prefixByte, categoryByte] of constants) {
+            const type = typeByName(`${prefix}.${category}`);
+            expect(type).not.toBeNull();
+            expect(Number(prefixByte) * 256 + Number(categoryByte)).toBe(type.code);
+        }
+    });
+
+    test('Solidity prefix constants match the registry', async () => {
+        const { Categories } = await import('../src/entity-types.js');
+
+        const source = readFileSync(path.join(ROOT, 'contracts', 'EntityTypeRegistry.sol'), 'utf-8');
+        const constants = Object.fromEntries(
+            [...source.matchAll(/uint16 public constant PREFIX_([A-Z]{2}) = (0x[0-9A-Fa-f]+);/g)]
+                .map(([, name, value]) => [name, Number(value)])
+        );
+
+        expect(Object.keys(constants).sort()).toEqual(Object.keys(Categories).sort());
+        for (const [name, category] of Object.entries(Categories)) {
+            expect(constants[name]).toBe(category.prefix << 8);
+        }
+
+        // _isValidType accepts exactly the registered prefix range
+        const prefixes = Object.values(Categories).map(c => c.prefix);
+        const range = source.match(/return prefix >= (\d+) && prefix <= (\d+);/);
+        expect(Number(range[1])).toBe(Math.min(...prefixes));
+        expect(Number(range[2])).toBe(Math.max(...prefixes));
+    });
+
+    test('wildcard patterns match whole categories', async () => {
+        const { matchesTypePattern, isValidTypePattern } = await import('../src/entity-types.js');
+
+        expect(matchesTypePattern(['AI.*'], 'AI.DB')).toBe(true);
+        expect(matchesTypePattern(['AI.*'], 'AR.RB')).toBe(false);
+        expect(matchesTypePattern(['AR.RB', 'HU.US'], 'HU.US')).toBe(true);
+        expect(matchesTypePattern(['*'], 'HY.CP')).toBe(true);
+
+        expect(isValidTypePattern('AI.*')).toBe(true);
+        expect(isValidTypePattern('ZZ.*')).toBe(false);
+        expect(isValidTypePattern('AI.ZZ')).toBe(false);
+    });
+
+    test('type scopes put wildcards on category byte 0', async () => {
+        const { typeScopeCode } = await import('../src/entity-types.js');
+
+        expect(typeScopeCode('AI.CA')).toBe(0x0101);
+        expect(typeScopeCode('AI.*')).toBe(0x0100);
+        expect(typeScopeCode('HU.*')).toBe(0x0300);
+        expect(typeScopeCode('*')).toBe(0);
+        expect(() => typeScopeCode('ZZ.*')).toThrow(/Invalid type pattern/);
+    });
+
+    test('type sets are allowed only when every entry is', async () => {
+        const { typeScopePattern, isTypeSetAllowed } = await import('../src/entity-types.js');
+
+        expect(typeScopePattern('257')).toBe('AI.CA');
+        expect(typeScopePattern(0x0100n)).toBe('AI.*');
+        expect(typeScopePattern(0)).toBe('*');
+        expect(typeScopePattern(0xFF00)).toBeNull();
+
+        expect(isTypeSetAllowed(['AI.*'], ['AI.*'])).toBe(true);
+        expect(isTypeSetAllowed(['256', '256'], ['*'])).toBe(true);
+        expect(isTypeSetAllowed(['AI.CA', 'AI.LM'], ['AI.*'])).toBe(true);
+        // 'AI.*' could be any AI type, so listing some of them is not enough
+        expect(isTypeSetAllowed(['AI.*'], ['AI.CA', 'AI.LM'])).toBe(false);
+        expect(isTypeSetAllowed(['*'], ['AI.*'])).toBe(false);
+        expect(isTypeSetAllowed(['AI.CA', 'HU.US'], ['AI.*'])).toBe(false);
+        expect(isTypeSetAllowed([], ['*'])).toBe(false);
+    });
+});
+
+describe('Runtime type registration', () => {
+    test('registers a new category under an existing prefix', async () => {
+        const types = await import('../src/entity-types.js');
+
+        const amr = types.registerEntityType({ name: 'AR.AM', phonetic: 'Amr', description: 'Warehouse AMR' });
+
+        // Next free category after AR.VH (0x0203)
+        expect(amr.code).toBe(0x0204);
+        expect(amr.builtin).toBe(false);
+        expect(types.typeByName('AR.AM')).toBe(amr);
+        expect(types.typeByCode(0x0204)).toBe(amr);
+        expect(types.EntityTypes['AR.AM']).toBe(0x0204);
+        expect(types.TypeCodes.AR_AM).toBe(0x0204);
+        expect(types.EntityTypeList).toContain(amr);
+        expect(types.matchesTypePattern(['AR.*'], 'AR.AM')).toBe(true);
+    });
+
+    test('rejects conflicting or malformed definitions', async () => {
+        const { registerEntityType } = await import('../src/entity-types.js');
+
+        expect(() => registerEntityType({ name: 'AI.CA', phonetic: 'New', description: 'x' })).toThrow(/Built-in/);
+        expect(() => registerEntityType({ name: 'AI.IO', code: 0x0101, phonetic: 'Eye', description: 'x' })).toThrow(/already used/);
+        expect(() => registerEntityType({ name: 'AI.IO', phonetic: 'Kah', description: 'x' })).toThrow(/Phonetic/);
+        expect(() => registerEntityType({ name: 'ZZ.IO', phonetic: 'Eye', description: 'x' })).toThrow(/prefix/);
+        expect(() => registerEntityType({ name: 'AI.IO', code: 0x0201, phonetic: 'Eye', description: 'x' })).toThrow(/range/);
+        expect(() => registerEntityType({ name: 'ai-io', phonetic: 'Eye', description: 'x' })).toThrow(/Invalid type name/);
+    });
+
+    test('syncs custom types and version from the API', async () => {
+        const types = await import('../src/entity-types.js');
+
+        const body = {
+            version: 3,
+            types: [
+                { code: 'AI.CA', numeric: 0x0101, name: 'Conversational Agent', phonetic: 'Kah', status: 'active' },
+                { code: 'AI.VA', numeric: 0x010B, name: 'Voice Assistant', phonetic: 'Vah', status: 'active' },
+                { code: 'AR.IO', numeric: 0x0205, name: 'IoT Sensor', phonetic: 'Yo', status: 'deprecated' },
+            ],
+        };
+        const requested = [];
+        const fakeFetch = async (url) => {
+            requested.push(url);
+            return { ok: true, json: async () => body };
+        };
+
+        const version = await types.syncEntityTypes('http://registry.test/', fakeFetch);
+
+        expect(requested).toEqual(['http://registry.test/api/v1/types']);
+        expect(version).toBe(3);
+        expect(types.getTypesVersion()).toBe(3);
+        expect(types.typeByName('AI.VA').code).toBe(0x010B);
+        expect(types.typeByPhonetic('yo').status).toBe('deprecated');
+        expect(types.typeByName('AI.CA').builtin).toBe(true);
+    });
+});
@@ -0,0 +1,188 @@
+/**
+ * Entity Identity API - Keystore Tests
+ */
+
+import { mkdtempSync, readFileSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { randomBytes } from 'crypto';
+import { buildEddsa, buildPoseidon } from 'circomlibjs';
+import {
+    EDDSA_POSEIDON_MECHANISM,
+    LocalKeyStore,
+    Pkcs11KeyStore,
+    createKeyStore,
+    loadMasterKeys,
+    parseMasterKey,
+} from '../api/keystore.js';
+
+let eddsa;
+let poseidon;
+
+beforeAll(async () => {
+    eddsa = await buildEddsa();
+    poseidon = await buildPoseidon();
+});
+
+function tempPath() {
+    return join(mkdtempSync(join(tmpdir(), 'eid-keystore-')), 'keys.json');
+}
+
+// Check a Signer result the way the circuit does
+function verifies(publicKey, message, sig) {
+    return eddsa.verifyPoseidon(
+        eddsa.F.e(message),
+        { R8: [eddsa.F.e(sig.R8x), eddsa.F.e(sig.R8y)], S: sig.S },
+        [eddsa.F.e(publicKey.x), eddsa.F.e(publicKey.y)]
+    );
+}
+
+const message = () => poseidon.F.toObject(poseidon([BigInt(Date.now()), 257n]));
+
+describe('Master keys', () => {
+    test('accepts hex, base64 and key files', () => {
+        const key = randomBytes(32);
+        expect(parseMasterKey(key.toString('hex'))).toEqual(key);
+        expect(parseMasterKey('0x' + key.toString('hex'))).toEqual(key);
+        expect(parseMasterKey(key.toString('base64'))).toEqual(key);
+
+        const file = tempPath();
+        writeFileSync(file, key.toString('hex') + '\n');
+        const previous = randomBytes(32);
+        const keys = loadMasterKeys({ masterKeyFile: file, previousMasterKeys: previous.toString('hex') });
+        expect(keys.current).toEqual(key);
+        expect(keys.previous).toEqual([previous]);
+    });
+
+    test('rejects short keys and a missing key outside development', () => {
+        expect(() => parseMasterKey('abcd')).toThrow('32 bytes');
+        expect(() => loadMasterKeys({})).toThrow('ATTESTER_MASTER_KEY');
+    });
+});
+
+describe('LocalKeyStore', () => {
+    test('signs with keys that are only stored encrypted', async () => {
+        const path = tempPath();
+        const store = new LocalKeyStore({ path, masterKey: randomBytes(32), eddsa });
+
+        const privateKey = randomBytes(32);
+        const { keyRef, publicKey } = await store.importKey(privateKey);
+        expect(keyRef).toMatch(/^local:/);
+        expect(readFileSync(path, 'utf-8')).not.toContain(privateKey.toString('hex'));
+        expect(readFileSync(path, 'utf-8')).not.toContain(privateKey.toString('base64'));
+
+        const signer = await store.getSigner(keyRef);
+        expect(signer.publicKey).toEqual(publicKey);
+        const msg = message();
+        expect(verifies(publicKey, msg, await signer.sign(msg))).toBe(true);
+    });
+
+    test('keys survive a restart only with the right master key', async () => {
+        const path = tempPath();
+        const masterKey = randomBytes(32);
+        const { keyRef, publicKey } = await new LocalKeyStore({ path, masterKey, eddsa }).createKey();
+
+        const reopened = new LocalKeyStore({ path, masterKey, eddsa });
+        const msg = message();
+        expect(verifies(publicKey, msg, await (await reopened.getSigner(keyRef)).sign(msg))).toBe(true);
+
+        const wrongKey = new LocalKeyStore({ path, masterKey: randomBytes(32), eddsa });
+        await expect((await wrongKey.getSigner(keyRef)).sign(msg)).rejects.toThrow('unavailable master key');
+    });
+
+    test('master key rotation rewraps every data key', async () => {
+        const path = tempPath();
+        const oldKey = randomBytes(32);
+        const newKey = randomBytes(32);
+        const store = new LocalKeyStore({ path, masterKey: oldKey, eddsa });
+        const keys = [await store.createKey(), await store.createKey()];
+
+        const result = await store.rotateMasterKey(newKey);
+        expect(result.rotated).toBe(2);
+
+        // Old key no longer needed; new key alone opens everything
+        const reopened = new LocalKeyStore({ path, masterKey: newKey, eddsa });
+        for (const { keyRef, publicKey } of keys) {
+            const msg = message();
+            expect(verifies(publicKey, msg, await (await reopened.getSigner(keyRef)).sign(msg))).toBe(true);
+        }
+        const stale = new LocalKeyStore({ path, masterKey: oldKey, eddsa });
+        await expect((await stale.getSigner(keys[0].keyRef)).sign(message())).rejects.toThrow();
+    });
+
+    test('a previous master key is accepted until rotated onto the current one', async () => {
+        const path = tempPath();
+        const oldKey = randomBytes(32);
+        const newKey = randomBytes(32);
+        const { keyRef } = await new LocalKeyStore({ path, masterKey: oldKey, eddsa }).createKey();
+
+        const store = new LocalKeyStore({ path, masterKey: newKey, previousMasterKeys: [oldKey], eddsa });
+        await (await store.getSigner(keyRef)).sign(message());
+        expect(await store.rotateMasterKey()).toMatchObject({ rotated: 1 });
+
+        const newOnly = new LocalKeyStore({ path, masterKey: newKey, eddsa });
+        await (await newOnly.getSigner(keyRef)).sign(message());
+    });
+
+    test('deleted keys cannot sign', async () => {
+        const store = new LocalKeyStore({ path: tempPath(), masterKey: randomBytes(32), eddsa });
+        const { keyRef } = await store.createKey();
+        await store.deleteKey(keyRef);
+        await expect(store.getSigner(keyRef)).rejects.toThrow('Unknown key');
+    });
+});
+
+describe('Pkcs11KeyStore', () => {
+    // Mock HSM session backed by circomlibjs
+    function mockSession() {
+        const objects = new Map();
+        const calls = [];
+        const store = (privateKey) => {
+            const handle = String(objects.size + 1);
+            objects.set(handle, privateKey);
+            const pub = eddsa.prv2pub(privateKey);
+            return { handle, publicKey: { x: eddsa.F.toObject(pub[0]).toString(), y: eddsa.F.toObject(pub[1]).toString() } };
+        };
+        return {
+            calls,
+            objects,
+            generateKeyPair: async (args) => { calls.push(['generateKeyPair', args]); return store(randomBytes(32)); },
+            importKey: async (args) => { calls.push(['importKey', args.mechanism]); return store(args.privateKey); },
+            getPublicKey: async (handle) => {
+                const pub = eddsa.prv2pub(objects.get(handle));
+                return { x: eddsa.F.toObject(pub[0]).toString(), y: eddsa.F.toObject(pub[1]).toString() };
+            },
+            sign: async ({ mechanism, handle, data }) => {
+                calls.push(['sign', mechanism, handle]);
+                const sig = eddsa.signPoseidon(objects.get(handle), eddsa.F.e(BigInt(data)));
+                return { R8x: eddsa.F.toObject(sig.R8[0]).toString(), R8y: eddsa.F.toObject(sig.R8[1]).toString(), S: sig.S.toString() };
+            },
+            destroyObject: async (handle) => { objects.delete(handle); },
+        };
+    }
+
+    test('delegates key generation and signing to the session', async () => {
+        const session = mockSession();
+        const store = await createKeyStore({ backend: 'pkcs11' }, { session });
+        expect(store).toBeInstanceOf(Pkcs11KeyStore);
+
+        const { keyRef, publicKey } = await store.createKey();
+        expect(keyRef).toBe('pkcs11:1');
+        expect(session.calls[0][1].mechanism).toBe(EDDSA_POSEIDON_MECHANISM);
+
+        const msg = message();
+        const signer = await store.getSigner(keyRef);
+        expect(signer.publicKey).toEqual(publicKey);
+        expect(verifies(publicKey, msg, await signer.sign(msg))).toBe(true);
+        expect(session.calls.at(-1)).toEqual(['sign', EDDSA_POSEIDON_MECHANISM, '1']);
+
+        await store.deleteKey(keyRef);
+        expect(session.objects.size).toBe(0);
+    });
+
+    test('rejects foreign key references and rotation', async () => {
+        const store = new Pkcs11KeyStore({ session: mockSession() });
+        await expect(store.getSigner('local:abc')).rejects.toThrow('Unknown key');
+        await expect(store.rotateMasterKey()).rejects.toThrow('managed by the HSM');
+    });
+});
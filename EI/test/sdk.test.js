@@ -9,7 +9,9 @@ const mockCrypto = {
             arr[i] = Math.floor(Math.random() * 256);
         }
         return arr;
-    }
+    },
+    // Encrypted entity files use AES-GCM from Web Crypto
+    subtle: globalThis.crypto.subtle,
 };
 
 global.crypto = mockCrypto;
@@ -48,6 +50,30 @@ describe('Entity Types', () => {
     });
 });
 
+describe('initCrypto', () => {
+    afterAll(async () => {
+        await globalThis.curve_bn128?.terminate();
+    });
+
+    test('sign accepts a BigInt message', async () => {
+        const { initCrypto } = await import('../src/entity-identity.js');
+        const crypto = await initCrypto();
+        const { privateKey, publicKey } = crypto.generateKeypair();
+        const message = crypto.hash([1n, 2n]);
+
+        // circomlibjs' signPoseidon fails on a plain BigInt
+        const signature = crypto.sign(privateKey, message);
+        const F = crypto.eddsa.F;
+        const verifies = (msg) => crypto.eddsa.verifyPoseidon(
+            F.e(msg),
+            { R8: [F.e(signature.R8x), F.e(signature.R8y)], S: signature.S },
+            [F.e(publicKey.x), F.e(publicKey.y)]
+        );
+        expect(verifies(message)).toBe(true);
+        expect(verifies(message + 1n)).toBe(false);
+    });
+});
+
 describe('Interaction Levels', () => {
     test('levels are ordered correctly', async () => {
         const { InteractionLevel } = await import('../src/dual-system.js');
@@ -69,6 +95,22 @@ describe('Interaction Levels', () => {
 });
 
 describe('Verification Policy', () => {
+    const vkeyPath = new URL('../setup/verification_key.json', import.meta.url).pathname;
+    const commitment = '222';
+    const root = '333';
+
+    // Well-formed curve points that do not satisfy the pairing check
+    const fakeProof = async () => {
+        const { readFileSync } = await import('fs');
+        const vkey = JSON.parse(readFileSync(vkeyPath, 'utf-8'));
+        return { pi_a: vkey.vk_alpha_1, pi_b: vkey.vk_beta_2, pi_c: vkey.vk_alpha_1, protocol: 'groth16', curve: 'bn128' };
+    };
+    const codes = (result) => result.errors.map(e => e.code).sort();
+
+    afterAll(async () => {
+        await globalThis.curve_bn128?.terminate();
+    });
+
     test('policy validates level requirements', async () => {
         const { VerificationPolicy, InteractionLevel } = await import('../src/dual-system.js');
 
@@ -77,45 +119,241 @@ describe('Verification Policy', () => {
             minPublicAttestations: 3,
         });
 
-        // Should fail - insufficient level
-        const result1 = policy.verify({
+        // Declared level and attestation count alone prove nothing
+        const result = await policy.verify({
             level: InteractionLevel.TYPE_ONLY,
             revealed: { type: 'AI.CA' },
-        });
-        expect(result1.valid).toBe(false);
-        expect(result1.errors.length).toBeGreaterThan(0);
-
-        // Should pass - meets requirements
-        const result2 = policy.verify({
-            level: InteractionLevel.TYPE_WITH_STANDING,
-            revealed: { type: 'AI.CA' },
             publicStanding: { attestationCount: 5 },
         });
-        expect(result2.valid).toBe(true);
+        expect(result.valid).toBe(false);
+        expect(codes(result)).toEqual(['insufficient_attestations', 'level_insufficient',
+            'public_root_untrusted', 'zk_proof_missing']);
+
+        // Anonymous access needs no proof
+        const open = new VerificationPolicy({ minLevel: InteractionLevel.ANONYMOUS });
+        expect(await open.verify({ level: InteractionLevel.ANONYMOUS, proof: null })).toEqual({ valid: true, errors: [] });
     });
 
-    test('policy validates allowed types', async () => {
+    test('policy checks the ZK proof, type, root, context and nullifier', async () => {
         const { VerificationPolicy, InteractionLevel } = await import('../src/dual-system.js');
+        const { deriveContextId } = await import('../src/entity-identity.js');
 
+        const context = { domain: 'shop.example.com', purpose: 'checkout' };
+        const used = new Set(['111']);
         const policy = new VerificationPolicy({
             minLevel: InteractionLevel.TYPE_ONLY,
-            allowedTypes: ['AI.CA', 'AI.PO'],
+            allowedTypes: ['AI.*'],
+            trustedZkRoots: [root],
+            verificationKeys: { 1: vkeyPath },
+            context,
+            isNullifierUsed: async (nullifier) => used.has(nullifier),
         });
-
-        // Should fail - wrong type
-        const result1 = policy.verify({
+        const pkg = async (signals, revealedType = 'AI.CA') => ({
             level: InteractionLevel.TYPE_ONLY,
-            revealed: { type: 'AR.RB' },
+            proof: await fakeProof(),
+            publicSignals: signals,
+            revealed: { type: revealedType },
         });
-        expect(result1.valid).toBe(false);
+        const contextId = deriveContextId(context).toString();
 
-        // Should pass - allowed type
-        const result2 = policy.verify({
+        // Everything but the pairing check holds
+        const good = await policy.verify(await pkg(['999', commitment, '257', root, contextId]));
+        expect(codes(good)).toEqual(['zk_proof_invalid']);
+
+        // Types come from the proof, not the package's claim
+        const robot = await policy.verify(await pkg(['111', commitment, '513', '444', '555'], 'AI.CA'));
+        expect(codes(robot)).toEqual(['context_mismatch', 'nullifier_used', 'type_mismatch',
+            'type_not_allowed', 'zk_proof_invalid', 'zk_root_untrusted']);
+        expect(robot.errors.every(e => typeof e.message === 'string')).toBe(true);
+
+        // Version 2 proofs need their own key, and must be fresh
+        const now = 1_800_000_000_000;
+        const v2 = await policy.verify(await pkg(['999', commitment, '257', root, contextId, '1700000000', '0']), { now });
+        expect(codes(v2)).toEqual(['proof_time_skew', 'verification_key_missing']);
+    });
+
+    test('type-set proofs satisfy allowedTypes without the exact type', async () => {
+        const { VerificationPolicy, InteractionLevel } = await import('../src/dual-system.js');
+
+        const now = 1_800_000_000_000;
+        const seconds = String(now / 1000);
+        const policy = (allowedTypes) => new VerificationPolicy({
+            minLevel: InteractionLevel.TYPE_ONLY,
+            allowedTypes,
+            trustedZkRoots: [root],
+            verificationKeys: { 6: vkeyPath },
+        });
+        // [nullifier, commitment, typeSet[8], attestersRoot, contextId, currentTime,
+        //  minIssuedAt, revocationRoot, actionLimit, attesterLeafFormat]
+        const typeSet = (...scopes) => Array.from({ length: 8 }, (_, i) => scopes[i] ?? scopes[0]);
+        const verify = async (target, scopes, revealed) => codes(await target.verify({
             level: InteractionLevel.TYPE_ONLY,
-            revealed: { type: 'AI.CA' },
+            zkProof: {
+                proof: await fakeProof(),
+                publicSignals: ['999', commitment, ...typeSet(...scopes), root, '555', seconds, '0', '666', '1', '2'],
+            },
+            revealed,
+        }, { now }));
+
+        // 'Some AI' (0x0100) is enough for an AI.* verifier
+        expect(await verify(policy(['AI.*']), ['256'], { types: ['AI.*'] })).toEqual(['zk_proof_invalid']);
+        expect(await verify(policy(['AI.*', 'HU.*']), ['257', '769'])).toEqual(['zk_proof_invalid']);
+
+        // ...but not for one that only accepts some AI types, or any type at all
+        expect(await verify(policy(['AI.CA']), ['256'])).toEqual(['type_not_allowed', 'zk_proof_invalid']);
+        expect(await verify(policy(['AI.*']), ['0'])).toEqual(['type_not_allowed', 'zk_proof_invalid']);
+
+        // The package may not claim an exact type the proof does not show
+        expect(await verify(policy(null), ['256'], { type: 'AI.CA' })).toEqual(['type_mismatch', 'zk_proof_invalid']);
+        expect(await verify(policy(null), ['256'], { types: ['AI.CA'] })).toEqual(['type_mismatch', 'zk_proof_invalid']);
+    });
+
+    test('challenge-bound proofs need the challenge they were made for', async () => {
+        const { VerificationPolicy, InteractionLevel } = await import('../src/dual-system.js');
+        const { challengeMessageHash } = await import('../src/entity-identity.js');
+
+        const now = 1_800_000_000_000;
+        const seconds = now / 1000;
+        const used = new Set(['spent']);
+        const policy = new VerificationPolicy({
+            minLevel: InteractionLevel.TYPE_ONLY,
+            trustedZkRoots: [root],
+            verificationKeys: { 7: vkeyPath },
+            isChallengeUsed: async (nonce) => used.has(nonce),
         });
-        expect(result2.valid).toBe(true);
+        const challenge = { domain: 'shop.example.com', nonce: 'n1', requestDigest: '0xabcd', expiresAt: seconds + 60 };
+        const messageHash = challengeMessageHash(challenge).toString();
+        const verify = async (options, signalHash = messageHash) => codes(await policy.verify({
+            level: InteractionLevel.TYPE_ONLY,
+            zkProof: {
+                proof: await fakeProof(),
+                publicSignals: ['999', commitment, '257', root, '555', String(seconds), '0', '666', '1', '2', signalHash],
+            },
+        }, { now, ...options }));
+
+        expect(await verify({ challenge })).toEqual(['zk_proof_invalid']);
+        expect(await verify({})).toEqual(['challenge_required', 'zk_proof_invalid']);
+
+        // Another request, an expired or a spent nonce
+        expect(await verify({ challenge: { ...challenge, requestDigest: '0xabce' } }))
+            .toEqual(['challenge_mismatch', 'zk_proof_invalid']);
+        expect(await verify({ challenge: { ...challenge, expiresAt: seconds - 1 } }))
+            .toEqual(['challenge_expired', 'zk_proof_invalid']);
+        const spent = { ...challenge, nonce: 'spent' };
+        expect(await verify({ challenge: spent }, challengeMessageHash(spent).toString()))
+            .toEqual(['challenge_used', 'zk_proof_invalid']);
     });
+
+    test('policy counts only public attestations with valid Merkle proofs', async () => {
+        const { VerificationPolicy, PublicAttestation, InteractionLevel, PUBLIC_TRUST_DEPTH } = await import('../src/dual-system.js');
+        const { initCrypto, MerkleTree } = await import('../src/entity-identity.js');
+        const crypto = await initCrypto();
+
+        const now = Date.now();
+        const DAY = 86400 * 1000;
+        const records = [
+            { entityCommitment: commitment, entityType: 257, attesterPubKeyHash: '10', timestamp: now - DAY, attestationId: 1 },
+            { entityCommitment: commitment, entityType: 257, attesterPubKeyHash: '20', timestamp: now - 2 * DAY, attestationId: 2 },
+            { entityCommitment: commitment, entityType: 257, attesterPubKeyHash: '30', timestamp: now - 400 * DAY, attestationId: 3 },
+            { entityCommitment: '777', entityType: 257, attesterPubKeyHash: '40', timestamp: now, attestationId: 4 },
+            { entityCommitment: commitment, entityType: 257, attesterPubKeyHash: '10', timestamp: now - 3 * DAY, attestationId: 5 },
+        ];
+        const tree = new MerkleTree(PUBLIC_TRUST_DEPTH, crypto.hash);
+        for (const r of records) {
+            tree.addLeaf(new PublicAttestation(r).computeLeaf(crypto.hash));
+        }
+        const publicRoot = tree.getRoot().toString();
+        const proven = (i) => ({ attestation: records[i], merkleProof: tree.getProof(i) });
+
+        const policy = new VerificationPolicy({
+            minLevel: InteractionLevel.TYPE_WITH_STANDING,
+            minPublicAttestations: 2,
+            maxAttestationAge: 365 * DAY,
+            requiredAttesters: ['20'],
+            trustedZkRoots: [root],
+            trustedPublicRoots: [publicRoot],
+            verificationKeys: { 2: vkeyPath },
+        });
+        // maxAttestationAge also needs a version 2+ proof of a recent ZK attestation
+        const seconds = Math.floor(now / 1000);
+        const publicSignals = ['999', commitment, '257', root, '555', String(seconds), String(seconds - 30 * 86400)];
+        const verify = async (attestations, publicTrustRoot = publicRoot) => codes(await policy.verify({
+            level: InteractionLevel.TYPE_WITH_STANDING,
+            zkProof: { proof: await fakeProof(), publicSignals },
+            publicStanding: { attestationCount: 10, publicTrustRoot, attestations },
+        }));
+
+        expect(await verify([proven(0), proven(1)])).toEqual(['zk_proof_invalid']);
+
+        // The same attestation twice counts once, and so does one attester twice
+        expect(await verify([proven(1), proven(1)])).toEqual(['insufficient_attestations', 'zk_proof_invalid']);
+        expect(await verify([proven(0), proven(4), proven(1)])).toEqual(['zk_proof_invalid']);
+        expect(await verify([proven(0), proven(4)]))
+            .toEqual(['insufficient_attestations', 'required_attester_missing', 'zk_proof_invalid']);
+
+        // Too old, or someone else's
+        expect(await verify([proven(1), proven(2)])).toEqual(['public_attestation_too_old', 'zk_proof_invalid']);
+        expect(await verify([proven(1), proven(3)]))
+            .toEqual(['insufficient_attestations', 'public_proof_invalid', 'zk_proof_invalid']);
+
+        // A tampered record no longer matches its leaf
+        const forged = { ...proven(0), attestation: { ...records[0], attesterPubKeyHash: '20' } };
+        expect(await verify([forged, proven(0)]))
+            .toEqual(['insufficient_attestations', 'public_proof_invalid', 'required_attester_missing', 'zk_proof_invalid']);
+
+        // Paths must be as deep as the circuit's public trust tree
+        const shallow = new MerkleTree(8, crypto.hash);
+        shallow.addLeaf(new PublicAttestation(records[0]).computeLeaf(crypto.hash));
+        expect(await verify([proven(1), { attestation: records[0], merkleProof: shallow.getProof(0) }]))
+            .toEqual(['insufficient_attestations', 'public_proof_invalid', 'zk_proof_invalid']);
+
+        expect(await verify([proven(0), proven(1)], '12345'))
+            .toEqual(['insufficient_attestations', 'public_root_untrusted', 'required_attester_missing', 'zk_proof_invalid']);
+    });
+    test('policy reads public standing from a dual proof', async () => {
+        const { VerificationPolicy, InteractionLevel } = await import('../src/dual-system.js');
+
+        const now = 1_800_000_000_000;
+        const DAY = 86400 * 1000;
+        const publicRoot = '444';
+        const policy = (config = {}) => new VerificationPolicy({
+            minLevel: InteractionLevel.TYPE_WITH_STANDING,
+            minPublicAttestations: 2,
+            trustedZkRoots: [root],
+            trustedPublicRoots: [publicRoot],
+            verificationKeys: { dual: vkeyPath },
+            ...config,
+        });
+        // [nullifier, commitment, type, zkAttestersRoot, contextId,
+        //  publicTrustRoot, minPublicAttestations, minTimestamp, maxTimestamp]
+        const dual = async (overrides = {}, target = policy()) => codes(await target.verify({
+            version: 1,
+            level: InteractionLevel.TYPE_WITH_STANDING,
+            circuit: 'dual_identity_proof',
+            zkProof: {
+                proof: await fakeProof(),
+                publicSignals: Object.values({
+                    nullifier: '999', commitment, claimedType: '257', attestersRoot: root, contextId: '555',
+                    publicTrustRoot: publicRoot, minPublicAttestations: '2', minTimestamp: String(now - 30 * DAY),
+                    maxTimestamp: String(now), ...overrides,
+                }),
+            },
+        }, { now }));
+
+        expect(await dual()).toEqual(['zk_proof_invalid']);
+        expect(await dual({ minPublicAttestations: '1', publicTrustRoot: '12345' }))
+            .toEqual(['insufficient_attestations', 'public_root_untrusted', 'zk_proof_invalid']);
+        expect(await dual({ maxTimestamp: String(now + DAY) })).toEqual(['proof_time_skew', 'zk_proof_invalid']);
+
+        // The entity_type_proof key does not verify dual proofs
+        expect(await dual({}, policy({ verificationKeys: { 1: vkeyPath } }))).toEqual(['verification_key_missing']);
+
+        // A dual proof hides the attesters; its ZK attestation carries no date
+        const strict = policy({ maxAttestationAge: 7 * DAY, requiredAttesters: ['20'] });
+        expect(await dual({}, strict)).toEqual(['attestation_too_old', 'public_attestation_too_old',
+            'required_attester_missing', 'zk_proof_invalid']);
+    });
+
 });
 
 describe('MerkleTree', () => {
@@ -166,6 +404,103 @@ describe('MerkleTree', () => {
             expect(idx === 0 || idx === 1).toBe(true);
         }
     });
+    test('incremental root matches a full rebuild', async () => {
+        const { MerkleTree } = await import('../src/entity-identity.js');
+        const { buildPoseidon } = await import('circomlibjs');
+
+        const poseidon = await buildPoseidon();
+        const hash = (inputs) => poseidon.F.toObject(poseidon(inputs));
+
+        // Reference: hash every level of a dense depth-4 tree
+        const naiveRoot = (leaves) => {
+            let layer = [...leaves];
+            while (layer.length < 16) layer.push(BigInt(0));
+            while (layer.length > 1) {
+                const next = [];
+                for (let i = 0; i < layer.length; i += 2) {
+                    next.push(hash([layer[i], layer[i + 1]]));
+                }
+                layer = next;
+            }
+            return layer[0];
+        };
+
+        const tree = new MerkleTree(4, hash);
+        const leaves = [BigInt(11), BigInt(22), BigInt(33), BigInt(44), BigInt(55)];
+        for (const leaf of leaves) tree.addLeaf(leaf);
+
+        expect(tree.getRoot()).toBe(naiveRoot(leaves));
+    });
+
+    test('proof path recomputes the root', async () => {
+        const { MerkleTree } = await import('../src/entity-identity.js');
+        const { buildPoseidon } = await import('circomlibjs');
+
+        const poseidon = await buildPoseidon();
+        const hash = (inputs) => poseidon.F.toObject(poseidon(inputs));
+
+        const tree = new MerkleTree(20, hash);
+        for (let i = 0; i < 7; i++) tree.addLeaf(BigInt(1000 + i));
+
+        const index = 5;
+        const { pathElements, pathIndices } = tree.getProof(index);
+
+        let node = tree.getLeaf(index);
+        for (let level = 0; level < 20; level++) {
+            node = pathIndices[level] === 0
+                ? hash([node, pathElements[level]])
+                : hash([pathElements[level], node]);
+        }
+        expect(node).toBe(tree.getRoot());
+    });
+
+    test('updateLeaf and removeLeaf keep other indices stable', async () => {
+        const { MerkleTree } = await import('../src/entity-identity.js');
+        const { buildPoseidon } = await import('circomlibjs');
+
+        const poseidon = await buildPoseidon();
+        const hash = (inputs) => poseidon.F.toObject(poseidon(inputs));
+
+        const tree = new MerkleTree(20, hash);
+        tree.addLeaf(BigInt(1));
+        const rootBefore = tree.getRoot();
+        const index = tree.addLeaf(BigInt(2));
+        tree.addLeaf(BigInt(3));
+
+        tree.updateLeaf(index, BigInt(99));
+        expect(tree.getLeaf(index)).toBe(BigInt(99));
+
+        // Removing the last two leaves returns the tree to its earlier root
+        tree.removeLeaf(index);
+        tree.removeLeaf(index + 1);
+        expect(tree.getRoot()).toBe(rootBefore);
+        expect(tree.getLeaf(0)).toBe(BigInt(1));
+
+        // Removed slots are not reused
+        expect(tree.addLeaf(BigInt(4))).toBe(3);
+    });
+
+    test('only non-zero nodes are stored', async () => {
+        const { MerkleTree } = await import('../src/entity-identity.js');
+        const { buildPoseidon } = await import('circomlibjs');
+
+        const poseidon = await buildPoseidon();
+        const hash = (inputs) => poseidon.F.toObject(poseidon(inputs));
+
+        const tree = new MerkleTree(20, hash);
+        const index = tree.addLeaf(BigInt(7));
+
+        // One node per level for a single leaf
+        const stored = tree.nodes.reduce((n, level) => n + level.size, 0);
+        expect(stored).toBe(21);
+
+        tree.removeLeaf(index);
+        const remaining = tree.nodes.reduce((n, level) => n + level.size, 0);
+        expect(remaining).toBe(0);
+        expect(tree.getRoot()).toBe(tree.zeros[20]);
+
+        expect(() => tree.getProof(2 ** 20)).toThrow();
+    });
 });
 
 describe('TrustHash', () => {
@@ -246,4 +581,1325 @@ describe('PublicTrustRegistry', () => {
 
         expect(registry.getAttestationCount(commitment)).toBe(1);
     });
+
+    // Registry with a few attestations, two for the same commitment
+    async function filledRegistry() {
+        const { PublicTrustRegistry, PublicAttestation } = await import('../src/dual-system.js');
+        const { initCrypto } = await import('../src/entity-identity.js');
+        const crypto = await initCrypto();
+
+        const registry = new PublicTrustRegistry(crypto.hash);
+        const added = ['111', '222', '111', '333', '444'].map((commitment, i) =>
+            registry.addAttestation(new PublicAttestation({
+                entityCommitment: commitment,
+                entityType: 0x0101,
+                attesterPubKeyHash: String(1000 + i),
+                timestamp: 1_700_000_000_000 + i,
+            })));
+        return { registry, added, crypto, hash: crypto.hash };
+    }
+
+    test('merkle proofs are full-depth paths to the root', async () => {
+        const { PublicTrustRegistry, PUBLIC_TRUST_DEPTH } = await import('../src/dual-system.js');
+        const { MerkleTree } = await import('../src/entity-identity.js');
+        const { registry, added, hash } = await filledRegistry();
+
+        // Zero-padded like the circuit: an empty registry has the empty-tree root
+        expect(new PublicTrustRegistry(hash).getRoot()).toBe(new MerkleTree(PUBLIC_TRUST_DEPTH, hash).zeros[PUBLIC_TRUST_DEPTH]);
+        expect(added.map(a => a.leafIndex)).toEqual([0, 1, 2, 3, 4]);
+        expect(added[4].root).toBe(registry.getRoot());
+
+        for (const { attestationId, leaf } of added) {
+            const proof = registry.getMerkleProof(attestationId);
+            expect(proof.leaf).toBe(leaf);
+            expect(proof.pathElements).toHaveLength(PUBLIC_TRUST_DEPTH);
+            expect(proof.pathIndices).toHaveLength(PUBLIC_TRUST_DEPTH);
+
+            let node = leaf;
+            for (let level = 0; level < PUBLIC_TRUST_DEPTH; level++) {
+                node = proof.pathIndices[level] === 0
+                    ? hash([node, proof.pathElements[level]])
+                    : hash([proof.pathElements[level], node]);
+            }
+            expect(node).toBe(registry.getRoot());
+        }
+        expect(registry.getMerkleProof(99)).toBeNull();
+    });
+
+    test('removing an attestation zeroes its leaf and keeps the other paths', async () => {
+        const { registry, added } = await filledRegistry();
+        const before = registry.getMerkleProof(added[3].attestationId);
+
+        expect(registry.removeAttestation(added[2].attestationId)).toBe(true);
+        expect(registry.removeAttestation(added[2].attestationId)).toBe(false);
+        expect(registry.merkleTree.getLeaf(2)).toBe(0n);
+        expect(registry.getMerkleProof(added[2].attestationId)).toBeNull();
+        expect(registry.getAttestationCount('111')).toBe(1);
+
+        const after = registry.getMerkleProof(added[3].attestationId);
+        expect(after.leafIndex).toBe(before.leafIndex);
+        expect(after.root).not.toBe(before.root);
+
+        // Neither the ID nor the slot is reused
+        const { PublicAttestation } = await import('../src/dual-system.js');
+        const next = registry.addAttestation(new PublicAttestation({
+            entityCommitment: '555', entityType: 0x0101, attesterPubKeyHash: '2000', timestamp: 1_700_000_000_100,
+        }));
+        expect(next.attestationId).toBe(added[4].attestationId + 1);
+        expect(next.leafIndex).toBe(5);
+    });
+
+    test('a restored registry and a served snapshot prove the same paths', async () => {
+        const { PublicTrustRegistry, PublicAttestation, RemotePublicTrustRegistry } = await import('../src/dual-system.js');
+        const { Attester } = await import('../src/entity-identity.js');
+        const { registry, crypto, hash } = await filledRegistry();
+
+        // Replaying stored attestations keeps their IDs and leaf indices
+        const restored = new PublicTrustRegistry(hash);
+        for (const a of registry.attestations.values()) {
+            restored.addAttestation(new PublicAttestation({ ...a }));
+        }
+        expect(restored.getRoot()).toBe(registry.getRoot());
+        expect(() => restored.addAttestation(new PublicAttestation({ ...registry.attestations.get(1) })))
+            .toThrow('duplicate');
+        expect(restored.addAttestation(new PublicAttestation({ entityCommitment: '1', entityType: 1, attesterPubKeyHash: '1', timestamp: 1 }))
+            .attestationId).toBe(6);
+
+        // Shape of GET /api/v1/public/commitments/111/attestations?proofs=true
+        const served = JSON.parse(JSON.stringify({
+            commitment: '111',
+            root: registry.getRoot().toString(),
+            attestations: registry.getAttestationsFor('111').map(a => {
+                const { leaf, leafIndex, pathElements, pathIndices } = registry.getMerkleProof(a.attestationId);
+                return { ...a, merkleProof: { leaf: leaf.toString(), leafIndex, pathElements: pathElements.map(String), pathIndices } };
+            }),
+        }));
+        const urls = [];
+        const remote = await RemotePublicTrustRegistry.load('https://ei.example', '111', {
+            fetch: async (url) => { urls.push(url); return { ok: true, json: async () => served }; },
+        });
+        expect(urls).toEqual(['https://ei.example/api/v1/public/commitments/111/attestations?proofs=true']);
+        expect(remote.getAttestationCount('111')).toBe(2);
+        expect(remote.getAttestationCount('222')).toBe(0);
+        expect(remote.getRoot()).toBe(registry.getRoot());
+        expect(remote.getMerkleProof(3)).toEqual(registry.getMerkleProof(3));
+
+        // Attesters sign Poseidon(commitment, typeCode, timestamp)
+        const attester = new Attester(crypto);
+        const body = PublicAttestation.sign(attester, 111n, 'AI.CA', 1_700_000_000_000);
+        const message = new PublicAttestation({ entityCommitment: '111', entityType: 257, timestamp: body.timestamp }).computeMessage(hash);
+        const { eddsa } = crypto;
+        expect(eddsa.verifyPoseidon(
+            eddsa.F.e(message),
+            { R8: [eddsa.F.e(BigInt(body.signatureR8X)), eddsa.F.e(BigInt(body.signatureR8Y))], S: BigInt(body.signatureS) },
+            [eddsa.F.e(attester.publicKey.x), eddsa.F.e(attester.publicKey.y)]
+        )).toBe(true);
+        expect(() => PublicAttestation.sign(attester, 111n, 'AI.XX')).toThrow('Unknown entity type');
+    });
+
+    // Built by `npm run compile:circuits` (run before `npm run test:sdk`)
+    const treeWasm = new URL('../build/public_trust_tree_js/public_trust_tree.wasm', import.meta.url).pathname;
+
+    test('roots match a witness of the circuit\'s public trust tree', async () => {
+        const snarkjs = await import('snarkjs');
+        const { registry } = await filledRegistry();
+
+        for (const attestation of registry.getAttestationsFor('111')) {
+            const { pathElements, pathIndices } = registry.getMerkleProof(attestation.attestationId);
+            const wtns = { type: 'mem' };
+            await snarkjs.wtns.calculate({
+                entityCommitment: attestation.entityCommitment,
+                entityType: attestation.entityType,
+                attesterPubKeyHash: attestation.attesterPubKeyHash,
+                timestamp: attestation.timestamp,
+                attestationId: attestation.attestationId,
+                pathElements: pathElements.map(String),
+                pathIndices,
+            }, treeWasm, wtns);
+            const witness = await snarkjs.wtns.exportJson(wtns);
+
+            // [1, root, ...]
+            expect(witness[1]).toBe(registry.getRoot());
+        }
+        await globalThis.curve_bn128?.terminate();
+    });
+});
+
+describe('DualProofCoordinator', () => {
+    const wasmPath = new URL('../build/entity_type_proof_js/entity_type_proof.wasm', import.meta.url).pathname;
+    const vkeyPath = new URL('../setup/verification_key.json', import.meta.url).pathname;
+
+    afterAll(async () => {
+        await globalThis.curve_bn128?.terminate();
+    });
+
+    // An entity with a ZK attestation and four public attestations from three
+    // attesters, one of them outside [1_700_000_000_000, 1_700_000_000_100]
+    async function setup(options = {}) {
+        const { DualProofCoordinator, PublicTrustRegistry, PublicAttestation } = await import('../src/dual-system.js');
+        const { initCrypto, Entity, Attester, MerkleTree, EntityTypes } = await import('../src/entity-identity.js');
+        const crypto = await initCrypto();
+        const entity = new Entity(crypto);
+        const attester = new Attester(crypto);
+        const zkRegistry = new MerkleTree(20, crypto.hash);
+        const zkAttesterProof = zkRegistry.getProof(zkRegistry.addLeaf(attester.getLeaf()));
+
+        const publicRegistry = new PublicTrustRegistry(crypto.hash);
+        const commitment = entity.getCommitment().toString();
+        for (const [owner, attesterPubKeyHash, timestamp] of [[commitment, '1000', 1_700_000_000_010],
+            ['111', '1001', 1_700_000_000_020], [commitment, '1002', 1_699_000_000_000],
+            [commitment, '1003', 1_700_000_000_030], [commitment, '1000', 1_700_000_000_040]]) {
+            publicRegistry.addAttestation(new PublicAttestation({
+                entityCommitment: owner,
+                entityType: EntityTypes['AI.CA'],
+                attesterPubKeyHash,
+                timestamp,
+            }));
+        }
+
+        const coordinator = new DualProofCoordinator(entity, zkRegistry, publicRegistry, crypto, options);
+        const params = {
+            claimedType: 'AI.CA',
+            context: { domain: 'shop.example.com', purpose: 'checkout' },
+            zkAttestation: attester.attest(entity.getCommitment(), EntityTypes['AI.CA']),
+            zkAttesterProof,
+        };
+        return { coordinator, entity, crypto, zkRegistry, publicRegistry, params };
+    }
+
+    test('every level returns a versioned package', async () => {
+        const snarkjs = await import('snarkjs');
+        const { readFileSync } = await import('fs');
+        const { InteractionLevel, PROOF_PACKAGE_VERSION, VerificationPolicy } = await import('../src/dual-system.js');
+        const vkey = JSON.parse(readFileSync(vkeyPath, 'utf-8'));
+
+        // Real witness of entity_type_proof; no zkey here, so a non-verifying proof
+        const calls = [];
+        const prove = async (inputs, wasm, zkey) => {
+            calls.push([wasm, zkey]);
+            const wtns = { type: 'mem' };
+            await snarkjs.wtns.calculate(inputs, wasm, wtns);
+            const witness = await snarkjs.wtns.exportJson(wtns);
+            return {
+                proof: { pi_a: vkey.vk_alpha_1, pi_b: vkey.vk_beta_2, pi_c: vkey.vk_alpha_1, protocol: 'groth16', curve: 'bn128' },
+                publicSignals: witness.slice(1, 6).map(String),
+            };
+        };
+        const { coordinator, entity, zkRegistry, publicRegistry, params } =
+            await setup({ circuits: { 1: { wasm: wasmPath, zkey: 'v1.zkey' } }, prove });
+        const commitment = entity.getCommitment().toString();
+
+        const anonymous = await coordinator.generateProof(InteractionLevel.ANONYMOUS, params);
+        expect(anonymous).toMatchObject({ version: PROOF_PACKAGE_VERSION, level: 0, circuit: null, zkProof: null, revealed: {} });
+
+        const typeOnly = await coordinator.generateProof(InteractionLevel.TYPE_ONLY, params);
+        expect(calls).toEqual([[wasmPath, 'v1.zkey']]);
+        expect(typeOnly).toMatchObject({
+            version: PROOF_PACKAGE_VERSION,
+            level: InteractionLevel.TYPE_ONLY,
+            circuit: 'entity_type_proof',
+            publicStanding: null,
+            revealed: { type: 'AI.CA', commitment },
+        });
+        expect(typeOnly.zkProof.publicSignals.slice(1, 4)).toEqual([commitment, '257', zkRegistry.getRoot().toString()]);
+
+        // Level 3 adds every public attestation with its Merkle proof
+        const full = await coordinator.generateProof(InteractionLevel.FULL_ACCOUNTABILITY, params);
+        expect(full.publicStanding.publicTrustRoot).toBe(publicRegistry.getRoot().toString());
+        expect(full.publicStanding.attestations.map(a => a.attestation.attestationId)).toEqual([1, 3, 4, 5]);
+        expect(full.revealed).toEqual({ type: 'AI.CA', commitment, attestationCount: 4 });
+
+        // Verifiers read the signals; only the pairing check fails here
+        const policy = new VerificationPolicy({
+            minLevel: InteractionLevel.TYPE_ONLY,
+            trustedZkRoots: [zkRegistry.getRoot().toString()],
+            verificationKeys: { 1: vkey },
+        });
+        const codes = async (pkg) => (await policy.verify(pkg)).errors.map(e => e.code).sort();
+        expect(await codes(typeOnly)).toEqual(['zk_proof_invalid']);
+        expect(await codes({ ...typeOnly, version: 2 })).toEqual(['package_version_unsupported', 'zk_proof_invalid']);
+        expect(await codes({ ...typeOnly, revealed: { type: 'HU.US' } })).toEqual(['type_mismatch', 'zk_proof_invalid']);
+    });
+
+    test('proving needs configured circuit assets', async () => {
+        const { InteractionLevel } = await import('../src/dual-system.js');
+        const { coordinator, params } = await setup({ circuits: { 2: { wasm: 'v2.wasm', zkey: 'v2.zkey' } } });
+
+        await expect(coordinator.generateProof(InteractionLevel.TYPE_ONLY, params))
+            .rejects.toThrow('No proving assets configured for entity_type_proof');
+        await expect(coordinator.generateProof(InteractionLevel.TYPE_WITH_STANDING, params))
+            .rejects.toThrow('No proving assets configured for dual_identity_proof');
+        await expect(coordinator.generateProof(InteractionLevel.TYPE_ONLY, { ...params, claimedType: 'AI.XX' }))
+            .rejects.toThrow('Unknown entity type');
+    });
+
+    test('level 2 proves the entity\'s own attestations in dual_identity_proof', async () => {
+        const { InteractionLevel, PublicAttestation, PUBLIC_TRUST_DEPTH, DUAL_CIRCUIT } = await import('../src/dual-system.js');
+
+        let proven;
+        const prove = async (inputs) => {
+            proven = inputs;
+            return {
+                proof: {},
+                publicSignals: ['1', entity.getCommitment().toString(), inputs.claimedType, inputs.zkAttestersRoot,
+                    inputs.contextId, inputs.publicTrustRoot, inputs.minPublicAttestations, inputs.minTimestamp, inputs.maxTimestamp],
+            };
+        };
+        const { coordinator, entity, crypto, publicRegistry, params } =
+            await setup({ circuits: { dual: { wasm: 'dual.wasm', zkey: 'dual.zkey' } }, prove });
+        const window = { minTimestamp: 1_700_000_000_000, maxTimestamp: 1_700_000_000_100 };
+
+        const pkg = await coordinator.generateProof(InteractionLevel.TYPE_WITH_STANDING, { ...params, ...window, minAttestations: 2 });
+        expect(pkg).toMatchObject({
+            level: InteractionLevel.TYPE_WITH_STANDING,
+            circuit: DUAL_CIRCUIT,
+            publicStanding: null,
+            revealed: { type: 'AI.CA', minPublicAttestations: 2 },
+        });
+
+        // Valid slots first, one per attester (its newest), increasing IDs;
+        // padding sits at minTimestamp
+        expect(proven.minPublicAttestations).toBe('2');
+        expect(proven.publicAttestationValid).toEqual(['1', '1', ...Array(8).fill('0')]);
+        expect(proven.publicAttestationIds).toEqual(['4', '5', ...Array(8).fill('0')]);
+        expect(proven.publicAttestationAttesters.slice(0, 2)).toEqual(['1003', '1000']);
+        expect(proven.publicAttestationTimestamps.slice(2)).toEqual(Array(8).fill(String(window.minTimestamp)));
+        expect(proven.publicAttestationPaths.every(p => p.length === PUBLIC_TRUST_DEPTH)).toBe(true);
+
+        // Each valid slot rebuilds a leaf for the proven commitment
+        for (let i = 0; i < 2; i++) {
+            const leaf = new PublicAttestation({
+                entityCommitment: entity.getCommitment(),
+                entityType: proven.publicAttestationTypes[i],
+                attesterPubKeyHash: proven.publicAttestationAttesters[i],
+                timestamp: proven.publicAttestationTimestamps[i],
+                attestationId: proven.publicAttestationIds[i],
+            }).computeLeaf(crypto.hash);
+            let node = leaf;
+            proven.publicAttestationPaths[i].forEach((sibling, level) => {
+                node = proven.publicAttestationIndices[i][level] === '1'
+                    ? crypto.hash([BigInt(sibling), node])
+                    : crypto.hash([node, BigInt(sibling)]);
+            });
+            expect(node.toString()).toBe(publicRegistry.getRoot().toString());
+        }
+
+        await expect(coordinator.generateProof(InteractionLevel.TYPE_WITH_STANDING, { ...params, ...window, minAttestations: 3 }))
+            .rejects.toThrow('Insufficient public attestations: 2 attesters, need 3');
+        const expiring = { ...params.zkAttestation, issuedAt: '1', expiresAt: '2' };
+        await expect(coordinator.generateProof(InteractionLevel.TYPE_WITH_STANDING, { ...params, zkAttestation: expiring }))
+            .rejects.toThrow('without a validity window');
+    });
+
+    // Built by `npm run compile:circuits`
+    const dualWasm = new URL('../build/dual_identity_proof_js/dual_identity_proof.wasm', import.meta.url).pathname;
+
+    test('dual inputs satisfy dual_identity_proof', async () => {
+        const snarkjs = await import('snarkjs');
+        const { buildDualProofInputs } = await import('../src/dual-system.js');
+        const { deriveContextId } = await import('../src/entity-identity.js');
+        const { entity, zkRegistry, publicRegistry, params } = await setup();
+
+        const inputs = buildDualProofInputs(entity, 'AI.CA', params.zkAttestation, params.zkAttesterProof,
+            zkRegistry.getRoot(), deriveContextId(params.context), publicRegistry,
+            { minAttestations: 3, maxTimestamp: 1_700_000_000_100 });
+        const wtns = { type: 'mem' };
+        await snarkjs.wtns.calculate(inputs, dualWasm, wtns);
+        const witness = await snarkjs.wtns.exportJson(wtns);
+
+        // [1, nullifier, entityCommitment, claimedType, ...]
+        expect(witness.slice(2, 4).map(String)).toEqual([entity.getCommitment().toString(), '257']);
+
+        // Attestations 1 and 5 are both from attester 1000: swapping 1 in for
+        // attestation 3 proves valid leaves, but one attester twice
+        expect(inputs.publicAttestationIds.slice(0, 3)).toEqual(['3', '4', '5']);
+        const first = publicRegistry.getMerkleProof(1);
+        const twice = {
+            ...inputs,
+            publicAttestationAttesters: ['1000', ...inputs.publicAttestationAttesters.slice(1)],
+            publicAttestationIds: ['1', ...inputs.publicAttestationIds.slice(1)],
+            publicAttestationTimestamps: ['1700000000010', ...inputs.publicAttestationTimestamps.slice(1)],
+            publicAttestationPaths: [first.pathElements.map(String), ...inputs.publicAttestationPaths.slice(1)],
+            publicAttestationIndices: [first.pathIndices.map(String), ...inputs.publicAttestationIndices.slice(1)],
+        };
+        await expect(snarkjs.wtns.calculate(twice, dualWasm, { type: 'mem' })).rejects.toThrow();
+    });
+});
+
+describe('verifyProof', () => {
+    const vkeyPath = new URL('../setup/verification_key.json', import.meta.url).pathname;
+
+    // Well-formed curve points that do not satisfy the pairing check
+    const fakeProof = (vkey) => ({
+        pi_a: vkey.vk_alpha_1,
+        pi_b: vkey.vk_beta_2,
+        pi_c: vkey.vk_alpha_1,
+        protocol: 'groth16',
+        curve: 'bn128',
+    });
+    const publicSignals = ['111', '222', '257', '333', '444'];
+
+    // snarkjs keeps bn128 worker threads alive until the curve is terminated
+    afterAll(async () => {
+        await globalThis.curve_bn128?.terminate();
+    });
+
+    test('returns a structured result for a key object', async () => {
+        const { readFileSync } = await import('fs');
+        const { verifyProof } = await import('../src/entity-identity.js');
+
+        const vkey = JSON.parse(readFileSync(vkeyPath, 'utf-8'));
+        const result = await verifyProof(fakeProof(vkey), publicSignals, vkey);
+
+        expect(result).toEqual({
+            valid: false,
+            entityType: 'AI.CA',
+            entityTypeName: 'Conversational Agent',
+            phoneticName: 'Kah',
+            nullifier: '111',
+            entityCommitment: '222',
+            claimedType: '257',
+            attestersRoot: '333',
+            contextId: '444',
+        });
+    });
+
+    test('loads keys from a path or URL once', async () => {
+        const { readFileSync } = await import('fs');
+        const { verifyProof, loadVerificationKey } = await import('../src/entity-identity.js');
+
+        const fromPath = await loadVerificationKey(vkeyPath);
+        expect(await loadVerificationKey(vkeyPath)).toBe(fromPath);
+
+        const vkey = JSON.parse(readFileSync(vkeyPath, 'utf-8'));
+        const originalFetch = global.fetch;
+        let fetches = 0;
+        global.fetch = async () => {
+            fetches++;
+            return { ok: true, json: async () => vkey };
+        };
+        try {
+            const url = 'https://assets.example.com/verification_key.json';
+            const first = await verifyProof(fakeProof(vkey), publicSignals, url);
+            const second = await verifyProof(fakeProof(vkey), publicSignals, url);
+            expect(first.valid).toBe(false);
+            expect(second.entityType).toBe('AI.CA');
+            expect(fetches).toBe(1);
+        } finally {
+            global.fetch = originalFetch;
+        }
+    });
+
+    test('malformed proofs are reported invalid, not thrown', async () => {
+        const { verifyProof } = await import('../src/entity-identity.js');
+
+        const result = await verifyProof({ pi_a: ['1'] }, publicSignals, vkeyPath);
+        expect(result.valid).toBe(false);
+    });
+
+    test('dual proofs return their named signals', async () => {
+        const { readFileSync } = await import('fs');
+        const { verifyDualProof } = await import('../src/dual-system.js');
+
+        const vkey = JSON.parse(readFileSync(vkeyPath, 'utf-8'));
+        const dualSignals = [...publicSignals, '555', '2', '1700000000000', '1700000000100'];
+        const result = await verifyDualProof(fakeProof(vkey), dualSignals, vkey);
+        expect(result).toEqual({
+            valid: false,
+            entityType: 'AI.CA',
+            entityTypeName: 'Conversational Agent',
+            phoneticName: 'Kah',
+            nullifier: '111',
+            entityCommitment: '222',
+            claimedType: '257',
+            attestersRoot: '333',
+            contextId: '444',
+            publicTrustRoot: '555',
+            minPublicAttestations: '2',
+            minTimestamp: '1700000000000',
+            maxTimestamp: '1700000000100',
+        });
+
+        // entity_type_proof signals are not a dual proof
+        expect((await verifyDualProof(fakeProof(vkey), publicSignals, vkey)).valid).toBe(false);
+    });
+});
+
+
+describe('proveWithAttestation', () => {
+    const wasmPath = new URL('../build/entity_type_proof_js/entity_type_proof.wasm', import.meta.url).pathname;
+
+    afterAll(async () => {
+        await globalThis.curve_bn128?.terminate();
+    });
+
+    // Shape of a POST /api/v1/attest response, after a JSON round trip
+    async function attestResponse(entity, typeName = 'AI.CA') {
+        const { Attester, MerkleTree, EntityTypes } = await import('../src/entity-identity.js');
+        const tree = new MerkleTree(20, entity.crypto.hash);
+        const attester = new Attester(entity.crypto);
+        const index = tree.addLeaf(attester.getLeaf());
+        const merkleProof = tree.getProof(index);
+
+        return JSON.parse(JSON.stringify({
+            attestation: {
+                entityCommitment: entity.getCommitment().toString(),
+                entityType: typeName,
+                typeCode: EntityTypes[typeName],
+                ...attester.attest(entity.getCommitment(), EntityTypes[typeName]),
+                attesterIndex: index,
+                createdAt: new Date().toISOString(),
+            },
+            merkleProof: {
+                pathElements: merkleProof.pathElements.map(e => e.toString()),
+                pathIndices: merkleProof.pathIndices,
+            },
+            registryRoot: tree.getRoot().toString(),
+        }));
+    }
+
+    test('builds circuit inputs that satisfy the circuit', async () => {
+        const snarkjs = await import('snarkjs');
+        const { initCrypto, Entity, attestationProofInputs } = await import('../src/entity-identity.js');
+        const crypto = await initCrypto();
+        const entity = new Entity(crypto);
+        const response = await attestResponse(entity);
+
+        const inputs = attestationProofInputs(entity, response, 99n);
+        expect(inputs).not.toHaveProperty('entityType');
+        expect(inputs).not.toHaveProperty('createdAt');
+
+        const wtns = { type: 'mem' };
+        await snarkjs.wtns.calculate(inputs, wasmPath, wtns);
+        const witness = await snarkjs.wtns.exportJson(wtns);
+
+        // [nullifier, entityCommitment, claimedType, attestersRoot, contextId]
+        expect(witness.slice(2, 6).map(String)).toEqual([
+            entity.getCommitment().toString(),
+            '257',
+            response.registryRoot,
+            '99',
+        ]);
+    });
+
+    test('rejects an attestation issued for another commitment', async () => {
+        const { initCrypto, Entity, proveWithAttestation } = await import('../src/entity-identity.js');
+        const crypto = await initCrypto();
+        const response = await attestResponse(new Entity(crypto));
+
+        await expect(proveWithAttestation(new Entity(crypto), response, 1n, wasmPath, 'unused.zkey'))
+            .rejects.toThrow('different entity commitment');
+    });
+
+    test('accepts a signature produced offline by an external attester', async () => {
+        const snarkjs = await import('snarkjs');
+        const { initCrypto, Entity, Attester, MerkleTree, attestationProofInputs } = await import('../src/entity-identity.js');
+        const crypto = await initCrypto();
+        const entity = new Entity(crypto);
+
+        // Same key, restored from its export, signing through the offline helper
+        const exported = new Attester(crypto);
+        const attester = Attester.fromPrivateKey(crypto, exported.exportPrivateKey());
+        expect(attester.exportPublicKey()).toEqual(exported.exportPublicKey());
+
+        const signed = JSON.parse(JSON.stringify(attester.signAttestation(entity.getCommitment(), 'AI.CA')));
+        expect(signed.entityCommitment).toBe(entity.getCommitment().toString());
+
+        // Shape of a POST /api/v1/attestations response
+        const tree = new MerkleTree(20, crypto.hash);
+        const merkleProof = tree.getProof(tree.addLeaf(attester.getLeaf()));
+        const publicKey = attester.exportPublicKey();
+        const response = {
+            attestation: { ...signed, typeCode: 257, attesterPubKeyX: publicKey.x, attesterPubKeyY: publicKey.y },
+            merkleProof: {
+                pathElements: merkleProof.pathElements.map(e => e.toString()),
+                pathIndices: merkleProof.pathIndices,
+            },
+            registryRoot: tree.getRoot().toString(),
+        };
+
+        const wtns = { type: 'mem' };
+        await snarkjs.wtns.calculate(attestationProofInputs(entity, response, 3n), wasmPath, wtns);
+        const witness = await snarkjs.wtns.exportJson(wtns);
+        expect(witness[4].toString()).toBe(response.registryRoot);
+    });
+
+    test('offline signing rejects unknown types and malformed keys', async () => {
+        const { initCrypto, Attester } = await import('../src/entity-identity.js');
+        const crypto = await initCrypto();
+        expect(() => new Attester(crypto).signAttestation(1n, 'AI.XX')).toThrow();
+        expect(() => Attester.fromPrivateKey(crypto, '0x1234')).toThrow('32 bytes');
+    });
+});
+
+describe('Entity keys', () => {
+    const MASTER_KEY = '0x' + '11'.repeat(32);
+
+    test('derivation from a master key is pinned', async () => {
+        const { deriveEntityKeys } = await import('../src/entity-identity.js');
+        const keys = deriveEntityKeys(MASTER_KEY);
+
+        // HMAC-SHA256(masterKey, "entity-identity/<label>") mod r
+        expect(keys.secret).toBe(17121517208778493856434033472630723347874501306234218443870704091421259326598n);
+        expect(keys.salt).toBe(539705388423083235617881160853860731520298476943509051057864712760889261688n);
+    });
+
+    test('the same seed always gives the same commitment', async () => {
+        const { initCrypto, Entity, generateMnemonic } = await import('../src/entity-identity.js');
+        const crypto = await initCrypto();
+        const mnemonic = generateMnemonic();
+
+        const a = Entity.fromSeed(crypto, mnemonic);
+        const b = Entity.fromSeed(crypto, `  ${mnemonic.toUpperCase().split(' ').join('   ')} `);
+        expect(b.getCommitment()).toBe(a.getCommitment());
+        expect(Entity.fromSeed(crypto, MASTER_KEY.slice(2)).getCommitment())
+            .toBe(Entity.fromSeed(crypto, MASTER_KEY).getCommitment());
+        expect(new Entity(crypto).getCommitment()).not.toBe(a.getCommitment());
+    });
+
+    test('rejects invalid seeds', async () => {
+        const { initCrypto, Entity } = await import('../src/entity-identity.js');
+        const crypto = await initCrypto();
+
+        expect(() => Entity.fromSeed(crypto, 'not a real mnemonic')).toThrow('neither a valid mnemonic');
+        expect(() => Entity.fromSeed(crypto, new Uint8Array(16))).toThrow('32 bytes');
+    });
+
+    test('an explicit secret without salt derives its salt from the secret', async () => {
+        const { initCrypto, Entity } = await import('../src/entity-identity.js');
+        const crypto = await initCrypto();
+
+        const a = new Entity(crypto, 123n);
+        const b = new Entity(crypto, 123n);
+        expect(a.secret).toBe(123n);
+        expect(a.masterKey).toBeNull();
+        expect(b.getCommitment()).toBe(a.getCommitment());
+        // HMAC-SHA256(secret, "entity-identity/salt") mod r
+        expect(a.salt).toBe(5563866727702103521053310438882783359308754997439252164820228079612296850074n);
+        expect(new Entity(crypto, 124n).getCommitment()).not.toBe(a.getCommitment());
+        expect((await Entity.fromJSON(crypto, JSON.stringify(a))).getCommitment()).toBe(a.getCommitment());
+    });
+
+    test('toJSON/fromJSON round trip, plain and encrypted', async () => {
+        const { initCrypto, Entity } = await import('../src/entity-identity.js');
+        const crypto = await initCrypto();
+        const entity = Entity.fromSeed(crypto, MASTER_KEY);
+
+        const plain = JSON.parse(JSON.stringify(entity));
+        expect(plain.masterKey).toBe(MASTER_KEY);
+        expect((await Entity.fromJSON(crypto, plain)).getCommitment()).toBe(entity.getCommitment());
+        expect(() => entity.toJSON({ passphrase: 'hunter2' })).toThrow('toEncryptedJSON');
+
+        const encrypted = await entity.toEncryptedJSON('hunter2', { scryptN: 1024 });
+        expect(encrypted.crypto.cipher).toBe('aes-256-gcm');
+        expect(JSON.stringify(encrypted)).not.toContain('11111111');
+        expect((await Entity.fromJSON(crypto, JSON.stringify(encrypted), 'hunter2')).masterKey)
+            .toEqual(entity.masterKey);
+        await expect(Entity.fromJSON(crypto, encrypted)).rejects.toThrow('passphrase is required');
+        await expect(Entity.fromJSON(crypto, encrypted, 'wrong')).rejects.toThrow('Invalid passphrase');
+
+        // The key type is authenticated along with the keys
+        await expect(Entity.fromJSON(crypto, { ...encrypted, keyType: 'secretSalt' }, 'hunter2'))
+            .rejects.toThrow('Invalid passphrase');
+
+        // Entities built from an explicit secret/salt have no master key
+        const explicit = new Entity(crypto, entity.secret, entity.salt);
+        const restored = await Entity.fromJSON(crypto, await explicit.toEncryptedJSON('pw', { scryptN: 1024 }), 'pw');
+        expect(restored.secret).toBe(entity.secret);
+        expect(restored.salt).toBe(entity.salt);
+    });
+
+    test('tampered files are rejected', async () => {
+        const { initCrypto, Entity } = await import('../src/entity-identity.js');
+        const crypto = await initCrypto();
+        const json = Entity.fromSeed(crypto, MASTER_KEY).toJSON();
+
+        await expect(Entity.fromJSON(crypto, { ...json, commitment: '1' })).rejects.toThrow('do not match');
+        await expect(Entity.fromJSON(crypto, { ...json, version: 99 })).rejects.toThrow('version');
+    });
+});
+
+describe('deriveContextId', () => {
+    const FIELD = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+
+    test('is deterministic, field-safe and domain-separated', async () => {
+        const { deriveContextId } = await import('../src/entity-identity.js');
+        const id = deriveContextId({ domain: 'shop.example.com', purpose: 'signup', epoch: 3 });
+
+        expect(typeof id).toBe('bigint');
+        expect(id).toBeLessThan(FIELD);
+        expect(deriveContextId({ domain: ' Shop.Example.COM', purpose: 'signup', epoch: 3n })).toBe(id);
+        expect(deriveContextId({ domain: 'shop.example.com', purpose: 'signup', epoch: '3' })).toBe(id);
+
+        // Each field changes the id, and fields cannot bleed into each other
+        expect(deriveContextId({ domain: 'other.example.com', purpose: 'signup', epoch: 3 })).not.toBe(id);
+        expect(deriveContextId({ domain: 'shop.example.com', purpose: 'login', epoch: 3 })).not.toBe(id);
+        expect(deriveContextId({ domain: 'shop.example.com', purpose: 'signup', epoch: 4 })).not.toBe(id);
+        expect(deriveContextId({ domain: 'a', purpose: 'bc' })).not.toBe(deriveContextId({ domain: 'ab', purpose: 'c' }));
+
+        // Long contexts no longer overflow the field
+        expect(deriveContextId({ domain: 'x'.repeat(1000) })).toBeLessThan(FIELD);
+        expect(deriveContextId({ domain: 'shop.example.com' }))
+            .toBe(deriveContextId({ domain: 'shop.example.com', purpose: '', epoch: 0 }));
+    });
+
+    test('rejects incomplete contexts', async () => {
+        const { deriveContextId } = await import('../src/entity-identity.js');
+        expect(() => deriveContextId()).toThrow('domain');
+        expect(() => deriveContextId({ domain: '  ' })).toThrow('domain');
+        expect(() => deriveContextId({ domain: 'a.com', purpose: 7 })).toThrow('purpose');
+        expect(() => deriveContextId({ domain: 'a.com', epoch: -1 })).toThrow('epoch');
+        expect(() => deriveContextId({ domain: 'a.com', epoch: 1.5 })).toThrow('epoch');
+    });
+});
+
+describe('Attestation validity windows', () => {
+    const issuedAt = 1_700_000_000;
+    const expiresAt = issuedAt + 86400 * 365;
+    const DAY = 86400;
+    const v2Wasm = new URL('../build/entity_type_proof_v2_js/entity_type_proof_v2.wasm', import.meta.url).pathname;
+
+    afterAll(async () => {
+        await globalThis.curve_bn128?.terminate();
+    });
+
+    test('the window is part of the signed message', async () => {
+        const { initCrypto, Attester, Entity, EntityTypes, attestationMessage } = await import('../src/entity-identity.js');
+        const crypto = await initCrypto();
+        const attester = new Attester(crypto);
+        const commitment = new Entity(crypto).getCommitment();
+
+        const attestation = attester.attest(commitment, EntityTypes['AI.CA'], { issuedAt, expiresAt });
+        expect(attestation.issuedAt).toBe(String(issuedAt));
+        expect(attestation.expiresAt).toBe(String(expiresAt));
+
+        const message = attestationMessage(crypto.hash, commitment, 257, { issuedAt, expiresAt });
+        expect(message).toBe(crypto.hash([commitment, 257n, BigInt(issuedAt), BigInt(expiresAt)]));
+        expect(message).not.toBe(attestationMessage(crypto.hash, commitment, 257));
+
+        const verifies = (msg) => crypto.eddsa.verifyPoseidon(
+            crypto.eddsa.F.e(msg),
+            {
+                R8: [crypto.eddsa.F.e(BigInt(attestation.signatureR8X)), crypto.eddsa.F.e(BigInt(attestation.signatureR8Y))],
+                S: BigInt(attestation.signatureS),
+            },
+            [crypto.eddsa.F.e(attester.publicKey.x), crypto.eddsa.F.e(attester.publicKey.y)]
+        );
+        expect(verifies(message)).toBe(true);
+        expect(verifies(attestationMessage(crypto.hash, commitment, 257, { issuedAt, expiresAt: expiresAt + 1 }))).toBe(false);
+
+        const body = attester.signAttestation(commitment, 'AI.CA', { issuedAt, expiresAt });
+        expect(body).toMatchObject({ issuedAt: String(issuedAt), expiresAt: String(expiresAt) });
+        expect(body).not.toHaveProperty('attesterPubKeyX');
+        expect(() => attester.attest(commitment, 257, { issuedAt, expiresAt: issuedAt })).toThrow('expire after');
+    });
+
+    test('proof inputs prove the window against currentTime', async () => {
+        const { initCrypto, Attester, Entity, MerkleTree, EntityTypes, circuitVersion } = await import('../src/entity-identity.js');
+        const crypto = await initCrypto();
+        const attester = new Attester(crypto);
+        const entity = new Entity(crypto);
+        const tree = new MerkleTree(20, crypto.hash);
+        const proof = tree.getProof(tree.addLeaf(attester.getLeaf()));
+        const attestation = attester.attest(entity.getCommitment(), EntityTypes['AI.CA'], { issuedAt, expiresAt });
+        const inputs = (timing) => entity.generateProofInputs(257, attestation, proof, tree.getRoot(), 1n, timing);
+
+        const now = issuedAt + 10 * DAY;
+        expect(inputs({ currentTime: now })).toMatchObject({
+            currentTime: String(now),
+            minIssuedAt: '0',
+            issuedAt: String(issuedAt),
+            expiresAt: String(expiresAt),
+        });
+        expect(inputs({ currentTime: now, maxAge: 90 * DAY }).minIssuedAt).toBe(String(now - 90 * DAY));
+        expect(circuitVersion(inputs({ currentTime: now }))).toBe(2);
+
+        expect(() => inputs({ currentTime: expiresAt })).toThrow('expired');
+        expect(() => inputs({ currentTime: issuedAt - 1 })).toThrow('not valid yet');
+        expect(() => inputs({ currentTime: now, maxAge: 5 * DAY })).toThrow('max age');
+
+        // Unbounded attestations keep the version 1 inputs
+        const legacy = entity.generateProofInputs(257, attester.attest(entity.getCommitment(), 257), proof, tree.getRoot(), 1n);
+        expect(legacy).not.toHaveProperty('currentTime');
+        expect(circuitVersion(legacy)).toBe(1);
+    });
+
+    test('verifier time policy', async () => {
+        const { parsePublicSignals, checkProofTime } = await import('../src/entity-identity.js');
+        const now = issuedAt + 100 * DAY;
+        const v2 = parsePublicSignals(['1', '2', '257', '3', '4', String(now), String(now - 90 * DAY)]);
+        expect(v2).toMatchObject({ claimedType: '257', currentTime: String(now), minIssuedAt: String(now - 90 * DAY) });
+
+        expect(checkProofTime(v2, { now })).toBeNull();
+        expect(checkProofTime(v2, { now, maxAge: 90 * DAY })).toBeNull();
+        expect(checkProofTime(v2, { now, maxAge: 30 * DAY })).toBe('attestation_too_old');
+        expect(checkProofTime(v2, { now: now + 301 })).toBe('proof_time_skew');
+        expect(checkProofTime(v2, { now: now + 600, maxClockSkew: 900 })).toBeNull();
+
+        // Without a clock or skew the proof's currentTime is not checked
+        expect(checkProofTime(v2)).toBeNull();
+        expect(checkProofTime(v2, { maxClockSkew: 300 })).toBe('proof_time_skew');
+
+        // Version 1 proofs say nothing about age
+        const v1 = parsePublicSignals(['1', '2', '257', '3', '4']);
+        expect(v1).not.toHaveProperty('currentTime');
+        expect(checkProofTime(v1)).toBeNull();
+        expect(checkProofTime(v1, { maxAge: 90 * DAY })).toBe('attestation_too_old');
+    });
+
+    test('entity_type_proof_v2 proves the window and rejects an expired attestation', async () => {
+        const snarkjs = await import('snarkjs');
+        const { initCrypto, Attester, Entity, MerkleTree } = await import('../src/entity-identity.js');
+        const crypto = await initCrypto();
+        const attester = new Attester(crypto);
+        const entity = new Entity(crypto);
+        const tree = new MerkleTree(20, crypto.hash);
+        const proof = tree.getProof(tree.addLeaf(attester.getLeaf()));
+        const attestation = attester.attest(entity.getCommitment(), 257, { issuedAt, expiresAt });
+        const now = issuedAt + 10 * DAY;
+        const inputs = entity.generateProofInputs(257, attestation, proof, tree.getRoot(), 1n, { currentTime: now, maxAge: 90 * DAY });
+
+        const wtns = { type: 'mem' };
+        await snarkjs.wtns.calculate(inputs, v2Wasm, wtns);
+        const witness = (await snarkjs.wtns.exportJson(wtns)).map(String);
+        // [1, nullifier, entityCommitment, claimedType, attestersRoot, contextId, currentTime, minIssuedAt]
+        expect(witness.slice(1, 8)).toEqual([
+            entity.getNullifier(1n).toString(), entity.getCommitment().toString(), '257',
+            tree.getRoot().toString(), '1', String(now), String(now - 90 * DAY),
+        ]);
+
+        // The SDK refuses these early; the circuit must refuse them too
+        const fails = (overrides) => expect(snarkjs.wtns.calculate({ ...inputs, ...overrides }, v2Wasm, { type: 'mem' }))
+            .rejects.toThrow();
+        await fails({ currentTime: String(expiresAt) });
+        await fails({ minIssuedAt: String(issuedAt + 1) });
+    });
+});
+
+describe('Attestation revocation', () => {
+    const window = { issuedAt: 1_700_000_000, expiresAt: 1_800_000_000 };
+    const v3Wasm = new URL('../build/entity_type_proof_v3_js/entity_type_proof_v3.wasm', import.meta.url).pathname;
+
+    afterAll(async () => {
+        await globalThis.curve_bn128?.terminate();
+    });
+
+    test('registry proves non-membership of unrevoked attestations', async () => {
+        const { initCrypto, RevocationRegistry } = await import('../src/entity-identity.js');
+        const crypto = await initCrypto();
+        const hashes = Array.from({ length: 20 }, (_, i) => crypto.hash([BigInt(i)]));
+
+        const registry = await RevocationRegistry.create();
+        expect(registry.getRoot()).toBe(0n);
+        for (const h of hashes.slice(0, 10)) {
+            expect(await registry.revoke(h)).toBe(true);
+        }
+        expect(await registry.revoke(hashes[0])).toBe(false);
+        expect(await registry.isRevoked(hashes[3])).toBe(true);
+        expect(await registry.isRevoked(hashes[13])).toBe(false);
+
+        for (const h of hashes.slice(10)) {
+            const proof = await registry.nonMembershipProof(h);
+            expect(proof.revocationSiblings).toHaveLength(40);
+            expect(proof.revocationRoot).toBe(registry.getRoot().toString());
+            expect(RevocationRegistry.verifyNonMembership(crypto.hash, h, proof)).toBe(true);
+            // A proof for one attestation says nothing about another
+            expect(RevocationRegistry.verifyNonMembership(crypto.hash, hashes[0], proof)).toBe(false);
+        }
+        await expect(registry.nonMembershipProof(hashes[5])).rejects.toThrow('revoked');
+
+        // Rebuilding from the revoked set gives the same root in any order
+        const rebuilt = await RevocationRegistry.create(hashes.slice(0, 10).reverse());
+        expect(rebuilt.getRoot()).toBe(registry.getRoot());
+
+        // Undoing a revocation restores the previous root
+        const before = registry.getRoot();
+        expect(await registry.revoke(hashes[10])).toBe(true);
+        expect(await registry.unrevoke(hashes[10])).toBe(true);
+        expect(await registry.unrevoke(hashes[10])).toBe(false);
+        expect(registry.getRoot()).toBe(before);
+        expect(await registry.isRevoked(hashes[10])).toBe(false);
+    });
+
+    test('version 3 inputs bind the attestation to a revocation root', async () => {
+        const { initCrypto, Attester, Entity, MerkleTree, RevocationRegistry, attestationHash, attestationMessage,
+            circuitVersion, parsePublicSignals } = await import('../src/entity-identity.js');
+        const crypto = await initCrypto();
+        const attester = new Attester(crypto);
+        const entity = new Entity(crypto);
+        const tree = new MerkleTree(20, crypto.hash);
+        const merkleProof = tree.getProof(tree.addLeaf(attester.getLeaf()));
+        const attestation = attester.attest(entity.getCommitment(), 257, window);
+
+        // Same statement from another attester is a different attestation
+        const message = attestationMessage(crypto.hash, entity.getCommitment(), 257, window);
+        const h = attestationHash(crypto.hash, attester.publicKey, message);
+        expect(h).toBe(crypto.hash([attester.getLeaf(), message]));
+        expect(attestationHash(crypto.hash, new Attester(crypto).publicKey, message)).not.toBe(h);
+
+        const registry = await RevocationRegistry.create([crypto.hash([1n])]);
+        const revocation = await registry.nonMembershipProof(h);
+        const inputs = entity.generateProofInputs(257, attestation, merkleProof, tree.getRoot(), 1n, {
+            currentTime: window.issuedAt + 60,
+            revocation,
+        });
+        expect(inputs).toMatchObject({ revocationRoot: registry.getRoot().toString(), revocationIsOld0: revocation.revocationIsOld0 });
+        expect(circuitVersion(inputs)).toBe(3);
+
+        const legacy = attester.attest(entity.getCommitment(), 257);
+        expect(() => entity.generateProofInputs(257, legacy, merkleProof, tree.getRoot(), 1n, { revocation }))
+            .toThrow('validity window');
+
+        await registry.revoke(h);
+        await expect(registry.nonMembershipProof(h)).rejects.toThrow('revoked');
+
+        const parsed = parsePublicSignals(['1', '2', '257', '3', '4', '5', '0', '6']);
+        expect(parsed).toMatchObject({ currentTime: '5', revocationRoot: '6' });
+    });
+
+    test('entity_type_proof_v3 rejects a revoked attestation', async () => {
+        const snarkjs = await import('snarkjs');
+        const { initCrypto, Attester, Entity, MerkleTree, RevocationRegistry, attestationHash, attestationMessage } =
+            await import('../src/entity-identity.js');
+        const crypto = await initCrypto();
+        const attester = new Attester(crypto);
+        const entity = new Entity(crypto);
+        const tree = new MerkleTree(20, crypto.hash);
+        const merkleProof = tree.getProof(tree.addLeaf(attester.getLeaf()));
+        const attestation = attester.attest(entity.getCommitment(), 257, window);
+        const h = attestationHash(crypto.hash, attester.publicKey,
+            attestationMessage(crypto.hash, entity.getCommitment(), 257, window));
+
+        const registry = await RevocationRegistry.create([crypto.hash([1n]), crypto.hash([2n])]);
+        const inputs = entity.generateProofInputs(257, attestation, merkleProof, tree.getRoot(), 1n, {
+            currentTime: window.issuedAt + 60,
+            revocation: await registry.nonMembershipProof(h),
+        });
+        const wtns = { type: 'mem' };
+        await snarkjs.wtns.calculate(inputs, v3Wasm, wtns);
+        const witness = (await snarkjs.wtns.exportJson(wtns)).map(String);
+        // [1, nullifier, entityCommitment, claimedType, attestersRoot, contextId, currentTime, minIssuedAt, revocationRoot]
+        expect(witness[8]).toBe(registry.getRoot().toString());
+
+        // Once revoked, the old non-membership proof does not open the new root
+        await registry.revoke(h);
+        await expect(snarkjs.wtns.calculate({ ...inputs, revocationRoot: registry.getRoot().toString() }, v3Wasm, { type: 'mem' }))
+            .rejects.toThrow();
+    });
+});
+
+describe('Rate-limited nullifiers', () => {
+    const window = { issuedAt: 1_700_000_000, expiresAt: 1_800_000_000 };
+    const v4Wasm = new URL('../build/entity_type_proof_v4_js/entity_type_proof_v4.wasm', import.meta.url).pathname;
+
+    afterAll(async () => {
+        await globalThis.curve_bn128?.terminate();
+    });
+
+    test('version 4 inputs carry a private slot below a public limit', async () => {
+        const { initCrypto, Attester, Entity, MerkleTree, RevocationRegistry, circuitVersion, deriveContextId,
+            parsePublicSignals, rateLimitEpoch } = await import('../src/entity-identity.js');
+        const crypto = await initCrypto();
+        const attester = new Attester(crypto);
+        const entity = new Entity(crypto);
+        const tree = new MerkleTree(20, crypto.hash);
+        const merkleProof = tree.getProof(tree.addLeaf(attester.getLeaf()));
+        const attestation = attester.attest(entity.getCommitment(), 257, window);
+        const revocation = await (await RevocationRegistry.create()).nonMembershipProof(1n);
+
+        const currentTime = window.issuedAt + 7200;
+        const epoch = rateLimitEpoch(3600, currentTime);
+        expect(epoch).toBe(Math.floor(currentTime / 3600));
+        const contextId = deriveContextId({ domain: 'forum.example.com', purpose: 'comment', epoch });
+
+        const prove = (rateLimit) => entity.generateProofInputs(257, attestation, merkleProof, tree.getRoot(), contextId, {
+            currentTime, revocation, rateLimit,
+        });
+        const inputs = prove({ slot: 2, limit: 5 });
+        expect(inputs).toMatchObject({ actionSlot: '2', actionLimit: '5' });
+        expect(circuitVersion(inputs)).toBe(4);
+
+        expect(() => prove({ slot: 5, limit: 5 })).toThrow('below the action limit');
+        expect(() => prove({ slot: 0, limit: 0 })).toThrow('Action limit');
+        expect(() => entity.generateProofInputs(257, attestation, merkleProof, tree.getRoot(), contextId, {
+            currentTime, rateLimit: { slot: 0, limit: 5 },
+        })).toThrow('revocation proof');
+
+        // One unlinkable nullifier per slot, distinct from the version 1-3 one
+        const nullifiers = [0, 1, 2, 3, 4].map(slot => entity.getNullifier(contextId, slot));
+        expect(new Set(nullifiers).size).toBe(5);
+        expect(nullifiers[2]).toBe(crypto.hash([entity.secret, contextId, 2n]));
+        expect(entity.getNullifier(contextId)).toBe(crypto.hash([entity.secret, contextId]));
+        expect(nullifiers).not.toContain(entity.getNullifier(contextId));
+
+        const parsed = parsePublicSignals(['1', '2', '257', '3', '4', '5', '0', '6', '5']);
+        expect(parsed).toMatchObject({ revocationRoot: '6', actionLimit: '5' });
+    });
+
+    test('entity_type_proof_v4 outputs the slot nullifier and rejects slots at the limit', async () => {
+        const snarkjs = await import('snarkjs');
+        const { initCrypto, Attester, Entity, MerkleTree, RevocationRegistry } = await import('../src/entity-identity.js');
+        const crypto = await initCrypto();
+        const attester = new Attester(crypto);
+        const entity = new Entity(crypto);
+        const tree = new MerkleTree(20, crypto.hash);
+        const merkleProof = tree.getProof(tree.addLeaf(attester.getLeaf()));
+        const attestation = attester.attest(entity.getCommitment(), 257, window);
+        const revocation = await (await RevocationRegistry.create()).nonMembershipProof(1n);
+        const inputs = entity.generateProofInputs(257, attestation, merkleProof, tree.getRoot(), 9n, {
+            currentTime: window.issuedAt + 60, revocation, rateLimit: { slot: 2, limit: 3 },
+        });
+
+        const wtns = { type: 'mem' };
+        await snarkjs.wtns.calculate(inputs, v4Wasm, wtns);
+        const witness = (await snarkjs.wtns.exportJson(wtns)).map(String);
+        // [1, nullifier, ..., revocationRoot, actionLimit]
+        expect(witness[1]).toBe(entity.getNullifier(9n, 2).toString());
+        expect(witness[9]).toBe('3');
+
+        // A fourth nullifier would break the limit
+        await expect(snarkjs.wtns.calculate({ ...inputs, actionSlot: '3' }, v4Wasm, { type: 'mem' })).rejects.toThrow();
+    });
+});
+
+describe('Type-scoped attester leaves', () => {
+    const window = { issuedAt: 1_700_000_000, expiresAt: 1_800_000_000 };
+    const v5Wasm = new URL('../build/entity_type_proof_v5_js/entity_type_proof_v5.wasm', import.meta.url).pathname;
+    const v6Wasm = new URL('../build/entity_type_proof_v6_js/entity_type_proof_v6.wasm', import.meta.url).pathname;
+
+    afterAll(async () => {
+        await globalThis.curve_bn128?.terminate();
+    });
+
+    // A DMV-style attester allowed AR.* only, and an /attest response for type
+    async function scopedSetup(typeCode) {
+        const { initCrypto, Attester, Entity, MerkleTree, RevocationRegistry } = await import('../src/entity-identity.js');
+        const crypto = await initCrypto();
+        const attester = new Attester(crypto);
+        const entity = new Entity(crypto);
+        const tree = new MerkleTree(20, crypto.hash);
+        const keyOnly = new MerkleTree(20, crypto.hash);
+        keyOnly.addLeaf(attester.getLeaf());
+        const index = tree.addLeaf(attester.getScopedLeaf('AR.*'));
+        const path = ({ pathElements, pathIndices }) => ({ pathElements: pathElements.map(String), pathIndices });
+        const response = JSON.parse(JSON.stringify({
+            attestation: {
+                entityCommitment: entity.getCommitment().toString(),
+                typeCode,
+                ...attester.attest(entity.getCommitment(), typeCode, window),
+            },
+            merkleProof: path(keyOnly.getProof(0)),
+            registryRoot: keyOnly.getRoot().toString(),
+            scopedMerkleProof: { scope: 'AR.*', typeScope: 0x0200, ...path(tree.getProof(index)) },
+            scopedRegistryRoot: tree.getRoot().toString(),
+        }));
+        const revocation = await (await RevocationRegistry.create()).nonMembershipProof(1n);
+        return { crypto, attester, entity, response, revocation };
+    }
+
+    test('version 5 inputs open the scoped leaf that covers claimedType', async () => {
+        const { EntityTypes, attestationProofInputs, circuitVersion, parsePublicSignals } =
+            await import('../src/entity-identity.js');
+        const { crypto, attester, entity, response, revocation } = await scopedSetup(EntityTypes['AR.VH']);
+
+        expect(attester.getScopedLeaf('AR.*')).toBe(crypto.hash([attester.publicKey.x, attester.publicKey.y, 0x0200n]));
+        expect(attester.getScopedLeaf('*')).not.toBe(attester.getLeaf());
+
+        const options = { currentTime: window.issuedAt + 60, revocation };
+        const inputs = attestationProofInputs(entity, response, 7n, { ...options, typeScoped: true });
+        expect(inputs).toMatchObject({
+            attestersRoot: response.scopedRegistryRoot,
+            attesterTypeScope: '512',
+            attesterLeafFormat: '2',
+            actionSlot: '0',
+            actionLimit: '1',
+        });
+        expect(circuitVersion(inputs)).toBe(5);
+
+        // Without typeScoped the key-only leaf and version 3 are used
+        const legacy = attestationProofInputs(entity, response, 7n, options);
+        expect(legacy.attestersRoot).toBe(response.registryRoot);
+        expect(circuitVersion(legacy)).toBe(3);
+
+        // An AR.* attester's HU.US signature fails before proving
+        const forged = await scopedSetup(EntityTypes['HU.US']);
+        expect(() => attestationProofInputs(forged.entity, forged.response, 7n, {
+            ...options, revocation: forged.revocation, typeScoped: true,
+        })).toThrow('does not cover');
+        expect(() => attestationProofInputs(entity, { ...response, scopedMerkleProof: undefined }, 7n, {
+            ...options, typeScoped: true,
+        })).toThrow('no type-scoped merkle proof');
+
+        const parsed = parsePublicSignals(['1', '2', '515', '3', '4', '5', '0', '6', '1', '2']);
+        expect(parsed).toMatchObject({ actionLimit: '1', attesterLeafFormat: '2' });
+    });
+
+    test('entity_type_proof_v5 rejects types outside the scope', async () => {
+        const snarkjs = await import('snarkjs');
+        const { EntityTypes, attestationProofInputs } = await import('../src/entity-identity.js');
+        const { entity, response, revocation } = await scopedSetup(EntityTypes['AR.VH']);
+        const options = { currentTime: window.issuedAt + 60, revocation, typeScoped: true };
+
+        const wtns = { type: 'mem' };
+        await snarkjs.wtns.calculate(attestationProofInputs(entity, response, 7n, options), v5Wasm, wtns);
+        const witness = await snarkjs.wtns.exportJson(wtns);
+        expect(witness[3].toString()).toBe(String(EntityTypes['AR.VH']));
+        expect(witness[10].toString()).toBe('2');
+
+        // An AR.* key signing HU.US: the signature is valid, the scope is not
+        const forged = await scopedSetup(EntityTypes['HU.US']);
+        const inputs = attestationProofInputs(forged.entity, forged.response, 7n, {
+            currentTime: options.currentTime, revocation: forged.revocation,
+        });
+        await expect(snarkjs.wtns.calculate({
+            ...inputs,
+            attestersRoot: forged.response.scopedRegistryRoot,
+            attesterPathElements: forged.response.scopedMerkleProof.pathElements,
+            attesterPathIndices: forged.response.scopedMerkleProof.pathIndices.map(String),
+            actionSlot: '0',
+            actionLimit: '1',
+            attesterTypeScope: '512',
+            attesterLeafFormat: '2',
+        }, v5Wasm, { type: 'mem' })).rejects.toThrow();
+    });
+
+    test('version 6 inputs disclose a type set instead of claimedType', async () => {
+        const { EntityTypes, attestationProofInputs, circuitVersion, parsePublicSignals, disclosedTypes } =
+            await import('../src/entity-identity.js');
+        const { entity, response, revocation } = await scopedSetup(EntityTypes['AR.VH']);
+        const options = { currentTime: window.issuedAt + 60, revocation, typeScoped: true };
+
+        const inputs = attestationProofInputs(entity, response, 7n, { ...options, typeSet: ['AR.*'] });
+        expect(inputs.typeSet).toEqual(Array(8).fill('512'));
+        expect(inputs.claimedType).toBe(String(EntityTypes['AR.VH']));
+        expect(circuitVersion(inputs)).toBe(6);
+
+        // Short sets repeat their first entry
+        const listed = attestationProofInputs(entity, response, 7n, { ...options, typeSet: ['AR.DR', 'AR.VH'] });
+        expect(listed.typeSet).toEqual(['514', '515', '514', '514', '514', '514', '514', '514']);
+
+        expect(() => attestationProofInputs(entity, response, 7n, { ...options, typeSet: ['AI.*'] }))
+            .toThrow('not in the disclosed type set');
+        expect(() => attestationProofInputs(entity, response, 7n, { ...options, typeSet: Array(9).fill('*') }))
+            .toThrow('1 to 8 patterns');
+        expect(() => attestationProofInputs(entity, response, 7n, { currentTime: options.currentTime, revocation, typeSet: ['*'] }))
+            .toThrow('type-scoped attester proof');
+
+        // 17 signals; the type set is parsed as an array
+        const parsed = parsePublicSignals(['1', '2', ...listed.typeSet, '3', '4', '5', '0', '6', '1', '2']);
+        expect(parsed.claimedType).toBeUndefined();
+        expect(parsed.typeSet).toEqual(listed.typeSet);
+        expect(parsed).toMatchObject({ attestersRoot: '3', actionLimit: '1', attesterLeafFormat: '2' });
+        expect(disclosedTypes(parsed)).toEqual(['AR.DR', 'AR.VH']);
+        expect(disclosedTypes(parsePublicSignals(['1', '2', '515', '3', '4', '5', '0', '6', '1', '2']))).toBeNull();
+    });
+
+    test('entity_type_proof_v6 keeps claimedType private', async () => {
+        const snarkjs = await import('snarkjs');
+        const { EntityTypes, attestationProofInputs } = await import('../src/entity-identity.js');
+        const { entity, response, revocation } = await scopedSetup(EntityTypes['AR.VH']);
+        const options = { currentTime: window.issuedAt + 60, revocation, typeScoped: true, typeSet: ['AR.*'] };
+
+        const inputs = attestationProofInputs(entity, response, 7n, options);
+        const wtns = { type: 'mem' };
+        await snarkjs.wtns.calculate(inputs, v6Wasm, wtns);
+        const witness = (await snarkjs.wtns.exportJson(wtns)).map(String);
+        // [1, nullifier, commitment, typeSet[8], attestersRoot, ...]
+        expect(witness.slice(3, 11)).toEqual(Array(8).fill('512'));
+        expect(witness[11]).toBe(response.scopedRegistryRoot);
+
+        // A set that does not cover the private type is unsatisfiable
+        await expect(snarkjs.wtns.calculate({ ...inputs, typeSet: Array(8).fill('256') }, v6Wasm, { type: 'mem' }))
+            .rejects.toThrow();
+    });
+});
+
+describe('Challenge-bound proofs', () => {
+    const window = { issuedAt: 1_700_000_000, expiresAt: 1_800_000_000 };
+    const v7Wasm = new URL('../build/entity_type_proof_v7_js/entity_type_proof_v7.wasm', import.meta.url).pathname;
+
+    afterAll(async () => {
+        await globalThis.curve_bn128?.terminate();
+    });
+
+    test('messageHash binds domain, nonce and request digest', async () => {
+        const { challengeMessageHash, createChallenge, requestDigest, CHALLENGE_TTL } = await import('../src/entity-identity.js');
+
+        const digest = requestDigest('{"amount":10}');
+        expect(digest).toBe(requestDigest(new TextEncoder().encode('{"amount":10}')));
+        expect(digest).toMatch(/^0x[0-9a-f]{64}$/);
+
+        const challenge = { domain: 'Shop.Example.com', nonce: 'abc', requestDigest: digest };
+        const hash = challengeMessageHash(challenge);
+        expect(hash).toBeLessThan(21888242871839275222246405745257275088548364400416034343698204186575808495617n);
+        expect(challengeMessageHash({ ...challenge, domain: 'shop.example.com' })).toBe(hash);
+        expect(challengeMessageHash({ ...challenge, nonce: 'abd' })).not.toBe(hash);
+        expect(challengeMessageHash({ ...challenge, requestDigest: requestDigest('{"amount":11}') })).not.toBe(hash);
+        expect(challengeMessageHash({ domain: 'shop.example.com', nonce: 'abc' }))
+            .toBe(challengeMessageHash({ domain: 'shop.example.com', nonce: 'abc', requestDigest: '' }));
+        expect(() => challengeMessageHash({ domain: 'shop.example.com' })).toThrow('nonce is required');
+        expect(() => challengeMessageHash({ nonce: 'abc' })).toThrow('domain is required');
+
+        const issued = createChallenge('shop.example.com', undefined, 1_000);
+        expect(issued).toMatchObject({ domain: 'shop.example.com', expiresAt: 1_000 + CHALLENGE_TTL });
+        expect(issued.nonce).toMatch(/^[0-9a-f]{32}$/);
+        expect(createChallenge('shop.example.com').nonce).not.toBe(issued.nonce);
+        expect(() => createChallenge('shop.example.com', 0)).toThrow('positive integer');
+    });
+
+    test('version 7 inputs add messageHash to a type-scoped proof', async () => {
+        const {
+            initCrypto, Attester, Entity, MerkleTree, RevocationRegistry,
+            EntityTypes, challengeMessageHash, circuitVersion, parsePublicSignals,
+        } = await import('../src/entity-identity.js');
+        const crypto = await initCrypto();
+        const attester = new Attester(crypto);
+        const entity = new Entity(crypto);
+        const tree = new MerkleTree(20, crypto.hash);
+        tree.addLeaf(attester.getScopedLeaf('AI.*'));
+        const attestation = attester.attest(entity.getCommitment(), EntityTypes['AI.CA'], window);
+        const revocation = await (await RevocationRegistry.create()).nonMembershipProof(1n);
+        const challenge = { domain: 'shop.example.com', nonce: 'abc', requestDigest: '0x12' };
+        const prove = (options) => entity.generateProofInputs(EntityTypes['AI.CA'], attestation, tree.getProof(0),
+            tree.getRoot(), 7n, { currentTime: window.issuedAt + 60, revocation, attesterScope: 'AI.*', ...options });
+
+        const inputs = prove({ challenge });
+        expect(inputs.messageHash).toBe(challengeMessageHash(challenge).toString());
+        expect(inputs.attesterLeafFormat).toBe('2');
+        expect(circuitVersion(inputs)).toBe(7);
+        expect(circuitVersion(prove({}))).toBe(5);
+
+        expect(() => prove({ challenge, attesterScope: undefined })).toThrow('type-scoped attester proof');
+        expect(() => prove({ challenge, typeSet: ['AI.*'] })).toThrow('type set with a challenge');
+
+        const parsed = parsePublicSignals(['1', '2', '257', '3', '4', '5', '0', '6', '1', '2', inputs.messageHash]);
+        expect(circuitVersion(['1', '2', '257', '3', '4', '5', '0', '6', '1', '2', '9'])).toBe(7);
+        expect(parsed).toMatchObject({ claimedType: '257', attesterLeafFormat: '2', messageHash: inputs.messageHash });
+    });
+
+    test('entity_type_proof_v7 exposes messageHash as its last signal', async () => {
+        const snarkjs = await import('snarkjs');
+        const { initCrypto, Attester, Entity, MerkleTree, RevocationRegistry, EntityTypes } =
+            await import('../src/entity-identity.js');
+        const crypto = await initCrypto();
+        const attester = new Attester(crypto);
+        const entity = new Entity(crypto);
+        const tree = new MerkleTree(20, crypto.hash);
+        tree.addLeaf(attester.getScopedLeaf('AI.*'));
+        const attestation = attester.attest(entity.getCommitment(), EntityTypes['AI.CA'], window);
+        const revocation = await (await RevocationRegistry.create()).nonMembershipProof(1n);
+        const inputs = entity.generateProofInputs(EntityTypes['AI.CA'], attestation, tree.getProof(0), tree.getRoot(), 7n, {
+            currentTime: window.issuedAt + 60, revocation, attesterScope: 'AI.*',
+            challenge: { domain: 'shop.example.com', nonce: 'abc' },
+        });
+
+        const wtns = { type: 'mem' };
+        await snarkjs.wtns.calculate(inputs, v7Wasm, wtns);
+        const witness = await snarkjs.wtns.exportJson(wtns);
+        // [1, nullifier, commitment, claimedType, ..., attesterLeafFormat, messageHash]
+        expect(witness[11].toString()).toBe(inputs.messageHash);
+    });
+});
+
+describe('Policy documents', () => {
+    const examplePath = new URL('../deploy/policies.example.yaml', import.meta.url).pathname;
+
+    test('the example document compiles every policy and action', async () => {
+        const { loadPolicyFile } = await import('../src/policies.js');
+        const { VerificationPolicy, InteractionLevel, RecommendedLevels } = await import('../src/dual-system.js');
+
+        const { policies, actions } = await loadPolicyFile(examplePath, { trustedZkRoots: ['1'] });
+        expect(Object.values(policies).every(p => p instanceof VerificationPolicy)).toBe(true);
+        expect(Object.keys(actions).sort()).toEqual(Object.keys(RecommendedLevels).sort());
+
+        // References share one compiled policy
+        expect(actions.post_comment).toBe(policies['public-forum']);
+        expect(policies['public-forum']).toBe(policies['type-only']);
+
+        const financial = policies['financial-api'];
+        expect(financial.allOf).toHaveLength(2);
+        expect(financial.allOf[0]).toMatchObject({ minLevel: InteractionLevel.TYPE_WITH_STANDING, allowedTypes: ['AI.CA', 'AI.PO', 'AI.AA'] });
+        expect(financial.allOf[1]).toMatchObject({ minPublicAttestations: 3, maxAttestationAge: 365 * 86400 * 1000 });
+
+        // Verifier settings reach nested policies
+        expect(await financial.allOf[1].trustedZkRoots('1')).toBe(true);
+    });
+
+    test('invalid documents report every problem with its path', async () => {
+        const { parsePolicyDocument, validatePolicyDocument, compilePolicyDocument } = await import('../src/policies.js');
+
+        const doc = parsePolicyDocument(`
+version: 1
+policies:
+  a:
+    minLevel: SOMETIMES
+    allowedTypes: ["AI.*", "XX.YY"]
+    maxAttestationAge: 3 days
+    anyOf: []
+  b:
+    allOf: [{ policy: c }, { policy: missing }]
+  c:
+    anyOf: [b]
+    extra: true
+actions:
+  go: nowhere
+`);
+        expect(validatePolicyDocument(doc)).toEqual(expect.arrayContaining([
+            '$.policies.a.minLevel: must be one of ANONYMOUS, TYPE_ONLY, TYPE_WITH_STANDING, FULL_ACCOUNTABILITY or 0-3',
+            '$.policies.a.allowedTypes[1]: unknown type or category: XX.YY',
+            '$.policies.a.maxAttestationAge: must be positive seconds or a duration like "90d"',
+            '$.policies.a.anyOf: must be a non-empty array of rules',
+            '$.policies.b.allOf[1].policy: unknown policy: missing',
+            '$.policies.c.extra: unknown field',
+            '$.actions.go.policy: unknown policy: nowhere',
+            '$.policies.b: policy references itself: b -> c -> b',
+        ]));
+        expect(() => compilePolicyDocument(doc)).toThrow('Invalid policy document');
+
+        expect(validatePolicyDocument(parsePolicyDocument('{"version": 1, "policies": {}}', 'json'))).toEqual([]);
+        expect(validatePolicyDocument({ version: 2 })).toEqual(['$.version: must be 1', '$.policies: must be an object of named policies']);
+    });
+
+    test('anyOf passes when one alternative does', async () => {
+        const { compilePolicyDocument } = await import('../src/policies.js');
+        const { InteractionLevel } = await import('../src/dual-system.js');
+
+        const { policies } = compilePolicyDocument({
+            version: 1,
+            policies: {
+                either: { anyOf: [{ minLevel: 'TYPE_ONLY' }, { minLevel: 0 }] },
+                both: { allOf: [{ minLevel: 'TYPE_ONLY' }, { minLevel: 0 }] },
+            },
+        });
+        const anonymous = { level: InteractionLevel.ANONYMOUS };
+        expect(await policies.either.verify(anonymous)).toEqual({ valid: true, errors: [] });
+
+        const result = await policies.both.verify(anonymous);
+        expect(result.valid).toBe(false);
+        expect(result.errors.map(e => e.code)).toEqual(['level_insufficient', 'zk_proof_missing']);
+    });
+
+    test('a subset keeps what the requested entries reference', async () => {
+        const { policySubset, compilePolicyDocument } = await import('../src/policies.js');
+
+        const doc = {
+            version: 1,
+            policies: {
+                base: { minLevel: 'TYPE_ONLY' },
+                forum: { allOf: ['base', { minLevel: 1 }] },
+                unrelated: { allowedTypes: ['XX.*'] },
+            },
+            actions: { post: 'forum', other: 'unrelated' },
+        };
+        expect(() => compilePolicyDocument(doc)).toThrow('unknown type or category');
+
+        expect(policySubset(doc, { policies: ['forum'] })).toEqual({
+            version: 1,
+            policies: { base: doc.policies.base, forum: doc.policies.forum },
+            actions: {},
+        });
+        const { actions } = compilePolicyDocument(policySubset(doc, { actions: ['post', 'missing'] }));
+        expect(Object.keys(actions)).toEqual(['post']);
+        expect(actions.post.allOf).toHaveLength(2);
+    });
 });
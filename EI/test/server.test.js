@@ -0,0 +1,818 @@
+/**
+ * Entity Identity API server tests
+ *
+ * api/server.js reads its configuration when imported, so the environment
+ * (a fresh database in a temp directory) is set up first. A second SQLite
+ * connection lets tests inspect rows and inject failures with triggers.
+ * Proofs come from test/signals-prover.js, whose keys the server loads in
+ * place of the real circuits'.
+ */
+
+import { mkdirSync, mkdtempSync, renameSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+const ADMIN_KEY = 'test-admin-key';
+const dataDir = mkdtempSync(path.join(tmpdir(), 'ei-server-'));
+process.env.DB_PATH = path.join(dataDir, 'ei.db');
+process.env.ADMIN_API_KEY = ADMIN_KEY;
+process.env.SETUP_DIR = path.join(dataDir, 'setup');
+process.env.LEGACY_DUAL_PROOFS = 'true';
+process.env.POLICY_FILE = path.join(dataDir, 'policies.yaml');
+writeFileSync(process.env.POLICY_FILE, [
+    'version: 1',
+    'policies:',
+    '  open:',
+    '    minLevel: ANONYMOUS',
+    '  typed:',
+    '    minLevel: TYPE_ONLY',
+    '  forum:',
+    '    policy: open',
+    'actions:',
+    '  post_comment: forum',
+    '  join_chat: typed',
+    '',
+].join('\n'));
+
+let server;
+let base;
+let db;
+let crypto;
+let prove;
+
+beforeAll(async () => {
+    // Verification keys for proofs of chosen public signals, by circuit version
+    const { setupSignalsProver } = await import('./signals-prover.js');
+    mkdirSync(process.env.SETUP_DIR);
+    prove = await setupSignalsProver(process.env.SETUP_DIR, {
+        'verification_key.json': 5,
+        'verification_key_v5.json': 10,
+        'verification_key_v7.json': 11,
+        'verification_key_dual.json': 9,
+    });
+
+    const { createServer } = await import('../api/server.js');
+    const { initCrypto } = await import('../src/entity-identity.js');
+    const { default: Database } = await import('better-sqlite3');
+
+    const app = await createServer();
+    server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    base = `http://127.0.0.1:${server.address().port}/api/v1`;
+    db = new Database(process.env.DB_PATH);
+    crypto = await initCrypto();
+});
+
+afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    db.close();
+    rmSync(dataDir, { recursive: true, force: true });
+    await globalThis.curve_bn128?.terminate();
+});
+
+/**
+ * JSON request; the admin key is sent unless another (or null) is given
+ */
+async function api(method, route, body, key = ADMIN_KEY) {
+    const res = await fetch(base + route, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(key && { Authorization: `Bearer ${key}` }),
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+}
+
+/**
+ * Make matching INSERTs into table fail, as a full disk would
+ * @returns A function that removes the failure
+ */
+function failInsert(table, when) {
+    db.exec(`CREATE TRIGGER fail_insert BEFORE INSERT ON ${table} WHEN ${when}
+             BEGIN SELECT RAISE(ABORT, 'injected failure'); END`);
+    const { error } = console;
+    console.error = () => {};
+    return () => {
+        db.exec('DROP TRIGGER fail_insert');
+        console.error = error;
+    };
+}
+
+/**
+ * Root recomputed from an attester's served Merkle path
+ */
+async function servedRoot(attesterId, query = '') {
+    const { body } = await api('GET', `/registry/attesters/${attesterId}/proof${query}`);
+    let node = BigInt(body.leaf);
+    body.pathElements.forEach((sibling, i) => {
+        node = body.pathIndices[i] === 1
+            ? crypto.hash([BigInt(sibling), node])
+            : crypto.hash([node, BigInt(sibling)]);
+    });
+    return node.toString();
+}
+
+describe('Attester registry', () => {
+    test('a failed registration leaves the in-memory trees as they were', async () => {
+        const first = await api('POST', '/admin/attesters', { id: 'reg-a', name: 'A', allowedTypes: ['AI.*'] });
+        expect(first.status).toBe(200);
+        const before = (await api('GET', '/registry')).body;
+
+        const restore = failInsert('audit_log', "NEW.action = 'attester_created'");
+        const failed = await api('POST', '/admin/attesters', { id: 'reg-b', name: 'B', allowedTypes: ['AI.CA', 'HU.*'] });
+        restore();
+        expect(failed.status).toBe(500);
+        expect(failed.body.error).toBe('internal_error');
+        expect(db.prepare("SELECT COUNT(*) AS n FROM attesters WHERE id = 'reg-b'").get().n).toBe(0);
+        expect((await api('GET', '/registry')).body).toEqual(before);
+
+        // The next attester takes the slots the failed one would have had,
+        // and the served paths still lead to the recorded roots
+        const next = await api('POST', '/admin/attesters', { id: 'reg-c', name: 'C', allowedTypes: ['AI.CA'] });
+        expect(next.body.attester.index).toBe(first.body.attester.index + 1);
+        const registry = (await api('GET', '/registry')).body;
+        expect(await servedRoot('reg-a')).toBe(registry.root);
+        expect(await servedRoot('reg-c')).toBe(registry.root);
+        expect(await servedRoot('reg-c', '?scope=AI.CA')).toBe(registry.scoped.root);
+    });
+
+    test('a failed revocation keeps the attester in the trees', async () => {
+        await api('POST', '/admin/attesters', { id: 'rev-a', name: 'A', allowedTypes: ['AI.*'] });
+        await api('POST', '/admin/attesters', { id: 'rev-b', name: 'B', allowedTypes: ['AI.*'] });
+        const before = (await api('GET', '/registry')).body;
+
+        // rev-b's path runs through rev-a's leaves, in both trees
+        const restore = failInsert('audit_log', "NEW.action = 'attester_revoked'");
+        const failed = await api('DELETE', '/admin/attesters/rev-a');
+        restore();
+        expect(failed.status).toBe(500);
+        expect(db.prepare("SELECT revoked_at FROM attesters WHERE id = 'rev-a'").get().revoked_at).toBeNull();
+        expect(await servedRoot('rev-b')).toBe(before.root);
+        expect(await servedRoot('rev-b', '?scope=AI.*')).toBe(before.scoped.root);
+
+        const revoked = await api('DELETE', '/admin/attesters/rev-a');
+        expect(revoked.status).toBe(200);
+        const after = (await api('GET', '/registry')).body;
+        expect(after.root).toBe(revoked.body.registryRoot);
+        expect(after.root).not.toBe(before.root);
+        expect(await servedRoot('rev-b')).toBe(after.root);
+    });
+
+    test('revoking an attester invalidates the roots that contained it', async () => {
+        const { deriveContextId } = await import('../src/entity-identity.js');
+        await api('POST', '/admin/attesters', { id: 'hist-a', name: 'A', allowedTypes: ['AI.*'] });
+        const before = (await api('GET', '/registry')).body;
+        const proof = await prove(['201', '778', 0x0101, before.root, deriveContextId({ domain: 'hist.example' })]);
+        expect((await api('POST', '/verify', proof, null)).body).toMatchObject({ valid: true });
+
+        const revoked = await api('DELETE', '/admin/attesters/hist-a');
+        expect(revoked.body.registryVersion).toBe(before.version + 1);
+
+        const rejected = await api('POST', '/verify', proof, null);
+        expect(rejected.status).toBe(400);
+        expect(rejected.body.error).toBe('root_revoked');
+        const { roots } = (await api('GET', '/registry/roots')).body;
+        expect(roots[0]).toMatchObject({ root: revoked.body.registryRoot, current: true });
+        expect(roots.map(r => r.root)).not.toContain(before.root);
+        expect(db.prepare('SELECT invalidated_at FROM registry_roots WHERE version = ?').get(before.version).invalidated_at)
+            .not.toBeNull();
+    });
+
+    test('a version 5 proof against a pre-revocation scoped root is rejected', async () => {
+        const { deriveContextId } = await import('../src/entity-identity.js');
+        await api('POST', '/admin/attesters', { id: 'scope-v5', name: 'V5', allowedTypes: ['AI.CA'] });
+        const before = (await api('GET', '/registry')).body.scoped;
+        const revocations = (await api('GET', '/revocations')).body;
+        const now = Math.floor(Date.now() / 1000);
+        // Version 5 public signals: nullifier, entityCommitment, claimedType,
+        // attestersRoot, contextId, currentTime, minIssuedAt, revocationRoot,
+        // actionLimit, attesterLeafFormat
+        const proof = await prove([
+            '202', '779', 0x0101, before.root, deriveContextId({ domain: 'scope.example' }),
+            now, now - 3600, revocations.root, 1, 2,
+        ]);
+        expect((await api('POST', '/verify', proof, null)).body).toMatchObject({ valid: true });
+
+        const revoked = await api('DELETE', '/admin/attesters/scope-v5');
+        expect(revoked.body.scopedRegistryVersion).toBe(before.version + 1);
+
+        const rejected = await api('POST', '/verify', proof, null);
+        expect(rejected.status).toBe(400);
+        expect(rejected.body.error).toBe('root_revoked');
+        const { roots } = (await api('GET', '/registry/roots?leafFormat=2')).body;
+        expect(roots[0]).toMatchObject({ root: revoked.body.scopedRegistryRoot, current: true });
+        expect(roots.map(r => r.root)).not.toContain(before.root);
+    });
+
+    test('revoking an attester migrated to scoped leaves invalidates every earlier scoped root', async () => {
+        await api('POST', '/admin/attesters', { id: 'scope-a', name: 'A', allowedTypes: ['AI.*'] });
+        await api('POST', '/admin/attesters', { id: 'scope-b', name: 'B', allowedTypes: ['HU.*'] });
+        const before = (await api('GET', '/registry')).body.scoped;
+
+        // Attesters migrated at startup joined the scoped tree at a rebuild
+        db.prepare("UPDATE scoped_registry_roots SET reason = 'rebuild', attester_id = NULL WHERE attester_id = 'scope-b'").run();
+
+        const revoked = await api('DELETE', '/admin/attesters/scope-b');
+        expect(revoked.body.scopedRegistryVersion).toBe(before.version + 1);
+
+        const { roots } = (await api('GET', '/registry/roots?leafFormat=2')).body;
+        expect(roots.map(r => r.root)).toEqual([revoked.body.scopedRegistryRoot]);
+        expect(db.prepare('SELECT COUNT(*) AS n FROM scoped_registry_roots WHERE invalidated_at IS NULL').get().n).toBe(1);
+    });
+});
+
+describe('Database migrations', () => {
+    test('adds invalidated_at to a registry_roots table created without it', async () => {
+        const { initDatabase } = await import('../api/server.js');
+        const { default: Database } = await import('better-sqlite3');
+
+        const dbPath = path.join(dataDir, 'old-roots.db');
+        const old = new Database(dbPath);
+        old.exec(`CREATE TABLE registry_roots (
+            version INTEGER PRIMARY KEY AUTOINCREMENT,
+            root TEXT NOT NULL,
+            reason TEXT NOT NULL,
+            attester_id TEXT,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP
+        )`);
+        old.prepare("INSERT INTO registry_roots (root, reason) VALUES ('1', 'rebuild')").run();
+        old.close();
+
+        const migrated = initDatabase(dbPath);
+        const columns = migrated.prepare('PRAGMA table_info(registry_roots)').all().map(c => c.name);
+        expect(columns).toContain('invalidated_at');
+        expect(migrated.prepare('SELECT root, invalidated_at FROM registry_roots').all())
+            .toEqual([{ root: '1', invalidated_at: null }]);
+        migrated.close();
+    });
+});
+
+describe('Attestation revocation', () => {
+    test('a failed revocation leaves the revocation registry unchanged', async () => {
+        const created = await api('POST', '/admin/attesters', { id: 'att-rev', name: 'Revoker', allowedTypes: ['AI.*'] });
+        const issued = await api('POST', '/attest', { entityCommitment: '12345', entityType: 'AI.CA' }, created.body.apiKey);
+        expect(issued.status).toBe(200);
+        const { id, attestationHash } = issued.body.attestation;
+        const before = (await api('GET', '/revocations')).body;
+
+        const restore = failInsert('audit_log', "NEW.action = 'attestation_revoked'");
+        const failed = await api('DELETE', `/admin/attestations/${id}`);
+        restore();
+        expect(failed.status).toBe(500);
+        expect((await api('GET', '/revocations')).body.root).toBe(before.root);
+        expect((await api('GET', `/revocations/${attestationHash}/proof`)).status).toBe(200);
+
+        const revoked = await api('DELETE', `/admin/attestations/${id}`);
+        expect(revoked.status).toBe(200);
+        expect((await api('GET', '/revocations')).body.root).toBe(revoked.body.revocationRoot);
+        expect((await api('GET', `/revocations/${attestationHash}/proof`)).body.error).toBe('attestation_revoked');
+    });
+});
+
+describe('Entity type administration', () => {
+    test('proposes, activates and deprecates a type', async () => {
+        const proposed = await api('POST', '/admin/types', { name: 'AR.AM', phonetic: 'Amr', description: 'Warehouse AMR' });
+        expect(proposed.status).toBe(201);
+        expect(proposed.body.type).toMatchObject({ code: 'AR.AM', numeric: 0x0204, status: 'proposed' });
+        expect((await api('GET', '/types')).body.types.map(t => t.code)).not.toContain('AR.AM');
+
+        expect((await api('POST', '/admin/types', { name: 'AR.AM', phonetic: 'Other', description: 'x' })).status).toBe(409);
+        expect((await api('POST', '/admin/types', { name: 'ar-am', phonetic: 'Bad', description: 'x' })).body.error).toBe('invalid_type');
+
+        const activated = await api('POST', '/admin/types/AR.AM/activate');
+        expect(activated.status).toBe(200);
+        expect(activated.body.type.status).toBe('active');
+        expect((await api('GET', '/types')).body).toMatchObject({ version: activated.body.version });
+        expect((await api('GET', '/types')).body.types).toContainEqual(expect.objectContaining({ code: 'AR.AM', builtin: false }));
+        expect((await api('POST', '/admin/types/AR.AM/activate')).body.error).toBe('invalid_state');
+        expect((await api('DELETE', '/admin/types/AR.AM')).body.error).toBe('invalid_state');
+
+        const deprecated = await api('POST', '/admin/types/AR.AM/deprecate');
+        expect(deprecated.body.type.status).toBe('deprecated');
+        expect(deprecated.body.version).toBeGreaterThan(activated.body.version);
+
+        const listed = (await api('GET', '/admin/types')).body.types;
+        expect(listed).toContainEqual(expect.objectContaining({ code: 'AR.AM', status: 'deprecated' }));
+        expect((await api('POST', '/admin/types/AR.NO/activate')).status).toBe(404);
+        expect((await api('GET', '/admin/types', undefined, null)).status).toBe(401);
+    });
+
+    test('withdraws a proposed type', async () => {
+        await api('POST', '/admin/types', { name: 'HU.WD', phonetic: 'Wid', description: 'Withdrawn' });
+
+        const withdrawn = await api('DELETE', '/admin/types/HU.WD');
+        expect(withdrawn.body).toEqual({ withdrawn: true, type: 'HU.WD' });
+        expect((await api('GET', '/admin/types')).body.types.map(t => t.code)).not.toContain('HU.WD');
+    });
+
+    test('activation reports a definition the registry no longer accepts', async () => {
+        // Proposals that became invalid after they were stored, e.g. when an
+        // SDK upgrade added a built-in type with the same code
+        const propose = db.prepare("INSERT INTO entity_types (name, code, phonetic, description) VALUES (?, ?, ?, 'x')");
+        propose.run('AI.ZZ', 0x0101, 'Zed');
+        propose.run('AI.ZY', 0x0100, 'Zyx');
+
+        const taken = await api('POST', '/admin/types/AI.ZZ/activate');
+        expect(taken.status).toBe(409);
+        expect(taken.body).toMatchObject({ error: 'already_exists', message: expect.stringMatching(/AI\.CA/) });
+
+        const invalid = await api('POST', '/admin/types/AI.ZY/activate');
+        expect(invalid.status).toBe(400);
+        expect(invalid.body.error).toBe('invalid_type');
+
+        const rows = db.prepare("SELECT status FROM entity_types WHERE name IN ('AI.ZZ', 'AI.ZY')").all();
+        expect(rows.map(r => r.status)).toEqual(['proposed', 'proposed']);
+    });
+});
+
+describe('Policies', () => {
+    test('POLICY_FILE actions are stored and served', async () => {
+        const listed = await api('GET', '/policies', undefined, null);
+        expect(listed.status).toBe(200);
+        expect(listed.body.policies.map(p => p.name)).toEqual(['forum', 'open', 'typed']);
+        expect(listed.body.actions.map(a => [a.action, a.rule, a.source]))
+            .toEqual([['join_chat', 'typed', 'file'], ['post_comment', 'forum', 'file']]);
+
+        const action = await api('GET', '/actions/post_comment', undefined, null);
+        expect(action.status).toBe(200);
+        expect(action.body.action.rule).toBe('forum');
+        expect((await api('GET', '/actions/nope', undefined, null)).body.error).toBe('action_not_found');
+    });
+
+    test('a policy an action references cannot be deleted', async () => {
+        const deleted = await api('DELETE', '/admin/policies/typed');
+        expect(deleted.status).toBe(409);
+        expect(deleted.body.error).toBe('policy_in_use');
+        expect((await api('GET', '/policies/typed', undefined, null)).status).toBe(200);
+    });
+
+    test('evaluates policies and actions', async () => {
+        const anonymous = { package: { version: 1, level: 0 } };
+        const open = await api('POST', '/policies/open/evaluate', anonymous, null);
+        expect(open.status).toBe(200);
+        expect(open.body).toEqual({ policy: 'open', valid: true, errors: [] });
+
+        const comment = await api('POST', '/actions/post_comment/evaluate', anonymous, null);
+        expect(comment.body).toEqual({ action: 'post_comment', valid: true, errors: [] });
+
+        const chat = await api('POST', '/actions/join_chat/evaluate', anonymous, null);
+        expect(chat.body.valid).toBe(false);
+        expect(chat.body.errors.map(e => e.code)).toContain('level_insufficient');
+
+        expect((await api('POST', '/actions/nope/evaluate', anonymous, null)).body.error).toBe('action_not_found');
+    });
+
+    test('a policy that no longer compiles fails only its own evaluations', async () => {
+        // As left behind when a custom type a policy names is deleted
+        db.prepare("INSERT INTO policies (name, rule, source) VALUES ('stale', ?, 'api')")
+          .run(JSON.stringify({ allowedTypes: ['XX.GONE'] }));
+        const anonymous = { package: { version: 1, level: 0 } };
+
+        const stale = await api('POST', '/policies/stale/evaluate', anonymous, null);
+        expect(stale.status).toBe(500);
+        expect(stale.body.error).toBe('internal_error');
+
+        expect((await api('POST', '/policies/open/evaluate', anonymous, null)).body.valid).toBe(true);
+        expect((await api('POST', '/actions/post_comment/evaluate', anonymous, null)).body.valid).toBe(true);
+        db.prepare("DELETE FROM policies WHERE name = 'stale'").run();
+    });
+});
+
+describe('Public trust registry', () => {
+    let pubA;
+    let pubB;
+
+    /**
+     * Root recomputed from a served public Merkle proof
+     */
+    function provenRoot({ leaf, pathElements, pathIndices }) {
+        let node = BigInt(leaf);
+        pathElements.forEach((sibling, i) => {
+            node = pathIndices[i] === 1
+                ? crypto.hash([BigInt(sibling), node])
+                : crypto.hash([node, BigInt(sibling)]);
+        });
+        return node.toString();
+    }
+
+    beforeAll(async () => {
+        pubA = (await api('POST', '/admin/attesters', { id: 'pub-a', name: 'Pub A', allowedTypes: ['AI.*'] })).body.apiKey;
+        pubB = (await api('POST', '/admin/attesters', { id: 'pub-b', name: 'Pub B', allowedTypes: ['AI.*'] })).body.apiKey;
+        await api('PUT', '/admin/policies/two-attesters', { minLevel: 'TYPE_WITH_STANDING', minPublicAttestations: 2 });
+    });
+
+    /**
+     * Level 2 package: a version 1 proof for the commitment, plus its served
+     * public attestations
+     */
+    async function standingRequest(nullifier, commitment) {
+        const standing = (await api('GET', `/public/commitments/${commitment}/attestations?proofs=true`, undefined, null)).body;
+        const { root } = (await api('GET', '/registry')).body;
+        return {
+            standing,
+            request: {
+                package: {
+                    version: 1,
+                    level: 2,
+                    zkProof: await prove([nullifier, commitment, 0x0101, root, '0']),
+                    publicStanding: {
+                        publicTrustRoot: standing.root,
+                        attestations: standing.attestations.map(({ merkleProof, ...attestation }) => ({ attestation, merkleProof })),
+                    },
+                },
+            },
+        };
+    }
+
+    test('publishes attestations and serves them with Merkle proofs', async () => {
+        const published = await api('POST', '/public/attestations', { entityCommitment: '2001', entityType: 'AI.CA' }, pubA);
+        expect(published.status).toBe(201);
+        const { attestation, merkleProof, root } = published.body;
+        expect(attestation).toMatchObject({ entityCommitment: '2001', typeName: 'AI.CA', attesterId: 'pub-a' });
+        expect(provenRoot(merkleProof)).toBe(root);
+
+        const current = (await api('GET', '/public/root', undefined, null)).body;
+        expect(current.root).toBe(root);
+        expect(current.version).toBe(published.body.rootVersion);
+
+        const listed = await api('GET', '/public/commitments/2001/attestations?proofs=true', undefined, null);
+        expect(listed.body.count).toBe(1);
+        expect(listed.body.attestations[0].attestationId).toBe(attestation.attestationId);
+        expect(provenRoot(listed.body.attestations[0].merkleProof)).toBe(listed.body.root);
+
+        const proof = await api('GET', `/public/attestations/${attestation.attestationId}/proof`, undefined, null);
+        expect(proof.body.merkleProof).toEqual(merkleProof);
+        expect((await api('GET', '/public/attestations/9999/proof', undefined, null)).status).toBe(404);
+    });
+
+    test('a failed publication leaves the public tree as it was', async () => {
+        const before = (await api('GET', '/public/root', undefined, null)).body;
+
+        const restore = failInsert('audit_log', "NEW.action = 'public_attestation'");
+        const failed = await api('POST', '/public/attestations', { entityCommitment: '2003', entityType: 'AI.CA' }, pubA);
+        restore();
+        expect(failed.status).toBe(500);
+        expect(failed.body.error).toBe('internal_error');
+        expect((await api('GET', '/public/root', undefined, null)).body).toEqual(before);
+
+        // The next attestation takes the ID and leaf the failed one would have
+        const next = await api('POST', '/public/attestations', { entityCommitment: '2003', entityType: 'AI.CA' }, pubA);
+        expect(next.body.attestation.attestationId).toBe(before.attestationsCount + 1);
+        expect(next.body.merkleProof.leafIndex).toBe(before.attestationsCount);
+        expect(provenRoot(next.body.merkleProof)).toBe(next.body.root);
+    });
+
+    test('attestations of a revoked attester stop counting', async () => {
+        for (const key of [pubA, pubB]) {
+            const published = await api('POST', '/public/attestations', { entityCommitment: '2002', entityType: 'AI.CA' }, key);
+            expect(published.status).toBe(201);
+        }
+        const { standing, request } = await standingRequest('71', '2002');
+        expect(standing.count).toBe(2);
+        const accepted = await api('POST', '/policies/two-attesters/evaluate', request, null);
+        expect(accepted.body).toEqual({ policy: 'two-attesters', valid: true, errors: [] });
+
+        const revoked = await api('DELETE', '/admin/attesters/pub-b');
+        expect(revoked.body.publicRoot).not.toBe(standing.root);
+        expect((await api('GET', '/public/root', undefined, null)).body.root).toBe(revoked.body.publicRoot);
+
+        const listed = (await api('GET', '/public/commitments/2002/attestations', undefined, null)).body;
+        expect(listed.attestations.map(a => a.attesterId)).toEqual(['pub-a']);
+        const fromB = standing.attestations.find(a => a.attesterId === 'pub-b');
+        const proof = await api('GET', `/public/attestations/${fromB.attestationId}/proof`, undefined, null);
+        expect(proof.status).toBe(409);
+        expect(proof.body.error).toBe('attestation_revoked');
+
+        // The earlier public root is still in its window, but pub-b's
+        // attestation no longer counts. Revocation invalidated the registry
+        // root, so the proof moves to the current one.
+        const { root } = (await api('GET', '/registry')).body;
+        request.package.zkProof = await prove(['72', '2002', 0x0101, root, '0']);
+        const rejected = await api('POST', '/policies/two-attesters/evaluate', request, null);
+        expect(rejected.body.valid).toBe(false);
+        expect(rejected.body.errors).toEqual([
+            { code: 'insufficient_attestations', message: 'Insufficient attestations: 1 attesters verified < 2 (1 revoked)' },
+        ]);
+    });
+
+    test('one attester vouching twice counts once', async () => {
+        for (let i = 0; i < 2; i++) {
+            const published = await api('POST', '/public/attestations', { entityCommitment: '2004', entityType: 'AI.CA' }, pubA);
+            expect(published.status).toBe(201);
+        }
+        const { standing, request } = await standingRequest('72', '2004');
+        expect(standing.count).toBe(2);
+
+        const evaluated = await api('POST', '/policies/two-attesters/evaluate', request, null);
+        expect(evaluated.body.valid).toBe(false);
+        expect(evaluated.body.errors).toEqual([
+            { code: 'insufficient_attestations', message: 'Insufficient attestations: 1 attesters verified < 2' },
+        ]);
+    });
+});
+
+describe('Verifiers and nullifiers', () => {
+    let shop;
+
+    /**
+     * Version 1 public signals: nullifier, entityCommitment, claimedType,
+     * attestersRoot, contextId
+     */
+    async function v1Proof(nullifier, domain) {
+        const { deriveContextId } = await import('../src/entity-identity.js');
+        const { root } = (await api('GET', '/registry')).body;
+        return prove([nullifier, '777', 0x0101, root, deriveContextId({ domain })]);
+    }
+
+    beforeAll(async () => {
+        shop = await api('POST', '/admin/verifiers', { id: 'shop', name: 'Shop', domain: 'Shop.Example' });
+    });
+
+    test('admin endpoints register and revoke verifiers', async () => {
+        expect(shop.status).toBe(200);
+        expect(shop.body.verifier).toEqual({ id: 'shop', name: 'Shop', domain: 'shop.example' });
+        expect(shop.body.apiKey).toMatch(/^[0-9a-f]{64}$/);
+
+        expect((await api('POST', '/admin/verifiers', { id: 'shop', name: 'Again', domain: 'x.example' })).status).toBe(409);
+        expect((await api('POST', '/admin/verifiers', { id: 'nodomain', name: 'N' })).body.error).toBe('invalid_request');
+        expect((await api('POST', '/admin/verifiers', { id: 'x', name: 'X', domain: 'x.example' }, null)).status).toBe(401);
+
+        const gone = await api('POST', '/admin/verifiers', { id: 'gone', name: 'Gone', domain: 'gone.example' });
+        expect((await api('DELETE', '/admin/verifiers/gone')).body).toEqual({ revoked: true, verifierId: 'gone' });
+        expect((await api('DELETE', '/admin/verifiers/gone')).status).toBe(404);
+        expect((await api('POST', '/verify/record', { nullifier: '1' }, gone.body.apiKey)).status).toBe(401);
+    });
+
+    test('/verify/record burns a nullifier once in the verifier domain', async () => {
+        const recorded = await api('POST', '/verify/record', { nullifier: '41', domain: 'SHOP.example' }, shop.body.apiKey);
+        expect(recorded.body).toEqual({ recorded: true, nullifier: '41', domain: 'shop.example' });
+
+        const again = await api('POST', '/verify/record', { nullifier: '41' }, shop.body.apiKey);
+        expect(again.status).toBe(409);
+        expect(again.body.error).toBe('nullifier_used');
+
+        const other = await api('POST', '/verify/record', { nullifier: '42', domain: 'other.example' }, shop.body.apiKey);
+        expect(other.status).toBe(403);
+        expect((await api('POST', '/verify/record', {}, shop.body.apiKey)).status).toBe(400);
+    });
+
+    test('/verify?consume=true accepts a proof once per verifier domain', async () => {
+        const proof = await v1Proof(51, 'shop.example');
+
+        expect((await api('POST', '/verify?consume=true', proof, null)).status).toBe(401);
+        const plain = await api('POST', '/verify', proof, null);
+        expect(plain.body).toMatchObject({ valid: true, nullifierStatus: 'new', entityType: 'AI.CA' });
+
+        const consumed = await api('POST', '/verify?consume=true', proof, shop.body.apiKey);
+        expect(consumed.status).toBe(200);
+        expect(consumed.body).toMatchObject({ valid: true, nullifierStatus: 'consumed' });
+        expect((await api('POST', '/verify', { ...proof, context: { domain: 'Shop.Example' } }, null)).body.nullifierStatus).toBe('used');
+
+        const replayed = await api('POST', '/verify?consume=true', proof, shop.body.apiKey);
+        expect(replayed.status).toBe(409);
+        expect(replayed.body.error).toBe('nullifier_used');
+
+        // Another verifier can consume the same nullifier for its own domain,
+        // but not a proof made for the shop
+        const bank = await api('POST', '/admin/verifiers', { id: 'bank', name: 'Bank', domain: 'bank.example' });
+        const elsewhere = await api('POST', '/verify?consume=true', proof, bank.body.apiKey);
+        expect(elsewhere.body.error).toBe('context_mismatch');
+        const own = await api('POST', '/verify?consume=true', await v1Proof(51, 'bank.example'), bank.body.apiKey);
+        expect(own.body.nullifierStatus).toBe('consumed');
+        expect(db.prepare("SELECT domain FROM nullifiers WHERE nullifier = '51' ORDER BY domain").all())
+            .toEqual([{ domain: 'bank.example' }, { domain: 'shop.example' }]);
+    });
+
+    test('/verify takes a string context as the domain', async () => {
+        const proof = await v1Proof(53, 'shop.example');
+        await api('POST', '/verify?consume=true', proof, shop.body.apiKey);
+
+        const verified = await api('POST', '/verify', { ...proof, context: 'Shop.Example' }, null);
+        expect(verified.body).toMatchObject({ valid: true, nullifierStatus: 'used' });
+        expect((await api('POST', '/verify', { ...proof, context: 'bank.example' }, null)).body.error).toBe('context_mismatch');
+    });
+
+    test('/verify?consume=true records nothing for a rejected proof', async () => {
+        const proof = await v1Proof(52, 'shop.example');
+        proof.publicSignals[1] = '778';
+
+        const rejected = await api('POST', '/verify?consume=true', proof, shop.body.apiKey);
+        expect(rejected.body.error).toBe('proof_invalid');
+        expect(db.prepare("SELECT COUNT(*) AS n FROM nullifiers WHERE nullifier = '52'").get().n).toBe(0);
+    });
+});
+
+describe('Challenges', () => {
+    let desk;
+
+    /**
+     * Version 7 public signals: nullifier, entityCommitment, claimedType,
+     * attestersRoot, contextId, currentTime, minIssuedAt, revocationRoot,
+     * actionLimit, attesterLeafFormat, messageHash
+     */
+    async function v7Proof(nullifier, challenge) {
+        const { challengeMessageHash, deriveContextId } = await import('../src/entity-identity.js');
+        const { scoped } = (await api('GET', '/registry')).body;
+        const revocations = (await api('GET', '/revocations')).body;
+        const now = Math.floor(Date.now() / 1000);
+        return prove([
+            nullifier, '888', 0x0101, scoped.root, deriveContextId({ domain: 'desk.example' }),
+            now, now - 3600, revocations.root, 1, 2, challengeMessageHash(challenge),
+        ]);
+    }
+
+    async function issue(body = {}) {
+        return api('POST', '/challenges', body, desk.body.apiKey);
+    }
+
+    beforeAll(async () => {
+        desk = await api('POST', '/admin/verifiers', { id: 'desk', name: 'Help desk', domain: 'desk.example' });
+    });
+
+    test('issues nonces to verifiers', async () => {
+        const issued = await issue();
+        expect(issued.status).toBe(201);
+        expect(issued.body).toMatchObject({ domain: 'desk.example', ttlSeconds: 300 });
+        expect(issued.body.expiresAt - Math.floor(Date.now() / 1000)).toBeGreaterThan(290);
+        expect(db.prepare('SELECT verifier_id, consumed_at FROM challenges WHERE nonce = ?').get(issued.body.nonce))
+            .toEqual({ verifier_id: 'desk', consumed_at: null });
+
+        expect((await issue({ ttlSeconds: 60 })).body.ttlSeconds).toBe(60);
+        expect((await issue({ ttlSeconds: 0 })).body.error).toBe('invalid_request');
+        expect((await issue({ ttlSeconds: 7200 })).body.error).toBe('invalid_request');
+        expect((await api('POST', '/challenges', {}, null)).status).toBe(401);
+    });
+
+    test('redeems a challenge once, for the request it was made for', async () => {
+        const { nonce } = (await issue()).body;
+        const challenge = { domain: 'desk.example', nonce, requestDigest: 'reset-password' };
+        const proof = await v7Proof(61, challenge);
+
+        expect((await api('POST', '/verify', proof, desk.body.apiKey)).body.error).toBe('challenge_required');
+        const wrongRequest = await api('POST', '/verify', { ...proof, challenge: { nonce, requestDigest: 'delete-account' } }, desk.body.apiKey);
+        expect(wrongRequest.body.error).toBe('challenge_mismatch');
+        const otherVerifier = await api('POST', '/admin/verifiers', { id: 'kiosk', name: 'Kiosk', domain: 'kiosk.example' });
+        const stolen = await api('POST', '/verify', { ...proof, challenge: { nonce, requestDigest: 'reset-password' } }, otherVerifier.body.apiKey);
+        expect(stolen.body.error).toBe('challenge_not_found');
+
+        const redeemed = await api('POST', '/verify?consume=true', { ...proof, challenge: { nonce, requestDigest: 'reset-password' } }, desk.body.apiKey);
+        expect(redeemed.status).toBe(200);
+        expect(redeemed.body).toMatchObject({
+            valid: true,
+            circuitVersion: 7,
+            nullifierStatus: 'consumed',
+            challenge: { nonce, domain: 'desk.example', status: 'consumed' },
+        });
+
+        const again = await api('POST', '/verify', { ...proof, challenge: { nonce, requestDigest: 'reset-password' } }, desk.body.apiKey);
+        expect(again.status).toBe(409);
+        expect(again.body.error).toBe('challenge_used');
+    });
+
+    test('a rejected proof leaves the challenge redeemable', async () => {
+        const { nonce } = (await issue()).body;
+        const challenge = { domain: 'desk.example', nonce };
+
+        // Nullifier 61 was consumed with the previous challenge
+        const replayed = await api('POST', '/verify?consume=true', { ...(await v7Proof(61, challenge)), challenge: { nonce } }, desk.body.apiKey);
+        expect(replayed.status).toBe(409);
+        expect(replayed.body.error).toBe('nullifier_used');
+        expect(db.prepare('SELECT consumed_at FROM challenges WHERE nonce = ?').get(nonce).consumed_at).toBeNull();
+
+        const fresh = await api('POST', '/verify?consume=true', { ...(await v7Proof(62, challenge)), challenge: { nonce } }, desk.body.apiKey);
+        expect(fresh.status).toBe(200);
+        expect(fresh.body.challenge.status).toBe('consumed');
+    });
+
+    test('rejects an expired challenge', async () => {
+        const { nonce } = (await issue()).body;
+        const proof = await v7Proof(63, { domain: 'desk.example', nonce });
+        db.prepare('UPDATE challenges SET expires_at = ? WHERE nonce = ?').run(Math.floor(Date.now() / 1000) - 1, nonce);
+
+        const expired = await api('POST', '/verify', { ...proof, challenge: { nonce } }, desk.body.apiKey);
+        expect(expired.status).toBe(400);
+        expect(expired.body.error).toBe('challenge_expired');
+    });
+});
+
+describe('Dual proofs', () => {
+    /**
+     * dual_identity_proof public signals: nullifier, entityCommitment,
+     * claimedType, attestersRoot, contextId, publicTrustRoot,
+     * minPublicAttestations, minTimestamp, maxTimestamp
+     */
+    async function dualProof(nullifier, { publicRoot, count = 2 } = {}) {
+        const { root } = (await api('GET', '/registry')).body;
+        publicRoot ??= (await api('GET', '/public/root', undefined, null)).body.root;
+        const now = Date.now();
+        return prove([nullifier, '3001', 0x0101, root, '0', publicRoot, count, now - 86400000, now]);
+    }
+
+    test('verifies the type and proven public standing, as a legacy route', async () => {
+        const { proof, publicSignals } = await dualProof('91');
+        const res = await fetch(`${base}/verify/dual`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ proof, publicSignals, minPublicAttestations: 2 }),
+        });
+        expect(res.status).toBe(200);
+        expect(res.headers.get('deprecation')).toBe('true');
+        expect(await res.json()).toMatchObject({
+            valid: true,
+            circuit: 'dual_identity_proof',
+            entityType: 'AI.CA',
+            entityCommitment: '3001',
+            publicStanding: { minPublicAttestations: 2 },
+            revocationStatus: 'unchecked',
+        });
+
+        const short = await api('POST', '/verify/dual', { proof, publicSignals, minPublicAttestations: 3 }, null);
+        expect(short.status).toBe(400);
+        expect(short.body.error).toBe('insufficient_attestations');
+    });
+
+    test('rejects a public trust root the registry never had', async () => {
+        const { proof, publicSignals } = await dualProof('92', { publicRoot: '12345' });
+        const res = await api('POST', '/verify/dual', { proof, publicSignals }, null);
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe('public_root_mismatch');
+    });
+});
+
+describe('Attestation issuance', () => {
+    let issuer;
+
+    beforeAll(async () => {
+        issuer = (await api('POST', '/admin/attesters', { id: 'issuer', name: 'Issuer', allowedTypes: ['AI.*'] })).body.apiKey;
+    });
+
+    test('issues expiring attestations while a circuit can prove them', async () => {
+        const issued = await api('POST', '/attest', { entityCommitment: '4001', entityType: 'AI.CA' }, issuer);
+        expect(issued.body.attestation).toMatchObject({ circuitVersion: 2 });
+        expect(issued.body.attestation.expiresAt).toBeGreaterThan(issued.body.attestation.issuedAt);
+
+        const legacy = await api('POST', '/attest', { entityCommitment: '4001', entityType: 'AI.CA', circuitVersion: 1 }, issuer);
+        expect(legacy.body.attestation).toMatchObject({ circuitVersion: 1 });
+    });
+
+    test('defaults to unbounded attestations without such a circuit', async () => {
+        // A second server on the same database, set up with version 1 only
+        const { createServer } = await import('../api/server.js');
+        const windowed = ['verification_key_v5.json', 'verification_key_v7.json']
+            .map(file => path.join(process.env.SETUP_DIR, file));
+        windowed.forEach(file => renameSync(file, `${file}.off`));
+        let legacyServer;
+        try {
+            const app = await createServer();
+            legacyServer = await new Promise(resolve => {
+                const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+            });
+        } finally {
+            windowed.forEach(file => renameSync(`${file}.off`, file));
+        }
+
+        try {
+            const res = await fetch(`http://127.0.0.1:${legacyServer.address().port}/api/v1/attest`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${issuer}` },
+                body: JSON.stringify({ entityCommitment: '4002', entityType: 'AI.CA' }),
+            });
+            const { attestation } = await res.json();
+            expect(attestation.circuitVersion).toBe(1);
+            expect(attestation).not.toHaveProperty('expiresAt');
+        } finally {
+            await new Promise(resolve => legacyServer.close(resolve));
+        }
+    });
+
+    test('/prove is gone while unbounded attestations are off', async () => {
+        // server.js reads its configuration on import; the query string gives
+        // a separate module instance
+        process.env.ATTESTATION_ALLOW_LEGACY = 'false';
+        let strictServer;
+        try {
+            const { createServer } = await import('../api/server.js?allowLegacy=false');
+            const app = await createServer();
+            strictServer = await new Promise(resolve => {
+                const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+            });
+        } finally {
+            delete process.env.ATTESTATION_ALLOW_LEGACY;
+        }
+
+        try {
+            const res = await fetch(`http://127.0.0.1:${strictServer.address().port}/api/v1/prove`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${issuer}` },
+                body: JSON.stringify({ entityType: 'AI.CA', context: 'shop.example' }),
+            });
+            expect(res.status).toBe(410);
+            expect((await res.json()).error).toBe('endpoint_deprecated');
+        } finally {
+            await new Promise(resolve => strictServer.close(resolve));
+        }
+    });
+});
@@ -0,0 +1,126 @@
+/**
+ * Proofs with chosen public signals, for the server tests
+ *
+ * Runs a throwaway Groth16 setup of circuits/test/public_signals.circom for
+ * each signal count and writes its verification key under the name the
+ * server loads for that circuit version. The server then accepts a proof of
+ * any public signals of that length, so tests can exercise /verify without
+ * real attestations. Setups are cached in build/public_signals/.
+ *
+ * Usage as a script (what setupSignalsProver runs for a missing setup):
+ *   node test/signals-prover.js <signal count>
+ */
+
+import { execFileSync } from 'child_process';
+import { randomBytes } from 'crypto';
+import { copyFileSync, existsSync, mkdirSync, statSync, writeFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as snarkjs from 'snarkjs';
+
+const HERE = fileURLToPath(import.meta.url);
+const ROOT = path.join(path.dirname(HERE), '..');
+const SOURCE = path.join(ROOT, 'circuits', 'test', 'public_signals.circom');
+const BUILD = path.join(ROOT, 'build', 'public_signals');
+
+// 2^8 constraints covers every circuit version's signal count
+const PTAU_POWER = 8;
+
+function setupFiles(count) {
+    const name = `public_signals_${count}`;
+    const dir = path.join(BUILD, name);
+    return {
+        name,
+        dir,
+        r1cs: path.join(dir, `${name}.r1cs`),
+        wasm: path.join(dir, `${name}_js`, `${name}.wasm`),
+        zkey: path.join(dir, `${name}.zkey`),
+        vkey: path.join(dir, 'verification_key.json'),
+    };
+}
+
+function isCached(files) {
+    return existsSync(files.vkey) && statSync(files.vkey).mtimeMs >= statSync(SOURCE).mtimeMs;
+}
+
+async function preparedPtau() {
+    const ptau = path.join(BUILD, `pot${PTAU_POWER}_final.ptau`);
+    if (!existsSync(ptau)) {
+        mkdirSync(BUILD, { recursive: true });
+        const curve = await snarkjs.curves.getCurveFromName('bn128');
+        const initial = path.join(BUILD, `pot${PTAU_POWER}_0000.ptau`);
+        const contributed = path.join(BUILD, `pot${PTAU_POWER}_0001.ptau`);
+        // The new accumulator has tau = 1, which is useless on its own
+        await snarkjs.powersOfTau.newAccumulator(curve, PTAU_POWER, initial);
+        await snarkjs.powersOfTau.contribute(initial, contributed, 'test', randomBytes(32).toString('hex'));
+        await snarkjs.powersOfTau.preparePhase2(contributed, ptau);
+    }
+    return ptau;
+}
+
+/**
+ * Compile and set up the circuit for `count` public signals
+ */
+async function setup(count) {
+    const files = setupFiles(count);
+    mkdirSync(files.dir, { recursive: true });
+    const main = path.join(files.dir, `${files.name}.circom`);
+    writeFileSync(main, [
+        'pragma circom 2.1.6;',
+        `include "${path.relative(files.dir, SOURCE)}";`,
+        `component main {public [values]} = PublicSignals(${count - 2});`,
+        '',
+    ].join('\n'));
+    execFileSync(path.join(ROOT, 'node_modules', '.bin', 'circom2'),
+        [path.relative(ROOT, main), '--r1cs', '--wasm', '-o', path.relative(ROOT, files.dir)],
+        { cwd: ROOT, stdio: ['ignore', 'ignore', 'inherit'] });
+
+    // Without a contribution delta equals gamma, and proofs can be moved to
+    // other public signals
+    const initial = path.join(files.dir, `${files.name}_0000.zkey`);
+    await snarkjs.zKey.newZKey(files.r1cs, await preparedPtau(), initial);
+    await snarkjs.zKey.contribute(initial, files.zkey, 'test', randomBytes(32).toString('hex'));
+    const vkey = await snarkjs.zKey.exportVerificationKey(files.zkey);
+    writeFileSync(files.vkey, JSON.stringify(vkey, null, 2));
+}
+
+/**
+ * Write verification keys the server will load, and return a prover for them
+ *
+ * @param setupDir - Directory the server reads keys from (SETUP_DIR)
+ * @param keyFiles - Verification key file name -> public signal count,
+ *   e.g. { 'verification_key_v7.json': 11 }
+ * @returns async (publicSignals) => { proof, publicSignals }
+ */
+export async function setupSignalsProver(setupDir, keyFiles) {
+    const setups = {};
+    for (const [fileName, count] of Object.entries(keyFiles)) {
+        const files = setupFiles(count);
+        // Setups run in a child process: the setup code loads other copies of
+        // ffjavascript, which drop the shared curve without stopping its
+        // worker threads, and those would keep Jest from exiting
+        if (!isCached(files)) {
+            execFileSync(process.execPath, [HERE, String(count)], { stdio: ['ignore', 'ignore', 'inherit'] });
+        }
+        setups[count] = files;
+        copyFileSync(files.vkey, path.join(setupDir, fileName));
+    }
+
+    return async (publicSignals) => {
+        const circuit = setups[publicSignals.length];
+        if (!circuit) {
+            throw new Error(`No setup for ${publicSignals.length} public signals`);
+        }
+        const signals = publicSignals.map(s => BigInt(s).toString());
+        return snarkjs.groth16.fullProve(
+            { outputs: signals.slice(0, 2), values: signals.slice(2) },
+            circuit.wasm,
+            circuit.zkey
+        );
+    };
+}
+
+if (process.argv[1] === HERE) {
+    await setup(Number(process.argv[2]));
+    process.exit(0);
+}
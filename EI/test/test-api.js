@@ -7,6 +7,7 @@
  * 3. Request attestation from API
  * 4. Generate proof (client-side)
  * 5. Verify proof via API
+ * 6. Consume the nullifier (with VERIFIER_API_KEY)
  */
 
 import { buildPoseidon } from 'circomlibjs';
@@ -16,10 +17,11 @@ import { randomBytes } from 'crypto';
 
 const API_URL = process.env.API_URL || 'http://localhost:3000';
 const ATTESTER_API_KEY = process.env.ATTESTER_API_KEY;
+const VERIFIER_API_KEY = process.env.VERIFIER_API_KEY;
 
 if (!ATTESTER_API_KEY) {
     console.error('Error: ATTESTER_API_KEY environment variable required');
-    console.error('Usage: ATTESTER_API_KEY=<key> node test/test-api.js');
+    console.error('Usage: ATTESTER_API_KEY=<key> [VERIFIER_API_KEY=<key>] node test/test-api.js');
     process.exit(1);
 }
 
@@ -131,33 +133,36 @@ async function main() {
     console.log(`   Nullifier Status: ${verifyData.nullifierStatus}`);
     console.log("   ✓ Proof verified\n");
 
-    // Record nullifier
-    console.log("8. Recording nullifier...");
-    const recordRes = await fetch(`${API_URL}/api/v1/verify/record`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-            nullifier: verifyData.nullifier,
-            contextId: contextId.toString(),
-            domain: 'test.example.com'
-        })
-    });
-
-    const recordData = await recordRes.json();
-    console.log(`   Recorded: ${recordData.recorded}`);
-    console.log("   ✓ Nullifier recorded\n");
-
-    // Try to verify same proof again (should show nullifier used)
-    console.log("9. Re-verifying (nullifier should show as used)...");
-    const reVerifyRes = await fetch(`${API_URL}/api/v1/verify`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ proof, publicSignals })
-    });
-
-    const reVerifyData = await reVerifyRes.json();
-    console.log(`   Nullifier Status: ${reVerifyData.nullifierStatus}`);
-    console.log("   ✓ Replay protection works\n");
+    if (VERIFIER_API_KEY) {
+        // Verify and consume the nullifier in one call
+        console.log("8. Verifying with ?consume=true...");
+        const consume = () => fetch(`${API_URL}/api/v1/verify?consume=true`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${VERIFIER_API_KEY}` },
+            body: JSON.stringify({ proof, publicSignals })
+        });
+
+        const consumeData = await (await consume()).json();
+        if (consumeData.nullifierStatus !== 'consumed') {
+            console.error('   ✗ Consume failed:', consumeData);
+            process.exit(1);
+        }
+        console.log(`   Nullifier Status: ${consumeData.nullifierStatus}`);
+        console.log("   ✓ Nullifier consumed\n");
+
+        // Replaying the same proof must be rejected
+        console.log("9. Replaying the proof (should be rejected)...");
+        const replayRes = await consume();
+        const replayData = await replayRes.json();
+        if (replayRes.status !== 409) {
+            console.error('   ✗ Replay accepted:', replayData);
+            process.exit(1);
+        }
+        console.log(`   Error: ${replayData.error}`);
+        console.log("   ✓ Replay protection works\n");
+    } else {
+        console.log("8. Skipping nullifier consumption (set VERIFIER_API_KEY)\n");
+    }
 
     // Summary
     console.log("═══════════════════════════════════════════════════════════════");
@@ -168,7 +173,7 @@ async function main() {
     console.log("    2. Requested attestation from approved attester");
     console.log("    3. Generated proof locally (private inputs never sent)");
     console.log("    4. Verified proof via public API");
-    console.log("    5. Nullifier recorded to prevent replay");
+    console.log("    5. Nullifier consumed with the proof to prevent replay");
     console.log(`\n  Performance: ${proofTime}ms proof generation\n`);
 }
 
@@ -13,16 +13,7 @@ import { buildEddsa } from 'circomlibjs';
 import * as snarkjs from 'snarkjs';
 import { readFileSync } from 'fs';
 import { randomBytes } from 'crypto';
-
-// ============================================================================
-// ENTITY TYPES
-// ============================================================================
-
-const EntityTypes = {
-    'AI.CA': 0x0101,  // Conversational Agent
-    'AI.PO': 0x0102,  // Program Orchestrator
-    'HU.US': 0x0301,  // Human User
-};
+import { EntityTypes } from '../src/entity-types.js';
 
 // ============================================================================
 // MERKLE TREE